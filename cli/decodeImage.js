@@ -0,0 +1,257 @@
+/**
+ * Image decoding for the command line
+ * ------------------------------------------------------
+ * Node has no canvas, so `drlab pixel` decodes files itself: PNG (all
+ * colour types and bit depths, interlaced or not), uncompressed BMP
+ * (1/4/8-bit palette, 24/32-bit) and PPM (P3/P6). Samples come out as
+ * 8-bit RGBA, as a browser would decode them; 16-bit samples keep
+ * their high byte.
+ */
+import { inflateSync } from "node:zlib";
+
+const rgba = (r, g, b, a = 255) => ({ r, g, b, a });
+
+// ---------- PNG ----------
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+const PNG_DEPTHS = { 0: [1, 2, 4, 8, 16], 2: [8, 16], 3: [1, 2, 4, 8], 4: [8, 16], 6: [8, 16] };
+// Adam7: [x start, y start, x step, y step] of each pass
+const ADAM7 = [
+  [0, 0, 8, 8],
+  [4, 0, 8, 8],
+  [0, 4, 4, 8],
+  [2, 0, 4, 4],
+  [0, 2, 2, 4],
+  [1, 0, 2, 2],
+  [0, 1, 1, 2],
+];
+
+const paeth = (a, b, c) => {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+};
+
+// undoes the per-row filters of one (sub)image; returns its rows and where the next one starts
+const unfilter = (data, offset, width, height, rowBytes, bpp) => {
+  const rows = [];
+  let prev = new Uint8Array(rowBytes);
+  let o = offset;
+  for (let y = 0; y < height; y++) {
+    const filter = data[o++];
+    const row = data.slice(o, o + rowBytes);
+    if (row.length < rowBytes) throw new Error("PNG image data is truncated");
+    o += rowBytes;
+    for (let i = 0; i < rowBytes; i++) {
+      const a = i >= bpp ? row[i - bpp] : 0;
+      const b = prev[i];
+      const c = i >= bpp ? prev[i - bpp] : 0;
+      if (filter === 1) row[i] += a;
+      else if (filter === 2) row[i] += b;
+      else if (filter === 3) row[i] += (a + b) >> 1;
+      else if (filter === 4) row[i] += paeth(a, b, c);
+      else if (filter !== 0) throw new Error(`Unknown PNG filter type ${filter}`);
+    }
+    rows.push(row);
+    prev = row;
+  }
+  return { rows, end: o };
+};
+
+const decodePng = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+  for (let o = 8; o + 8 <= bytes.length; ) {
+    const length = view.getUint32(o);
+    const type = String.fromCharCode(...bytes.subarray(o + 4, o + 8));
+    const body = bytes.subarray(o + 8, o + 8 + length);
+    if (type === "IHDR") {
+      header = {
+        width: view.getUint32(o + 8),
+        height: view.getUint32(o + 12),
+        depth: body[8],
+        colorType: body[9],
+        interlace: body[12],
+      };
+    } else if (type === "PLTE") palette = body;
+    else if (type === "tRNS") transparency = body;
+    else if (type === "IDAT") idat.push(body);
+    else if (type === "IEND") break;
+    o += 12 + length;
+  }
+  if (!header) throw new Error("PNG has no IHDR chunk");
+  const { width, height, depth, colorType, interlace } = header;
+  const channels = PNG_CHANNELS[colorType];
+  if (!channels) throw new Error(`Unknown PNG colour type ${colorType}`);
+  if (!PNG_DEPTHS[colorType].includes(depth)) throw new Error(`PNG colour type ${colorType} has no ${depth}-bit samples`);
+  if (width === 0 || height === 0) throw new Error(`PNG header gives an empty image (${width} × ${height})`);
+  // [x start, y start, x step, y step, width, height, row bytes] of each (sub)image
+  const passes = (interlace ? ADAM7 : [[0, 0, 1, 1]])
+    .map(([x0, y0, dx, dy]) => {
+      const pw = Math.ceil((width - x0) / dx);
+      return [x0, y0, dx, dy, pw, Math.ceil((height - y0) / dy), Math.ceil((pw * channels * depth) / 8)];
+    })
+    .filter(([, , , , pw, ph]) => pw > 0 && ph > 0);
+  const data = inflateSync(Buffer.concat(idat));
+  // checked before allocating: a corrupt header can claim billions of pixels
+  if (data.length < passes.reduce((sum, [, , , , , ph, rowBytes]) => sum + ph * (1 + rowBytes), 0)) {
+    throw new Error("PNG image data is truncated");
+  }
+  const bpp = Math.max(1, (channels * depth) / 8);
+  const pixels = new Uint8Array(width * height * 4);
+  const maxSample = 2 ** depth - 1;
+
+  const sampleAt = (row, index) => {
+    if (depth === 16) return (row[index * 2] << 8) | row[index * 2 + 1];
+    if (depth === 8) return row[index];
+    const bit = index * depth;
+    return (row[bit >> 3] >> (8 - depth - (bit & 7))) & maxSample;
+  };
+  const to8 = (v) => (depth === 16 ? v >> 8 : Math.round((v * 255) / maxSample));
+  const transparentKey =
+    transparency && (colorType === 0 || colorType === 2)
+      ? Array.from({ length: channels }, (_, c) => (transparency[c * 2] << 8) | transparency[c * 2 + 1])
+      : null;
+
+  const put = (x, y, row, i) => {
+    const s = Array.from({ length: channels }, (_, c) => sampleAt(row, i * channels + c));
+    let px;
+    if (colorType === 3) {
+      const e = s[0];
+      if (!palette || e * 3 + 2 >= palette.length) throw new Error(`Palette index ${e} out of range`);
+      px = [palette[e * 3], palette[e * 3 + 1], palette[e * 3 + 2], transparency && e < transparency.length ? transparency[e] : 255];
+    } else {
+      const v = s.map(to8);
+      const keyed = transparentKey && transparentKey.every((k, c) => k === s[c]);
+      if (colorType === 0) px = [v[0], v[0], v[0], keyed ? 0 : 255];
+      else if (colorType === 4) px = [v[0], v[0], v[0], v[1]];
+      else if (colorType === 2) px = [v[0], v[1], v[2], keyed ? 0 : 255];
+      else px = v;
+    }
+    pixels.set(px, (y * width + x) * 4);
+  };
+
+  let offset = 0;
+  for (const [x0, y0, dx, dy, pw, ph, rowBytes] of passes) {
+    const { rows, end } = unfilter(data, offset, pw, ph, rowBytes, bpp);
+    offset = end;
+    rows.forEach((row, j) => {
+      for (let i = 0; i < pw; i++) put(x0 + i * dx, y0 + j * dy, row, i);
+    });
+  }
+  return { format: "PNG", width, height, pixels };
+};
+
+// ---------- BMP ----------
+const decodeBmp = (bytes) => {
+  if (bytes.length < 54) throw new Error("BMP header is truncated");
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const pixelOffset = view.getUint32(10, true);
+  const headerSize = view.getUint32(14, true);
+  if (headerSize < 40) throw new Error("Only BMP files with a BITMAPINFOHEADER or newer are supported");
+  const width = view.getInt32(18, true);
+  const rawHeight = view.getInt32(22, true);
+  const bpp = view.getUint16(28, true);
+  const compression = view.getUint32(30, true);
+  if (compression !== 0 && !(compression === 3 && bpp === 32)) throw new Error("Compressed BMP files are not supported");
+  if (![1, 4, 8, 24, 32].includes(bpp)) throw new Error(`${bpp}-bit BMP files are not supported`);
+  const height = Math.abs(rawHeight);
+  if (width <= 0 || height === 0) throw new Error(`BMP header gives an empty image (${width} × ${rawHeight})`);
+  const stride = Math.floor((bpp * width + 31) / 32) * 4;
+  const paletteOffset = 14 + headerSize;
+  // checked before the loop: a corrupt header can claim billions of rows
+  if (pixelOffset + stride * height > bytes.length) throw new Error("BMP pixel data is truncated");
+  const pixels = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const row = pixelOffset + (rawHeight < 0 ? y : height - 1 - y) * stride;
+    for (let x = 0; x < width; x++) {
+      let px;
+      if (bpp >= 24) {
+        const o = row + (x * bpp) / 8;
+        px = [bytes[o + 2], bytes[o + 1], bytes[o], bpp === 32 ? bytes[o + 3] : 255];
+      } else {
+        const bit = x * bpp;
+        const index = (bytes[row + (bit >> 3)] >> (8 - bpp - (bit & 7))) & ((1 << bpp) - 1);
+        const e = paletteOffset + index * 4;
+        px = [bytes[e + 2], bytes[e + 1], bytes[e], 255];
+      }
+      pixels.set(px, (y * width + x) * 4);
+    }
+  }
+  return { format: "BMP", width, height, pixels };
+};
+
+// ---------- PPM ----------
+const decodePpm = (bytes) => {
+  let o = 2;
+  const token = () => {
+    for (;;) {
+      if (bytes[o] === 0x23) while (o < bytes.length && bytes[o] !== 0x0a) o++;
+      else if (o < bytes.length && bytes[o] <= 0x20) o++;
+      else break;
+    }
+    const start = o;
+    while (o < bytes.length && bytes[o] > 0x20 && bytes[o] !== 0x23) o++;
+    if (start === o) throw new Error("PPM data is truncated");
+    return String.fromCharCode(...bytes.subarray(start, o));
+  };
+  // a decimal integer from min to max, or the error `what` names
+  const number = (what, min, max) => {
+    const text = token();
+    const n = /^\d{1,6}$/.test(text) ? Number(text) : NaN;
+    if (!(n >= min && n <= max)) throw new Error(`${what}: ${JSON.stringify(text)} is not a number from ${min} to ${max}`);
+    return n;
+  };
+  const header = (name, max) => number(`Not a valid PPM header (${name})`, 1, max);
+  const ascii = bytes[1] === 0x33;
+  const width = header("width", 999999);
+  const height = header("height", 999999);
+  const maxval = header("maxval", 65535);
+  o++; // the single whitespace byte before binary data
+  const wide = maxval > 255;
+  // checked before allocating: a corrupt header can claim billions of pixels;
+  // ASCII samples take at least a digit and a separator each
+  const samples = width * height * 3;
+  if (bytes.length - o < (ascii ? samples * 2 - 1 : samples * (wide ? 2 : 1))) throw new Error("PPM data is truncated");
+  const pixels = new Uint8Array(width * height * 4);
+  for (let p = 0; p < width * height; p++) {
+    for (let c = 0; c < 3; c++) {
+      let v;
+      if (ascii) v = number("PPM sample", 0, maxval);
+      else {
+        if (o + (wide ? 2 : 1) > bytes.length) throw new Error("PPM data is truncated");
+        v = wide ? (bytes[o] << 8) | bytes[o + 1] : bytes[o];
+        o += wide ? 2 : 1;
+      }
+      pixels[p * 4 + c] = Math.round((v * 255) / maxval);
+    }
+    pixels[p * 4 + 3] = 255;
+  }
+  return { format: "PPM", width, height, pixels };
+};
+
+/**
+ * `{format, width, height, pixelAt(x, y)}`; throws with a readable
+ * message for unsupported or broken files.
+ */
+export const decodeImage = (bytes) => {
+  let decoded;
+  if (PNG_SIGNATURE.every((v, i) => bytes[i] === v)) decoded = decodePng(bytes);
+  else if (bytes[0] === 0x42 && bytes[1] === 0x4d) decoded = decodeBmp(bytes);
+  else if (bytes[0] === 0x50 && (bytes[1] === 0x33 || bytes[1] === 0x36)) decoded = decodePpm(bytes);
+  else if (bytes[0] === 0xff && bytes[1] === 0xd8) throw new Error("JPEG needs a full decoder; convert the file to PNG first");
+  else throw new Error("Not a PNG, BMP or PPM file");
+  const { width, pixels } = decoded;
+  return {
+    ...decoded,
+    pixelAt: (x, y) => {
+      const i = (y * width + x) * 4;
+      return rgba(pixels[i], pixels[i + 1], pixels[i + 2], pixels[i + 3]);
+    },
+  };
+};
@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+/**
+ * drlab
+ * ------------------------------------------------------
+ * The lab's conversions on the command line, for worksheets and answer
+ * keys. Uses the same module as the Numbers and Text tabs, so the
+ * results always agree with the app.
+ *
+ *   drlab convert 0xFF --bits 16 --signed
+ *   drlab utf8 "👋"
+ *   drlab pixel img.png 10 20
+ *
+ * Every command accepts --json for machine-readable output.
+ */
+import { readFileSync } from "node:fs";
+import { basename } from "node:path";
+import {
+  MAX_BITS,
+  MIN_BITS,
+  codePoints,
+  groupEvery,
+  maxUnsigned,
+  parseInteger,
+  rgbToHex,
+  rgbToHsv,
+  toBin,
+  toBytesBE,
+  toHex,
+  toUnsigned,
+  unsignedToSigned,
+  utf8Bytes,
+} from "../src/lib/conversions.js";
+import { decodeImage } from "./decodeImage.js";
+
+const USAGE = `Usage:
+  drlab convert <value> [--bits N] [--signed]   value as decimal, 0x…, 0b… or 0o…; default 8 bits
+  drlab utf8 <text>                             UTF-8 bytes of every code point
+  drlab pixel <file> <x> <y>                    RGBA of one pixel of a PNG, BMP or PPM file
+
+Options:
+  --json    print JSON instead of a table
+  --help    show this help`;
+
+class UsageError extends Error {}
+
+const hexBytes = (bytes) => bytes.map((b) => b.toString(16).toUpperCase().padStart(2, "0")).join(" ");
+const binBytes = (bytes) => bytes.map((b) => b.toString(2).padStart(8, "0")).join(" ");
+
+const table = (rows) => {
+  const width = Math.max(...rows.map(([label]) => label.length));
+  return rows.map(([label, value]) => `  ${label.padEnd(width)}  ${value}`).join("\n");
+};
+
+// the argument after an option that takes one; another option or the end of argv is a usage error
+const optionValue = (option, value) => {
+  if (value === undefined || value.startsWith("--")) throw new UsageError(`${option} needs a value`);
+  return value;
+};
+
+/** Splits argv into positional arguments and `--flag [value]` options. */
+const parseArgs = (argv) => {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--bits") options.bits = optionValue(arg, argv[++i]);
+    else if (arg.startsWith("--bits=")) options.bits = arg.slice(7);
+    else if (arg === "--signed" || arg === "--json" || arg === "--help") options[arg.slice(2)] = true;
+    else if (arg.startsWith("--")) throw new UsageError(`Unknown option ${arg}`);
+    else positional.push(arg);
+  }
+  return { positional, options };
+};
+
+// ---------- commands ----------
+const convert = ([input], { bits: bitsArg = "8", signed }) => {
+  if (input === undefined) throw new UsageError("convert needs a value");
+  const n = parseInteger(input);
+  if (n === null) throw new UsageError(`"${input}" is not a decimal, 0x…, 0b… or 0o… integer`);
+  const bits = Number(bitsArg);
+  if (!Number.isInteger(bits) || bits < MIN_BITS || bits > MAX_BITS) {
+    throw new UsageError(`--bits must be a whole number from ${MIN_BITS} to ${MAX_BITS}`);
+  }
+  const u = toUnsigned(n, bits);
+  const s = unsignedToSigned(u, bits);
+  const bytes = toBytesBE(u, bits);
+  const notes = [];
+  if (n > maxUnsigned(bits)) notes.push(`${n} is above the ${bits}-bit maximum ${maxUnsigned(bits)}; saturated`);
+  else if (n < -(1n << BigInt(bits - 1))) notes.push(`${n} is below the ${bits}-bit minimum ${-(1n << BigInt(bits - 1))}; wrapped`);
+  const result = {
+    input,
+    bits,
+    unsigned: u.toString(),
+    signed: s.toString(),
+    hex: "0x" + toHex(u, bits),
+    octal: "0o" + u.toString(8),
+    binary: toBin(u, bits),
+    bytesBE: hexBytes(bytes),
+    bytesLE: hexBytes([...bytes].reverse()),
+    notes,
+  };
+  const decimal = signed
+    ? [["signed", result.signed], ["unsigned", result.unsigned]]
+    : [["unsigned", result.unsigned], ["signed", result.signed]];
+  const text = [
+    `${input} at ${bits} bits${signed ? ", two's complement" : ""}`,
+    table([
+      ...decimal,
+      ["hex", result.hex],
+      ["octal", result.octal],
+      ["binary", groupEvery(result.binary, 4)],
+      ["bytes (BE)", result.bytesBE],
+      ["bytes (LE)", result.bytesLE],
+    ]),
+    ...notes.map((note) => `  note: ${note}`),
+  ].join("\n");
+  return { result, text };
+};
+
+const utf8 = ([input]) => {
+  if (input === undefined) throw new UsageError("utf8 needs some text");
+  const chars = codePoints(input).map((cp) => {
+    const bytes = utf8Bytes(String.fromCodePoint(cp));
+    const code = "U+" + cp.toString(16).toUpperCase().padStart(4, "0");
+    // lone surrogates are encoded as U+FFFD, so show that instead of the broken half
+    const shown = cp >= 0xd800 && cp <= 0xdfff ? "�" : cp < 0x20 || cp === 0x7f ? "·" : String.fromCodePoint(cp);
+    return { codePoint: code, char: shown, hex: hexBytes(bytes), binary: binBytes(bytes), length: bytes.length };
+  });
+  const total = chars.reduce((sum, c) => sum + c.length, 0);
+  const result = { text: input, chars, bytes: hexBytes(utf8Bytes(input)), length: total };
+  const codeWidth = Math.max(...chars.map((c) => c.codePoint.length), 6);
+  const hexWidth = Math.max(...chars.map((c) => c.hex.length), 2);
+  const text = [
+    ...chars.map((c) => `  ${c.codePoint.padEnd(codeWidth)}  ${c.char}  ${c.hex.padEnd(hexWidth)}  ${c.binary}`),
+    `  ${chars.length} code point${chars.length === 1 ? "" : "s"}, ${total} byte${total === 1 ? "" : "s"}: ${result.bytes}`,
+  ].join("\n");
+  return { result, text };
+};
+
+const pixel = ([file, xArg, yArg]) => {
+  if (yArg === undefined) throw new UsageError("pixel needs a file, x and y");
+  const image = decodeImage(new Uint8Array(readFileSync(file)));
+  const x = Number(xArg);
+  const y = Number(yArg);
+  if (!Number.isInteger(x) || !Number.isInteger(y) || x < 0 || y < 0 || x >= image.width || y >= image.height) {
+    throw new UsageError(`(${xArg}, ${yArg}) is outside the ${image.width}×${image.height} image; x and y start at 0`);
+  }
+  const { r, g, b, a } = image.pixelAt(x, y);
+  const hsv = rgbToHsv(r, g, b);
+  const result = {
+    file: basename(file),
+    format: image.format,
+    width: image.width,
+    height: image.height,
+    x,
+    y,
+    rgba: [r, g, b, a],
+    hex: rgbToHex(r, g, b),
+    hsv: [Math.round(hsv.h), Math.round(hsv.s), Math.round(hsv.v)],
+  };
+  const text = [
+    `${result.file} (${image.format}, ${image.width}×${image.height}), pixel (${x}, ${y})`,
+    table([
+      ["RGBA", `${r} ${g} ${b} ${a}`],
+      ["hex", result.hex + (a < 255 ? ` (alpha ${a})` : "")],
+      ["binary", [r, g, b].map((v) => v.toString(2).padStart(8, "0")).join(" ")],
+      ["HSV", `${result.hsv[0]}°, ${result.hsv[1]}%, ${result.hsv[2]}%`],
+    ]),
+  ].join("\n");
+  return { result, text };
+};
+
+const COMMANDS = { convert, utf8, pixel };
+
+// ---------- main ----------
+try {
+  const [name, ...rest] = process.argv.slice(2);
+  const { positional, options } = parseArgs(rest);
+  if (!name || name === "--help" || options.help) {
+    console.log(USAGE);
+  } else if (!COMMANDS[name]) {
+    throw new UsageError(`Unknown command "${name}"`);
+  } else {
+    const { result, text } = COMMANDS[name](positional, options);
+    console.log(options.json ? JSON.stringify(result, null, 2) : text);
+  }
+} catch (e) {
+  console.error(`drlab: ${e.message}`);
+  if (e instanceof UsageError) console.error(`\n${USAGE}`);
+  process.exitCode = e instanceof UsageError ? 2 : 1;
+}
@@ -0,0 +1,75 @@
+/**
+ * Generates src/data/unicodeData.json from the Unicode Character Database
+ * shipped in the `ucd-full` dev dependency:
+ *
+ *   npm run build:unicode
+ *
+ * The output keeps only what the Text tab shows (name, general category,
+ * block) in a compact form so it can be bundled and loaded offline:
+ *
+ * - names: one line per named code point, "<delta>|<category>|<prefix><name>"
+ *   where delta is the distance to the previous code point in base 36
+ *   (empty for 1), category is empty when unchanged, and prefix is one
+ *   character ('0' + n) saying how many leading characters are shared with
+ *   the previous name. A trailing "#" stands for the code point in hex.
+ * - ranges: code point ranges whose names are derived algorithmically
+ *   (CJK ideographs, Hangul syllables, Tangut) or that have no name at all.
+ * - blocks: [start, end, name] triples.
+ */
+import { readFileSync, writeFileSync, mkdirSync } from "node:fs";
+import { createRequire } from "node:module";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const require = createRequire(import.meta.url);
+const ucdDir = dirname(require.resolve("ucd-full/package.json"));
+const outFile = join(dirname(fileURLToPath(import.meta.url)), "..", "src", "data", "unicodeData.json");
+
+const MAX_SHARED_PREFIX = 42; // keeps the prefix marker within '0'…'Z'
+
+const readUcd = (file) => JSON.parse(readFileSync(join(ucdDir, file), "utf8"));
+const hex = (cp) => cp.toString(16).toUpperCase().padStart(4, "0");
+
+const unicodeData = readUcd("UnicodeData.json").UnicodeData;
+const blocks = readUcd("Blocks.json").Blocks.map((b) => [parseInt(b.range[0], 16), parseInt(b.range[1], 16), b.block]);
+
+const lines = [];
+const ranges = [];
+let rangeStart = null;
+let prevCp = -1;
+let prevName = "";
+let prevCategory = "";
+
+for (const entry of unicodeData) {
+  const cp = parseInt(entry.codepoint, 16);
+  if (entry.name.endsWith(", First>")) {
+    rangeStart = cp;
+    continue;
+  }
+  if (entry.name.endsWith(", Last>")) {
+    ranges.push([rangeStart, cp, entry.category, entry.name.slice(1, -", Last>".length)]);
+    continue;
+  }
+
+  // control characters have no name, only their Unicode 1.0 name as a label
+  let name = entry.name === "<control>" ? `<${entry["unicode1.0Name"] || "control"}>` : entry.name;
+  if (name.endsWith(`-${hex(cp)}`)) name = name.slice(0, -hex(cp).length) + "#";
+
+  let shared = 0;
+  while (shared < MAX_SHARED_PREFIX && shared < prevName.length && name[shared] === prevName[shared]) shared++;
+
+  const delta = cp - prevCp;
+  lines.push(
+    `${delta === 1 ? "" : delta.toString(36)}|${entry.category === prevCategory ? "" : entry.category}|` +
+      String.fromCharCode(48 + shared) +
+      name.slice(shared)
+  );
+  prevCp = cp;
+  prevName = name;
+  prevCategory = entry.category;
+}
+
+const { version } = readUcd("package.json");
+mkdirSync(dirname(outFile), { recursive: true });
+writeFileSync(outFile, JSON.stringify({ version, blocks, ranges, names: lines.join("\n") }));
+console.log(`Wrote ${lines.length} names, ${ranges.length} ranges and ${blocks.length} blocks (Unicode ${version}) to ${outFile}`);
@@ -0,0 +1,53 @@
+/**
+ * Checks the message catalogs in src/locales against each other and
+ * against the source:
+ *
+ *   npm run check:i18n
+ *
+ * Fails on keys a language lacks or has in excess of English, on
+ * messages whose {placeholders} differ from the English ones, on keys
+ * the source uses literally that English does not define, and on text
+ * written straight into a component's JSX instead of a catalog (units
+ * such as "Hz" aside). Messages identical to the English text are
+ * listed as warnings only, since some ("Hex", "Pixel:") read the same
+ * in both languages.
+ */
+import { readFileSync, readdirSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { CATALOGS } from "../src/locales/index.js";
+import { DEFAULT_LANGUAGE, UNTRANSLATED_WORDS, checkCatalogs, findHardcodedText, findKeyUses } from "../src/lib/i18n.js";
+
+const srcDir = join(dirname(fileURLToPath(import.meta.url)), "..", "src");
+
+let failed = false;
+const report = (title, keys, fatal = true) => {
+  if (keys.length === 0) return;
+  failed ||= fatal;
+  console.log(`${title} (${keys.length}):`);
+  for (const key of keys) console.log(`  ${key}`);
+};
+
+for (const { lang, missing, extra, placeholderMismatch, same } of checkCatalogs(CATALOGS)) {
+  report(`${lang}: missing`, missing);
+  report(`${lang}: not in ${DEFAULT_LANGUAGE}`, extra);
+  report(`${lang}: placeholders differ from ${DEFAULT_LANGUAGE}`, placeholderMismatch);
+  report(`${lang}: same as ${DEFAULT_LANGUAGE} (translated?)`, same, false);
+}
+
+const sources = readdirSync(srcDir, { recursive: true })
+  .filter((file) => /\.jsx?$/.test(file))
+  .map((file) => ({ file, source: readFileSync(join(srcDir, file), "utf8") }));
+
+const unknown = sources
+  .flatMap(({ file, source }) => findKeyUses(source).map((key) => ({ file, key })))
+  .filter(({ key }) => !(key in CATALOGS[DEFAULT_LANGUAGE]));
+report(`used in src but not in ${DEFAULT_LANGUAGE}`, unknown.map(({ file, key }) => `${key} (${file})`));
+
+const hardcoded = sources
+  .filter(({ file }) => file.endsWith(".jsx"))
+  .flatMap(({ file, source }) => findHardcodedText(source, UNTRANSLATED_WORDS).map(({ line, text }) => `${file}:${line}  ${text}`));
+report("text in src that is not in the catalogs", hardcoded);
+
+if (failed) process.exit(1);
+console.log("Translations complete.");
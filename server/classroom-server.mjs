@@ -0,0 +1,249 @@
+/**
+ * Classroom session server
+ * ------------------------------------------------------
+ * One small process for the school LAN, no internet needed:
+ *
+ *   npm run build && npm run classroom     # PORT=8787 by default
+ *
+ * It serves the built app from dist/ and relays live sessions over a
+ * WebSocket at /classroom. A teacher hosts a session and gets a short
+ * code; students join with the code and a name; the teacher sends a
+ * challenge and sees every answer with the time it took, as it comes
+ * in. Sessions live in memory and end when the teacher disconnects.
+ * The message protocol is documented in src/lib/classroom.js.
+ */
+import { createServer } from "node:http";
+import { readFile } from "node:fs/promises";
+import { networkInterfaces } from "node:os";
+import { dirname, extname, join, normalize, sep } from "node:path";
+import { fileURLToPath } from "node:url";
+import { WebSocketServer } from "ws";
+import {
+  CLASSROOM_PATH,
+  DEFAULT_PORT,
+  cleanName,
+  decodeChallenge,
+  encodeChallenge,
+  makeCode,
+  normalizeCode,
+} from "../src/lib/classroom.js";
+
+const port = process.env.PORT ? Number(process.env.PORT) : DEFAULT_PORT; // 0 picks a free port
+const distDir = join(dirname(fileURLToPath(import.meta.url)), "..", "dist");
+const BASE = "/digital-representation-lab/"; // `base` in vite.config.js
+const HEARTBEAT_MS = 30000;
+const MAX_STUDENTS = 200;
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".ico": "image/x-icon",
+  ".woff2": "font/woff2",
+};
+
+// ---------- static files ----------
+const server = createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, "http://localhost");
+  if (!pathname.startsWith(BASE)) {
+    res.writeHead(302, { Location: BASE });
+    res.end();
+    return;
+  }
+  let file;
+  try {
+    file = normalize(join(distDir, decodeURIComponent(pathname.slice(BASE.length)) || "index.html"));
+  } catch {
+    file = null; // malformed percent-encoding
+  }
+  if (!file || !file.startsWith(distDir + sep)) {
+    res.writeHead(400);
+    res.end();
+    return;
+  }
+  try {
+    const body = await readFile(file);
+    res.writeHead(200, { "Content-Type": CONTENT_TYPES[extname(file)] || "application/octet-stream" });
+    res.end(body);
+  } catch {
+    res.writeHead(404, { "Content-Type": "text/plain" });
+    res.end(file.endsWith("index.html") ? "dist/ is empty: run `npm run build` first.\n" : "Not found\n");
+  }
+});
+
+// ---------- sessions ----------
+// code → { host, students: Map<id, student>, challenge: {id, target, bits, startedAt} | null }
+const sessions = new Map();
+let nextId = 1;
+
+const send = (ws, msg) => {
+  if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(msg));
+};
+
+const challengeMessage = (challenge) =>
+  challenge ? { id: challenge.id, ...encodeChallenge(challenge) } : null;
+
+const sendRoster = (session) => {
+  const students = [...session.students.values()].map((s) => ({
+    id: s.id,
+    name: s.name,
+    connected: s.ws.readyState === s.ws.OPEN,
+    answer: s.answer,
+  }));
+  send(session.host, { type: "roster", challenge: challengeMessage(session.challenge), students });
+};
+
+const uniqueName = (session, name) => {
+  const taken = new Set([...session.students.values()].map((s) => s.name));
+  if (!taken.has(name)) return name;
+  let n = 2;
+  while (taken.has(`${name} ${n}`)) n++;
+  return `${name} ${n}`;
+};
+
+const newCode = () => {
+  let code;
+  do code = makeCode();
+  while (sessions.has(code));
+  return code;
+};
+
+const handlers = {
+  host(ws) {
+    if (ws.session) return send(ws, { type: "error", reason: "in-session", message: "Already in a session." });
+    const code = newCode();
+    ws.session = { code, host: ws, students: new Map(), challenge: null };
+    ws.role = "host";
+    sessions.set(code, ws.session);
+    send(ws, { type: "hosted", code });
+    sendRoster(ws.session);
+  },
+
+  join(ws, msg) {
+    if (ws.session) return send(ws, { type: "error", reason: "in-session", message: "Already in a session." });
+    const session = typeof msg.code === "string" && sessions.get(normalizeCode(msg.code));
+    const name = typeof msg.name === "string" && cleanName(msg.name);
+    const refusal = !session
+      ? { reason: "no-session", message: "No session with that code." }
+      : !name
+        ? { reason: "no-name", message: "Please enter a name." }
+        : session.students.size >= MAX_STUDENTS && { reason: "full", message: "The session is full." };
+    if (refusal) {
+      send(ws, { type: "error", ...refusal });
+      ws.close();
+      return;
+    }
+    const student = { id: nextId++, name: uniqueName(session, name), ws, answer: null };
+    session.students.set(student.id, student);
+    ws.session = session;
+    ws.role = "student";
+    ws.student = student;
+    send(ws, { type: "joined", code: session.code, name: student.name });
+    send(ws, { type: "challenge", challenge: challengeMessage(session.challenge) });
+    sendRoster(session);
+  },
+
+  challenge(ws, msg) {
+    if (!ws.session || ws.role !== "host") return;
+    const challenge = decodeChallenge(msg);
+    if (!challenge) return send(ws, { type: "error", reason: "invalid-challenge", message: "Invalid challenge." });
+    const { session } = ws;
+    session.challenge = { id: nextId++, ...challenge, startedAt: Date.now() };
+    for (const s of session.students.values()) {
+      s.answer = null;
+      send(s.ws, { type: "challenge", challenge: challengeMessage(session.challenge) });
+    }
+    sendRoster(session);
+  },
+
+  end(ws) {
+    if (!ws.session || ws.role !== "host") return;
+    const { session } = ws;
+    session.challenge = null;
+    for (const s of session.students.values()) send(s.ws, { type: "challenge", challenge: null });
+    sendRoster(session);
+  },
+
+  answer(ws, msg) {
+    if (!ws.session || ws.role !== "student") return;
+    const { session, student } = ws;
+    const { challenge } = session;
+    // late answers to an earlier challenge and answers after a correct one are ignored
+    if (!challenge || !Number.isInteger(msg.challengeId) || msg.challengeId !== challenge.id || student.answer?.correct) return;
+    if (typeof msg.value !== "string" || !/^0x[0-9a-f]+$/i.test(msg.value)) return;
+    const value = BigInt(msg.value);
+    const correct = value === challenge.target;
+    const ms = Date.now() - challenge.startedAt;
+    student.answer = { value: msg.value.toUpperCase().replace(/^0X/, "0x"), correct, ms, attempts: (student.answer?.attempts ?? 0) + 1 };
+    const rank = correct ? [...session.students.values()].filter((s) => s.answer?.correct).length : null;
+    send(ws, { type: "result", challengeId: challenge.id, ...student.answer, rank });
+    sendRoster(session);
+  },
+};
+
+const leave = (ws) => {
+  const { session } = ws;
+  if (!session) return;
+  if (ws.role === "host") {
+    for (const s of session.students.values()) {
+      send(s.ws, { type: "closed" });
+      s.ws.session = null;
+      s.ws.role = null;
+      s.ws.student = null;
+    }
+    sessions.delete(session.code);
+  } else {
+    // keep the student's answer on the teacher's list, shown as disconnected
+    sendRoster(session);
+  }
+  ws.session = null;
+};
+
+const wss = new WebSocketServer({ server, path: CLASSROOM_PATH, maxPayload: 4096 });
+
+wss.on("connection", (ws) => {
+  ws.alive = true;
+  ws.on("pong", () => (ws.alive = true));
+  ws.on("message", (data) => {
+    let msg;
+    try {
+      msg = JSON.parse(data);
+    } catch {
+      return;
+    }
+    // only the handlers' own names: "__proto__" or "toString" must not reach Object.prototype
+    if (typeof msg?.type !== "string" || !Object.hasOwn(handlers, msg.type)) return;
+    try {
+      handlers[msg.type](ws, msg);
+    } catch (e) {
+      // one bad frame must not end every session on the server
+      console.error(`classroom: ${msg.type} failed:`, e);
+    }
+  });
+  ws.on("close", () => leave(ws));
+});
+
+// drop connections that went away without closing (laptop lid shut, Wi-Fi lost)
+const heartbeat = setInterval(() => {
+  for (const ws of wss.clients) {
+    if (!ws.alive) ws.terminate();
+    else {
+      ws.alive = false;
+      ws.ping();
+    }
+  }
+}, HEARTBEAT_MS);
+wss.on("close", () => clearInterval(heartbeat));
+
+server.listen(port, () => {
+  const { port } = server.address();
+  console.log(`Classroom server on port ${port}. Students open:`);
+  const addresses = Object.values(networkInterfaces())
+    .flat()
+    .filter((a) => a.family === "IPv4" && !a.internal)
+    .map((a) => a.address);
+  for (const address of addresses.length ? addresses : ["localhost"]) console.log(`  http://${address}:${port}${BASE}`);
+});
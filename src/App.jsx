@@ -1,40 +1,119 @@
-import React, { useState } from "react";
+import React, { useMemo, useState } from "react";
 import NumberTextLab from "./components/NumberTextLab";
 import GraphicsAnalyzer from "./components/GraphicsAnalyzer";
+import HexViewer from "./components/HexViewer";
+import SoundLab from "./components/SoundLab";
+import useClassroom from "./hooks/useClassroom";
+import useHashRoute from "./hooks/useHashRoute";
+import { I18nContext, useLanguage } from "./hooks/useI18n";
+import { CATALOGS } from "./locales";
+import { LANGUAGES, createI18n } from "./lib/i18n";
+
+// the first path segment of the hash picks the tab, e.g. #/graphics
+const TABS = [
+  { id: "numbers_and_text", slug: "numbers", labelKey: "app.tab.numbers" },
+  { id: "graphics", slug: "graphics", labelKey: "app.tab.graphics" },
+  { id: "hex", slug: "hex", labelKey: "app.tab.hex" },
+  { id: "sound", slug: "sound", labelKey: "app.tab.sound" },
+];
+
+// in development, say once per key when a message falls back to English
+const reported = new Set();
+const reportMissing = (key, lang) => {
+  if (reported.has(`${lang}:${key}`)) return;
+  reported.add(`${lang}:${key}`);
+  console.warn(`Untranslated message "${key}" for language "${lang}"`);
+};
 
 export default function App() {
-  const [tab, setTab] = useState("numbers_and_text");
+  const [route, navigate] = useHashRoute();
+  const [copied, setCopied] = useState(false);
+  // the live session outlives tab switches
+  const classroom = useClassroom();
+  const [lang, setLang] = useLanguage();
+  const i18n = useMemo(() => createI18n(CATALOGS, lang, { onMissing: import.meta.env.DEV ? reportMissing : undefined }), [lang]);
+  const { t } = i18n;
+  const current = TABS.find((entry) => entry.slug === route.segments[0]) || TABS[0];
+  const tab = current.id;
+
+  const setTab = (id) => navigate({ segments: [TABS.find((entry) => entry.id === id).slug] });
+
+  // shows a `bits`-wide pattern in the Numbers tab, read as `view` (a representation id)
+  const openInNumbers = (bits, pattern, view = "unsigned") =>
+    navigate({
+      segments: ["numbers", "number"],
+      params: {
+        bits: String(bits),
+        value: "0x" + pattern.toString(16).toUpperCase(),
+        ...(view !== "unsigned" && { view }),
+      },
+    });
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch {
+      setCopied(false);
+    }
+  };
 
   return (
-    <div className="min-h-screen flex flex-col bg-gray-100">
-      {/* Header */}
-      <header className="bg-white shadow p-4 flex justify-between items-center">
-        <h1 className="text-2xl font-bold">Digital Representation Lab</h1>
-        <nav className="space-x-2">
-          <button
-            className={`px-4 py-2 rounded ${
-              tab === "numbers_and_text" ? "bg-blue-500 text-white" : "bg-gray-200"
-            }`}
-            onClick={() => setTab("numbers_and_text")}
-          >
-            Numbers and Text
-          </button>
-          <button
-            className={`px-4 py-2 rounded ${
-              tab === "graphics" ? "bg-blue-500 text-white" : "bg-gray-200"
-            }`}
-            onClick={() => setTab("graphics")}
-          >
-            Graphics
-          </button>
-        </nav>
-      </header>
-
-      {/* Main content */}
-      <main className="flex-1 p-4">
-        {tab === "numbers_and_text" && <NumberTextLab />}
-        {tab === "graphics" && <GraphicsAnalyzer />}
-      </main>
-    </div>
+    <I18nContext.Provider value={i18n}>
+      <div className="min-h-screen flex flex-col bg-gray-100">
+        {/* Header */}
+        <header className="bg-white shadow p-4 flex justify-between items-center">
+          <h1 className="text-2xl font-bold">{t("app.title")}</h1>
+          <nav className="space-x-2 flex items-center">
+            {classroom.session.code && (
+              <span className="px-3 py-1 rounded-full bg-green-100 text-green-800 text-sm font-mono" title={t("app.liveSession")}>
+                ● {classroom.session.code}
+              </span>
+            )}
+            {TABS.map((entry) => (
+              <button
+                key={entry.id}
+                className={`px-4 py-2 rounded ${tab === entry.id ? "bg-blue-500 text-white" : "bg-gray-200"}`}
+                onClick={() => setTab(entry.id)}
+              >
+                {t(entry.labelKey)}
+              </button>
+            ))}
+            <button className="px-4 py-2 rounded bg-gray-200" onClick={copyLink} title={t("app.copyLinkTitle")}>
+              {copied ? t("app.copied") : t("app.copyLink")}
+            </button>
+            <select
+              className="px-2 py-2 rounded bg-gray-200"
+              value={lang}
+              onChange={(e) => setLang(e.target.value)}
+              aria-label={t("app.language")}
+              title={t("app.language")}
+            >
+              {LANGUAGES.map((l) => (
+                <option key={l.id} value={l.id}>
+                  {l.label}
+                </option>
+              ))}
+            </select>
+          </nav>
+        </header>
+
+        {/* Main content */}
+        <main className="flex-1 p-4">
+          {tab === "numbers_and_text" && (
+            <NumberTextLab
+              path={route.segments.slice(1)}
+              params={route.params}
+              onNavigate={(segments, params, options) => navigate({ segments: [current.slug, ...segments], params }, options)}
+              classroom={classroom}
+            />
+          )}
+          {tab === "graphics" && <GraphicsAnalyzer onOpenNumber={openInNumbers} />}
+          {tab === "hex" && <HexViewer />}
+          {tab === "sound" && <SoundLab onOpenNumber={openInNumbers} />}
+        </main>
+      </div>
+    </I18nContext.Provider>
   );
 }
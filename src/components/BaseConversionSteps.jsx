@@ -0,0 +1,109 @@
+import React from "react";
+import useI18n from "../hooks/useI18n";
+import { MAX_BASE, MIN_BASE, divisionSteps, expansionSteps, toBase } from "../lib/conversions";
+
+/**
+ * Base Conversion, Step by Step
+ * ------------------------------------------------------
+ * The lab's unsigned value taken to any base from 2 to 36 by repeated
+ * division (the remainders, read bottom-up, are the digits) and back by
+ * positional expansion (each digit times its power of the base).
+ * Digits above 9 are the letters A–Z.
+ */
+
+// bases with a name of their own (baseSteps.name.<base>); the others are "base n"
+const NAMED_BASES = [2, 3, 8, 10, 12, 16];
+
+export default function BaseConversionSteps({ value, base, onBaseChange }) {
+  const { t } = useI18n();
+  const baseName = (b) => (NAMED_BASES.includes(b) ? t(`baseSteps.name.${b}`) : t("baseSteps.name.other", { base: b }));
+  const capitalized = (text) => text[0].toUpperCase() + text.slice(1);
+  const divisions = divisionSteps(value, base);
+  const digits = toBase(value, base);
+  const terms = expansionSteps(digits, base);
+
+  return (
+    <div className="bg-white rounded-2xl p-4 shadow-sm border border-slate-200">
+      <div className="flex items-center justify-between gap-2 flex-wrap mb-3">
+        <h3 className="font-semibold">{t("baseSteps.title")}</h3>
+        <label className="flex items-center gap-2 text-sm text-slate-600">
+          {t("baseSteps.base")}
+          <select className="rounded-xl border border-slate-300 px-2 py-1" value={base} onChange={(e) => onBaseChange(Number(e.target.value))}>
+            {Array.from({ length: MAX_BASE - MIN_BASE + 1 }, (_, i) => MIN_BASE + i).map((b) => (
+              <option key={b} value={b}>
+                {b} ({baseName(b)})
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-4">
+        <div>
+          <div className="text-sm text-slate-600 mb-2">
+            {t("baseSteps.toBase", { name: baseName(base), base })}
+          </div>
+          <div className="max-h-72 overflow-auto">
+            <table className="min-w-full text-sm font-mono">
+              <tbody>
+                {divisions.map((s, i) => {
+                  const digit = toBase(s.remainder, base);
+                  return (
+                    <tr key={i} className="border-t border-slate-200">
+                      <td className="py-1 pr-2 text-right break-all">{s.dividend.toString()}</td>
+                      <td className="py-1 pr-2 text-slate-500">÷ {base} =</td>
+                      <td className="py-1 pr-2 break-all">{s.quotient.toString()}</td>
+                      <td className="py-1 pr-2 text-slate-500 whitespace-nowrap">
+                        {t("baseSteps.remainder", { remainder: s.remainder.toString() })}
+                      </td>
+                      <td className="py-1 text-slate-500 whitespace-nowrap">
+                        → {t("baseSteps.digit")} <span className="px-1.5 rounded bg-slate-900 text-white">{digit}</span>
+                        {i === 0 && ` ${t("baseSteps.last")}`}
+                        {i === divisions.length - 1 && divisions.length > 1 && ` ${t("baseSteps.first")}`}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <div className="mt-2 text-sm">
+            {t("baseSteps.remainders")} <span className="font-mono font-semibold break-all">{digits}</span>
+            <sub>{base}</sub>
+          </div>
+        </div>
+
+        <div>
+          <div className="text-sm text-slate-600 mb-2">
+            {t("baseSteps.fromBase", { name: capitalized(baseName(base)), base })}
+          </div>
+          <div className="max-h-72 overflow-auto">
+            <table className="min-w-full text-sm font-mono">
+              <tbody>
+                {terms.map((term, i) => (
+                  <tr key={i} className="border-t border-slate-200">
+                    <td className="py-1 pr-2">
+                      <span className="px-1.5 rounded bg-slate-900 text-white">{term.digit}</span>
+                    </td>
+                    <td className="py-1 pr-2 text-slate-500 whitespace-nowrap">
+                      {term.value.toString()} × {base}
+                      <sup>{term.power}</sup>
+                    </td>
+                    <td className="py-1 pr-2 text-slate-500">=</td>
+                    <td className="py-1 text-right break-all">{term.term.toString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="mt-2 text-sm">
+            {t("baseSteps.sum")} <span className="font-mono font-semibold break-all">{value.toString()}</span>
+          </div>
+        </div>
+      </div>
+      <p className="text-xs text-slate-500 mt-3">
+        {t("baseSteps.note")}
+      </p>
+    </div>
+  );
+}
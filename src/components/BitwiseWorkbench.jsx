@@ -0,0 +1,413 @@
+import React, { useMemo, useState } from "react";
+import useI18n from "../hooks/useI18n";
+import { maxUnsigned, padLeft, parseInteger } from "../lib/conversions";
+
+/**
+ * Bitwise & Arithmetic Workbench
+ * ------------------------------------------------------
+ * Two operands A and B at the lab's current bit width, run through
+ * the logic, shift/rotate and arithmetic operations a CPU offers.
+ * Results are drawn bit by bit (with the carry chain for + and −)
+ * and read back as unsigned and two's-complement numbers together
+ * with the Carry, Overflow, Zero and Sign flags.
+ *
+ * Flags follow the x86 conventions: C is a borrow for subtraction,
+ * shifts put the last bit shifted out into C.
+ */
+
+// ---------- helpers ----------
+const bitAt = (v, i) => Number((v >> BigInt(i)) & 1n);
+
+// Any integer parseInteger accepts (negative values wrap), taken modulo 2^bits.
+const parseOperand = (str, bits) => {
+  const n = parseInteger(str);
+  return n === null ? null : BigInt.asUintN(bits, n);
+};
+
+// Ripple-carry adder; carries has bit i set when a carry flows INTO bit i.
+const addWithCarries = (a, b, carryIn, bits) => {
+  let c = carryIn;
+  let carries = 0n;
+  let sum = 0n;
+  for (let i = 0; i < bits; i++) {
+    if (c) carries |= 1n << BigInt(i);
+    const s = bitAt(a, i) + bitAt(b, i) + c;
+    if (s & 1) sum |= 1n << BigInt(i);
+    c = s >> 1;
+  }
+  return { sum, carries, carryOut: c };
+};
+
+const fitsSigned = (v, bits) => BigInt.asIntN(bits, v) === v;
+
+// operations without a label are named in the catalogs (bitwise.op.<id>)
+const OPS = [
+  { id: "and", label: "AND", group: "logic" },
+  { id: "or", label: "OR", group: "logic" },
+  { id: "xor", label: "XOR", group: "logic" },
+  { id: "not", label: "NOT A", group: "logic" },
+  { id: "shl", label: "SHL", group: "shift" },
+  { id: "shr", group: "shift" },
+  { id: "sar", group: "shift" },
+  { id: "rol", label: "ROL", group: "shift" },
+  { id: "ror", label: "ROR", group: "shift" },
+  { id: "add", label: "A + B", group: "arith" },
+  { id: "sub", label: "A − B", group: "arith" },
+  { id: "mul", label: "A × B", group: "arith" },
+];
+
+const MAX_PARTIAL_PRODUCT_BITS = 32;
+
+/**
+ * Runs one operation and returns everything the view needs:
+ * the rows to draw, the stored result, the C and V flags and the
+ * mathematically exact unsigned/signed results (null where meaningless).
+ * Rows without a literal label are named by their id in the catalogs.
+ */
+const runOp = (op, a, b, shift, bits) => {
+  const mask = maxUnsigned(bits);
+  const sa = BigInt.asIntN(bits, a);
+  const sb = BigInt.asIntN(bits, b);
+  const n = BigInt(shift);
+  const rowA = { id: "a", label: "A", value: a, width: bits };
+  const rowB = { id: "b", label: "B", value: b, width: bits };
+
+  switch (op) {
+    case "and":
+    case "or":
+    case "xor": {
+      const result = op === "and" ? a & b : op === "or" ? a | b : a ^ b;
+      return { rows: [rowA, rowB], result, c: 0, v: 0, unsignedExact: result, signedExact: BigInt.asIntN(bits, result) };
+    }
+    case "not": {
+      const result = ~a & mask;
+      return { rows: [rowA], result, c: 0, v: 0, unsignedExact: result, signedExact: -sa - 1n };
+    }
+    case "shl": {
+      const result = (a << n) & mask;
+      const c = shift >= 1 && shift <= bits ? bitAt(a, bits - shift) : 0;
+      const signedExact = sa * (1n << n);
+      return {
+        rows: [rowA],
+        result,
+        c,
+        v: fitsSigned(signedExact, bits) ? 0 : 1,
+        unsignedExact: a << n,
+        signedExact,
+      };
+    }
+    case "shr": {
+      const result = a >> n;
+      const c = shift >= 1 && shift <= bits ? bitAt(a, shift - 1) : 0;
+      return { rows: [rowA], result, c, v: 0, unsignedExact: result, signedExact: null };
+    }
+    case "sar": {
+      // BigInt >> on a negative value already rounds towards −∞, i.e. copies the sign bit in
+      const result = BigInt.asUintN(bits, sa >> n);
+      const c = shift >= 1 ? bitAt(a, Math.min(shift, bits) - 1) : 0;
+      return { rows: [rowA], result, c, v: 0, unsignedExact: null, signedExact: sa >> n };
+    }
+    case "rol":
+    case "ror": {
+      const k = BigInt(shift % bits);
+      const left = op === "rol" ? k : (BigInt(bits) - k) % BigInt(bits);
+      const result = ((a << left) | (a >> (BigInt(bits) - left))) & mask;
+      const c = shift % bits === 0 ? 0 : op === "rol" ? bitAt(result, 0) : bitAt(result, bits - 1);
+      return { rows: [rowA], result, c, v: 0, unsignedExact: null, signedExact: null };
+    }
+    case "add": {
+      const { sum, carries, carryOut } = addWithCarries(a, b, 0, bits);
+      return {
+        rows: [{ id: "carry", value: carries | (BigInt(carryOut) << BigInt(bits)), width: bits + 1, carry: true }, rowA, rowB],
+        result: sum,
+        c: carryOut,
+        v: bitAt(carries, bits - 1) ^ carryOut,
+        unsignedExact: a + b,
+        signedExact: sa + sb,
+      };
+    }
+    case "sub": {
+      // A − B is computed as A + NOT B + 1; the adder's carry out is the inverse of the borrow
+      const notB = ~b & mask;
+      const { sum, carries, carryOut } = addWithCarries(a, notB, 1, bits);
+      return {
+        rows: [
+          { id: "carry", value: carries | (BigInt(carryOut) << BigInt(bits)), width: bits + 1, carry: true },
+          rowA,
+          { id: "notB", label: "NOT B", value: notB, width: bits },
+        ],
+        result: sum,
+        c: carryOut ^ 1,
+        v: bitAt(carries, bits - 1) ^ carryOut,
+        unsignedExact: a - b,
+        signedExact: sa - sb,
+      };
+    }
+    case "mul": {
+      const full = a * b;
+      const partials = [];
+      if (bits <= MAX_PARTIAL_PRODUCT_BITS) {
+        for (let j = 0; j < bits; j++) {
+          if (bitAt(b, j)) partials.push({ id: `partial${j}`, label: `A << ${j}`, value: a << BigInt(j), width: bits + j });
+        }
+      }
+      const signedExact = sa * sb;
+      return {
+        rows: [rowA, rowB, ...partials, { id: "product", value: full, width: 2 * bits }],
+        result: full & mask,
+        c: full > mask ? 1 : 0,
+        v: fitsSigned(signedExact, bits) ? 0 : 1,
+        unsignedExact: full,
+        signedExact,
+      };
+    }
+    default:
+      return { rows: [rowA, rowB], result: 0n, c: 0, v: 0, unsignedExact: null, signedExact: null };
+  }
+};
+
+function BitRow({ label, value, width, carry = false, highlight = false }) {
+  const { t } = useI18n();
+  return (
+    <tr>
+      <td className="pr-3 py-0.5 text-xs text-slate-500 whitespace-nowrap text-right">{label}</td>
+      <td className="py-0.5">
+        <div className="flex justify-end gap-0.5">
+          {Array.from({ length: width }).map((_, i) => {
+            const bitIndex = width - 1 - i;
+            const on = bitAt(value, bitIndex) === 1;
+            return (
+              <span
+                key={i}
+                title={t("bitwise.bit", { index: bitIndex })}
+                className={`w-5 text-center font-mono text-xs rounded ${
+                  carry
+                    ? on
+                      ? "text-amber-700 font-bold"
+                      : "text-slate-300"
+                    : highlight
+                    ? on
+                      ? "bg-slate-900 text-white"
+                      : "bg-slate-100 text-slate-700"
+                    : on
+                    ? "text-slate-900 font-semibold"
+                    : "text-slate-400"
+                } ${bitIndex % 4 === 3 && bitIndex !== width - 1 ? "ml-1" : ""}`}
+              >
+                {on ? 1 : 0}
+              </span>
+            );
+          })}
+        </div>
+      </td>
+    </tr>
+  );
+}
+
+// names and hints are in the catalogs under bitwise.flag.<id>
+const FLAG_INFO = [
+  { id: "c", label: "C" },
+  { id: "v", label: "V" },
+  { id: "z", label: "Z" },
+  { id: "n", label: "N" },
+];
+
+// ---------- component ----------
+export default function BitwiseWorkbench({ bits, value }) {
+  const { t } = useI18n();
+  const [aText, setAText] = useState("100");
+  const [bText, setBText] = useState("50");
+  const [op, setOp] = useState("add");
+  const [shift, setShift] = useState(1);
+
+  const a = parseOperand(aText, bits);
+  const b = parseOperand(bText, bits);
+  const opInfo = OPS.find((o) => o.id === op);
+  const usesB = opInfo.group === "arith" || (opInfo.group === "logic" && op !== "not");
+  const shiftAmount = Math.min(Math.max(0, Math.floor(Number(shift)) || 0), bits);
+
+  const out = useMemo(
+    () => (a === null || b === null ? null : runOp(op, a, b, shiftAmount, bits)),
+    [op, a, b, shiftAmount, bits]
+  );
+
+  const flags = out && {
+    c: out.c,
+    v: out.v,
+    z: out.result === 0n ? 1 : 0,
+    n: bitAt(out.result, bits - 1),
+  };
+
+  const readings = out && [
+    {
+      id: "unsigned",
+      a: a.toString(),
+      b: usesB ? b.toString() : opInfo.group === "shift" ? `n = ${shiftAmount}` : "—",
+      exact: out.unsignedExact,
+      stored: out.result,
+    },
+    {
+      id: "signed",
+      a: BigInt.asIntN(bits, a).toString(),
+      b: usesB ? BigInt.asIntN(bits, b).toString() : opInfo.group === "shift" ? `n = ${shiftAmount}` : "—",
+      exact: out.signedExact,
+      stored: BigInt.asIntN(bits, out.result),
+    },
+  ];
+
+  const operandInput = (label, text, setText, parsed) => (
+    <div>
+      <div className="flex items-center gap-2">
+        <label className="text-xs uppercase tracking-wide text-slate-500 w-4">{label}</label>
+        <input
+          type="text"
+          className={`w-full rounded-xl border px-3 py-2 font-mono ${parsed === null ? "border-rose-400" : "border-slate-300"}`}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder={t("bitwise.placeholder")}
+        />
+        <button
+          onClick={() => setText(String(value))}
+          className="px-2 py-1.5 rounded-xl border text-xs whitespace-nowrap hover:bg-slate-50"
+          title={t("bitwise.labValue.title")}
+        >
+          {t("bitwise.labValue")}
+        </button>
+      </div>
+      <div className="text-xs text-slate-500 mt-1 ml-6 font-mono break-all">
+        {parsed === null ? t("bitwise.notANumber") : `0x${padLeft(parsed.toString(16).toUpperCase(), Math.ceil(bits / 4))}`}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="bg-white rounded-2xl p-4 shadow-sm border border-slate-200">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-semibold">{t("bitwise.title")}</h3>
+        <div className="text-xs text-slate-500">{t("bitwise.operands", { bits })}</div>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-3 mb-3">
+        {operandInput("A", aText, setAText, a)}
+        {operandInput("B", bText, setBText, b)}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        {OPS.map((o) => (
+          <button
+            key={o.id}
+            onClick={() => setOp(o.id)}
+            className={`px-3 py-1.5 rounded-xl border text-sm ${
+              op === o.id
+                ? "bg-slate-900 text-white border-slate-900"
+                : "bg-white text-slate-700 border-slate-300 hover:bg-slate-50"
+            }`}
+          >
+            {o.label ?? t(`bitwise.op.${o.id}`)}
+          </button>
+        ))}
+        {opInfo.group === "shift" && (
+          <label className="flex items-center gap-2 text-sm text-slate-600 ml-2">
+            {t("bitwise.shiftBy")}
+            <input
+              type="number"
+              min={0}
+              max={bits}
+              className="w-16 rounded-xl border border-slate-300 px-2 py-1"
+              value={shift}
+              onChange={(e) => setShift(e.target.value)}
+            />
+            {t("bitwise.shiftBits")}
+          </label>
+        )}
+      </div>
+
+      {out ? (
+        <>
+          <div className="overflow-x-auto">
+            <table className="ml-auto">
+              <tbody>
+                {out.rows.map((row) => (
+                  <BitRow key={row.id} {...row} label={row.label ?? t(`bitwise.row.${row.id}`)} />
+                ))}
+                <tr>
+                  <td />
+                  <td>
+                    <div className="border-t border-slate-400 my-1" />
+                  </td>
+                </tr>
+                <BitRow label={t("bitwise.row.result")} value={out.result} width={bits} highlight />
+              </tbody>
+            </table>
+          </div>
+          {op === "mul" && bits > MAX_PARTIAL_PRODUCT_BITS && (
+            <p className="text-xs text-slate-500 mt-2">{t("bitwise.partialLimit", { bits: MAX_PARTIAL_PRODUCT_BITS })}</p>
+          )}
+          {(op === "add" || op === "sub") && (
+            <p className="text-xs text-slate-500 mt-2">
+              {t("bitwise.carryNote")}
+              {op === "sub" && ` ${t("bitwise.subNote")}`}
+            </p>
+          )}
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-4">
+            {FLAG_INFO.map((f) => (
+              <div
+                key={f.id}
+                className={`p-3 rounded-xl border ${
+                  flags[f.id] ? "bg-slate-900 text-white border-slate-900" : "bg-slate-50 border-slate-200"
+                }`}
+              >
+                <div className="flex items-baseline justify-between">
+                  <span className="text-lg font-mono font-semibold">{f.label}</span>
+                  <span className="text-xl font-mono">{flags[f.id]}</span>
+                </div>
+                <div className="text-xs opacity-70">
+                  {t(`bitwise.flag.${f.id}.name`)}: {t(`bitwise.flag.${f.id}.hint`)}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="overflow-x-auto mt-4">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-slate-500">
+                  <th className="py-2 pr-4">{t("bitwise.column.reading")}</th>
+                  <th className="py-2 pr-4">A</th>
+                  <th className="py-2 pr-4">B</th>
+                  <th className="py-2 pr-4">{t("bitwise.column.exact")}</th>
+                  <th className="py-2 pr-4">{t("bitwise.column.stored", { bits })}</th>
+                  <th className="py-2 pr-4">{t("bitwise.column.fits")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {readings.map((r) => (
+                  <tr key={r.id} className="border-t border-slate-200">
+                    <td className="py-2 pr-4">{t(`bitwise.reading.${r.id}`)}</td>
+                    <td className="py-2 pr-4 font-mono">{r.a}</td>
+                    <td className="py-2 pr-4 font-mono">{r.b}</td>
+                    <td className="py-2 pr-4 font-mono break-all">{r.exact === null ? "—" : r.exact.toString()}</td>
+                    <td className="py-2 pr-4 font-mono break-all">{r.stored.toString()}</td>
+                    <td className="py-2 pr-4">
+                      {r.exact === null ? (
+                        <span className="text-slate-400">{t("bitwise.notApplicable")}</span>
+                      ) : r.exact === r.stored ? (
+                        <span className="text-green-700">✔ {t("bitwise.fits")}</span>
+                      ) : (
+                        <span className="text-rose-600">✘ {t("bitwise.wrapped")}</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-slate-500 mt-3">{t("bitwise.note")}</p>
+        </>
+      ) : (
+        <p className="text-sm text-rose-600">{t("bitwise.enterOperands")}</p>
+      )}
+    </div>
+  );
+}
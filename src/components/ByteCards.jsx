@@ -0,0 +1,24 @@
+import React from "react";
+import { groupEvery, padLeft } from "../lib/conversions";
+import useI18n from "../hooks/useI18n";
+
+/**
+ * One card per byte, hex over grouped binary, in memory order. `labels`
+ * names each card (default "byte 0", "byte 1", …); `notes` adds a line
+ * under it, such as the colour channel the byte holds.
+ */
+export default function ByteCards({ bytes, labels, notes }) {
+  const { t } = useI18n();
+  return (
+    <div className="flex gap-2 flex-wrap">
+      {bytes.map((b, idx) => (
+        <div key={idx} className="px-3 py-2 rounded-xl bg-slate-50 border border-slate-200">
+          <div className="text-xs text-slate-500">{labels ? labels[idx] : t("byteCards.byte", { index: idx })}</div>
+          <div className="font-mono">0x{padLeft(b.toString(16).toUpperCase(), 2)}</div>
+          <div className="font-mono text-xs">{groupEvery(padLeft(b.toString(2), 8), 4)}</div>
+          {notes && <div className="text-xs text-slate-500">{notes[idx]}</div>}
+        </div>
+      ))}
+    </div>
+  );
+}
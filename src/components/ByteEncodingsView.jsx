@@ -0,0 +1,133 @@
+import React, { useMemo, useState } from "react";
+import useI18n from "../hooks/useI18n";
+import { BYTE_ENCODINGS, base64Groups } from "../lib/byteEncodings";
+
+/**
+ * Bytes as Text
+ * ------------------------------------------------------
+ * The text's UTF-8 bytes in the encodings that carry binary data
+ * through text: Base64 and friends, percent-encoding and
+ * quoted-printable, each with its length and overhead. Below, the
+ * first groups of Base64 show how 3 bytes (24 bits) are regrouped into
+ * 4 characters of 6 bits.
+ */
+
+const MAX_GROUPS = 6;
+const BYTE_COLORS = ["bg-sky-100 text-sky-900", "bg-amber-100 text-amber-900", "bg-emerald-100 text-emerald-900"];
+
+const copy = async (text) => {
+  try { await navigator.clipboard.writeText(text); return true; } catch { return false; }
+};
+
+const bin = (v, width) => v.toString(2).padStart(width, "0");
+
+// one 24-bit group: bytes on top, sextets below, bits coloured by the byte they came from
+function Base64Group({ group }) {
+  const dataBits = group.sextets.length * 6;
+  const bitSource = (pos) => (pos < group.bytes.length * 8 ? Math.floor(pos / 8) : null); // null: zero fill
+  return (
+    <div className="grid gap-y-1 text-center font-mono text-xs" style={{ gridTemplateColumns: "repeat(24, minmax(0, 1fr))" }}>
+      {[0, 1, 2].map((k) => (
+        <div
+          key={`b${k}`}
+          style={{ gridColumn: "span 8" }}
+          className={`rounded px-1 py-0.5 ${k < group.bytes.length ? BYTE_COLORS[k] : "border border-dashed border-slate-300 text-slate-400"}`}
+        >
+          {k < group.bytes.length ? `0x${group.bytes[k].toString(16).toUpperCase().padStart(2, "0")}` : "—"}
+        </div>
+      ))}
+      {Array.from({ length: 24 }, (_, pos) => {
+        const source = bitSource(pos);
+        const bit = pos < dataBits ? bin(group.sextets[Math.floor(pos / 6)].value, 6)[pos % 6] : null;
+        return (
+          <div key={`bit${pos}`} className={`${pos % 6 === 0 ? "border-l border-slate-400" : ""}`}>
+            {bit === null ? (
+              <span className="text-slate-300">·</span>
+            ) : (
+              <span className={`px-px rounded-sm ${source === null ? "text-slate-400" : BYTE_COLORS[source]}`}>{bit}</span>
+            )}
+          </div>
+        );
+      })}
+      {Array.from({ length: 4 }, (_, k) => {
+        const s = group.sextets[k];
+        return (
+          <div key={`s${k}`} style={{ gridColumn: "span 6" }} className="rounded border border-slate-200 bg-slate-50 py-0.5">
+            {s ? (
+              <>
+                <span className="text-slate-500">{s.value} → </span>
+                <span className="font-semibold text-sm">{s.char}</span>
+              </>
+            ) : (
+              <span className="font-semibold text-sm text-slate-400">=</span>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default function ByteEncodingsView({ bytes }) {
+  const { t, plural } = useI18n();
+  const [showAll, setShowAll] = useState(false);
+  const rows = useMemo(() => BYTE_ENCODINGS.map((enc) => ({ enc, text: enc.encode(bytes) })), [bytes]);
+  const groups = useMemo(() => base64Groups(bytes), [bytes]);
+  const shown = showAll ? groups : groups.slice(0, MAX_GROUPS);
+
+  return (
+    <div className="bg-white rounded-2xl p-4 shadow-sm border border-slate-200">
+      <h3 className="font-semibold mb-2">{t("byteText.title")}</h3>
+      <p className="text-sm text-slate-600 mb-3">{plural("byteText.intro", bytes.length)}</p>
+      <table className="min-w-full text-sm">
+        <thead>
+          <tr className="text-left text-slate-500">
+            <th className="py-2 pr-4">{t("byteText.column.encoding")}</th>
+            <th className="py-2 pr-4">{t("byteText.column.text")}</th>
+            <th className="py-2 pr-4 text-right">{t("byteText.column.characters")}</th>
+            <th className="py-2 pr-4 text-right">{t("byteText.column.overhead")}</th>
+            <th className="py-2">{t("byteText.column.copy")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(({ enc, text }) => (
+            <tr key={enc.id} className="border-t border-slate-200 align-top">
+              <td className="py-2 pr-4 whitespace-nowrap">
+                {t(`byteEncoding.${enc.id}`)}
+                {enc.note && (
+                  <div className="text-xs text-slate-500 whitespace-normal max-w-[16rem]">{t(`byteEncoding.note.${enc.id}`)}</div>
+                )}
+              </td>
+              <td className="py-2 pr-4 font-mono break-all whitespace-pre-wrap">{text || <span className="text-slate-400">{t("byteText.empty")}</span>}</td>
+              <td className="py-2 pr-4 font-mono text-right">{text.length}</td>
+              <td className="py-2 pr-4 font-mono text-right">
+                {bytes.length ? `${Math.round((text.length / bytes.length - 1) * 100)}%` : "—"}
+              </td>
+              <td className="py-2">
+                <button onClick={() => copy(text)} className="px-2 py-1 rounded-lg text-xs border hover:bg-slate-50">
+                  {t("byteText.copy")}
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {groups.length > 0 && (
+        <div className="mt-4">
+          <div className="text-sm text-slate-600 mb-2">{t("byteText.groups")}</div>
+          <div className="grid md:grid-cols-2 gap-4">
+            {shown.map((g, i) => (
+              <Base64Group key={i} group={g} />
+            ))}
+          </div>
+          {groups.length > MAX_GROUPS && (
+            <button onClick={() => setShowAll((s) => !s)} className="mt-2 text-sm text-slate-600 underline">
+              {showAll ? t("byteText.fewerGroups") : t("byteText.allGroups", { count: groups.length })}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
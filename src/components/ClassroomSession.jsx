@@ -0,0 +1,325 @@
+import React, { useEffect, useRef, useState } from "react";
+import useI18n from "../hooks/useI18n";
+import { CODE_LENGTH, MAX_NAME_LENGTH, defaultServerUrl, normalizeCode, randomTarget } from "../lib/classroom";
+
+/**
+ * Classroom Session
+ * ------------------------------------------------------
+ * Live mode for a class on one LAN (see server/classroom-server.mjs).
+ * The teacher hosts and sends a target; it becomes every student's
+ * lab challenge. A student's answer goes out automatically the moment
+ * the lab reports `challengeCorrect`, or earlier with Submit. The
+ * teacher's list fills in as answers arrive, fastest first.
+ */
+
+const SERVER_KEY = "drlab.classroomServer";
+const TARGET_BITS = [4, 8, 16, 32];
+
+const loadServerUrl = () => {
+  try {
+    return localStorage.getItem(SERVER_KEY) || defaultServerUrl();
+  } catch {
+    return defaultServerUrl();
+  }
+};
+
+const saveServerUrl = (url) => {
+  try {
+    localStorage.setItem(SERVER_KEY, url);
+  } catch {
+    // private mode: the address is just not remembered
+  }
+};
+
+const hexOf = (v, bits) => "0x" + v.toString(16).toUpperCase().padStart(Math.ceil(bits / 4), "0");
+
+const formatSeconds = (ms, { t, formatNumber }) =>
+  t("classroom.seconds", { seconds: formatNumber(ms / 1000, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) });
+
+const errorText = ({ id, ...values }, { t }) => t(`classroom.error.${id}`, values);
+
+// correct answers by time, then wrong ones, then students still working
+const rankStudents = (students) =>
+  [...students].sort((a, b) => {
+    const group = (s) => (s.answer?.correct ? 0 : s.answer ? 1 : 2);
+    return group(a) - group(b) || (a.answer?.correct ? a.answer.ms - b.answer.ms : a.name.localeCompare(b.name));
+  });
+
+function useElapsed(since) {
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    if (!since) return;
+    const id = setInterval(() => setNow(Date.now()), 200);
+    return () => clearInterval(id);
+  }, [since]);
+  return since ? Math.max(0, now - since) : 0;
+}
+
+function Connect({ classroom }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [url, setUrl] = useState(loadServerUrl);
+  const [code, setCode] = useState("");
+  const [name, setName] = useState("");
+  const { session } = classroom;
+  const busy = session.status === "connecting";
+
+  const host = () => {
+    saveServerUrl(url);
+    classroom.host(url);
+  };
+  const join = (e) => {
+    e.preventDefault();
+    saveServerUrl(url);
+    classroom.join(url, code, name);
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="grid md:grid-cols-2 gap-4">
+        <div className="p-3 rounded-xl bg-slate-50 border border-slate-200 space-y-2">
+          <div className="text-sm font-medium">{t("classroom.teacher")}</div>
+          <p className="text-sm text-slate-600">{t("classroom.hostHint")}</p>
+          <button className="px-3 py-1.5 rounded-xl bg-blue-600 text-white text-sm disabled:opacity-50" onClick={host} disabled={busy}>
+            {t("classroom.host")}
+          </button>
+        </div>
+        <form className="p-3 rounded-xl bg-slate-50 border border-slate-200 space-y-2" onSubmit={join}>
+          <div className="text-sm font-medium">{t("classroom.student")}</div>
+          <div className="flex flex-wrap gap-2">
+            <input
+              className="w-24 rounded-xl border border-slate-300 px-3 py-1.5 font-mono uppercase tracking-widest"
+              placeholder={t("classroom.codePlaceholder")}
+              value={code}
+              maxLength={CODE_LENGTH}
+              onChange={(e) => setCode(normalizeCode(e.target.value))}
+            />
+            <input
+              className="flex-1 min-w-[8rem] rounded-xl border border-slate-300 px-3 py-1.5"
+              placeholder={t("classroom.yourName")}
+              value={name}
+              maxLength={MAX_NAME_LENGTH}
+              onChange={(e) => setName(e.target.value)}
+            />
+            <button
+              className="px-3 py-1.5 rounded-xl bg-blue-600 text-white text-sm disabled:opacity-50"
+              disabled={busy || code.length !== CODE_LENGTH || !name.trim()}
+            >
+              {t("classroom.join")}
+            </button>
+          </div>
+        </form>
+      </div>
+      <label className="flex items-center gap-2 text-xs text-slate-500">
+        {t("classroom.server")}
+        <input
+          className="flex-1 rounded-lg border border-slate-300 px-2 py-1 font-mono"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+        />
+      </label>
+      {busy && <p className="text-sm text-slate-500">{t("classroom.connecting")}</p>}
+      {session.error && <p className="text-sm text-red-600">{errorText(session.error, i18n)}</p>}
+    </div>
+  );
+}
+
+function HostView({ classroom, bits, unsignedValue }) {
+  const i18n = useI18n();
+  const { t, plural } = i18n;
+  const { session } = classroom;
+  const [targetBits, setTargetBits] = useState(8);
+  const { challenge } = session;
+  const elapsed = useElapsed(challenge?.receivedAt);
+  const students = rankStudents(session.roster || []);
+  const solved = students.filter((s) => s.answer?.correct).length;
+  const connected = students.filter((s) => s.connected).length;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-4">
+        <div>
+          <div className="text-xs text-slate-500">{t("classroom.joinCode")}</div>
+          <div className="text-4xl font-mono font-bold tracking-widest">{session.code}</div>
+        </div>
+        <div className="text-sm text-slate-600">{plural("classroom.connected", connected)}</div>
+        <button className="ml-auto px-3 py-1.5 rounded-xl bg-slate-100 text-sm" onClick={classroom.leave}>
+          {t("classroom.end")}
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <button
+          className="px-3 py-1.5 rounded-xl bg-blue-600 text-white"
+          onClick={() => classroom.sendChallenge({ target: randomTarget(targetBits), bits: targetBits })}
+        >
+          {t("classroom.randomTarget")}
+        </button>
+        <select className="rounded-lg border border-slate-300 px-2 py-1" value={targetBits} onChange={(e) => setTargetBits(Number(e.target.value))}>
+          {TARGET_BITS.map((b) => (
+            <option key={b} value={b}>
+              {t("classroom.bits", { bits: b })}
+            </option>
+          ))}
+        </select>
+        <button
+          className="px-3 py-1.5 rounded-xl bg-slate-100"
+          onClick={() => classroom.sendChallenge({ target: unsignedValue, bits })}
+          title={t("classroom.sendLabValue.title")}
+        >
+          {t("classroom.sendLabValue", { value: hexOf(unsignedValue, bits), bits })}
+        </button>
+        {challenge && (
+          <button className="px-3 py-1.5 rounded-xl bg-slate-100" onClick={() => classroom.sendChallenge(null)}>
+            {t("classroom.stop")}
+          </button>
+        )}
+      </div>
+
+      {challenge && (
+        <div className="p-3 rounded-xl bg-amber-50 border border-amber-200 flex flex-wrap items-baseline gap-x-4 gap-y-1">
+          <span className="text-sm">{t("classroom.target", { bits: challenge.bits })}</span>
+          <span className="font-mono">{t("baseSteps.name.10")} {challenge.target.toString()}</span>
+          <span className="font-mono">{t("baseSteps.name.16")} {hexOf(challenge.target, challenge.bits)}</span>
+          <span className="ml-auto text-sm font-mono">{formatSeconds(elapsed, i18n)}</span>
+          <span className="text-sm font-semibold">{t("classroom.solved", { solved, total: students.length })}</span>
+        </div>
+      )}
+
+      {students.length === 0 ? (
+        <p className="text-sm text-slate-500">{t("classroom.waitingForStudents")}</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-slate-500">
+              <th className="py-1 pr-2">#</th>
+              <th className="py-1 pr-2">{t("classroom.student")}</th>
+              <th className="py-1 pr-2">{t("classroom.column.answer")}</th>
+              <th className="py-1 pr-2 text-right">{t("classroom.column.time")}</th>
+              <th className="py-1 text-right">{t("classroom.column.attempts")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {students.map((s, i) => (
+              <tr key={s.id} className={`border-t border-slate-200 ${s.connected ? "" : "text-slate-400"}`}>
+                <td className="py-1 pr-2 font-mono">{s.answer?.correct ? i + 1 : ""}</td>
+                <td className="py-1 pr-2">
+                  <span className={`inline-block w-2 h-2 rounded-full mr-2 ${s.connected ? "bg-green-500" : "bg-slate-300"}`} />
+                  {s.name}
+                </td>
+                <td className="py-1 pr-2">
+                  {!challenge ? (
+                    ""
+                  ) : s.answer ? (
+                    <span className={s.answer.correct ? "text-green-700" : "text-red-600"}>
+                      {s.answer.correct ? "✔" : "✘"} <span className="font-mono">{s.answer.value}</span>
+                    </span>
+                  ) : (
+                    <span className="text-slate-400">{t("classroom.working")}</span>
+                  )}
+                </td>
+                <td className="py-1 pr-2 text-right font-mono">{s.answer?.correct ? formatSeconds(s.answer.ms, i18n) : ""}</td>
+                <td className="py-1 text-right font-mono">{s.answer?.attempts ?? ""}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+function StudentView({ classroom, unsignedValue, challenge, challengeCorrect, onChallenge }) {
+  const i18n = useI18n();
+  const { t, parts } = i18n;
+  const { session } = classroom;
+  const sessionChallenge = session.challenge;
+  const { result } = session;
+  const elapsed = useElapsed(result?.correct ? null : sessionChallenge?.receivedAt);
+  const applied = useRef(null); // id of the session challenge handed to the lab
+
+  // the session's target becomes the lab's challenge
+  useEffect(() => {
+    if (sessionChallenge) {
+      applied.current = sessionChallenge.id;
+      onChallenge({ target: sessionChallenge.target, bits: sessionChallenge.bits });
+    } else if (applied.current !== null) {
+      applied.current = null;
+      onChallenge(null);
+    }
+  }, [sessionChallenge?.id]);
+
+  const matchesSession =
+    sessionChallenge && challenge && challenge.target === sessionChallenge.target && challenge.bits === sessionChallenge.bits;
+
+  useEffect(() => {
+    if (matchesSession && challengeCorrect && !result?.correct) classroom.answer(sessionChallenge.id, unsignedValue);
+  }, [matchesSession, challengeCorrect, sessionChallenge?.id]);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <span>
+          {parts("classroom.joinedAs", {
+            code: <b className="font-mono">{session.code}</b>,
+            name: <b>{session.name}</b>,
+          })}
+        </span>
+        <button className="ml-auto px-3 py-1.5 rounded-xl bg-slate-100" onClick={classroom.leave}>
+          {t("classroom.leave")}
+        </button>
+      </div>
+      {!sessionChallenge ? (
+        <p className="text-sm text-slate-500">{t("classroom.waitingForTarget")}</p>
+      ) : result?.correct ? (
+        <div className="px-3 py-2 rounded-xl bg-green-600 text-white font-semibold">
+          ✔ {t("classroom.correct", { time: formatSeconds(result.ms, i18n), rank: result.rank })}
+        </div>
+      ) : (
+        <div className="flex flex-wrap items-center gap-3">
+          <span className="text-sm">
+            {t("classroom.matchTarget")} <span className="font-mono text-slate-500">{formatSeconds(elapsed, i18n)}</span>
+          </span>
+          {result && (
+            <span className="text-sm text-red-600">
+              ✘{" "}
+              {parts("classroom.wrong", { value: <span className="font-mono">{result.value}</span>, attempt: result.attempts })}
+            </span>
+          )}
+          <button
+            className="ml-auto px-3 py-1.5 rounded-xl bg-blue-600 text-white text-sm disabled:opacity-50"
+            onClick={() => classroom.answer(sessionChallenge.id, unsignedValue)}
+            disabled={!matchesSession}
+            title={t("classroom.submit.title")}
+          >
+            {t("classroom.submit", { value: hexOf(unsignedValue, sessionChallenge.bits) })}
+          </button>
+        </div>
+      )}
+      {session.error && <p className="text-sm text-red-600">{errorText(session.error, i18n)}</p>}
+    </div>
+  );
+}
+
+export default function ClassroomSession({ classroom, bits, unsignedValue, challenge, challengeCorrect, onChallenge }) {
+  const { t } = useI18n();
+  const { role } = classroom.session;
+  return (
+    <div className="bg-white rounded-2xl p-4 shadow-sm border border-slate-200">
+      <h3 className="font-semibold mb-3">{t("classroom.title")}</h3>
+      {role === "host" ? (
+        <HostView classroom={classroom} bits={bits} unsignedValue={unsignedValue} />
+      ) : role === "student" ? (
+        <StudentView
+          classroom={classroom}
+          unsignedValue={unsignedValue}
+          challenge={challenge}
+          challengeCorrect={challengeCorrect}
+          onChallenge={onChallenge}
+        />
+      ) : (
+        <Connect classroom={classroom} />
+      )}
+    </div>
+  );
+}
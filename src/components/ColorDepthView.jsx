@@ -0,0 +1,199 @@
+import React, { useMemo, useState } from "react";
+import ImageCanvas from "./ImageCanvas";
+import {
+  DEPTH_MODES,
+  DITHERS,
+  PALETTE_SIZES,
+  PLANE_CHANNELS,
+  bitPlane,
+  formatBytes,
+  memorySize,
+  reduceDepth,
+  storageOf,
+} from "../lib/colorDepth";
+import useI18n from "../hooks/useI18n";
+
+/**
+ * Colour Depth & Bit Planes
+ * ------------------------------------------------------
+ * The loaded image re-rendered with fewer bits per pixel, with the
+ * memory each setting needs, and every bit of every channel shown as
+ * its own black and white image.
+ */
+
+// common formats for the size comparison table, named in the catalogs (colorDepth.reference.<id>)
+const REFERENCE_SETTINGS = [
+  { id: "trueColour", setting: { mode: "channel", bits: 8 } },
+  { id: "rgb565", setting: { mode: "rgb565" } },
+  { id: "palette256", setting: { mode: "palette", paletteSize: 256 } },
+  { id: "gray8", setting: { mode: "gray", bits: 8 } },
+  { id: "palette16", setting: { mode: "palette", paletteSize: 16 } },
+  { id: "blackWhite", setting: { mode: "gray", bits: 1 } },
+];
+
+export default function ColorDepthView({ imageData }) {
+  const { t, locale, formatNumber } = useI18n();
+  const [mode, setMode] = useState("channel");
+  const [bits, setBits] = useState(4);
+  const [paletteSize, setPaletteSize] = useState(256);
+  const [dither, setDither] = useState("none");
+  const [planeChannel, setPlaneChannel] = useState("r");
+  const [planeBit, setPlaneBit] = useState(7);
+  const [planeOfReduced, setPlaneOfReduced] = useState(false);
+
+  const setting = { mode, bits, paletteSize };
+  const { width, height } = imageData;
+
+  const reduced = useMemo(
+    () => reduceDepth(imageData, { mode, bits, paletteSize }, dither),
+    [imageData, mode, bits, paletteSize, dither]
+  );
+  const storage = storageOf(setting, reduced.palette);
+  const plane = useMemo(
+    () => bitPlane(planeOfReduced ? reduced.imageData : imageData, planeChannel, planeBit),
+    [imageData, reduced, planeOfReduced, planeChannel, planeBit]
+  );
+  const originalSize = memorySize(width, height, { mode: "channel", bits: 8 });
+  const size = memorySize(width, height, setting, reduced.palette);
+
+  return (
+    <div className="p-4 bg-white rounded-2xl border border-slate-200 space-y-4">
+      <h3 className="font-semibold">{t("colorDepth.title")}</h3>
+
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <select className="rounded-xl border border-slate-300 px-2 py-1" value={mode} onChange={(e) => setMode(e.target.value)}>
+          {DEPTH_MODES.map((m) => (
+            <option key={m.id} value={m.id}>{t(`colorDepth.mode.${m.id}`)}</option>
+          ))}
+        </select>
+        {(mode === "channel" || mode === "gray") && (
+          <label className="flex items-center gap-2">
+            {t(mode === "channel" ? "colorDepth.bitsPerChannel" : "colorDepth.bits")}
+            <input type="range" min={1} max={8} value={bits} onChange={(e) => setBits(Number(e.target.value))} />
+            <span className="font-mono w-4">{bits}</span>
+          </label>
+        )}
+        {mode === "palette" && (
+          <label className="flex items-center gap-2">
+            {t("colorDepth.colours")}
+            <select
+              className="rounded-xl border border-slate-300 px-2 py-1"
+              value={paletteSize}
+              onChange={(e) => setPaletteSize(Number(e.target.value))}
+            >
+              {PALETTE_SIZES.map((n) => (
+                <option key={n} value={n}>{t("colorDepth.paletteSize", { size: n, bits: Math.log2(n) })}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        <label className="flex items-center gap-2">
+          {t("colorDepth.dithering")}
+          <select className="rounded-xl border border-slate-300 px-2 py-1" value={dither} onChange={(e) => setDither(e.target.value)}>
+            {DITHERS.map((d) => (
+              <option key={d.id} value={d.id}>{d.label ?? t(`colorDepth.dither.${d.id}`)}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="p-3 rounded-xl bg-slate-50 border border-slate-200 text-sm">
+        <span className="font-mono">
+          {t("colorDepth.sum", { width, height, bits: storage.bitsPerPixel, total: formatNumber(width * height * storage.bitsPerPixel) })}
+        </span>
+        {storage.paletteBytes > 0 && <span className="font-mono"> {t("colorDepth.paletteSum", { colours: storage.colors })}</span>}
+        <span className="font-mono"> = {formatBytes(size, locale)}</span>
+        <span className="text-slate-500">
+          {" "}
+          {t("colorDepth.share", {
+            share: formatNumber(size / originalSize, { style: "percent", minimumFractionDigits: 1, maximumFractionDigits: 1 }),
+            colours: formatNumber(storage.colors),
+          })}
+        </span>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-4">
+        <div>
+          <div className="text-xs text-slate-500 mb-1">{t("colorDepth.original")}</div>
+          <ImageCanvas imageData={imageData} />
+        </div>
+        <div>
+          <div className="text-xs text-slate-500 mb-1">{t("colorDepth.reduced")}</div>
+          <ImageCanvas imageData={reduced.imageData} />
+        </div>
+      </div>
+
+      {reduced.palette && (
+        <div>
+          <div className="text-xs text-slate-500 mb-1">{t("colorDepth.palette", { entries: reduced.palette.length })}</div>
+          <div className="flex flex-wrap gap-0.5">
+            {reduced.palette.map(([r, g, b], i) => (
+              <span
+                key={i}
+                title={t("colorDepth.paletteEntry", { index: i, r, g, b })}
+                className="inline-block w-4 h-4 border border-slate-300"
+                style={{ background: `rgb(${r}, ${g}, ${b})` }}
+              />
+            ))}
+          </div>
+        </div>
+      )}
+
+      <table className="text-sm">
+        <thead>
+          <tr className="text-left text-slate-500">
+            <th className="py-1 pr-4">{t("colorDepth.format")}</th>
+            <th className="py-1 pr-4">{t("colorDepth.bitsPerPixel")}</th>
+            <th className="py-1 pr-4">{t("colorDepth.uncompressed")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {REFERENCE_SETTINGS.map(({ id, setting: s }) => (
+            <tr key={id} className="border-t border-slate-200">
+              <td className="py-1 pr-4">{t(`colorDepth.reference.${id}`)}</td>
+              <td className="py-1 pr-4 font-mono">{storageOf(s).bitsPerPixel}</td>
+              <td className="py-1 pr-4 font-mono">{formatBytes(memorySize(width, height, s), locale)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div>
+        <h4 className="text-sm font-semibold mb-2">{t("colorDepth.planes")}</h4>
+        <div className="flex flex-wrap items-center gap-2 text-sm mb-2">
+          {PLANE_CHANNELS.map((c) => (
+            <button
+              key={c.id}
+              onClick={() => setPlaneChannel(c.id)}
+              className={`px-3 py-1 rounded ${planeChannel === c.id ? "bg-blue-500 text-white" : "bg-gray-200"}`}
+            >
+              {t(`colorDepth.channel.${c.id}`)}
+            </button>
+          ))}
+          <span className="mx-2 text-slate-400">|</span>
+          {[7, 6, 5, 4, 3, 2, 1, 0].map((b) => (
+            <button
+              key={b}
+              onClick={() => setPlaneBit(b)}
+              className={`w-16 py-1 rounded font-mono ${planeBit === b ? "bg-blue-500 text-white" : "bg-gray-200"}`}
+            >
+              {t("colorDepth.bit", { bit: b })}
+            </button>
+          ))}
+          <label className="flex items-center gap-1 ml-2">
+            <input type="checkbox" checked={planeOfReduced} onChange={(e) => setPlaneOfReduced(e.target.checked)} />
+            {t("colorDepth.ofReduced")}
+          </label>
+        </div>
+        <ImageCanvas imageData={plane.imageData} />
+        <p className="text-xs text-slate-500 mt-1">
+          {t("colorDepth.planeNote", {
+            bit: planeBit,
+            weight: 2 ** planeBit,
+            share: formatNumber(plane.share, { style: "percent", minimumFractionDigits: 1, maximumFractionDigits: 1 }),
+          })}
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+import React, { useEffect, useState } from "react";
+import { COLOR_SPACES, GRAY_FORMULAS, hexToRgb, rgbFromSpace, rgbToHex } from "../lib/colorSpaces";
+import useI18n from "../hooks/useI18n";
+
+/**
+ * Colour Spaces
+ * ------------------------------------------------------
+ * The picked colour in every supported colour space. Any value can be
+ * edited: it is converted back to 8-bit RGB (rounded and clamped) and
+ * all other spaces follow, so the loss of the round trip is visible.
+ */
+
+// fixed decimals without "-0.00" for tiny negative rounding errors
+const format = (v, digits) => {
+  const s = v.toFixed(digits);
+  return /^-0\.?0*$/.test(s) ? s.slice(1) : s;
+};
+
+export default function ColorSpacePanel({ pixel }) {
+  const { t } = useI18n();
+  const [rgb, setRgb] = useState([pixel.r, pixel.g, pixel.b]);
+  const [edit, setEdit] = useState(null); // {spaceId, values: string[], inGamut} while a space is being typed in
+  const [hexInput, setHexInput] = useState(null);
+
+  // a newly picked pixel replaces the edited colour
+  useEffect(() => {
+    setRgb([pixel.r, pixel.g, pixel.b]);
+    setEdit(null);
+    setHexInput(null);
+  }, [pixel.x, pixel.y, pixel.r, pixel.g, pixel.b]);
+
+  const changeField = (space, index, value) => {
+    const values =
+      edit?.spaceId === space.id
+        ? [...edit.values]
+        : space.fromRgb(...rgb).map((v, i) => format(v, space.fields[i].digits));
+    values[index] = value;
+    const numbers = values.map(Number);
+    let inGamut = true;
+    if (values.every((v) => v.trim() !== "") && numbers.every(Number.isFinite)) {
+      const result = rgbFromSpace(space, numbers);
+      setRgb(result.rgb);
+      inGamut = result.inGamut;
+    }
+    setEdit({ spaceId: space.id, values, inGamut });
+    setHexInput(null);
+  };
+
+  const changeHex = (value) => {
+    setHexInput(value);
+    const parsed = hexToRgb(value);
+    if (parsed) {
+      setRgb(parsed);
+      setEdit(null);
+    }
+  };
+
+  const edited = rgb.some((v, i) => v !== [pixel.r, pixel.g, pixel.b][i]);
+  const hex = rgbToHex(...rgb);
+
+  return (
+    <div className="p-4 bg-white rounded-2xl border border-slate-200 space-y-3">
+      <div className="flex items-center justify-between gap-2 flex-wrap">
+        <h3 className="font-semibold">{t("colorSpace.title")}</h3>
+        <div className="flex items-center gap-2 text-sm">
+          <span className="text-slate-500">{t("colorSpace.picked")}</span>
+          <span className="inline-block w-8 h-8 rounded border border-slate-300" style={{ background: rgbToHex(pixel.r, pixel.g, pixel.b) }} />
+          <span className="text-slate-500">{t("colorSpace.edited")}</span>
+          <span className="inline-block w-8 h-8 rounded border border-slate-300" style={{ background: hex }} />
+          <input
+            className="w-24 rounded-xl border border-slate-300 px-2 py-1 font-mono"
+            value={hexInput ?? hex}
+            onChange={(e) => changeHex(e.target.value)}
+            onBlur={() => setHexInput(null)}
+          />
+          {edited && (
+            <button onClick={() => changeHex(rgbToHex(pixel.r, pixel.g, pixel.b))} className="px-2 py-1 rounded bg-gray-200 text-xs">
+              {t("colorSpace.reset")}
+            </button>
+          )}
+        </div>
+      </div>
+
+      <table className="min-w-full text-sm">
+        <tbody>
+          {COLOR_SPACES.map((space) => {
+            const active = edit?.spaceId === space.id;
+            const derived = space.fromRgb(...rgb);
+            return (
+              <tr key={space.id} className="border-t border-slate-200 align-top">
+                <td className="py-1.5 pr-4 font-semibold whitespace-nowrap">{space.label ?? t(`colorSpace.space.${space.id}`)}</td>
+                <td className="py-1.5">
+                  <div className="flex flex-wrap gap-2">
+                    {space.fields.map((f, i) => (
+                      <label key={f.id} className="flex items-center gap-1">
+                        <span className="text-slate-500 w-5 text-right">{f.label}</span>
+                        <input
+                          type="number"
+                          step={10 ** -f.digits}
+                          min={f.min}
+                          max={f.max}
+                          className="w-24 rounded-lg border border-slate-300 px-1.5 py-0.5 font-mono"
+                          value={active ? edit.values[i] : format(derived[i], f.digits)}
+                          onChange={(e) => changeField(space, i, e.target.value)}
+                        />
+                        <span className="text-slate-400 w-3">{f.unit}</span>
+                      </label>
+                    ))}
+                  </div>
+                  {active && (
+                    <div className="text-xs text-slate-500 mt-1 font-mono">
+                      → RGB {rgb.join(", ")}
+                      {!edit.inGamut && <span className="text-amber-700"> {t("colorSpace.outOfGamut")}</span>} → {t("colorSpace.back")}{" "}
+                      {derived.map((v, i) => format(v, space.fields[i].digits)).join(", ")}
+                    </div>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div>
+        <h4 className="text-sm font-semibold mb-2">{t("colorSpace.grayscale")}</h4>
+        <div className="grid sm:grid-cols-2 lg:grid-cols-3 gap-2">
+          {GRAY_FORMULAS.map((f) => {
+            const v = Math.round(f.gray(...rgb));
+            return (
+              <div key={f.id} className="flex items-center gap-2 text-sm">
+                <span className="inline-block w-6 h-6 rounded border border-slate-300" style={{ background: `rgb(${v}, ${v}, ${v})` }} />
+                <div>
+                  <div>
+                    {f.label ?? t(`colorSpace.gray.${f.id}`)} <span className="font-mono">= {v}</span>
+                  </div>
+                  <div className="text-xs text-slate-500 font-mono">{f.formula ?? t(`colorSpace.grayFormula.${f.id}`)}</div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <p className="text-xs text-slate-500">{t("colorSpace.note")}</p>
+    </div>
+  );
+}
@@ -0,0 +1,225 @@
+import React, { useEffect, useMemo, useState } from "react";
+import ImageCanvas from "./ImageCanvas";
+import { decodeRle, describeRuns, differenceImage, encodeRle, errorMetrics } from "../lib/compression";
+import { decodeWithCanvas, encodeWithCanvas } from "../lib/imageEncoders";
+import { formatBytes } from "../lib/colorDepth";
+import useI18n from "../hooks/useI18n";
+
+/**
+ * Compression
+ * ------------------------------------------------------
+ * The image through four encoders: our own row RLE, PNG, and JPEG and
+ * WebP at an adjustable quality. Each result is decoded again and
+ * compared with the original: size, ratio against raw 24-bit RGB,
+ * MSE/PSNR and a difference image amplified so small errors show. The
+ * picked pixel is compared value by value; clicking any of the three
+ * images picks too.
+ */
+
+// methods without a label are named in the catalogs (compression.method.<id>)
+const METHODS = [
+  { id: "rle", lossy: false },
+  { id: "png", label: "PNG", lossy: false, mime: "image/png" },
+  { id: "jpeg", label: "JPEG", lossy: true, mime: "image/jpeg" },
+  { id: "webp", label: "WebP", lossy: true, mime: "image/webp" },
+];
+const GAINS = [1, 5, 10, 20, 50];
+const RUN_DELAY = 300; // ms; encoding a large photo takes a moment
+const fixed = (digits) => ({ minimumFractionDigits: digits, maximumFractionDigits: digits });
+
+const runMethod = async (method, imageData, quality) => {
+  if (method.id === "rle") {
+    const bytes = encodeRle(imageData);
+    return { bytes, decoded: decodeRle(bytes, imageData.width, imageData.height) };
+  }
+  const bytes = await encodeWithCanvas(imageData, method.mime, method.lossy ? quality / 100 : undefined);
+  return { bytes, decoded: await decodeWithCanvas(bytes, method.mime) };
+};
+
+export default function CompressionView({ imageData, pixel, onPick }) {
+  const { locale, t, parts, formatNumber } = useI18n();
+  const [quality, setQuality] = useState(75);
+  const [methodId, setMethodId] = useState("jpeg");
+  const [gain, setGain] = useState(10);
+  const [results, setResults] = useState({}); // id → {bytes, decoded, metrics} | {error: true}
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setBusy(true);
+      const next = {};
+      for (const m of METHODS) {
+        try {
+          const r = await runMethod(m, imageData, quality);
+          next[m.id] = { ...r, metrics: errorMetrics(imageData, r.decoded) };
+        } catch (e) {
+          next[m.id] = { error: true };
+        }
+        if (cancelled) return;
+      }
+      setResults(next);
+      setBusy(false);
+    }, RUN_DELAY);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [imageData, quality]);
+
+  const raw = imageData.width * imageData.height * 3;
+  const methodName = (m) => m.label ?? t(`compression.method.${m.id}`);
+  const formatPsnr = (psnr) => (psnr === Infinity ? t("compression.identical") : `${formatNumber(psnr, fixed(2))} dB`);
+  const method = METHODS.find((m) => m.id === methodId);
+  const selected = results[methodId];
+  const ready = selected?.decoded && selected.decoded.width === imageData.width && selected.decoded.height === imageData.height;
+  const diff = useMemo(() => (ready ? differenceImage(imageData, selected.decoded, gain) : null), [ready, selected, gain, imageData]);
+
+  const valueAt = (img, p) => {
+    const i = (p.y * img.width + p.x) * 4;
+    return [img.data[i], img.data[i + 1], img.data[i + 2]];
+  };
+
+  return (
+    <div className="p-4 bg-white rounded-2xl border border-slate-200 space-y-4">
+      <div className="flex items-baseline justify-between gap-2 flex-wrap">
+        <h3 className="font-semibold">{t("compression.title")}</h3>
+        {busy && <span className="text-sm text-slate-500">{t("compression.busy")}</span>}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4 text-sm">
+        <label className="flex items-center gap-2">
+          {t("compression.quality")}
+          <input type="range" min={1} max={100} value={quality} onChange={(e) => setQuality(Number(e.target.value))} />
+          <span className="font-mono w-8">{quality}</span>
+        </label>
+        <label className="flex items-center gap-2">
+          {t("compression.gain")}
+          <select className="rounded border border-gray-300 px-1 py-0.5" value={gain} onChange={(e) => setGain(Number(e.target.value))}>
+            {GAINS.map((g) => (
+              <option key={g} value={g}>
+                {g}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-slate-500">
+            <th className="py-1 pr-4">{t("compression.method")}</th>
+            <th className="py-1 pr-4 text-right">{t("compression.size")}</th>
+            <th className="py-1 pr-4 text-right">{t("compression.ratio")}</th>
+            <th className="py-1 pr-4 text-right">{t("compression.bitsPerPixel")}</th>
+            <th className="py-1 pr-4 text-right">MSE</th>
+            <th className="py-1 pr-4 text-right">PSNR</th>
+            <th className="py-1 text-right">{t("compression.changed")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr className="border-t border-slate-200 text-slate-500">
+            <td className="py-1 pr-4">{t("compression.raw")}</td>
+            <td className="py-1 pr-4 font-mono text-right">{formatBytes(raw, locale)}</td>
+            <td className="py-1 pr-4 font-mono text-right">1 : 1</td>
+            <td className="py-1 pr-4 font-mono text-right">24</td>
+            <td colSpan={3} />
+          </tr>
+          {METHODS.map((m) => {
+            const r = results[m.id];
+            return (
+              <tr
+                key={m.id}
+                onClick={() => setMethodId(m.id)}
+                className={`border-t border-slate-200 cursor-pointer ${methodId === m.id ? "bg-blue-50" : "hover:bg-slate-50"}`}
+              >
+                <td className="py-1 pr-4">
+                  <input type="radio" className="mr-2" checked={methodId === m.id} readOnly />
+                  {methodName(m)}
+                  {m.lossy && <span className="text-slate-500"> q={quality}</span>}
+                </td>
+                {!r ? (
+                  <td colSpan={6} className="py-1 text-slate-400">…</td>
+                ) : r.error ? (
+                  <td colSpan={6} className="py-1 text-amber-700">{t("compression.failed", { method: methodName(m) })}</td>
+                ) : (
+                  <>
+                    <td className="py-1 pr-4 font-mono text-right">{formatBytes(r.bytes.length, locale)}</td>
+                    <td className="py-1 pr-4 font-mono text-right">{formatNumber(raw / r.bytes.length, fixed(1))} : 1</td>
+                    <td className="py-1 pr-4 font-mono text-right">
+                      {formatNumber((r.bytes.length * 8) / (imageData.width * imageData.height), fixed(2))}
+                    </td>
+                    <td className="py-1 pr-4 font-mono text-right">{formatNumber(r.metrics.mse, fixed(2))}</td>
+                    <td className="py-1 pr-4 font-mono text-right">{formatPsnr(r.metrics.psnr)}</td>
+                    <td className="py-1 font-mono text-right">
+                      {formatNumber(r.metrics.changed / (imageData.width * imageData.height), { style: "percent", ...fixed(1) })}
+                    </td>
+                  </>
+                )}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      {results.rle?.bytes && (
+        <p className="text-xs text-slate-600">
+          {parts("compression.rleRuns", { runs: <span className="font-mono">{describeRuns(results.rle.bytes)}</span> })}
+        </p>
+      )}
+
+      {ready && (
+        <div className="grid md:grid-cols-3 gap-4">
+          <div>
+            <div className="text-sm mb-1">{t("compression.original")}</div>
+            <ImageCanvas imageData={imageData} onPick={onPick} />
+          </div>
+          <div>
+            <div className="text-sm mb-1">
+              {method.lossy ? t("compression.atQuality", { method: methodName(method), quality }) : methodName(method)} ·{" "}
+              {formatBytes(selected.bytes.length, locale)}
+            </div>
+            <ImageCanvas imageData={selected.decoded} onPick={onPick} />
+          </div>
+          <div>
+            <div className="text-sm mb-1">{t("compression.difference", { gain, maxError: selected.metrics.maxError })}</div>
+            <ImageCanvas imageData={diff} onPick={onPick} />
+          </div>
+        </div>
+      )}
+
+      {ready && pixel && (
+        <table className="text-sm font-mono">
+          <tbody>
+            {[
+              [t("compression.original"), valueAt(imageData, pixel)],
+              [methodName(method), valueAt(selected.decoded, pixel)],
+            ].map(([label, rgb]) => (
+              <tr key={label}>
+                <td className="pr-4 font-sans">{label}</td>
+                <td className="pr-4">
+                  <span className="inline-block w-3 h-3 rounded-sm border mr-2 align-middle" style={{ background: `rgb(${rgb.join(",")})` }} />
+                  ({pixel.x}, {pixel.y})
+                </td>
+                <td>R {rgb[0]} G {rgb[1]} B {rgb[2]}</td>
+              </tr>
+            ))}
+            <tr className="border-t border-slate-200">
+              <td className="pr-4 font-sans">{t("compression.error")}</td>
+              <td />
+              <td>
+                {(() => {
+                  const a = valueAt(imageData, pixel);
+                  const b = valueAt(selected.decoded, pixel);
+                  return a.map((v, c) => `${"RGB"[c]} ${b[c] - v >= 0 ? "+" : ""}${b[c] - v}`).join(" ");
+                })()}
+              </td>
+            </tr>
+          </tbody>
+        </table>
+      )}
+
+      <p className="text-sm text-slate-600">{t("compression.note")}</p>
+    </div>
+  );
+}
@@ -0,0 +1,299 @@
+import React, { useEffect, useMemo, useState } from "react";
+import ImageCanvas from "./ImageCanvas";
+import { EDGE_MODES, KERNEL_PRESETS, KERNEL_SIZES, breakdown, defaultDivisor, findPreset, resizeKernel } from "../lib/convolution";
+import useI18n from "../hooks/useI18n";
+
+/**
+ * Filters (convolution)
+ * ------------------------------------------------------
+ * The image through an N×N kernel: blur, sharpen, edge detection,
+ * emboss, or weights typed in by hand. Every output pixel is a weighted
+ * sum of its neighbours; pick a pixel to see that sum worked out with
+ * the real neighbour values. The filtering runs in a Web Worker, so a
+ * large photo does not freeze the page.
+ */
+
+const RUN_DELAY = 200; // ms after the last edit of the kernel
+const CHANNELS = ["red", "green", "blue"];
+const THOUSANDTHS = { minimumFractionDigits: 3, maximumFractionDigits: 3 };
+
+// the kernel as the editable strings of the form
+const toForm = ({ size, weights, divisor, offset }) => ({
+  size,
+  cells: weights.map(String),
+  divisor: String(divisor),
+  offset: String(offset),
+});
+
+const parseNumber = (s) => (s.trim() !== "" && Number.isFinite(Number(s)) ? Number(s) : null);
+
+export default function ConvolutionView({ imageData, pixel, onPick, onApply }) {
+  const { t, formatNumber } = useI18n();
+  const [presetId, setPresetId] = useState("gauss3");
+  const [form, setForm] = useState(() => toForm(findPreset("gauss3").kernel));
+  const [autoDivisor, setAutoDivisor] = useState(true);
+  const [edge, setEdge] = useState("extend");
+  const [channel, setChannel] = useState(0);
+  const [filtered, setFiltered] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const { width, height } = imageData;
+
+  const weights = form.cells.map(parseNumber);
+  const divisor = autoDivisor ? defaultDivisor(weights.map((w) => w ?? 0)) : parseNumber(form.divisor);
+  const offset = parseNumber(form.offset);
+  const valid = weights.every((w) => w !== null) && divisor !== null && divisor !== 0 && offset !== null;
+  const kernelKey = valid ? JSON.stringify({ size: form.size, weights, divisor, offset }) : null;
+  // stable while the numbers stay the same, so re-typing "1.0" as "1" does not filter again
+  const kernel = useMemo(() => kernelKey && JSON.parse(kernelKey), [kernelKey]);
+
+  useEffect(() => {
+    // a cancelled run must not leave the spinner on while the kernel cannot run
+    if (!kernel) {
+      setBusy(false);
+      return undefined;
+    }
+    setBusy(true);
+    let worker = null;
+    const timer = setTimeout(() => {
+      worker = new Worker(new URL("../lib/convolution.worker.js", import.meta.url), { type: "module" });
+      worker.onmessage = ({ data }) => {
+        setFiltered(new ImageData(data, width, height));
+        setError(null);
+        setBusy(false);
+        worker.terminate();
+      };
+      worker.onerror = (e) => {
+        setError(e.message || t("convolution.workerFailed"));
+        setBusy(false);
+        worker.terminate();
+      };
+      worker.postMessage({ image: { width, height, data: imageData.data }, kernel, edge });
+    }, RUN_DELAY);
+    // a newer kernel or image makes a running job pointless
+    return () => {
+      clearTimeout(timer);
+      worker?.terminate();
+    };
+  }, [imageData, kernel, edge, width, height]);
+
+  const ready = filtered && filtered.width === width && filtered.height === height;
+  const detail = useMemo(
+    () => (pixel && kernel ? breakdown(imageData, pixel.x, pixel.y, kernel, edge) : null),
+    [imageData, pixel, kernel, edge]
+  );
+
+  const choosePreset = (id) => {
+    setPresetId(id);
+    if (id === "custom") return;
+    const k = findPreset(id).kernel;
+    setForm(toForm(k));
+    setAutoDivisor(k.divisor === defaultDivisor(k.weights));
+  };
+
+  const edit = (changes) => {
+    setPresetId("custom");
+    setForm((f) => ({ ...f, ...changes }));
+  };
+
+  const setCell = (i, value) => edit({ cells: form.cells.map((c, j) => (j === i ? value : c)) });
+
+  const setSize = (size) => {
+    const k = resizeKernel({ ...form, weights: weights.map((w) => w ?? 0) }, size);
+    edit({ size, cells: k.weights.map(String) });
+  };
+
+  const r = (form.size - 1) / 2;
+  const formatExact = (n) => formatNumber(n, Number.isInteger(n) ? undefined : THOUSANDTHS);
+
+  return (
+    <div className="p-4 bg-white rounded-2xl border border-slate-200 space-y-4">
+      <div className="flex items-baseline justify-between gap-2 flex-wrap">
+        <h3 className="font-semibold">{t("convolution.title")}</h3>
+        {busy && <span className="text-sm text-slate-500">{t("convolution.busy")}</span>}
+      </div>
+
+      <div className="flex flex-wrap gap-6 text-sm">
+        <div className="space-y-2">
+          <label className="flex items-center gap-2">
+            {t("convolution.kernel")}
+            <select className="rounded border border-gray-300 px-1 py-0.5" value={presetId} onChange={(e) => choosePreset(e.target.value)}>
+              {KERNEL_PRESETS.map((p) => (
+                <option key={p.id} value={p.id}>
+                  {t(`convolution.preset.${p.id}`)}
+                </option>
+              ))}
+              <option value="custom">{t("convolution.custom")}</option>
+            </select>
+          </label>
+          <label className="flex items-center gap-2">
+            {t("convolution.size")}
+            <select className="rounded border border-gray-300 px-1 py-0.5" value={form.size} onChange={(e) => setSize(Number(e.target.value))}>
+              {KERNEL_SIZES.map((s) => (
+                <option key={s} value={s}>
+                  {s} × {s}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-2">
+            {t("convolution.edges")}
+            <select className="rounded border border-gray-300 px-1 py-0.5" value={edge} onChange={(e) => setEdge(e.target.value)}>
+              {EDGE_MODES.map((m) => (
+                <option key={m.id} value={m.id}>
+                  {t(`convolution.edge.${m.id}`)}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <div>
+          <div className="inline-grid gap-1" style={{ gridTemplateColumns: `repeat(${form.size}, 3.5rem)` }}>
+            {form.cells.map((c, i) => (
+              <input
+                key={i}
+                value={c}
+                onChange={(e) => setCell(i, e.target.value)}
+                title={`dx ${(i % form.size) - r}, dy ${Math.floor(i / form.size) - r}`}
+                className={`rounded border px-1 py-0.5 font-mono text-center ${
+                  weights[i] === null ? "border-red-500 bg-red-50" : i === (form.cells.length - 1) / 2 ? "border-blue-500" : "border-gray-300"
+                }`}
+              />
+            ))}
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <div className="flex items-center gap-2">
+            <label className="flex items-center gap-2">
+              ÷
+              <input
+                value={autoDivisor ? String(divisor) : form.divisor}
+                disabled={autoDivisor}
+                onChange={(e) => edit({ divisor: e.target.value })}
+                className={`w-20 rounded border px-1 py-0.5 font-mono ${divisor === null || divisor === 0 ? "border-red-500" : "border-gray-300"}`}
+              />
+            </label>
+            <label className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={autoDivisor}
+                onChange={(e) => {
+                  setAutoDivisor(e.target.checked);
+                  if (!e.target.checked) setForm((f) => ({ ...f, divisor: String(divisor) }));
+                }}
+              />
+              {t("convolution.sumOfWeights")}
+            </label>
+          </div>
+          <label className="flex items-center gap-2">
+            +
+            <input
+              value={form.offset}
+              onChange={(e) => edit({ offset: e.target.value })}
+              className={`w-20 rounded border px-1 py-0.5 font-mono ${offset === null ? "border-red-500" : "border-gray-300"}`}
+            />
+            {t("convolution.offset")}
+          </label>
+          {!valid && <p className="text-red-600">{t("convolution.invalid")}</p>}
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-4">
+        <div>
+          <div className="text-sm mb-1">{t("convolution.original")}</div>
+          <ImageCanvas imageData={imageData} onPick={onPick} />
+        </div>
+        <div>
+          <div className="text-sm mb-1">{t("convolution.filtered")}</div>
+          {ready && <ImageCanvas imageData={filtered} onPick={onPick} className={busy ? "opacity-60" : ""} />}
+        </div>
+      </div>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {ready && (
+        <button onClick={() => onApply(filtered.data)} className="px-3 py-1 rounded-xl bg-slate-100 hover:bg-slate-200 text-sm">
+          {t("convolution.apply")}
+        </button>
+      )}
+
+      {detail ? (
+        <div className="space-y-3 text-sm">
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="font-semibold">{t("convolution.pixel", { x: pixel.x, y: pixel.y })}</span>
+            {CHANNELS.map((id, c) => (
+              <button
+                key={id}
+                onClick={() => setChannel(c)}
+                className={`px-2 py-0.5 rounded-lg ${channel === c ? "bg-blue-600 text-white" : "bg-slate-100"}`}
+              >
+                {t(`convolution.channel.${id}`)}
+              </button>
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-6 items-start">
+            <div className="inline-grid gap-1" style={{ gridTemplateColumns: `repeat(${form.size}, 4.5rem)` }}>
+              {detail.terms.map((term, i) => (
+                <div
+                  key={i}
+                  title={
+                    term.sx === null
+                      ? t("convolution.outside")
+                      : t("convolution.neighbour", { x: term.sx, y: term.sy, r: term.rgb[0], g: term.rgb[1], b: term.rgb[2] })
+                  }
+                  className={`rounded border p-1 text-center font-mono ${term.dx === 0 && term.dy === 0 ? "border-blue-500" : "border-slate-200"} ${
+                    term.weight ? "" : "opacity-40"
+                  }`}
+                >
+                  <div className="flex items-center justify-center gap-1">
+                    <span className="inline-block w-3 h-3 rounded-sm border" style={{ background: `rgb(${term.rgb.join(",")})` }} />
+                    {term.rgb[channel]}
+                  </div>
+                  <div className="text-xs text-slate-500">× {term.weight}</div>
+                </div>
+              ))}
+            </div>
+            <table className="font-mono">
+              <thead>
+                <tr className="text-left text-slate-500 font-sans">
+                  <th className="pr-4" />
+                  <th className="pr-4 text-right">{t("convolution.sum")}</th>
+                  <th className="pr-4 text-right">
+                    ÷ {kernel.divisor} + {kernel.offset}
+                  </th>
+                  <th className="pr-4 text-right">{t("convolution.clamped")}</th>
+                  <th className="text-right">{t("convolution.original")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {detail.channels.map((ch, c) => {
+                  const original = imageData.data[(pixel.y * width + pixel.x) * 4 + c];
+                  return (
+                    <tr key={c} className={c === channel ? "bg-blue-50" : ""}>
+                      <td className="pr-4 font-sans">{t(`convolution.channel.${CHANNELS[c]}`)}</td>
+                      <td className="pr-4 text-right">{ch.sum}</td>
+                      <td className="pr-4 text-right">{formatExact(ch.exact)}</td>
+                      <td className={`pr-4 text-right font-semibold ${ch.exact < -0.5 || ch.exact >= 255.5 ? "text-red-700" : ""}`}>{ch.result}</td>
+                      <td className="text-right text-slate-500">{original}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <p className="font-mono text-xs text-slate-600 break-all">
+            {detail.terms
+              .filter((term) => term.weight)
+              .map((term) => `${term.weight < 0 ? `(${term.weight})` : term.weight}×${term.rgb[channel]}`)
+              .join(" + ")}{" "}
+            = {detail.channels[channel].sum}
+          </p>
+        </div>
+      ) : (
+        <p className="text-sm text-slate-500">{t("convolution.pickHint")}</p>
+      )}
+
+      <p className="text-sm text-slate-600">{t("convolution.note")}</p>
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+import React, { useMemo } from "react";
+import { STRING_DECODERS, bytesToHex, decodeString, inspectAt } from "../lib/binaryData";
+import useI18n from "../hooks/useI18n";
+
+/**
+ * Data Inspector
+ * ------------------------------------------------------
+ * The bytes at the selection start read as every common type, in both
+ * byte orders side by side. Rows whose size equals the selection length
+ * are highlighted: that is what the selection "is" if it holds one
+ * value. Strings are decoded from the whole selection.
+ */
+
+const MAX_STRING_BYTES = 1024;
+const MAX_HEX_BYTES = 32;
+
+export default function DataInspector({ bytes, start, length }) {
+  const { t, plural } = useI18n();
+  const value = (v) => (typeof v === "object" ? t(`dataInspector.${v.id}`) : v);
+  const rows = useMemo(() => inspectAt(bytes, start), [bytes, start]);
+  const selected = bytes.subarray(start, start + length);
+  const stringBytes = selected.subarray(0, MAX_STRING_BYTES);
+  const strings = useMemo(
+    () => STRING_DECODERS.map((d) => ({ ...d, ...decodeString(stringBytes, d.id) })),
+    [bytes, start, length]
+  );
+
+  return (
+    <div className="p-4 bg-white rounded-2xl border border-slate-200 space-y-3 text-sm">
+      <h3 className="font-semibold">{t("dataInspector.title")}</h3>
+      <div className="font-mono text-xs break-all text-slate-600">
+        {bytesToHex(selected.subarray(0, MAX_HEX_BYTES))}
+        {length > MAX_HEX_BYTES && " …"}
+      </div>
+
+      <table className="w-full">
+        <thead>
+          <tr className="text-left text-slate-500 text-xs">
+            <th className="py-1 pr-2">{t("dataInspector.type")}</th>
+            <th className="py-1 pr-2">{t("dataInspector.littleEndian")}</th>
+            <th className="py-1">{t("dataInspector.bigEndian")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(({ type, le, be }) => (
+            <tr
+              key={type.id}
+              className={`border-t border-slate-200 ${type.size === length ? "bg-amber-50" : ""} ${le === null ? "text-slate-400" : ""}`}
+            >
+              <td className="py-1 pr-2 whitespace-nowrap">
+                {type.label ?? t(`dataInspector.type.${type.id}`)} <span className="text-xs text-slate-400">{type.size} B</span>
+              </td>
+              {le === null ? (
+                <td colSpan={2} className="py-1 text-xs">
+                  {t("dataInspector.tooShort", { size: type.size, left: bytes.length - start })}
+                </td>
+              ) : type.singleByte ? (
+                <td colSpan={2} className="py-1 font-mono">
+                  {value(le)}
+                </td>
+              ) : (
+                <>
+                  <td className="py-1 pr-2 font-mono break-all">{value(le)}</td>
+                  <td className="py-1 font-mono break-all">{value(be)}</td>
+                </>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="space-y-2">
+        {strings.map((s) => (
+          <div key={s.id}>
+            <div className="text-xs text-slate-500">
+              {s.label}
+              {s.invalid > 0 && <span className="text-amber-700"> · {t("dataInspector.invalid", { count: s.invalid })}</span>}
+              {length > MAX_STRING_BYTES && <span> · {plural("dataInspector.first", MAX_STRING_BYTES)}</span>}
+            </div>
+            <div className="font-mono whitespace-pre-wrap break-all bg-slate-50 rounded-lg px-2 py-1 max-h-24 overflow-auto">
+              {s.text || <span className="text-slate-400">{t("dataInspector.empty")}</span>}
+            </div>
+          </div>
+        ))}
+      </div>
+      <p className="text-xs text-slate-500">{t("dataInspector.note")}</p>
+    </div>
+  );
+}
@@ -0,0 +1,171 @@
+import React, { useMemo, useState } from "react";
+import useI18n from "../hooks/useI18n";
+import { groupEvery, padLeft } from "../lib/conversions";
+import { ENCODINGS, encodeText, encodingById } from "../lib/textEncodings";
+
+/**
+ * Encoded Bytes
+ * ------------------------------------------------------
+ * The current text in two encodings side by side, with the bytes
+ * grouped by the character they belong to, plus the total size in
+ * every supported encoding.
+ */
+
+// ---------- helpers ----------
+const hexByte = (b) => padLeft(b.toString(16).toUpperCase(), 2);
+
+const copy = async (text) => {
+  try { await navigator.clipboard.writeText(text); return true; } catch { return false; }
+};
+
+const ROLE_STYLES = {
+  char: "border-slate-200",
+  bom: "border-sky-300 bg-sky-50",
+  high: "border-amber-300 bg-amber-50",
+  low: "border-amber-300 bg-amber-50",
+  unmappable: "border-rose-300 bg-rose-50",
+};
+
+const unitCaption = (unit, enc, t) => {
+  const cp = `U+${padLeft(unit.cp.toString(16).toUpperCase(), 4)}`;
+  return unit.role === "char" ? cp : t(`encoded.role.${unit.role}`, { cp, encoding: enc.label });
+};
+
+function EncodingPanel({ text, encodingId, onChange, bom }) {
+  const { t, plural } = useI18n();
+  const enc = encodingById(encodingId);
+  const units = useMemo(() => encodeText(text, encodingId, { bom }), [text, encodingId, bom]);
+  const bytes = units.flatMap((u) => u.bytes);
+  const pairs = units.filter((u) => u.role === "high");
+
+  let offset = 0;
+  return (
+    <div>
+      <div className="flex items-center justify-between gap-2 mb-2">
+        <select
+          className="rounded-xl border border-slate-300 px-2 py-1.5 text-sm"
+          value={encodingId}
+          onChange={(e) => onChange(e.target.value)}
+        >
+          {ENCODINGS.map((e) => (
+            <option key={e.id} value={e.id}>{e.label}</option>
+          ))}
+        </select>
+        <div className="text-sm font-semibold">{plural("encoded.bytes", bytes.length)}</div>
+        <button
+          onClick={() => copy(bytes.map((b) => "0x" + hexByte(b)).join(" "))}
+          className="px-3 py-1.5 rounded-xl border bg-white hover:bg-slate-50 text-sm"
+        >{t("encoded.copyHex")}</button>
+      </div>
+      {bytes.length === 0 ? (
+        <p className="text-sm text-slate-600">{t("encoded.noBytes")}</p>
+      ) : (
+        <div className="flex flex-wrap gap-2">
+          {units.map((unit, ui) => {
+            const start = offset;
+            offset += unit.bytes.length;
+            return (
+              <div key={ui} className={`rounded-2xl border p-1.5 ${ROLE_STYLES[unit.role]}`}>
+                <div className="flex gap-1">
+                  {unit.bytes.map((b, bi) => (
+                    <div key={bi} className="px-2 py-1.5 rounded-xl bg-white border border-slate-200">
+                      <div className="text-xs text-slate-500">{t("encoded.byte", { offset: start + bi })}</div>
+                      <div className="font-mono">0x{hexByte(b)}</div>
+                      <div className="font-mono text-xs">{groupEvery(padLeft(b.toString(2), 8), 4)}</div>
+                    </div>
+                  ))}
+                </div>
+                <div className="text-xs text-slate-600 mt-1 px-1">
+                  {unit.role !== "bom" && <span className="mr-1">{String.fromCodePoint(unit.cp)}</span>}
+                  {unitCaption(unit, enc, t)}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+      {pairs.length > 0 && (
+        <ul className="text-xs text-amber-800 mt-2 space-y-0.5">
+          {pairs.map((u, i) => {
+            const v = u.cp - 0x10000;
+            const hi = 0xd800 | (v >> 10);
+            const lo = 0xdc00 | (v & 0x3ff);
+            return (
+              <li key={i} className="font-mono">
+                U+{u.cp.toString(16).toUpperCase()} − 0x10000 = 0x{padLeft(v.toString(16).toUpperCase(), 5)} → 0xD800 + 0x
+                {(v >> 10).toString(16).toUpperCase()} = {hi.toString(16).toUpperCase()}, 0xDC00 + 0x
+                {(v & 0x3ff).toString(16).toUpperCase()} = {lo.toString(16).toUpperCase()}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+      <p className="text-xs text-slate-500 mt-3">{t(`encoded.note.${enc.kind}`)}</p>
+    </div>
+  );
+}
+
+// ---------- component ----------
+export default function EncodingComparison({ text }) {
+  const { t, plural } = useI18n();
+  const [left, setLeft] = useState("utf8");
+  const [right, setRight] = useState("utf16le");
+  const [bom, setBom] = useState(false);
+
+  const sizes = useMemo(
+    () =>
+      ENCODINGS.map((enc) => {
+        const units = encodeText(text, enc.id, { bom });
+        return {
+          enc,
+          bytes: units.reduce((n, u) => n + u.bytes.length, 0),
+          lost: units.filter((u) => u.role === "unmappable").length,
+        };
+      }),
+    [text, bom]
+  );
+  const largest = Math.max(1, ...sizes.map((s) => s.bytes));
+
+  return (
+    <>
+      <div className="bg-white rounded-2xl p-4 shadow-sm border border-slate-200">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="font-semibold">{t("encoded.title")}</h3>
+          <label className="flex items-center gap-2 text-sm text-slate-600">
+            <input type="checkbox" checked={bom} onChange={(e) => setBom(e.target.checked)} />
+            {t("encoded.writeBom")}
+          </label>
+        </div>
+        <div className="grid md:grid-cols-2 gap-6">
+          <EncodingPanel text={text} encodingId={left} onChange={setLeft} bom={bom} />
+          <EncodingPanel text={text} encodingId={right} onChange={setRight} bom={bom} />
+        </div>
+      </div>
+
+      <div className="bg-white rounded-2xl p-4 shadow-sm border border-slate-200">
+        <h3 className="font-semibold mb-3">{t("encoded.sizes")}</h3>
+        <table className="min-w-full text-sm">
+          <tbody>
+            {sizes.map(({ enc, bytes, lost }) => (
+              <tr key={enc.id} className="border-t border-slate-200">
+                <td className="py-1.5 pr-4 whitespace-nowrap">{enc.label}</td>
+                <td className="py-1.5 pr-4 font-mono text-right whitespace-nowrap">{plural("encoded.bytes", bytes)}</td>
+                <td className="py-1.5 pr-4 w-full">
+                  <div className="h-3 rounded bg-slate-900" style={{ width: `${(bytes / largest) * 100}%` }} />
+                </td>
+                <td className="py-1.5 text-xs whitespace-nowrap">
+                  {lost > 0 ? (
+                    <span className="text-rose-600">{plural("encoded.lost", lost)}</span>
+                  ) : (
+                    <span className="text-green-700">{t("encoded.lossless")}</span>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="text-xs text-slate-500 mt-3">{t("encoded.sizesNote")}</p>
+      </div>
+    </>
+  );
+}
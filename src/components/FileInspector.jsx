@@ -0,0 +1,222 @@
+import React, { useMemo, useState } from "react";
+import { parseImageFile } from "../lib/imageFormats";
+import { formatBytes } from "../lib/colorDepth";
+import useI18n from "../hooks/useI18n";
+
+/**
+ * File Inspector
+ * ------------------------------------------------------
+ * The uploaded file as bytes: an annotated hex dump of its signature,
+ * headers, chunks/segments/blocks and pixel data. Hovering a decoded
+ * field highlights its bytes and vice versa. A summary compares the
+ * stored file with the pixel buffer the browser decodes it into.
+ */
+
+const BYTES_PER_ROW = 16;
+const MAX_ROWS = 8; // per region; pixel data is elided after that
+const MAX_REGIONS = 150;
+
+const KIND_STYLES = {
+  signature: "bg-violet-100 text-violet-800",
+  header: "bg-sky-100 text-sky-800",
+  palette: "bg-amber-100 text-amber-800",
+  data: "bg-emerald-100 text-emerald-800",
+  meta: "bg-slate-100 text-slate-700",
+  end: "bg-rose-100 text-rose-800",
+};
+
+const FIELD_COLORS = ["bg-sky-100", "bg-emerald-100", "bg-amber-100", "bg-violet-100", "bg-rose-100", "bg-lime-100", "bg-cyan-100", "bg-orange-100"];
+
+const hexOffset = (n) => n.toString(16).toUpperCase().padStart(8, "0");
+const hexByte = (b) => b.toString(16).toUpperCase().padStart(2, "0");
+const printable = (b) => (b >= 0x20 && b < 0x7f ? String.fromCharCode(b) : "·");
+
+/** A parser message ({id, ...values}, values possibly messages too) in the current language; strings are data. */
+export const fileText = (message, i18n) => {
+  if (!message || typeof message !== "object") return message;
+  const { id, count, ...values } = message;
+  for (const k of Object.keys(values)) values[k] = fileText(values[k], i18n);
+  return count === undefined ? i18n.t(`file.${id}`, values) : i18n.plural(`file.${id}`, count, values);
+};
+
+export function RegionDump({ bytes, region, index, active, setActive, highlight }) {
+  const i18n = useI18n();
+  const { plural } = i18n;
+  const shownEnd = Math.min(region.offset + region.length, region.offset + MAX_ROWS * BYTES_PER_ROW);
+  const fieldOf = (o) => region.fields.findIndex((f) => o >= f.offset && o < f.offset + f.length);
+  const rows = [];
+  for (let s = region.offset; s < shownEnd; s += BYTES_PER_ROW) rows.push(s);
+
+  const byteClass = (o) => {
+    const f = fieldOf(o);
+    const isActive = active && active.region === index && active.field === f && f >= 0;
+    const isHighlight = highlight && o >= highlight.offset && o < highlight.offset + highlight.length;
+    return [
+      "px-0.5 rounded cursor-default",
+      f >= 0 ? FIELD_COLORS[f % FIELD_COLORS.length] : "",
+      isActive ? "ring-1 ring-slate-900 font-bold" : "",
+      isHighlight ? "ring-2 ring-red-500" : "",
+    ].join(" ");
+  };
+
+  return (
+    <div className="border-t border-slate-200 py-2 grid lg:grid-cols-2 gap-3">
+      <div className="overflow-x-auto">
+        <div className="flex items-center gap-2 mb-1">
+          <span className={`px-2 py-0.5 rounded text-xs font-semibold ${KIND_STYLES[region.kind]}`}>{fileText(region.label, i18n)}</span>
+          <span className="text-xs text-slate-500 font-mono">{plural("fileInspector.regionAt", region.length, { offset: region.offset })}</span>
+        </div>
+        <div className="font-mono text-xs leading-5">
+          {rows.map((s) => {
+            const row = [];
+            for (let o = s; o < Math.min(s + BYTES_PER_ROW, shownEnd); o++) row.push(o);
+            return (
+              <div key={s} className="flex gap-3 whitespace-nowrap">
+                <span className="text-slate-400">{hexOffset(s)}</span>
+                <span className="inline-block" style={{ minWidth: `${BYTES_PER_ROW * 2.6}ch` }}>
+                  {row.map((o) => (
+                    <span
+                      key={o}
+                      className={byteClass(o)}
+                      onMouseEnter={() => setActive({ region: index, field: fieldOf(o) })}
+                      onMouseLeave={() => setActive(null)}
+                    >
+                      {hexByte(bytes[o])}
+                    </span>
+                  ))}
+                </span>
+                <span className="text-slate-600">{row.map((o) => printable(bytes[o])).join("")}</span>
+              </div>
+            );
+          })}
+          {region.offset + region.length > shownEnd && (
+            <div className="text-slate-400">{plural("fileInspector.moreBytes", region.offset + region.length - shownEnd)}</div>
+          )}
+        </div>
+        {region.note && <div className="text-xs text-slate-500 mt-1">{fileText(region.note, i18n)}</div>}
+      </div>
+      <table className="text-xs self-start">
+        <tbody>
+          {region.fields.map((f, j) => (
+            <tr
+              key={j}
+              onMouseEnter={() => setActive({ region: index, field: j })}
+              onMouseLeave={() => setActive(null)}
+              className={active && active.region === index && active.field === j ? "bg-slate-100" : ""}
+            >
+              <td className="pr-2 py-0.5 align-top">
+                <span className={`inline-block w-2 h-2 rounded-full mr-1 ${FIELD_COLORS[j % FIELD_COLORS.length]}`} />
+                {fileText(f.label, i18n)}
+              </td>
+              <td className="pr-2 py-0.5 align-top font-mono text-slate-500 whitespace-nowrap">
+                {f.offset}+{f.length}
+              </td>
+              <td className="py-0.5 align-top">
+                <span className="font-mono break-all">{fileText(f.value, i18n)}</span>
+                {f.note && <span className="text-slate-500"> — {fileText(f.note, i18n)}</span>}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default function FileInspector({ bytes, fileName, imageData, pixel }) {
+  const i18n = useI18n();
+  const { t, locale, plural, formatNumber } = i18n;
+  const parsed = useMemo(() => parseImageFile(bytes), [bytes]);
+  const [active, setActive] = useState(null); // {region, field} under the mouse
+
+  const { info } = parsed;
+  const decodedBytes = imageData ? imageData.width * imageData.height * 4 : null;
+  const pixelInFile = pixel && info?.offsetOf ? info.offsetOf(pixel.x, pixel.y) : null;
+  const shownRegions = parsed.regions.slice(0, MAX_REGIONS);
+
+  return (
+    <div className="p-4 bg-white rounded-2xl border border-slate-200 space-y-3">
+      <div className="flex items-baseline justify-between gap-2 flex-wrap">
+        <h3 className="font-semibold">{t("fileInspector.title")}</h3>
+        <span className="text-sm text-slate-500">
+          {fileName} · {parsed.format || t("fileInspector.unknownFormat")} · {plural("fileInspector.bytes", bytes.length)}
+        </span>
+      </div>
+
+      {parsed.warnings.length > 0 && (
+        <ul className="text-sm text-amber-700 list-disc pl-5">
+          {parsed.warnings.map((w, i) => (
+            <li key={i}>{fileText(w, i18n)}</li>
+          ))}
+        </ul>
+      )}
+
+      {parsed.format && (
+        <div className="grid md:grid-cols-2 gap-4">
+          <table className="text-sm self-start">
+            <tbody>
+              {[
+                [t("fileInspector.stored"), bytes.length],
+                [t("fileInspector.payload"), parsed.payloadBytes],
+                [t("fileInspector.overhead"), bytes.length - parsed.payloadBytes],
+                info && [t("fileInspector.raw", { bits: info.bitsPerPixel }), info.rawBytes],
+                decodedBytes && [t("fileInspector.decoded"), decodedBytes],
+              ]
+                .filter(Boolean)
+                .map(([label, n]) => (
+                  <tr key={label} className="border-t border-slate-200">
+                    <td className="py-1 pr-4">{label}</td>
+                    <td className="py-1 pr-4 font-mono text-right">{formatNumber(n)}</td>
+                    <td className="py-1 pr-4 font-mono text-slate-500">{formatBytes(n, locale)}</td>
+                    <td className="py-1 font-mono text-slate-500 text-right">
+                      {decodedBytes ? formatNumber(n / decodedBytes, { style: "percent", minimumFractionDigits: 1, maximumFractionDigits: 1 }) : ""}
+                    </td>
+                  </tr>
+                ))}
+            </tbody>
+          </table>
+          <div className="text-sm space-y-2">
+            {info && (
+              <p>
+                <b>
+                  {info.width} × {info.height}
+                </b>
+                , {fileText(info.description, i18n)}
+              </p>
+            )}
+            <p className="text-slate-600">{t(`fileInspector.note.${parsed.format}`)}</p>
+            {pixelInFile && (
+              <p className="font-mono text-xs">
+                {t("fileInspector.pixelStored", {
+                  x: pixel.x,
+                  y: pixel.y,
+                  offset: pixelInFile.offset,
+                  bytes: Array.from(bytes.subarray(pixelInFile.offset, pixelInFile.offset + pixelInFile.length), hexByte).join(" "),
+                  order: fileText(pixelInFile.order, i18n),
+                  rgba: `${pixel.r} ${pixel.g} ${pixel.b} ${pixel.a}`,
+                })}
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+
+      <div>
+        {shownRegions.map((region, i) => (
+          <RegionDump
+            key={i}
+            bytes={bytes}
+            region={region}
+            index={i}
+            active={active}
+            setActive={setActive}
+            highlight={pixelInFile}
+          />
+        ))}
+        {parsed.regions.length > MAX_REGIONS && (
+          <p className="text-xs text-slate-500">{t("fileInspector.firstRegions", { shown: MAX_REGIONS, count: parsed.regions.length })}</p>
+        )}
+      </div>
+    </div>
+  );
+}
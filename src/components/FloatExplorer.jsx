@@ -0,0 +1,376 @@
+import React, { useMemo, useState } from "react";
+import useI18n from "../hooks/useI18n";
+import { padLeft } from "../lib/conversions";
+import {
+  FORMATS,
+  biasOf,
+  decodeFloat,
+  encodeFloat,
+  exactDecimal,
+  floatSum,
+  formatById,
+  parseFloatInput,
+  shortestDecimal,
+  toHexPattern,
+} from "../lib/floats";
+
+/**
+ * IEEE 754 Floating-Point Explorer
+ * ------------------------------------------------------
+ * Shows how half, single and double precision numbers are stored:
+ * the sign, biased exponent and mantissa fields as clickable bits,
+ * the exact value each bit pattern stands for, and the special
+ * cases (±0, subnormals, ±Infinity, NaN payloads).
+ *
+ * The encoding and the arithmetic live in src/lib/floats.js.
+ */
+
+const FIELD_STYLES = {
+  sign: { on: "bg-rose-600 text-white border-rose-600", off: "bg-rose-50 text-rose-700 border-rose-200" },
+  exponent: { on: "bg-sky-600 text-white border-sky-600", off: "bg-sky-50 text-sky-700 border-sky-200" },
+  mantissa: { on: "bg-emerald-600 text-white border-emerald-600", off: "bg-emerald-50 text-emerald-700 border-emerald-200" },
+};
+
+// Presets are built from bit patterns so they hit the edge cases exactly in every format.
+// Numbers are their own label; the others are named by the message float.preset.<id>.
+const presetsFor = (fmt) => {
+  const { bits, expBits, fracBits } = fmt;
+  const signBit = 1n << BigInt(bits - 1);
+  const expMask = ((1n << BigInt(expBits)) - 1n) << BigInt(fracBits);
+  const fracMask = (1n << BigInt(fracBits)) - 1n;
+  const one = BigInt(biasOf(fmt)) << BigInt(fracBits);
+  return [
+    { id: "plusZero", label: "+0", pattern: 0n },
+    { id: "minusZero", label: "−0", pattern: signBit },
+    { id: "one", label: "1", pattern: one },
+    { id: "tenth", label: "0.1", pattern: encodeFloat(0.1, fmt) },
+    { id: "smallestSubnormal", pattern: 1n },
+    { id: "largestSubnormal", pattern: fracMask },
+    { id: "smallestNormal", pattern: 1n << BigInt(fracBits) },
+    { id: "largestFinite", pattern: expMask - (1n << BigInt(fracBits)) + fracMask },
+    { id: "plusInfinity", label: "+∞", pattern: expMask },
+    { id: "minusInfinity", label: "−∞", pattern: signBit | expMask },
+    { id: "quietNan", pattern: expMask | (1n << BigInt(fracBits - 1)) },
+    { id: "nanPayload", pattern: expMask | (1n << BigInt(fracBits - 1)) | 1n },
+    { id: "signallingNan", pattern: expMask | 1n },
+  ];
+};
+
+// ---------- component ----------
+export default function FloatExplorer() {
+  const { t, parts } = useI18n();
+  const [formatId, setFormatId] = useState("single");
+  const fmt = formatById(formatId);
+  const [pattern, setPattern] = useState(() => encodeFloat(0.1, formatById("single")));
+  const [decimalInput, setDecimalInput] = useState("0.1");
+  const [sumA, setSumA] = useState("0.1");
+  const [sumB, setSumB] = useState("0.2");
+
+  const info = useMemo(() => decodeFloat(pattern, fmt), [pattern, fmt]);
+  const hexValue = useMemo(() => toHexPattern(pattern, fmt), [pattern, fmt]);
+  const exact = useMemo(
+    () => (Number.isFinite(info.value) ? exactDecimal(info.sign, info.significand, info.scale) : String(info.value)),
+    [info]
+  );
+  const presets = useMemo(() => presetsFor(fmt), [fmt]);
+
+  const setFromPattern = (next) => {
+    setPattern(next);
+    setDecimalInput(shortestDecimal(next, fmt));
+  };
+
+  const setFromDecimal = (str) => {
+    setDecimalInput(str);
+    const n = parseFloatInput(str);
+    if (n !== null) setPattern(encodeFloat(n, fmt));
+  };
+
+  const setFromHex = (str) => {
+    const cleaned = str.replace(/^0x/i, "").replace(/[^0-9a-fA-F]/g, "");
+    if (cleaned === "") return;
+    setFromPattern(BigInt("0x" + cleaned) & ((1n << BigInt(fmt.bits)) - 1n));
+  };
+
+  const changeFormat = (id) => {
+    const next = formatById(id);
+    const p = encodeFloat(info.value, next);
+    setFormatId(id);
+    setPattern(p);
+    setDecimalInput(shortestDecimal(p, next));
+  };
+
+  const toggleBit = (i) => {
+    // i: UI position, 0 = sign bit (MSB)
+    setFromPattern(pattern ^ (1n << BigInt(fmt.bits - 1 - i)));
+  };
+
+  const fieldOf = (i) => (i === 0 ? "sign" : i <= fmt.expBits ? "exponent" : "mantissa");
+
+  const isNaNKind = info.kind === "qnan" || info.kind === "snan";
+  const unbiased = info.kind === "subnormal" || info.kind === "zero" ? 1 - info.bias : info.exp - info.bias;
+  const leading = info.kind === "normal" ? "1" : "0";
+  const fracBin = padLeft(info.frac.toString(2), fmt.fracBits);
+  const ulp = Number.isFinite(info.value) ? 2 ** (info.kind === "normal" ? info.scale : 1 - info.bias - fmt.fracBits) : null;
+
+  // 0.1 + 0.2 in the selected precision: round both operands, add, round the sum
+  const sum = useMemo(() => floatSum(sumA, sumB, fmt), [sumA, sumB, fmt]);
+
+  return (
+    <section className="space-y-6">
+      {/* Controls */}
+      <div className="grid md:grid-cols-3 gap-4">
+        <div className="bg-white rounded-2xl p-4 shadow-sm border border-slate-200">
+          <h2 className="font-semibold mb-3">{t("float.precision")}</h2>
+          <div className="flex gap-2 flex-wrap">
+            {FORMATS.map((f) => (
+              <button
+                key={f.id}
+                onClick={() => changeFormat(f.id)}
+                className={`px-3 py-1.5 rounded-xl border text-sm ${
+                  formatId === f.id
+                    ? "bg-slate-900 text-white border-slate-900"
+                    : "bg-white text-slate-700 border-slate-300 hover:bg-slate-50"
+                }`}
+              >
+                {t("float.formatButton", { format: t(`float.format.${f.id}`), bits: f.bits })}
+              </button>
+            ))}
+          </div>
+          <p className="text-xs text-slate-500 mt-2">
+            {t("float.layout", { expBits: fmt.expBits, bias: info.bias, fracBits: fmt.fracBits })}
+          </p>
+        </div>
+
+        <div className="bg-white rounded-2xl p-4 shadow-sm border border-slate-200">
+          <h2 className="font-semibold mb-3">{t("float.enterValue")}</h2>
+          <div className="grid grid-cols-3 gap-2 items-center">
+            <label className="text-xs uppercase tracking-wide text-slate-500">{t("float.decimal")}</label>
+            <input
+              type="text"
+              className="col-span-2 w-full rounded-xl border border-slate-300 px-3 py-2 font-mono focus:outline-none focus:ring-2 focus:ring-slate-400"
+              value={decimalInput}
+              onChange={(e) => setFromDecimal(e.target.value)}
+              placeholder={t("float.placeholder")}
+            />
+
+            <label className="text-xs uppercase tracking-wide text-slate-500">{t("float.hexBits")}</label>
+            <input
+              type="text"
+              className="col-span-2 w-full rounded-xl border border-slate-300 px-3 py-2 font-mono uppercase"
+              value={hexValue}
+              onChange={(e) => setFromHex(e.target.value)}
+            />
+          </div>
+          <p className="text-xs text-slate-500 mt-2">{t("float.roundingNote")}</p>
+        </div>
+
+        <div className="bg-white rounded-2xl p-4 shadow-sm border border-slate-200">
+          <h2 className="font-semibold mb-3">{t("float.views")}</h2>
+          <div className="grid grid-cols-2 gap-3">
+            <div className="p-3 rounded-xl bg-slate-50 border border-slate-200">
+              <div className="text-xs text-slate-500">{t("float.class")}</div>
+              <div className="text-xl font-semibold">{t(`float.kind.${info.kind}`)}</div>
+            </div>
+            <div className="p-3 rounded-xl bg-slate-50 border border-slate-200">
+              <div className="text-xs text-slate-500">{t("float.storedValue")}</div>
+              <div className="text-xl font-semibold font-mono break-all">{shortestDecimal(pattern, fmt)}</div>
+            </div>
+            <div className="p-3 rounded-xl bg-slate-50 border border-slate-200 col-span-2">
+              <div className="text-xs text-slate-500">{t("float.exactValue")}</div>
+              <div className="font-mono text-sm break-all max-h-24 overflow-y-auto">{exact}</div>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Bits panel */}
+      <div className="bg-white rounded-2xl p-4 shadow-sm border border-slate-200">
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="font-semibold">{t("float.flipBits")}</h2>
+          <div className="flex gap-3 text-xs">
+            <span className="text-rose-700">■ {t("float.field.sign")}</span>
+            <span className="text-sky-700">■ {t("float.field.exponent")}</span>
+            <span className="text-emerald-700">■ {t("float.field.mantissa")}</span>
+          </div>
+        </div>
+        <div className="flex flex-wrap gap-1">
+          {Array.from({ length: fmt.bits }).map((_, i) => {
+            const bitIndex = fmt.bits - 1 - i;
+            const on = ((pattern >> BigInt(bitIndex)) & 1n) === 1n;
+            const style = FIELD_STYLES[fieldOf(i)];
+            const fieldStart = i === 1 || i === fmt.expBits + 1;
+            return (
+              <button
+                key={i}
+                onClick={() => toggleBit(i)}
+                title={t("float.bitTitle", { index: bitIndex, field: t(`float.field.${fieldOf(i)}`) })}
+                className={`w-8 rounded-lg py-1.5 border font-mono text-sm font-semibold transition select-none ${
+                  on ? style.on : style.off
+                } ${fieldStart ? "ml-2" : ""}`}
+              >
+                {on ? 1 : 0}
+              </button>
+            );
+          })}
+        </div>
+
+        <div className="grid md:grid-cols-3 gap-3 mt-4 text-sm">
+          <div className="p-3 rounded-xl bg-rose-50 border border-rose-200">
+            <div className="text-xs text-rose-700">{t("float.sign")}</div>
+            <div className="font-mono">{info.sign}</div>
+            <div className="text-xs text-slate-600">{info.sign ? t("float.negative") : t("float.positive")}</div>
+          </div>
+          <div className="p-3 rounded-xl bg-sky-50 border border-sky-200">
+            <div className="text-xs text-sky-700">{t("float.exponent")}</div>
+            <div className="font-mono">
+              {padLeft(info.exp.toString(2), fmt.expBits)} = {info.exp}
+            </div>
+            <div className="text-xs text-slate-600">
+              {info.exp === 0
+                ? t("float.exponentZeros", { bias: info.bias, exponent: 1 - info.bias })
+                : info.exp === 2 ** fmt.expBits - 1
+                ? t("float.exponentOnes")
+                : `${info.exp} − ${info.bias} = ${info.exp - info.bias}`}
+            </div>
+          </div>
+          <div className="p-3 rounded-xl bg-emerald-50 border border-emerald-200">
+            <div className="text-xs text-emerald-700">{t("float.mantissa")}</div>
+            <div className="font-mono break-all">{fracBin}</div>
+            <div className="text-xs text-slate-600">
+              {isNaNKind
+                ? t("float.nanMantissa", {
+                    quiet: fracBin[0],
+                    payload: info.payload.toString(),
+                    hex: info.payload.toString(16).toUpperCase(),
+                  })
+                : t("float.significand", { significand: `${leading}.${fracBin.replace(/0+$/, "") || "0"}₂`, leading })}
+            </div>
+          </div>
+        </div>
+
+        <div className="mt-3 text-sm text-slate-600">
+          {info.kind === "normal" || info.kind === "subnormal" || info.kind === "zero" ? (
+            <span className="font-mono">
+              (−1)^{info.sign} × {leading}.{fracBin.replace(/0+$/, "") || "0"}₂ × 2^{unbiased} = {shortestDecimal(pattern, fmt)}
+            </span>
+          ) : isNaNKind ? (
+            <span>{t("float.nanExplained")}</span>
+          ) : (
+            <span>{t("float.infinityExplained", { sign: info.sign ? "−" : "+" })}</span>
+          )}
+          {ulp !== null && (
+            <span className="ml-4 text-xs text-slate-500">{t("float.gap", { ulp: ulp.toPrecision(6) })}</span>
+          )}
+        </div>
+      </div>
+
+      {/* Special values */}
+      <div className="bg-white rounded-2xl p-4 shadow-sm border border-slate-200">
+        <h3 className="font-semibold mb-2">{t("float.specialValues")}</h3>
+        <div className="flex gap-2 flex-wrap mb-3">
+          {presets.map((p) => (
+            <button
+              key={p.id}
+              onClick={() => setFromPattern(p.pattern)}
+              className={`px-3 py-1.5 rounded-xl border text-sm ${
+                p.pattern === pattern
+                  ? "bg-slate-900 text-white border-slate-900"
+                  : "bg-white text-slate-700 border-slate-300 hover:bg-slate-50"
+              }`}
+            >
+              {p.label ?? t(`float.preset.${p.id}`)}
+            </button>
+          ))}
+        </div>
+        <ul className="text-sm text-slate-600 space-y-1 list-disc pl-5">
+          <li>
+            <b>{t("float.note.bias.term")}</b>{" "}
+            {parts("float.note.bias", {
+              bias: info.bias,
+              power: (
+                <>
+                  2<sup>0</sup>
+                </>
+              ),
+            })}
+          </li>
+          <li>
+            <b>{t("float.note.subnormals.term")}</b> {t("float.note.subnormals")}
+          </li>
+          <li>
+            <b>{t("float.note.zero.term")}</b> {t("float.note.zero")}
+          </li>
+          <li>
+            <b>{t("float.note.infinity.term")}</b> {t("float.note.infinity")}
+          </li>
+          <li>
+            <b>{t("float.note.nan.term")}</b> {t("float.note.nan")}
+          </li>
+        </ul>
+      </div>
+
+      {/* 0.1 + 0.2 */}
+      <div className="bg-white rounded-2xl p-4 shadow-sm border border-slate-200">
+        <div className="flex items-center justify-between mb-3 gap-4 flex-wrap">
+          <h3 className="font-semibold">{t("float.sumTitle")}</h3>
+          <div className="flex items-center gap-2 text-sm">
+            <input
+              type="text"
+              className="w-24 rounded-xl border border-slate-300 px-3 py-1.5 font-mono"
+              value={sumA}
+              onChange={(e) => setSumA(e.target.value)}
+            />
+            <span>+</span>
+            <input
+              type="text"
+              className="w-24 rounded-xl border border-slate-300 px-3 py-1.5 font-mono"
+              value={sumB}
+              onChange={(e) => setSumB(e.target.value)}
+            />
+          </div>
+        </div>
+        {sum ? (
+          <>
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-slate-500">
+                  <th className="py-2 pr-4">{t("float.column.quantity")}</th>
+                  <th className="py-2 pr-4">{t("float.hexBits")}</th>
+                  <th className="py-2 pr-4">{t("float.column.exact")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[
+                  { id: "a", label: t("float.storedAs", { value: sumA }), d: sum.a },
+                  { id: "b", label: t("float.storedAs", { value: sumB }), d: sum.b },
+                  { id: "sum", label: t("float.sumRounded"), d: sum.sum },
+                  { id: "expected", label: t("float.storedAs", { value: sum.expectedLabel }), d: sum.expected },
+                ].map((row) => (
+                  <tr key={row.id} className="border-t border-slate-200 align-top">
+                    <td className="py-2 pr-4 whitespace-nowrap">{row.label}</td>
+                    <td className="py-2 pr-4 font-mono">0x{row.d.hex}</td>
+                    <td className="py-2 pr-4 font-mono break-all">{row.d.exact}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div
+              className={`mt-3 inline-block px-3 py-1.5 rounded-xl text-sm font-semibold ${
+                sum.equal ? "bg-green-600 text-white" : "bg-amber-100 text-amber-800"
+              }`}
+            >
+              {sum.equal
+                ? t("float.sumEqual", { precision: t(`float.inPrecision.${fmt.id}`), expected: sum.expectedLabel })
+                : t("float.sumDiffers", { precision: t(`float.inPrecision.${fmt.id}`), sum: sum.sum.short, expected: sum.expectedLabel })}
+            </div>
+            <p className="text-xs text-slate-500 mt-3">
+              {t("float.sumNote")}
+            </p>
+          </>
+        ) : (
+          <p className="text-sm text-slate-600">{t("float.enterTwo")}</p>
+        )}
+      </div>
+    </section>
+  );
+}
@@ -1,100 +1,218 @@
-import React, { useRef, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
+import ColorDepthView from "./ColorDepthView";
+import ColorSpacePanel from "./ColorSpacePanel";
+import CompressionView from "./CompressionView";
+import ConvolutionView from "./ConvolutionView";
+import FileInspector from "./FileInspector";
+import ImageExport from "./ImageExport";
+import ImageStatistics from "./ImageStatistics";
+import PixelEditor from "./PixelEditor";
+import PixelMemoryView from "./PixelMemoryView";
+import PixelViewer from "./PixelViewer";
+import StegoLab from "./StegoLab";
+import YCbCrView from "./YCbCrView";
+import useI18n from "../hooks/useI18n";
+import { rgbToHex, rgbToHsv } from "../lib/conversions";
+import { createBlank, drawLine, floodFill, setPixel } from "../lib/pixelEdit";
 
-export default function GraphicsAnalyzer() {
+const UNDO_BYTES = 64 * 1024 * 1024; // undo snapshots are full copies of the pixel buffer
+
+export default function GraphicsAnalyzer({ onOpenNumber }) {
+  const { t } = useI18n();
   const [image, setImage] = useState(null);
-  const [pixel, setPixel] = useState(null);
-  const canvasRef = useRef();
+  const [file, setFile] = useState(null); // {name, bytes} of the uploaded file as stored
+  const [readError, setReadError] = useState(null);
+  const [picked, setPicked] = useState(null); // {x, y} of the inspected pixel
+  const [imageData, setImageData] = useState(null);
+  const [selection, setSelection] = useState(null); // {x, y, width, height} in image pixels
+  const [baseName, setBaseName] = useState("image"); // for exported files
+  const [paintColor, setPaintColor] = useState({ r: 255, g: 0, b: 0 });
+  const [undoCount, setUndoCount] = useState(0);
+  const [showMemory, setShowMemory] = useState(false);
+  const undoStack = useRef([]); // pixel buffers before each edit
+  const strokeStart = useRef(null); // buffer before the current pencil stroke, until it changes something
+  const currentUpload = useRef(null); // the file whose bytes setFile may still store
+
+  // an object URL holds the whole file in memory until it is revoked
+  useEffect(() => {
+    if (image) return () => URL.revokeObjectURL(image);
+  }, [image]);
 
   const handleFile = (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
-    const url = URL.createObjectURL(file);
-    setImage(url);
+    const upload = e.target.files?.[0];
+    if (!upload) return; // the picker was cancelled
+    currentUpload.current = upload;
+    setImage(URL.createObjectURL(upload));
+    setFile(null);
+    setReadError(null);
+    // a slow read of an earlier pick must not overwrite the bytes (or error) of a later one
+    upload.arrayBuffer().then(
+      (buffer) => currentUpload.current === upload && setFile({ name: upload.name, bytes: new Uint8Array(buffer) }),
+      (err) => currentUpload.current === upload && setReadError(t("graphics.readFailed", { name: upload.name, error: err.message }))
+    );
+    setPicked(null);
+    setSelection(null);
+    setBaseName(upload.name.replace(/\.[^.]*$/, "") || "image");
+    clearUndo();
+  };
+
+  // ---------- editing ----------
+  // edits change the buffer in place; a new ImageData around it tells the views to redraw
+  const refresh = (data = imageData.data) => setImageData(new ImageData(data, imageData.width, imageData.height));
+
+  const clearUndo = () => {
+    undoStack.current = [];
+    setUndoCount(0);
+  };
+
+  const pushUndo = (snapshot) => {
+    const stack = undoStack.current;
+    stack.push(snapshot);
+    while (stack.length > 1 && stack.length * snapshot.length > UNDO_BYTES) stack.shift();
+    setUndoCount(stack.length);
+  };
+
+  const undo = () => {
+    const snapshot = undoStack.current.pop();
+    setUndoCount(undoStack.current.length);
+    if (snapshot) refresh(snapshot);
   };
 
-  const getPixel = (e) => {
-    const canvas = canvasRef.current;
-    const ctx = canvas.getContext("2d");
-    const rect = canvas.getBoundingClientRect();
-    const x = Math.floor(((e.clientX - rect.left) / rect.width) * canvas.width);
-    const y = Math.floor(((e.clientY - rect.top) / rect.height) * canvas.height);
-    const data = ctx.getImageData(x, y, 1, 1).data;
-    const [r, g, b, a] = data;
-    setPixel({ x, y, r, g, b, a });
+  const color = { ...paintColor, a: 255 };
+
+  const setPickedPixel = () => {
+    const before = imageData.data.slice();
+    if (setPixel(imageData, picked.x, picked.y, color)) {
+      pushUndo(before);
+      refresh();
+    }
   };
 
-  const rgbToHex = (r, g, b) =>
-    "#" +
-    [r, g, b]
-      .map((v) => v.toString(16).padStart(2, "0"))
-      .join("")
-      .toUpperCase();
-
-  const rgbToHsv = (r, g, b) => {
-    r /= 255; g /= 255; b /= 255;
-    let max = Math.max(r, g, b), min = Math.min(r, g, b);
-    let h, s, v = max;
-    let d = max - min;
-    s = max === 0 ? 0 : d / max;
-    if (max === min) {
-      h = 0;
-    } else {
-      switch (max) {
-        case r: h = (g - b) / d + (g < b ? 6 : 0); break;
-        case g: h = (b - r) / d + 2; break;
-        case b: h = (r - g) / d + 4; break;
-      }
-      h /= 6;
+  const paint = ({ tool, from, to, start }) => {
+    if (start) strokeStart.current = imageData.data.slice();
+    const changed = tool === "fill" ? floodFill(imageData, to.x, to.y, color) : drawLine(imageData, from, to, color);
+    if (!changed) return;
+    if (strokeStart.current) {
+      pushUndo(strokeStart.current);
+      strokeStart.current = null;
     }
-    return {
-      h: Math.round(h * 360),
-      s: Math.round(s * 100),
-      v: Math.round(v * 100),
-    };
+    refresh();
+  };
+
+  // replaces the whole buffer, e.g. with the filtered image or one carrying a hidden message
+  const replacePixels = (data) => {
+    pushUndo(imageData.data.slice());
+    refresh(new Uint8ClampedArray(data));
+  };
+
+  const newImage = (width, height) => {
+    currentUpload.current = null;
+    setImage(null);
+    setFile(null);
+    setImageData(createBlank(width, height, color));
+    setPicked(null);
+    setSelection(null);
+    setBaseName(`blank-${width}x${height}`);
+    clearUndo();
   };
 
+  // read from the pixel buffer on every render, so the panel follows the viewer
+  const pixel = (() => {
+    if (!picked || !imageData) return null;
+    const i = (picked.y * imageData.width + picked.x) * 4;
+    const [r, g, b, a] = imageData.data.slice(i, i + 4);
+    return { ...picked, r, g, b, a };
+  })();
+
   return (
     <div className="p-4 space-y-4">
-      <h2 className="text-xl font-bold">Graphics Analyzer</h2>
+      <h2 className="text-xl font-bold">{t("graphics.title")}</h2>
 
       <input type="file" accept="image/*" onChange={handleFile} />
+      {readError && <p className="text-sm text-red-600">{readError}</p>}
 
-      {image && (
+      {imageData && (
         <div>
-          <canvas
-            ref={canvasRef}
-            onClick={getPixel}
-            className="border rounded shadow"
-          />
-          <img
-            src={image}
-            alt="uploaded"
-            className="hidden"
-            onLoad={(e) => {
-              const canvas = canvasRef.current;
-              const ctx = canvas.getContext("2d");
-              canvas.width = e.target.width;
-              canvas.height = e.target.height;
-              ctx.drawImage(e.target, 0, 0);
-            }}
+          <PixelViewer
+            imageData={imageData}
+            pixel={picked}
+            onPick={setPicked}
+            selection={selection}
+            onSelect={setSelection}
+            onPaint={paint}
           />
+          {selection && (
+            <button onClick={() => setSelection(null)} className="mt-1 px-2 py-0.5 rounded bg-gray-200 text-xs">
+              {t("graphics.clearSelection")}
+            </button>
+          )}
         </div>
       )}
+      {image && (
+        <img
+          src={image}
+          alt={t("graphics.uploadedAlt")}
+          className="hidden"
+          onLoad={(e) => {
+            const canvas = document.createElement("canvas");
+            canvas.width = e.target.naturalWidth;
+            canvas.height = e.target.naturalHeight;
+            const ctx = canvas.getContext("2d");
+            ctx.drawImage(e.target, 0, 0);
+            setImageData(ctx.getImageData(0, 0, canvas.width, canvas.height));
+          }}
+        />
+      )}
+
+      <PixelEditor
+        pixel={pixel}
+        color={paintColor}
+        onColorChange={setPaintColor}
+        onSetPixel={setPickedPixel}
+        onNewImage={newImage}
+        onUndo={undo}
+        canUndo={undoCount > 0}
+      />
 
       {pixel && (
         <div className="p-2 bg-gray-100 rounded">
-          <p><b>Pixel:</b> ({pixel.x}, {pixel.y})</p>
-          <p><b>RGB:</b> {pixel.r}, {pixel.g}, {pixel.b}</p>
+          <p><b>{t("graphics.pixel")}</b> ({pixel.x}, {pixel.y})</p>
+          <p><b>RGB:</b> {pixel.r}, {pixel.g}, {pixel.b}{pixel.a !== 255 && <> {t("graphics.alpha", { alpha: pixel.a })}</>}</p>
           <p><b>HEX:</b> {rgbToHex(pixel.r, pixel.g, pixel.b)}</p>
           <p>
             <b>HSV:</b>{" "}
             {(() => {
               const { h, s, v } = rgbToHsv(pixel.r, pixel.g, pixel.b);
-              return `${h}°, ${s}%, ${v}%`;
+              return `${Math.round(h)}°, ${Math.round(s)}%, ${Math.round(v)}%`;
             })()}
           </p>
+          <button onClick={() => setShowMemory(!showMemory)} className="mt-1 px-2 py-0.5 rounded bg-gray-200 text-xs">
+            {showMemory ? t("graphics.hideMemory") : t("graphics.viewInMemory")}
+          </button>
         </div>
       )}
+
+      {pixel && showMemory && <PixelMemoryView imageData={imageData} pixel={pixel} onOpenNumber={onOpenNumber} />}
+
+      {pixel && <ColorSpacePanel pixel={pixel} />}
+
+      {imageData && <ImageExport imageData={imageData} baseName={baseName} onInspect={(bytes, name) => setFile({ name, bytes })} />}
+
+      {imageData && (
+        <StegoLab imageData={imageData} pixel={picked} onPick={setPicked} onApply={replacePixels} baseName={baseName} />
+      )}
+
+      {imageData && <CompressionView imageData={imageData} pixel={picked} onPick={setPicked} />}
+
+      {imageData && <ConvolutionView imageData={imageData} pixel={picked} onPick={setPicked} onApply={replacePixels} />}
+
+      {file && <FileInspector bytes={file.bytes} fileName={file.name} imageData={imageData} pixel={pixel} />}
+
+      {imageData && <ImageStatistics imageData={imageData} selection={selection} />}
+
+      {imageData && <ColorDepthView imageData={imageData} />}
+
+      {imageData && <YCbCrView imageData={imageData} />}
     </div>
   );
 }
@@ -0,0 +1,302 @@
+import React, { useEffect, useRef, useState } from "react";
+import DataInspector from "./DataInspector";
+import { formatBytes } from "../lib/colorDepth";
+import { PASTE_MODES, bytesToHex, hexByte, hexOffset, parsePastedBytes, printableChar } from "../lib/binaryData";
+import useI18n from "../hooks/useI18n";
+
+/**
+ * Hex Viewer
+ * ------------------------------------------------------
+ * Any file (or pasted bytes) as offset · hex · ASCII rows. Only the
+ * rows in view are rendered, so multi-megabyte files scroll as fast as
+ * small ones. Click or drag to select bytes (Shift extends, arrow keys
+ * move); the Data Inspector reads the selection as numbers, strings
+ * and timestamps.
+ */
+
+const BYTES_PER_ROW = 16;
+const ROW_HEIGHT = 20; // px, fixed so a row's position follows from its index
+const VIEW_ROWS = 24;
+const OVERSCAN = 4;
+// browsers cap element heights (~17M px in Firefox); taller files map the scrollbar proportionally
+const MAX_SCROLL_HEIGHT = 8_000_000;
+
+const SAMPLE = "89 50 4E 47 0D 0A 1A 0A 00 00 00 0D 49 48 44 52 00 00 01 00 00 00 00 C8 08 06 00 00 00 F4 31 A1 B7";
+
+const parseOffset = (str) => {
+  const s = String(str).trim();
+  if (/^0x[0-9a-f]+$/i.test(s)) return parseInt(s.slice(2), 16);
+  if (/^\d+$/.test(s)) return Number(s);
+  return null;
+};
+
+function HexGrid({ bytes, selection, onSelect }) {
+  const scrollRef = useRef(null);
+  const dragging = useRef(false);
+  const [scrollTop, setScrollTop] = useState(0);
+
+  const rowCount = Math.max(1, Math.ceil(bytes.length / BYTES_PER_ROW));
+  const viewHeight = VIEW_ROWS * ROW_HEIGHT;
+  const fullHeight = rowCount * ROW_HEIGHT;
+  const scrollHeight = Math.min(fullHeight, MAX_SCROLL_HEIGHT);
+  const scaled = fullHeight > scrollHeight;
+  const maxFirstRow = Math.max(0, rowCount - VIEW_ROWS);
+
+  // scrollTop ↔ first visible row; identity (÷ ROW_HEIGHT) unless scaled
+  const rowAt = (top) =>
+    scaled ? Math.round((top / Math.max(1, scrollHeight - viewHeight)) * maxFirstRow) : Math.floor(top / ROW_HEIGHT);
+  const topOf = (row) => (scaled ? (row / Math.max(1, maxFirstRow)) * (scrollHeight - viewHeight) : row * ROW_HEIGHT);
+
+  const firstVisible = Math.min(rowAt(scrollTop), maxFirstRow);
+  const first = scaled ? firstVisible : Math.max(0, firstVisible - OVERSCAN);
+  const last = Math.min(rowCount, firstVisible + VIEW_ROWS + (scaled ? 0 : OVERSCAN));
+  // scaled: the rendered block rides along with the scroll position
+  const blockTop = scaled ? scrollTop : first * ROW_HEIGHT;
+
+  const lo = Math.min(selection.anchor, selection.focus);
+  const hi = Math.max(selection.anchor, selection.focus);
+
+  // keep the focus byte in view when it moves by keyboard or "Go to"
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (!el) return;
+    const row = Math.floor(selection.focus / BYTES_PER_ROW);
+    if (row < firstVisible) el.scrollTop = topOf(row);
+    else if (row >= firstVisible + VIEW_ROWS) el.scrollTop = topOf(row - VIEW_ROWS + 1);
+  }, [selection.focus]);
+
+  useEffect(() => {
+    const stop = () => (dragging.current = false);
+    window.addEventListener("mouseup", stop);
+    return () => window.removeEventListener("mouseup", stop);
+  }, []);
+
+  const offsetOf = (e) => {
+    const o = e.target.dataset?.offset;
+    return o === undefined ? null : Number(o);
+  };
+
+  const onMouseDown = (e) => {
+    const o = offsetOf(e);
+    if (o === null) return;
+    e.preventDefault(); // no text selection; the grid has its own
+    scrollRef.current.focus();
+    dragging.current = true;
+    onSelect(e.shiftKey ? selection.anchor : o, o);
+  };
+
+  const onMouseOver = (e) => {
+    const o = offsetOf(e);
+    if (dragging.current && o !== null) onSelect(selection.anchor, o);
+  };
+
+  const onKeyDown = (e) => {
+    const page = BYTES_PER_ROW * (VIEW_ROWS - 1);
+    const rowStart = selection.focus - (selection.focus % BYTES_PER_ROW);
+    const moves = {
+      ArrowLeft: selection.focus - 1,
+      ArrowRight: selection.focus + 1,
+      ArrowUp: selection.focus - BYTES_PER_ROW,
+      ArrowDown: selection.focus + BYTES_PER_ROW,
+      PageUp: selection.focus - page,
+      PageDown: selection.focus + page,
+      Home: e.ctrlKey ? 0 : rowStart,
+      End: e.ctrlKey ? bytes.length - 1 : rowStart + BYTES_PER_ROW - 1,
+    };
+    if (!(e.key in moves)) return;
+    e.preventDefault();
+    const next = Math.max(0, Math.min(bytes.length - 1, moves[e.key]));
+    onSelect(e.shiftKey ? selection.anchor : next, next);
+  };
+
+  const offsetDigits = Math.max(8, hexOffset(bytes.length).length);
+  const rows = [];
+  for (let r = first; r < last; r++) rows.push(r);
+
+  const cellClass = (o) => (o >= lo && o <= hi ? (o === selection.focus ? "bg-blue-600 text-white" : "bg-blue-200") : "");
+
+  return (
+    <div
+      ref={scrollRef}
+      tabIndex={0}
+      className="relative overflow-y-auto overflow-x-auto rounded-xl border border-slate-200 bg-slate-50 outline-none focus:ring-2 focus:ring-blue-300 font-mono text-xs select-none"
+      style={{ height: viewHeight }}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      onKeyDown={onKeyDown}
+      onMouseDown={onMouseDown}
+      onMouseOver={onMouseOver}
+    >
+      <div style={{ height: scrollHeight }} />
+      <div className="absolute left-0 px-2" style={{ top: blockTop }}>
+        {rows.map((r) => {
+          const start = r * BYTES_PER_ROW;
+          const cells = [];
+          for (let o = start; o < Math.min(start + BYTES_PER_ROW, bytes.length); o++) cells.push(o);
+          return (
+            <div key={r} className="flex gap-4 whitespace-nowrap" style={{ height: ROW_HEIGHT, lineHeight: `${ROW_HEIGHT}px` }}>
+              <span className="text-slate-400">{hexOffset(start, offsetDigits)}</span>
+              <span className="inline-block" style={{ width: `${BYTES_PER_ROW * 3 + 1}ch` }}>
+                {cells.map((o) => (
+                  <span key={o} data-offset={o} className={`px-[0.5ch] cursor-default ${o % 8 === 0 && o % 16 ? "ml-[1ch]" : ""} ${cellClass(o)}`}>
+                    {hexByte(bytes[o])}
+                  </span>
+                ))}
+              </span>
+              <span className="text-slate-600">
+                {cells.map((o) => (
+                  <span key={o} data-offset={o} className={`cursor-default ${cellClass(o)}`}>
+                    {printableChar(bytes[o])}
+                  </span>
+                ))}
+              </span>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default function HexViewer() {
+  const { locale, t, plural, formatNumber } = useI18n();
+  // name is null for pasted bytes
+  const [source, setSource] = useState(() => ({ name: null, bytes: parsePastedBytes(SAMPLE, "hex").bytes }));
+  const [selection, setSelection] = useState({ anchor: 0, focus: 0 }); // inclusive byte offsets
+  const [pasteMode, setPasteMode] = useState("hex");
+  const [pasted, setPasted] = useState(SAMPLE);
+  const [pasteError, setPasteError] = useState(null);
+  const [goTo, setGoTo] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [readError, setReadError] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const { bytes } = source;
+  const lo = Math.min(selection.anchor, selection.focus);
+  const hi = Math.max(selection.anchor, selection.focus);
+  const length = bytes.length ? hi - lo + 1 : 0;
+
+  const load = (name, data) => {
+    setSource({ name, bytes: data });
+    setSelection({ anchor: 0, focus: 0 });
+  };
+
+  // upload is undefined when the picker was cancelled
+  const openFile = (upload) => {
+    if (!upload) return;
+    setLoading(true);
+    setReadError(null);
+    upload
+      .arrayBuffer()
+      .then((buffer) => load(upload.name, new Uint8Array(buffer)))
+      .catch((e) => setReadError(t("hexViewer.readFailed", { name: upload.name, error: e.message })))
+      .finally(() => setLoading(false));
+  };
+
+  const loadPasted = () => {
+    const result = parsePastedBytes(pasted, pasteMode);
+    setPasteError(result.reason || null);
+    if (result.bytes) load(null, result.bytes);
+  };
+
+  const jump = (e) => {
+    e.preventDefault();
+    const o = parseOffset(goTo);
+    if (o === null || !bytes.length) return;
+    const target = Math.min(o, bytes.length - 1);
+    setSelection({ anchor: target, focus: target });
+  };
+
+  const copySelection = async () => {
+    try {
+      await navigator.clipboard.writeText(bytesToHex(bytes.subarray(lo, hi + 1)));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch {
+      setCopied(false);
+    }
+  };
+
+  return (
+    <div className="p-4 space-y-4">
+      <h2 className="text-xl font-bold">{t("hexViewer.title")}</h2>
+
+      <div
+        className="p-4 bg-white rounded-2xl border border-slate-200 grid md:grid-cols-2 gap-4"
+        onDragOver={(e) => e.preventDefault()}
+        onDrop={(e) => {
+          e.preventDefault();
+          openFile(e.dataTransfer.files?.[0]);
+        }}
+      >
+        <div className="space-y-2 text-sm">
+          <div className="font-medium">{t("hexViewer.open")}</div>
+          <input type="file" onChange={(e) => openFile(e.target.files?.[0])} />
+          <p className="text-slate-500">{t("hexViewer.drop")}</p>
+          {loading && <p className="text-slate-500">{t("hexViewer.reading")}</p>}
+          {readError && <p className="text-red-600">{readError}</p>}
+        </div>
+        <div className="space-y-2 text-sm">
+          <div className="flex items-center gap-2">
+            <span className="font-medium">{t("hexViewer.pasteAs")}</span>
+            {PASTE_MODES.map((m) => (
+              <button
+                key={m.id}
+                className={`px-2 py-0.5 rounded-lg ${pasteMode === m.id ? "bg-blue-600 text-white" : "bg-slate-100"}`}
+                onClick={() => setPasteMode(m.id)}
+              >
+                {m.label ?? t(`hexViewer.mode.${m.id}`)}
+              </button>
+            ))}
+          </div>
+          <textarea
+            className="w-full rounded-xl border border-slate-300 px-3 py-2 font-mono text-xs min-h-[64px]"
+            placeholder={t(`hexViewer.placeholder.${pasteMode}`)}
+            value={pasted}
+            onChange={(e) => setPasted(e.target.value)}
+          />
+          <div className="flex items-center gap-2">
+            <button className="px-3 py-1 rounded-xl bg-blue-600 text-white" onClick={loadPasted}>
+              {t("hexViewer.show")}
+            </button>
+            {pasteError && <span className="text-red-600">{t(`hexViewer.error.${pasteError.id}`, pasteError)}</span>}
+          </div>
+        </div>
+      </div>
+
+      <div className="grid xl:grid-cols-[auto_minmax(0,1fr)] gap-4 items-start">
+        <div className="p-4 bg-white rounded-2xl border border-slate-200 space-y-2 min-w-0">
+          <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-sm">
+            <span className="font-medium">{source.name ?? t("hexViewer.pasted")}</span>
+            <span className="text-slate-500">
+              {plural("hexViewer.bytes", bytes.length)} ({formatBytes(bytes.length, locale)})
+            </span>
+            <form onSubmit={jump} className="flex items-center gap-1 ml-auto">
+              <input
+                className="w-28 rounded-lg border border-slate-300 px-2 py-0.5 font-mono"
+                placeholder={t("hexViewer.goToPlaceholder")}
+                value={goTo}
+                onChange={(e) => setGoTo(e.target.value)}
+              />
+              <button className="px-2 py-0.5 rounded-lg bg-slate-100">{t("hexViewer.goTo")}</button>
+            </form>
+          </div>
+          {bytes.length ? (
+            <HexGrid bytes={bytes} selection={selection} onSelect={(anchor, focus) => setSelection({ anchor, focus })} />
+          ) : (
+            <p className="text-sm text-slate-500">{t("hexViewer.empty")}</p>
+          )}
+          {bytes.length > 0 && (
+            <div className="flex flex-wrap items-center gap-3 text-xs text-slate-600 font-mono">
+              <span>{t("hexViewer.offset", { hex: hexOffset(lo), offset: formatNumber(lo) })}</span>
+              <span>{plural("hexViewer.selected", length)}</span>
+              <button className="px-2 py-0.5 rounded bg-slate-100 font-sans" onClick={copySelection}>
+                {copied ? t("hexViewer.copied") : t("hexViewer.copy")}
+              </button>
+            </div>
+          )}
+        </div>
+        {bytes.length > 0 && <DataInspector bytes={bytes} start={lo} length={length} />}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+import React, { useEffect, useRef } from "react";
+
+/**
+ * Draws an ImageData at its natural size; scaled down by CSS, scaled up without smoothing.
+ * With `onPick`, a click reports the image pixel under the cursor.
+ */
+export default function ImageCanvas({ imageData, className = "", onPick }) {
+  const canvasRef = useRef();
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    canvas.width = imageData.width;
+    canvas.height = imageData.height;
+    canvas.getContext("2d").putImageData(imageData, 0, 0);
+  }, [imageData]);
+
+  const handleClick = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x = Math.floor(((e.clientX - rect.left) / rect.width) * imageData.width);
+    const y = Math.floor(((e.clientY - rect.top) / rect.height) * imageData.height);
+    onPick({ x: Math.min(x, imageData.width - 1), y: Math.min(y, imageData.height - 1) });
+  };
+
+  return (
+    <canvas
+      ref={canvasRef}
+      onClick={onPick && handleClick}
+      className={`max-w-full border rounded ${onPick ? "cursor-crosshair" : ""} ${className}`}
+      style={{ imageRendering: "pixelated" }}
+    />
+  );
+}
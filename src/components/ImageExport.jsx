@@ -0,0 +1,103 @@
+import React, { useEffect, useState } from "react";
+import { EXPORT_FORMATS } from "../lib/imageEncoders";
+import { formatBytes } from "../lib/colorDepth";
+import useI18n from "../hooks/useI18n";
+
+/**
+ * Image Export
+ * ------------------------------------------------------
+ * The current (possibly edited) image saved as PNG, 24-bit BMP and
+ * binary/ASCII PPM, with the file sizes side by side against the raw
+ * R, G, B bytes. "Inspect" opens the exported bytes in the File
+ * Inspector, so students can find their own pixels in the file.
+ */
+
+const SIZE_DELAY = 300; // ms after the last edit, so painting stays smooth
+
+const download = (bytes, name, mime) => {
+  const url = URL.createObjectURL(new Blob([bytes], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+export default function ImageExport({ imageData, baseName, onInspect }) {
+  const { t, locale, formatNumber } = useI18n();
+  const [sizes, setSizes] = useState({});
+  const [error, setError] = useState(null); // {format, message} of the last encoding that failed
+  const raw = imageData.width * imageData.height * 3;
+
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      const next = {};
+      for (const f of EXPORT_FORMATS) if (f.size) next[f.id] = f.size(imageData);
+      setSizes(next);
+      // sizes that are only known after encoding
+      for (const f of EXPORT_FORMATS.filter((f) => !f.size)) {
+        f.encode(imageData)
+          .then((bytes) => !cancelled && setSizes((s) => ({ ...s, [f.id]: bytes.length })))
+          .catch((e) => !cancelled && setError({ format: f, message: e.message }));
+      }
+    }, SIZE_DELAY);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [imageData]);
+
+  const run = (format, action) => {
+    setError(null);
+    format
+      .encode(imageData)
+      .then((bytes) => action(bytes, `${baseName}${format.id === "ppm-ascii" ? "-ascii" : ""}.${format.ext}`))
+      .catch((e) => setError({ format, message: e.message }));
+  };
+
+  const largest = Math.max(raw, ...Object.values(sizes));
+  const formatName = (f) => f.label ?? t(`export.format.${f.id}`);
+
+  return (
+    <div className="p-4 bg-white rounded-2xl border border-slate-200 space-y-3">
+      <h3 className="font-semibold">{t("export.title")}</h3>
+      <table className="w-full text-sm">
+        <tbody>
+          <tr className="border-t border-slate-200 text-slate-500">
+            <td className="py-1 pr-4">{t("export.raw", { width: imageData.width, height: imageData.height })}</td>
+            <td className="py-1 pr-4 font-mono text-right">{formatNumber(raw)}</td>
+            <td className="py-1 pr-4 w-1/3">
+              <div className="h-2 rounded bg-slate-300" style={{ width: `${(raw / largest) * 100}%` }} />
+            </td>
+            <td />
+          </tr>
+          {EXPORT_FORMATS.map((f) => {
+            const size = sizes[f.id];
+            return (
+              <tr key={f.id} className="border-t border-slate-200">
+                <td className="py-1 pr-4">{formatName(f)}</td>
+                <td className="py-1 pr-4 font-mono text-right whitespace-nowrap">
+                  {size === undefined ? "…" : `${formatNumber(size)} (${formatBytes(size, locale)})`}
+                </td>
+                <td className="py-1 pr-4">
+                  {size !== undefined && <div className="h-2 rounded bg-blue-500" style={{ width: `${(size / largest) * 100}%` }} />}
+                </td>
+                <td className="py-1 whitespace-nowrap text-right space-x-2">
+                  <button className="px-2 py-0.5 rounded bg-gray-200" onClick={() => run(f, (bytes, name) => download(bytes, name, f.mime))}>
+                    {t("export.download")}
+                  </button>
+                  <button className="px-2 py-0.5 rounded bg-gray-200" onClick={() => run(f, onInspect)}>
+                    {t("export.inspect")}
+                  </button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      {error && <p className="text-sm text-red-600">{t("export.failed", { format: formatName(error.format), error: error.message })}</p>}
+      <p className="text-sm text-slate-600">{t("export.note")}</p>
+    </div>
+  );
+}
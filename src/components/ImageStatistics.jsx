@@ -0,0 +1,160 @@
+import React, { useMemo, useState } from "react";
+import { rgbToHex } from "../lib/conversions";
+import { CHANNELS, computeHistograms, regionStats } from "../lib/imageStats";
+import useI18n from "../hooks/useI18n";
+
+/**
+ * Image Statistics
+ * ------------------------------------------------------
+ * Channel histograms for the whole image (or the selected rectangle)
+ * and summary statistics for the selection, to show that an image is
+ * a distribution of numbers rather than a picture.
+ */
+
+const HIST_WIDTH = 256;
+const HIST_HEIGHT = 80;
+const TENTHS = { minimumFractionDigits: 1, maximumFractionDigits: 1 };
+
+function Histogram({ channel, bins, logScale }) {
+  const { t } = useI18n();
+  const scale = (v) => (logScale ? Math.log1p(v) : v);
+  const peak = Math.max(1, ...Array.from(bins, scale));
+  // one vertical bar per value, drawn as a single path
+  const path = Array.from(bins, (v, i) => {
+    const h = (scale(v) / peak) * HIST_HEIGHT;
+    return `M${i + 0.5} ${HIST_HEIGHT}V${HIST_HEIGHT - h}`;
+  }).join("");
+  const mode = bins.indexOf(Math.max(...bins));
+
+  return (
+    <div>
+      <div className="flex items-baseline justify-between text-xs mb-1">
+        <span className="font-semibold" style={{ color: channel.color }}>{t(`stats.channel.${channel.id}`)}</span>
+        <span className="text-slate-500">{t("stats.mode", { value: mode })}</span>
+      </div>
+      <svg
+        viewBox={`0 0 ${HIST_WIDTH} ${HIST_HEIGHT}`}
+        preserveAspectRatio="none"
+        className="w-full h-20 bg-slate-50 border border-slate-200 rounded"
+      >
+        <path d={path} stroke={channel.color} strokeWidth="1" />
+      </svg>
+      <div className="flex justify-between text-[10px] text-slate-400 font-mono">
+        <span>0</span>
+        <span>128</span>
+        <span>255</span>
+      </div>
+    </div>
+  );
+}
+
+export default function ImageStatistics({ imageData, selection }) {
+  const { t, plural, formatNumber } = useI18n();
+  const [logScale, setLogScale] = useState(false);
+  const [scope, setScope] = useState("image"); // 'image' | 'selection'
+  const useSelection = scope === "selection" && selection;
+
+  const histograms = useMemo(
+    () => computeHistograms(imageData, useSelection ? selection : undefined),
+    [imageData, selection, useSelection]
+  );
+  const stats = useMemo(() => (selection ? regionStats(imageData, selection) : null), [imageData, selection]);
+
+  return (
+    <div className="grid md:grid-cols-2 gap-4">
+      <div className="p-4 bg-white rounded-2xl border border-slate-200">
+        <div className="flex items-center justify-between mb-3 gap-2 flex-wrap">
+          <h3 className="font-semibold">{t("stats.histograms")}</h3>
+          <div className="flex items-center gap-3 text-sm text-slate-600">
+            <select
+              className="rounded-xl border border-slate-300 px-2 py-1"
+              value={useSelection ? "selection" : "image"}
+              onChange={(e) => setScope(e.target.value)}
+            >
+              <option value="image">{t("stats.wholeImage")}</option>
+              <option value="selection" disabled={!selection}>
+                {t("stats.selection")}
+              </option>
+            </select>
+            <label className="flex items-center gap-1">
+              <input type="checkbox" checked={logScale} onChange={(e) => setLogScale(e.target.checked)} />
+              {t("stats.logScale")}
+            </label>
+          </div>
+        </div>
+        <div className="space-y-3">
+          {CHANNELS.map((c) => (
+            <Histogram key={c.id} channel={c} bins={histograms[c.id]} logScale={logScale} />
+          ))}
+        </div>
+        <p className="text-xs text-slate-500 mt-3">{t("stats.histogramNote")}</p>
+      </div>
+
+      <div className="p-4 bg-white rounded-2xl border border-slate-200">
+        <h3 className="font-semibold mb-3">{t("stats.region")}</h3>
+        {!stats ? (
+          <p className="text-sm text-slate-600">{t("stats.dragHint")}</p>
+        ) : (
+          <>
+            <p className="text-sm text-slate-600 mb-2">
+              {t("stats.summary", {
+                width: selection.width,
+                height: selection.height,
+                x: selection.x,
+                y: selection.y,
+                pixels: plural("stats.pixels", stats.pixels),
+                colours: plural("stats.colours", stats.distinct),
+              })}
+            </p>
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-slate-500">
+                  <th className="py-1 pr-4">{t("stats.channel")}</th>
+                  <th className="py-1 pr-4">{t("stats.mean")}</th>
+                  <th className="py-1 pr-4">{t("stats.min")}</th>
+                  <th className="py-1 pr-4">{t("stats.max")}</th>
+                  <th className="py-1 pr-4">{t("stats.std")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {CHANNELS.map((c) => {
+                  const s = stats.channels[c.id];
+                  return (
+                    <tr key={c.id} className="border-t border-slate-200">
+                      <td className="py-1 pr-4" style={{ color: c.color }}>
+                        {t(`stats.channel.${c.id}`)}
+                      </td>
+                      <td className="py-1 pr-4 font-mono">{formatNumber(s.mean, TENTHS)}</td>
+                      <td className="py-1 pr-4 font-mono">{s.min}</td>
+                      <td className="py-1 pr-4 font-mono">{s.max}</td>
+                      <td className="py-1 pr-4 font-mono">{formatNumber(s.std, TENTHS)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            <h4 className="text-sm font-semibold mt-4 mb-2">{t("stats.dominant")}</h4>
+            <div className="space-y-1">
+              {stats.dominant.map((d) => (
+                <div key={`${d.r}-${d.g}-${d.b}-${d.a}`} className="flex items-center gap-2 text-sm">
+                  <span
+                    className="inline-block w-6 h-6 rounded border border-slate-300"
+                    style={{ background: `rgba(${d.r}, ${d.g}, ${d.b}, ${d.a / 255})` }}
+                  />
+                  <span className="font-mono w-20">{rgbToHex(d.r, d.g, d.b)}</span>
+                  {d.a !== 255 && <span className="font-mono text-xs text-slate-500">α {d.a}</span>}
+                  <div className="flex-1 h-2 bg-slate-100 rounded">
+                    <div className="h-2 bg-slate-900 rounded" style={{ width: `${d.share * 100}%` }} />
+                  </div>
+                  <span className="font-mono text-xs w-28 text-right">
+                    {formatNumber(d.count)} ({formatNumber(d.share, { style: "percent", ...TENTHS })})
+                  </span>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
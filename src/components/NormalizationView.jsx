@@ -0,0 +1,103 @@
+import React, { useMemo } from "react";
+import useI18n from "../hooks/useI18n";
+import { NORMALIZATION_FORMS, codePoints } from "../lib/unicode";
+
+/**
+ * Normalization Forms
+ * ------------------------------------------------------
+ * The current text in NFC, NFD, NFKC and NFKD, so students can see
+ * that visually identical strings can differ in their code points
+ * (and therefore compare unequal and have different byte lengths).
+ */
+
+// samples without a label are named in the catalogs (normalization.sample.<id>)
+const SAMPLES = [
+  { id: "precomposed", text: "caf\u00E9" },
+  { id: "combining", text: "cafe\u0301" },
+  { id: "angstrom", text: "\u212B" },
+  { id: "ligature", text: "\uFB01le" },
+  { id: "compatibility", label: "① ² ½", text: "① x² ½" },
+  { id: "hangul", text: "한" },
+];
+
+const formatCp = (cp) => `U+${cp.toString(16).toUpperCase().padStart(4, "0")}`;
+
+export default function NormalizationView({ text, onUse }) {
+  const { t } = useI18n();
+  const rows = useMemo(
+    () =>
+      NORMALIZATION_FORMS.map((form) => {
+        const normalized = text.normalize(form.id);
+        return {
+          form,
+          normalized,
+          cps: codePoints(normalized),
+          utf8Length: new TextEncoder().encode(normalized).length,
+        };
+      }),
+    [text]
+  );
+  const inputCps = useMemo(() => codePoints(text), [text]);
+
+  return (
+    <div className="bg-white rounded-2xl p-4 shadow-sm border border-slate-200 overflow-x-auto">
+      <div className="flex items-center justify-between mb-3 gap-4 flex-wrap">
+        <h3 className="font-semibold">{t("normalization.title")}</h3>
+        <div className="flex gap-2 flex-wrap">
+          {SAMPLES.map((s) => (
+            <button
+              key={s.id}
+              onClick={() => onUse(s.text)}
+              className="px-2 py-1 rounded-lg text-xs border hover:bg-slate-50"
+            >
+              {s.label ?? t(`normalization.sample.${s.id}`)}
+            </button>
+          ))}
+        </div>
+      </div>
+      <table className="min-w-full text-sm">
+        <thead>
+          <tr className="text-left text-slate-500">
+            <th className="py-2 pr-4">{t("normalization.column.form")}</th>
+            <th className="py-2 pr-4">{t("normalization.column.text")}</th>
+            <th className="py-2 pr-4">{t("normalization.column.codePoints")}</th>
+            <th className="py-2 pr-4">{t("normalization.column.bytes")}</th>
+            <th className="py-2 pr-4">{t("normalization.column.same")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr className="border-t border-slate-200 align-top">
+            <td className="py-2 pr-4 font-semibold">{t("normalization.input")}</td>
+            <td className="py-2 pr-4 text-lg">{text}</td>
+            <td className="py-2 pr-4 font-mono text-xs">
+              {inputCps.length} × {inputCps.map(formatCp).join(" ")}
+            </td>
+            <td className="py-2 pr-4 font-mono">{new TextEncoder().encode(text).length}</td>
+            <td className="py-2 pr-4" />
+          </tr>
+          {rows.map(({ form, normalized, cps, utf8Length }) => (
+            <tr key={form.id} className="border-t border-slate-200 align-top">
+              <td className="py-2 pr-4">
+                <div className="font-semibold">{form.label}</div>
+                <div className="text-xs text-slate-500">{t(`normalization.hint.${form.id}`)}</div>
+              </td>
+              <td className="py-2 pr-4 text-lg">{normalized}</td>
+              <td className="py-2 pr-4 font-mono text-xs">
+                {cps.length} × {cps.map(formatCp).join(" ")}
+              </td>
+              <td className="py-2 pr-4 font-mono">{utf8Length}</td>
+              <td className="py-2 pr-4">
+                {normalized === text ? (
+                  <span className="text-green-700">✔ {t("normalization.identical")}</span>
+                ) : (
+                  <span className="text-amber-700">✘ {t("normalization.different")}</span>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="text-xs text-slate-500 mt-3">{t("normalization.note")}</p>
+    </div>
+  );
+}
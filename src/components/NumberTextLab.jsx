@@ -1,4 +1,42 @@
 import React, { useMemo, useState, useEffect } from "react";
+import FloatExplorer from "./FloatExplorer";
+import BaseConversionSteps from "./BaseConversionSteps";
+import BitwiseWorkbench from "./BitwiseWorkbench";
+import ByteCards from "./ByteCards";
+import ByteEncodingsView from "./ByteEncodingsView";
+import ClassroomSession from "./ClassroomSession";
+import EncodingComparison from "./EncodingView";
+import NormalizationView from "./NormalizationView";
+import Quiz from "./Quiz";
+import RepresentationsPanel, { representationError } from "./RepresentationsPanel";
+import Utf8Steps from "./Utf8Steps";
+import useI18n from "../hooks/useI18n";
+import { BYTE_ENCODINGS, findByteEncoding } from "../lib/byteEncodings";
+import { ENCODINGS, decodeBytes, decodeUtf8Strict, sniffBom, utf8Form } from "../lib/textEncodings";
+import {
+  MAX_BASE,
+  MAX_BITS,
+  MIN_BASE,
+  MIN_BITS,
+  codePoints,
+  fitsWidth,
+  groupEvery,
+  maxUnsigned,
+  padLeft,
+  parseDecimal,
+  parseFromBase,
+  parseInteger,
+  toBase,
+  toBin,
+  toBytesBE,
+  toHex,
+  toUnsigned,
+  unsignedToSigned,
+  utf8Bytes,
+} from "../lib/conversions";
+import { normalizeQuizConfig } from "../lib/quiz";
+import { REPRESENTATIONS, defaultBias, defaultFracBits, findRepresentation } from "../lib/representations";
+import { GENERAL_CATEGORIES, charInfo, graphemeClusters, hasGraphemeSegmenter, loadUnicodeData } from "../lib/unicode";
 
 /**
  * Number & Text Representation Lab
@@ -12,130 +50,209 @@ import React, { useMemo, useState, useEffect } from "react";
 
 // ---------- helpers ----------
 const clamp = (n, min, max) => Math.min(max, Math.max(min, n));
-const padLeft = (s, len, ch = "0") => (s + "").padStart(len, ch);
-const groupEvery = (s, n, sep = " ") => s.replace(new RegExp(`(.{${n}})`, "g"), "$1 ").trim();
-
-const toUnsigned = (n, bits) => {
-  const max = 2 ** bits - 1;
-  n = Number(n);
-  if (!Number.isFinite(n)) return 0;
-  if (n < 0) {
-    // wrap like two's complement
-    return ((n % (max + 1)) + (max + 1)) % (max + 1);
-  }
-  return clamp(n, 0, max);
-};
-
-const unsignedToSigned = (u, bits) => {
-  const max = 2 ** bits;
-  return u >= max / 2 ? u - max : u;
-};
 
-const toHex = (u, bits) => padLeft(u.toString(16).toUpperCase(), Math.ceil(bits / 4));
-const toBin = (u, bits) => padLeft(u.toString(2), bits);
-
-const parseFromBase = (str, base) => {
-  if (str === "" || str == null) return NaN;
-  const cleaned = String(str).trim();
-  const n = parseInt(cleaned, base);
-  return Number.isNaN(n) ? NaN : n;
-};
+const PRESET_BITS = [8, 16, 32, 64, 128];
+const SLIDER_BITS = 32; // a range input is a double; wider values move only their top bits
 
 const byteArrayToGroupedBinary = (bytes) => bytes.map(b => groupEvery(padLeft(b.toString(2), 8), 4)).join("  ");
 
-const utf8Bytes = (str) => Array.from(new TextEncoder().encode(str || ""));
-
-const codePoints = (str) => Array.from(str || "", ch => ch.codePointAt(0));
-
 const copy = async (text) => {
   try { await navigator.clipboard.writeText(text); return true; } catch { return false; }
 };
 
-// ---------- main component ----------
-export default function NumberTextLab() {
-  // app state
-  const [tab, setTab] = useState("number"); // 'number' | 'text'
+// ---------- link state ----------
+// Tab, width, value, representation, base, challenge, quiz settings and text
+// live in the URL hash (#/numbers/<tab>?bits=16&value=0xBEEF&view=signed),
+// so links and the back button restore them. Invalid parameters fall
+// back to defaults; bias and frac default to values that follow the width.
+const LAB_TABS = ["number", "float", "text"];
+const DEFAULT_BITS = 8;
+const DEFAULT_VALUE = 65n;
+const DEFAULT_BASE = 3;
+const DEFAULT_TEXT = "Hello 👋";
+
+const readLabState = (path, params) => {
+  const tab = LAB_TABS.includes(path[0]) ? path[0] : "number";
+  const b = Number(params.bits);
+  const bits = Number.isInteger(b) && b >= MIN_BITS && b <= MAX_BITS ? b : DEFAULT_BITS;
+  const value = parseInteger(params.value);
+  const bias = parseDecimal(params.bias);
+  const frac = Number(params.frac);
+  const base = Number(params.base);
+  // challenge=16:0xBEEF — the target carries its own width
+  const [, challengeBits, challengeValue] = /^(\d+):(.+)$/.exec(params.challenge ?? "") || [];
+  const cb = Number(challengeBits);
+  const target = Number.isInteger(cb) && cb >= MIN_BITS && cb <= MAX_BITS ? parseInteger(challengeValue) : null;
+  return {
+    tab,
+    bits,
+    unsignedValue: BigInt.asUintN(bits, value !== null && fitsWidth(value, bits) ? value : DEFAULT_VALUE),
+    view: REPRESENTATIONS.some((r) => r.id === params.view) ? params.view : "unsigned",
+    bias: bias !== null && bias >= 0n && bias <= maxUnsigned(bits) ? bias : defaultBias(bits),
+    fracBits: Number.isInteger(frac) && frac >= 0 && frac < bits ? frac : defaultFracBits(bits),
+    base: Number.isInteger(base) && base >= MIN_BASE && base <= MAX_BASE ? base : DEFAULT_BASE,
+    challenge: target !== null && fitsWidth(target, cb) ? { target: BigInt.asUintN(cb, target), bits: cb } : null,
+    text: params.text ?? DEFAULT_TEXT,
+    quiz: normalizeQuizConfig({
+      seed: params.quiz,
+      count: params.qn,
+      types: params.qtypes?.split(","),
+      timeLimit: params.qtime,
+    }),
+  };
+};
 
-  // Number tab state
-  const [bits, setBits] = useState(8); // 8 | 16 | 32
-  const [unsignedValue, setUnsignedValue] = useState(65);
-  const [challenge, setChallenge] = useState(null); // {target, bits}
-  const maxVal = 2 ** bits - 1;
+// only what differs from the defaults, to keep links short
+const writeLabParams = ({ bits, unsignedValue, view, bias, fracBits, base, challenge, text, quiz }) => {
+  const quizDefaults = normalizeQuizConfig();
+  const params = {};
+  if (bits !== DEFAULT_BITS) params.bits = String(bits);
+  if (unsignedValue !== BigInt.asUintN(bits, DEFAULT_VALUE)) params.value = "0x" + unsignedValue.toString(16).toUpperCase();
+  if (view !== "unsigned") params.view = view;
+  if (bias !== defaultBias(bits)) params.bias = bias.toString();
+  if (fracBits !== defaultFracBits(bits)) params.frac = String(fracBits);
+  if (base !== DEFAULT_BASE) params.base = String(base);
+  if (challenge) params.challenge = `${challenge.bits}:0x${challenge.target.toString(16).toUpperCase()}`;
+  if (text !== DEFAULT_TEXT) params.text = text;
+  if (quiz.seed) params.quiz = quiz.seed;
+  if (quiz.count !== quizDefaults.count) params.qn = String(quiz.count);
+  if (quiz.types.join(",") !== quizDefaults.types.join(",")) params.qtypes = quiz.types.join(",");
+  if (quiz.timeLimit !== quizDefaults.timeLimit) params.qtime = String(quiz.timeLimit);
+  return params;
+};
 
-  // Text tab state
-  const [text, setText] = useState("Hello 👋");
+// ---------- main component ----------
+export default function NumberTextLab({ path = [], params = {}, onNavigate, classroom }) {
+  // all lab state comes from the route; edits navigate to a new one
+  const i18n = useI18n();
+  const { t, parts, plural, formatNumber } = i18n;
+  const state = readLabState(path, params);
+  const { tab, bits, unsignedValue, view, bias, fracBits, base, challenge, text, quiz } = state;
+  // typing replaces the history entry, discrete changes push a new one
+  const update = (changes, options) =>
+    onNavigate([changes.tab ?? tab], writeLabParams({ ...state, ...changes }), options);
+  const setTab = (id) => update({ tab: id });
+  const setUnsignedValue = (v) => update({ unsignedValue: v }, { replace: true });
+  const setText = (value) => update({ text: value }, { replace: true });
+
+  const maxVal = maxUnsigned(bits);
+  const sliderBits = Math.min(bits, SLIDER_BITS);
+  const sliderShift = BigInt(bits - sliderBits);
 
   // keep number fields in sync
   const signedValue = useMemo(() => unsignedToSigned(unsignedValue, bits), [unsignedValue, bits]);
   const hexValue = useMemo(() => toHex(unsignedValue, bits), [unsignedValue, bits]);
   const binValue = useMemo(() => toBin(unsignedValue, bits), [unsignedValue, bits]);
 
-  const bytesBE = useMemo(() => {
-    const bytes = [];
-    let val = unsignedValue >>> 0;
-    const totalBytes = Math.ceil(bits / 8);
-    for (let i = totalBytes - 1; i >= 0; i--) {
-      bytes.push((val >>> (i * 8)) & 0xff);
-    }
-    return bytes;
-  }, [unsignedValue, bits]);
+  const bytesBE = useMemo(() => toBytesBE(unsignedValue, bits), [unsignedValue, bits]);
 
   const bytesLE = useMemo(() => [...bytesBE].reverse(), [bytesBE]);
 
+  const changeBits = (b) => {
+    const next = clamp(Math.round(Number(b)) || MIN_BITS, MIN_BITS, MAX_BITS);
+    // narrowing keeps the low bits, like a cast in C; a default bias or Q format follows the width
+    update({
+      bits: next,
+      unsignedValue: BigInt.asUintN(next, unsignedValue),
+      bias: bias === defaultBias(bits) || bias > maxUnsigned(next) ? defaultBias(next) : bias,
+      fracBits: fracBits === defaultFracBits(bits) || fracBits >= next ? defaultFracBits(next) : fracBits,
+    });
+  };
+
+  // the decimal field reads and writes the chosen representation
+  const repr = findRepresentation(view);
+  const reprLabel = t(`representation.${view}`);
+  const reprOpts = { bits, bias, fracBits };
+  const reprKey = `${view}:${bits}:${bias}:${fracBits}`;
+  const decoded = repr.decode(unsignedValue, reprOpts);
+  // what was typed stays while it still means the current pattern (e.g. 0.3 rounded in fixed point, or an error)
+  const [draft, setDraft] = useState(null);
+  const draftShown =
+    draft !== null &&
+    draft.key === reprKey &&
+    (draft.result.error ? draft.pattern === unsignedValue : draft.result.pattern === unsignedValue);
+  // an empty field or a lone sign is a number still being typed, not a mistake
+  const draftError = draftShown && !/^[+-]?$/.test(draft.text.trim()) && draft.result.error ? representationError(draft.result, i18n) : null;
+
   const setFromDecimal = (str) => {
-    const n = Number(str);
-    if (Number.isFinite(n)) setUnsignedValue(toUnsigned(n, bits));
+    const result = repr.encode(str, reprOpts);
+    setDraft({ text: str, key: reprKey, pattern: unsignedValue, result });
+    if (!result.error) setUnsignedValue(result.pattern);
   };
   const setFromHex = (str) => {
-    const n = parseFromBase(str, 16);
-    if (Number.isFinite(n)) setUnsignedValue(toUnsigned(n, bits));
+    const n = parseFromBase(str.replace(/^0x/i, "").replace(/\s+/g, ""), 16);
+    if (n !== null) setUnsignedValue(toUnsigned(n, bits));
   };
   const setFromBinary = (str) => {
     const n = parseFromBase(str.replace(/\s+/g, ""), 2);
-    if (Number.isFinite(n)) setUnsignedValue(toUnsigned(n, bits));
+    if (n !== null) setUnsignedValue(toUnsigned(n, bits));
+  };
+  const setFromOctal = (str) => {
+    const n = parseFromBase(str.replace(/^0o/i, "").replace(/\s+/g, ""), 8);
+    if (n !== null) setUnsignedValue(toUnsigned(n, bits));
+  };
+  const setFromBase = (str) => {
+    const n = parseFromBase(str.replace(/\s+/g, ""), base);
+    if (n !== null) setUnsignedValue(toUnsigned(n, bits));
+  };
+  const setFromSlider = (str) => {
+    const low = unsignedValue & ((1n << sliderShift) - 1n);
+    setUnsignedValue(toUnsigned((BigInt(str) << sliderShift) | low, bits));
   };
 
   const toggleBit = (i) => {
     // i: bit index from MSB=bits-1 to LSB=0 in UI mapping
-    const mask = 1 << (bits - 1 - i);
+    const mask = 1n << BigInt(bits - 1 - i);
     const next = unsignedValue ^ mask;
     setUnsignedValue(toUnsigned(next, bits));
   };
 
-  const makeChallenge = () => {
-    const t = Math.floor(Math.random() * (2 ** bits));
-    setChallenge({ target: t, bits });
+  // set by the quiz's "match a target" questions and by a classroom session; switches to the target's width
+  const setChallenge = (next) => {
+    if (next === challenge || (next && challenge && next.target === challenge.target && next.bits === challenge.bits)) return;
+    update(next ? { challenge: next, bits: next.bits, unsignedValue: BigInt.asUintN(next.bits, unsignedValue) } : { challenge: null }, {
+      replace: true,
+    });
   };
 
   const challengeCorrect = challenge && unsignedValue === challenge.target && bits === challenge.bits;
 
-  useEffect(() => {
-    // Reset challenge if bit-width changes to avoid confusion
-    setChallenge(null);
-  }, [bits]);
-
   // Text derived data
-  const cps = useMemo(() => codePoints(text), [text]);
-  const utf8 = useMemo(() => utf8Bytes(text), [text]);
+  const clusters = useMemo(() => graphemeClusters(text), [text]);
+  const cpCount = useMemo(() => codePoints(text).length, [text]);
+  const textBytes = useMemo(() => utf8Bytes(text), [text]);
+  const [unicodeDb, setUnicodeDb] = useState(null);
+  const [unicodeFailed, setUnicodeFailed] = useState(false);
+
+  useEffect(() => {
+    // the character database is a separate chunk; fetch it the first time the Text tab opens
+    if (tab !== "text" || unicodeDb || unicodeFailed) return;
+    let cancelled = false;
+    loadUnicodeData().then(
+      (db) => !cancelled && setUnicodeDb(db),
+      // offline, or a deploy replaced the chunk: names and blocks stay "…"
+      () => !cancelled && setUnicodeFailed(true)
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [tab, unicodeDb, unicodeFailed]);
 
   return (
     <div className="min-h-screen bg-slate-50 text-slate-900 p-6">
       <div className="max-w-6xl mx-auto">
         <header className="mb-6 flex items-center justify-between gap-4">
-          <h1 className="text-3xl font-bold tracking-tight">Number & Text Representation Lab</h1>
+          <h1 className="text-3xl font-bold tracking-tight">{t("numbers.title")}</h1>
           <div className="inline-flex rounded-2xl bg-white shadow-sm p-1">
-            {[
-              { id: "number", label: "Numbers" },
-              { id: "text", label: "Text & Unicode" },
-            ].map((t) => (
+            {LAB_TABS.map((id) => (
               <button
-                key={t.id}
-                onClick={() => setTab(t.id)}
+                key={id}
+                onClick={() => setTab(id)}
                 className={`px-4 py-2 rounded-2xl text-sm font-medium transition ${
-                  tab === t.id ? "bg-slate-900 text-white" : "text-slate-700 hover:bg-slate-100"
+                  tab === id ? "bg-slate-900 text-white" : "text-slate-700 hover:bg-slate-100"
                 }`}
               >
-                {t.label}
+                {t(`numbers.tab.${id}`)}
               </button>
             ))}
           </div>
@@ -146,39 +263,80 @@ export default function NumberTextLab() {
             {/* Controls */}
             <div className="grid md:grid-cols-3 gap-4">
               <div className="bg-white rounded-2xl p-4 shadow-sm border border-slate-200">
-                <h2 className="font-semibold mb-3">Bit Width</h2>
-                <div className="flex gap-2">
-                  {[8, 16, 32].map((b) => (
+                <h2 className="font-semibold mb-3">{t("numbers.bitWidth")}</h2>
+                <div className="flex gap-2 flex-wrap">
+                  {PRESET_BITS.map((b) => (
                     <button
                       key={b}
-                      onClick={() => setBits(b)}
+                      onClick={() => changeBits(b)}
                       className={`px-3 py-1.5 rounded-xl border text-sm ${
                         bits === b
                           ? "bg-slate-900 text-white border-slate-900"
                           : "bg-white text-slate-700 border-slate-300 hover:bg-slate-50"
                       }`}
                     >
-                      {b}‑bit
+                      {t("numbers.bitsPreset", { bits: b })}
                     </button>
                   ))}
                 </div>
-                <p className="text-xs text-slate-500 mt-2">Range: 0 … {maxVal.toLocaleString()}</p>
+                <label className="flex items-center gap-2 mt-3 text-sm text-slate-600">
+                  {t("numbers.anyWidth")}
+                  <select
+                    className="rounded-xl border border-slate-300 px-2 py-1"
+                    value={bits}
+                    onChange={(e) => changeBits(e.target.value)}
+                  >
+                    {Array.from({ length: MAX_BITS - MIN_BITS + 1 }, (_, i) => MIN_BITS + i).map((b) => (
+                      <option key={b} value={b}>{b}</option>
+                    ))}
+                  </select>
+                  {t("numbers.bits")}
+                </label>
+                <p className="text-xs text-slate-500 mt-2 break-all">{t("numbers.range", { max: formatNumber(maxVal) })}</p>
+                <p className="text-xs text-slate-500 break-all">
+                  {t("numbers.signedRange", { min: formatNumber(-(maxVal + 1n) / 2n), max: formatNumber(maxVal / 2n) })}
+                </p>
               </div>
 
               <div className="bg-white rounded-2xl p-4 shadow-sm border border-slate-200">
-                <h2 className="font-semibold mb-3">Enter a Value</h2>
+                <h2 className="font-semibold mb-3">{t("numbers.enterValue")}</h2>
                 <div className="grid grid-cols-3 gap-2 items-center">
-                  <label className="text-xs uppercase tracking-wide text-slate-500">Decimal</label>
+                  <label className="text-xs uppercase tracking-wide text-slate-500">
+                    {t("numbers.decimal")}
+                    <select
+                      className="block mt-1 w-full rounded-lg border border-slate-300 normal-case tracking-normal"
+                      value={view}
+                      onChange={(e) => update({ view: e.target.value })}
+                    >
+                      {REPRESENTATIONS.map((r) => (
+                        <option key={r.id} value={r.id}>{t(`representation.${r.id}`)}</option>
+                      ))}
+                    </select>
+                  </label>
                   <input
-                    type="number"
-                    className="col-span-2 w-full rounded-xl border border-slate-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-slate-400"
-                    min={0}
-                    max={maxVal}
-                    value={unsignedValue}
+                    type="text"
+                    inputMode={view === "fixed" ? "decimal" : "numeric"}
+                    className={`col-span-2 w-full rounded-xl border px-3 py-2 focus:outline-none focus:ring-2 focus:ring-slate-400 ${
+                      draftError ? "border-rose-400" : "border-slate-300"
+                    }`}
+                    value={draftShown ? draft.text : decoded.value ?? ""}
+                    placeholder={decoded.error ? t("numbers.notValidPlaceholder") : undefined}
                     onChange={(e) => setFromDecimal(e.target.value)}
                   />
+                  {draftError ? (
+                    <p className="col-span-3 text-xs text-rose-700">{draftError}</p>
+                  ) : decoded.error ? (
+                    <p className="col-span-3 text-xs text-amber-700">
+                      {t("numbers.notValid", { representation: reprLabel, error: representationError(decoded, i18n) })}
+                    </p>
+                  ) : (
+                    draftShown &&
+                    draft.result.adjusted && (
+                      <p className="col-span-3 text-xs text-slate-500 break-all">{t("numbers.storedAs", { value: decoded.value })}</p>
+                    )
+                  )}
 
-                  <label className="text-xs uppercase tracking-wide text-slate-500">Hex</label>
+                  <label className="text-xs uppercase tracking-wide text-slate-500">{t("numbers.hex")}</label>
                   <input
                     type="text"
                     className="col-span-2 w-full rounded-xl border border-slate-300 px-3 py-2 uppercase"
@@ -186,60 +344,106 @@ export default function NumberTextLab() {
                     onChange={(e) => setFromHex(e.target.value)}
                   />
 
-                  <label className="text-xs uppercase tracking-wide text-slate-500">Binary</label>
+                  <label className="text-xs uppercase tracking-wide text-slate-500">{t("numbers.binary")}</label>
                   <input
                     type="text"
                     className="col-span-2 w-full rounded-xl border border-slate-300 px-3 py-2 font-mono"
                     value={groupEvery(binValue, 4)}
                     onChange={(e) => setFromBinary(e.target.value)}
                   />
+
+                  <label className="text-xs uppercase tracking-wide text-slate-500">{t("numbers.octal")}</label>
+                  <input
+                    type="text"
+                    className="col-span-2 w-full rounded-xl border border-slate-300 px-3 py-2 font-mono"
+                    value={unsignedValue.toString(8)}
+                    onChange={(e) => setFromOctal(e.target.value)}
+                  />
+
+                  <label className="text-xs uppercase tracking-wide text-slate-500">
+                    {t("numbers.base")}
+                    <select
+                      className="block mt-1 w-full rounded-lg border border-slate-300 normal-case tracking-normal"
+                      value={base}
+                      onChange={(e) => update({ base: Number(e.target.value) })}
+                    >
+                      {Array.from({ length: MAX_BASE - MIN_BASE + 1 }, (_, i) => MIN_BASE + i).map((b) => (
+                        <option key={b} value={b}>{b}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <input
+                    type="text"
+                    title={t("numbers.baseDigits", { base, last: toBase(BigInt(base - 1), base) })}
+                    className="col-span-2 w-full rounded-xl border border-slate-300 px-3 py-2 font-mono uppercase"
+                    value={toBase(unsignedValue, base)}
+                    onChange={(e) => setFromBase(e.target.value)}
+                  />
                 </div>
                 <input
                   type="range"
                   min={0}
-                  max={maxVal}
+                  max={2 ** sliderBits - 1}
                   step={1}
-                  value={unsignedValue}
-                  onChange={(e) => setUnsignedValue(Number(e.target.value))}
+                  value={Number(unsignedValue >> sliderShift)}
+                  onChange={(e) => setFromSlider(e.target.value)}
                   className="w-full mt-4"
                 />
+                {bits > SLIDER_BITS && (
+                  <p className="text-xs text-slate-500">
+                    {t("numbers.sliderNote", { top: SLIDER_BITS, rest: bits - SLIDER_BITS })}
+                  </p>
+                )}
               </div>
 
               <div className="bg-white rounded-2xl p-4 shadow-sm border border-slate-200">
-                <h2 className="font-semibold mb-3">Views</h2>
+                <h2 className="font-semibold mb-3">{t("numbers.views")}</h2>
                 <div className="grid grid-cols-2 gap-3">
-                  <div className="p-3 rounded-xl bg-slate-50 border border-slate-200">
-                    <div className="text-xs text-slate-500">Unsigned</div>
-                    <div className="text-xl font-semibold">{unsignedValue}</div>
+                  <div className={`p-3 rounded-xl bg-slate-50 border ${view === "unsigned" ? "border-slate-900" : "border-slate-200"}`}>
+                    <div className="text-xs text-slate-500">{t("numbers.unsigned")}</div>
+                    <div className="text-xl font-semibold break-all">{unsignedValue.toString()}</div>
                   </div>
-                  <div className="p-3 rounded-xl bg-slate-50 border border-slate-200">
-                    <div className="text-xs text-slate-500">Signed (two's complement)</div>
-                    <div className="text-xl font-semibold">{signedValue}</div>
+                  <div className={`p-3 rounded-xl bg-slate-50 border ${view === "signed" ? "border-slate-900" : "border-slate-200"}`}>
+                    <div className="text-xs text-slate-500">{t("numbers.signed")}</div>
+                    <div className="text-xl font-semibold break-all">{signedValue.toString()}</div>
                   </div>
                   <div className="p-3 rounded-xl bg-slate-50 border border-slate-200 col-span-2">
-                    <div className="text-xs text-slate-500">Hex</div>
-                    <div className="text-xl font-semibold font-mono">0x{groupEvery(hexValue, 2)}</div>
+                    <div className="text-xs text-slate-500">{t("numbers.hex")}</div>
+                    <div className="text-xl font-semibold font-mono break-all">0x{groupEvery(hexValue, 2)}</div>
                   </div>
                 </div>
               </div>
             </div>
 
+            {/* The same bits read other ways */}
+            <RepresentationsPanel
+              bits={bits}
+              value={unsignedValue}
+              view={view}
+              bias={bias}
+              fracBits={fracBits}
+              onViewChange={(v) => update({ view: v })}
+              onBiasChange={(k) => update({ bias: k }, { replace: true })}
+              onFracBitsChange={(n) => update({ fracBits: n })}
+            />
+
             {/* Bits panel */}
             <div className="bg-white rounded-2xl p-4 shadow-sm border border-slate-200">
               <div className="flex items-center justify-between mb-2">
-                <h2 className="font-semibold">Flip the Bits</h2>
-                <div className="text-xs text-slate-500">MSB → LSB</div>
+                <h2 className="font-semibold">{t("numbers.flipBits")}</h2>
+                <div className="text-xs text-slate-500">{t("numbers.weightsAs", { representation: reprLabel })}</div>
               </div>
               <div className="grid grid-cols-8 gap-2 text-center">
                 {Array.from({ length: bits }).map((_, i) => {
                   const bitIndex = bits - 1 - i; // actual bit position
-                  const mask = 1 << bitIndex;
-                  const on = (unsignedValue & mask) !== 0;
-                  const weight = 1 << bitIndex;
+                  const mask = 1n << BigInt(bitIndex);
+                  const on = (unsignedValue & mask) !== 0n;
+                  const weight = repr.weight(bitIndex, reprOpts);
                   return (
                     <button
                       key={i}
                       onClick={() => toggleBit(i)}
+                      title={t("numbers.bitTitle", { index: bitIndex, weight, representation: reprLabel })}
                       className={`rounded-xl p-3 border text-sm font-semibold transition select-none ${
                         on
                           ? "bg-slate-900 text-white border-slate-900 shadow"
@@ -253,211 +457,391 @@ export default function NumberTextLab() {
                 })}
               </div>
               <div className="mt-3 text-sm text-slate-600">
-                Binary (grouped): <span className="font-mono">{groupEvery(binValue, 4)}</span>
+                {t("numbers.binaryGrouped")} <span className="font-mono break-all">{groupEvery(binValue, 4)}</span>
+                <span className="ml-4">
+                  {t("numbers.as", { representation: reprLabel })}{" "}
+                  <span className="font-mono break-all">{decoded.error ? t("numbers.invalid") : decoded.value}</span>
+                </span>
+                {view === "excess" && <span className="ml-4">{t("numbers.excessNote", { bias: bias.toString() })}</span>}
+                {view === "gray" && <span className="ml-4">{t("numbers.grayNote", { rule: t("representation.rule.gray") })}</span>}
+                {view === "sign-magnitude" && <span className="ml-4">{t("numbers.signMagnitudeNote")}</span>}
               </div>
             </div>
 
             {/* Endianness & bytes */}
             <div className="grid md:grid-cols-2 gap-4">
               <div className="bg-white rounded-2xl p-4 shadow-sm border border-slate-200">
-                <h3 className="font-semibold mb-2">Big‑Endian Bytes</h3>
-                <div className="flex gap-2 flex-wrap">
-                  {bytesBE.map((b, idx) => (
-                    <div key={idx} className="px-3 py-2 rounded-xl bg-slate-50 border border-slate-200">
-                      <div className="text-xs text-slate-500">byte {idx}</div>
-                      <div className="font-mono">0x{padLeft(b.toString(16).toUpperCase(), 2)}</div>
-                      <div className="font-mono text-xs">{groupEvery(padLeft(b.toString(2), 8), 4)}</div>
-                    </div>
-                  ))}
-                </div>
+                <h3 className="font-semibold mb-2">{t("numbers.bigEndian")}</h3>
+                <ByteCards bytes={bytesBE} />
               </div>
               <div className="bg-white rounded-2xl p-4 shadow-sm border border-slate-200">
-                <h3 className="font-semibold mb-2">Little‑Endian Bytes</h3>
-                <div className="flex gap-2 flex-wrap">
-                  {bytesLE.map((b, idx) => (
-                    <div key={idx} className="px-3 py-2 rounded-xl bg-slate-50 border border-slate-200">
-                      <div className="text-xs text-slate-500">byte {idx}</div>
-                      <div className="font-mono">0x{padLeft(b.toString(16).toUpperCase(), 2)}</div>
-                      <div className="font-mono text-xs">{groupEvery(padLeft(b.toString(2), 8), 4)}</div>
-                    </div>
-                  ))}
-                </div>
+                <h3 className="font-semibold mb-2">{t("numbers.littleEndian")}</h3>
+                <ByteCards bytes={bytesLE} />
               </div>
             </div>
 
-            {/* Challenge game */}
-            <div className="bg-white rounded-2xl p-4 shadow-sm border border-slate-200">
-              <div className="flex items-center justify-between mb-3">
-                <h3 className="font-semibold">Class Challenge</h3>
-                <button
-                  onClick={makeChallenge}
-                  className="px-3 py-1.5 rounded-xl border bg-white hover:bg-slate-50"
-                >New Target</button>
-              </div>
-              {challenge ? (
-                <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
-                  <div className="text-sm text-slate-700">
-                    Target ({challenge.bits}-bit):
-                    <span className="ml-2 font-mono">dec {challenge.target}</span>
-                    <span className="ml-2 font-mono">hex 0x{padLeft(challenge.target.toString(16).toUpperCase(), Math.ceil(challenge.bits/4))}</span>
-                    <span className="ml-2 font-mono">bin {groupEvery(padLeft(challenge.target.toString(2), challenge.bits), 4)}</span>
-                  </div>
-                  <div className={`px-3 py-1.5 rounded-xl text-sm font-semibold ${
-                    challengeCorrect ? "bg-green-600 text-white" : "bg-amber-100 text-amber-800"
-                  }`}>
-                    {challengeCorrect ? "✔ Correct!" : "Flip bits or type until it matches."}
-                  </div>
+            {/* Repeated division and positional expansion */}
+            <BaseConversionSteps value={unsignedValue} base={base} onBaseChange={(b) => update({ base: b })} />
+
+            {/* Two-operand workbench */}
+            <BitwiseWorkbench bits={bits} value={unsignedValue} />
+
+            {/* Quiz and live session; both set targets through the challenge */}
+            {challenge && (
+              <div className="bg-white rounded-2xl p-4 shadow-sm border border-slate-200 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+                <div className="text-sm text-slate-700 break-all">
+                  {t("numbers.target", { bits: challenge.bits })}
+                  <span className="ml-2 font-mono">{t("baseSteps.name.10")} {challenge.target.toString()}</span>
+                  <span className="ml-2 font-mono">{t("baseSteps.name.16")} 0x{padLeft(challenge.target.toString(16).toUpperCase(), Math.ceil(challenge.bits/4))}</span>
+                  <span className="ml-2 font-mono">{t("baseSteps.name.2")} {groupEvery(padLeft(challenge.target.toString(2), challenge.bits), 4)}</span>
                 </div>
-              ) : (
-                <p className="text-sm text-slate-600">Click “New Target” and have students race to match it using sliders or bit buttons.</p>
-              )}
-            </div>
+                <div className={`px-3 py-1.5 rounded-xl text-sm font-semibold ${
+                  challengeCorrect ? "bg-green-600 text-white" : "bg-amber-100 text-amber-800"
+                }`}>
+                  {challengeCorrect ? t("numbers.correct") : t("numbers.keepGoing")}
+                </div>
+              </div>
+            )}
+            <Quiz
+              config={quiz}
+              onConfigChange={(next, options) => update({ quiz: next }, options)}
+              challengeCorrect={challengeCorrect}
+              onChallenge={setChallenge}
+            />
+            {classroom && (
+              <ClassroomSession
+                classroom={classroom}
+                bits={bits}
+                unsignedValue={unsignedValue}
+                challenge={challenge}
+                challengeCorrect={challengeCorrect}
+                onChallenge={setChallenge}
+              />
+            )}
           </section>
+        ) : tab === "float" ? (
+          <FloatExplorer />
         ) : (
           <section className="space-y-6">
             {/* Text input */}
             <div className="bg-white rounded-2xl p-4 shadow-sm border border-slate-200">
-              <h2 className="font-semibold mb-3">Type Text (ASCII, Unicode, Emojis)</h2>
+              <h2 className="font-semibold mb-3">{t("text.typeText")}</h2>
               <textarea
                 className="w-full rounded-xl border border-slate-300 px-3 py-2 min-h-[96px]"
                 value={text}
                 onChange={(e) => setText(e.target.value)}
-                placeholder="Type here…"
+                placeholder={t("text.placeholder")}
               />
-              <div className="mt-3 text-sm text-slate-600">Characters: {Array.from(text || "").length}</div>
+              <div className="mt-3 text-sm text-slate-600">
+                {t("text.clusters", { count: formatNumber(clusters.length) })}
+                <span className="ml-4">{t("text.codePointCount", { count: formatNumber(cpCount) })}</span>
+                <span className="ml-4">{t("text.codeUnits", { count: formatNumber(text.length) })}</span>
+              </div>
             </div>
 
-            {/* Code points table */}
+            {/* Code points, grouped by grapheme cluster */}
             <div className="bg-white rounded-2xl p-4 shadow-sm border border-slate-200 overflow-x-auto">
-              <h3 className="font-semibold mb-3">Code Points</h3>
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="font-semibold">{t("text.codePoints")}</h3>
+                <div className={`text-xs ${unicodeFailed ? "text-red-600" : "text-slate-500"}`}>
+                  {unicodeDb
+                    ? t("text.unicodeVersion", { version: unicodeDb.version })
+                    : t(unicodeFailed ? "text.unicodeFailed" : "text.loadingUnicode")}
+                </div>
+              </div>
               <table className="min-w-full text-sm">
                 <thead>
                   <tr className="text-left text-slate-500">
-                    <th className="py-2 pr-4">Char</th>
-                    <th className="py-2 pr-4">Name (approx)</th>
-                    <th className="py-2 pr-4">U+ (hex)</th>
-                    <th className="py-2 pr-4">Decimal</th>
-                    <th className="py-2 pr-4">Binary</th>
-                    <th className="py-2 pr-4">Copy</th>
+                    <th className="py-2 pr-4">{t("text.column.character")}</th>
+                    <th className="py-2 pr-4">{t("text.column.codePoint")}</th>
+                    <th className="py-2 pr-4">{t("text.column.name")}</th>
+                    <th className="py-2 pr-4">{t("text.column.category")}</th>
+                    <th className="py-2 pr-4">{t("text.column.block")}</th>
+                    <th className="py-2 pr-4">{t("text.column.hex")}</th>
+                    <th className="py-2 pr-4">{t("text.column.decimal")}</th>
+                    <th className="py-2 pr-4">{t("text.column.binary")}</th>
+                    <th className="py-2 pr-4">{t("text.column.copy")}</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {cps.length === 0 ? (
-                    <tr><td colSpan={6} className="py-3 text-slate-500">(No characters)</td></tr>
+                  {clusters.length === 0 ? (
+                    <tr><td colSpan={9} className="py-3 text-slate-500">{t("text.noCharacters")}</td></tr>
                   ) : (
-                    cps.map((cp, idx) => {
-                      const ch = Array.from(text)[idx];
-                      const hex = cp.toString(16).toUpperCase();
-                      const dec = cp;
-                      const bin = groupEvery(padLeft(cp.toString(2), Math.max(8, Math.ceil(Math.log2(cp + 1)))) , 4);
-                      const approxName = /[A-Za-z\d]/.test(ch)
-                        ? "Basic Latin"
-                        : ch === " "
-                        ? "Space"
-                        : cp >= 0x1f600 && cp <= 0x1f64f
-                        ? "Emoji (Emoticons)"
-                        : cp >= 0x1F300 && cp <= 0x1F5FF
-                        ? "Emoji (Misc Symbols & Pictographs)"
-                        : "Unicode";
-                      return (
-                        <tr key={idx} className="border-t border-slate-200">
-                          <td className="py-2 pr-4 text-lg">{ch}</td>
-                          <td className="py-2 pr-4 text-slate-600">{approxName}</td>
-                          <td className="py-2 pr-4 font-mono">U+{hex}</td>
-                          <td className="py-2 pr-4 font-mono">{dec}</td>
-                          <td className="py-2 pr-4 font-mono">{bin}</td>
-                          <td className="py-2 pr-4">
-                            <button
-                              onClick={() => copy(`U+${hex}`)}
-                              className="px-2 py-1 rounded-lg text-xs border hover:bg-slate-50"
-                            >copy U+</button>
-                          </td>
-                        </tr>
-                      );
+                    clusters.map((cluster, ci) => {
+                      const members = Array.from(cluster);
+                      return members.map((ch, mi) => {
+                        const cp = ch.codePointAt(0);
+                        const info = charInfo(unicodeDb, cp);
+                        const hex = padLeft(cp.toString(16).toUpperCase(), 4);
+                        const categoryName =
+                          info.category in GENERAL_CATEGORIES ? t(`unicode.category.${info.category}`) : info.categoryName;
+                        const dec = cp;
+                        const bin = groupEvery(padLeft(cp.toString(2), Math.max(8, Math.ceil(Math.log2(cp + 1)))) , 4);
+                        // marks are drawn on a dotted circle, invisible characters by their category
+                        const glyph = /^M/.test(info.category)
+                          ? `◌${ch}`
+                          : /^(C|Z)/.test(info.category)
+                          ? `⟨${info.category}⟩`
+                          : ch;
+                        return (
+                          <tr key={`${ci}-${mi}`} className={mi === 0 ? "border-t border-slate-300" : ""}>
+                            {mi === 0 && (
+                              <td rowSpan={members.length} className="py-2 pr-4 text-2xl align-top">
+                                {cluster}
+                                {members.length > 1 && (
+                                  <div className="text-xs text-slate-500">{plural("text.memberCount", members.length)}</div>
+                                )}
+                              </td>
+                            )}
+                            <td className="py-2 pr-4 text-lg">{glyph}</td>
+                            <td className="py-2 pr-4 text-slate-600">{info.name}</td>
+                            <td className="py-2 pr-4 text-slate-600" title={categoryName}>
+                              <span className="font-mono">{info.category}</span>{" "}
+                              <span className="text-xs">{categoryName}</span>
+                            </td>
+                            <td className="py-2 pr-4 text-slate-600">{info.block}</td>
+                            <td className="py-2 pr-4 font-mono">U+{hex}</td>
+                            <td className="py-2 pr-4 font-mono">{dec}</td>
+                            <td className="py-2 pr-4 font-mono">{bin}</td>
+                            <td className="py-2 pr-4">
+                              <button
+                                onClick={() => copy(`U+${hex}`)}
+                                className="px-2 py-1 rounded-lg text-xs border hover:bg-slate-50"
+                              >{t("text.copyCodePoint")}</button>
+                            </td>
+                          </tr>
+                        );
+                      });
                     })
                   )}
                 </tbody>
               </table>
+              <p className="text-xs text-slate-500 mt-3">
+                {t("text.clusterNote")}
+                {!hasGraphemeSegmenter && ` ${t("text.noSegmenter")}`}
+              </p>
             </div>
 
-            {/* UTF‑8 bytes view */}
-            <div className="bg-white rounded-2xl p-4 shadow-sm border border-slate-200">
-              <div className="flex items-center justify-between mb-2">
-                <h3 className="font-semibold">UTF‑8 Bytes</h3>
-                <button
-                  onClick={() => copy(utf8.map(b => "0x" + padLeft(b.toString(16).toUpperCase(), 2)).join(" "))}
-                  className="px-3 py-1.5 rounded-xl border bg-white hover:bg-slate-50 text-sm"
-                >Copy as hex</button>
-              </div>
-              {utf8.length === 0 ? (
-                <p className="text-sm text-slate-600">(No bytes)</p>
-              ) : (
-                <div className="flex flex-wrap gap-2">
-                  {utf8.map((b, i) => (
-                    <div key={i} className="px-3 py-2 rounded-xl bg-slate-50 border border-slate-200">
-                      <div className="text-xs text-slate-500">byte {i}</div>
-                      <div className="font-mono">0x{padLeft(b.toString(16).toUpperCase(), 2)}</div>
-                      <div className="font-mono text-xs">{groupEvery(padLeft(b.toString(2), 8), 4)}</div>
-                      <div className="text-xs text-slate-600">{b}</div>
-                    </div>
-                  ))}
-                </div>
-              )}
-              <p className="text-xs text-slate-500 mt-3">UTF‑8 encodes each Unicode code point into 1–4 bytes. ASCII characters fit in one byte.</p>
-            </div>
+            {/* Normalization forms */}
+            <NormalizationView text={text} onUse={setText} />
+
+            {/* Encoded bytes, two encodings side by side */}
+            <EncodingComparison text={text} />
+
+            {/* How UTF‑8 packs the bits */}
+            <Utf8Steps text={text} />
+
+            {/* The bytes through Base64, Base32, Ascii85, … */}
+            <ByteEncodingsView bytes={textBytes} />
 
             {/* Decoder mini‑tool */}
             <div className="bg-white rounded-2xl p-4 shadow-sm border border-slate-200">
-              <h3 className="font-semibold mb-2">Mini Decoder</h3>
-              <p className="text-sm text-slate-600 mb-2">Paste hex bytes (e.g., <span className="font-mono">48 65 6C 6C 6F F0 9F 91 8B</span>) and decode as UTF‑8.</p>
-              <DecoderTool />
+              <h3 className="font-semibold mb-2">{t("decoder.title")}</h3>
+              <p className="text-sm text-slate-600 mb-2">
+                {parts("decoder.intro", {
+                  example: <span className="font-mono">48 65 6C 6C 6F F0 9F 91 8B</span>,
+                  overlong: <span className="font-mono">C0 AF</span>,
+                  surrogate: <span className="font-mono">ED A0 80</span>,
+                  truncated: <span className="font-mono">F0 9F 91</span>,
+                })}
+              </p>
+              <DecoderTool text={text} />
             </div>
           </section>
         )}
 
         <footer className="mt-8 text-xs text-slate-500">
-          Built for classroom demos: sliders, bit flips, endianness, code points, and UTF‑8 bytes. Try switching to 16/32‑bit and typing emojis.
+          {t("numbers.footer")}
         </footer>
       </div>
     </div>
   );
 }
 
-function DecoderTool() {
+const parseHexBytes = (str) =>
+  str
+    .replace(/0x/gi, " ")
+    .replace(/[^0-9a-fA-F]/g, " ")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    // runs like "F09F918B" are read as consecutive bytes
+    .flatMap((h) => h.match(/.{1,2}/g))
+    .map((h) => parseInt(h, 16));
+
+const hexByte = (b) => "0x" + padLeft(b.toString(16).toUpperCase(), 2);
+const hexCp = (cp) => "U+" + padLeft(cp.toString(16).toUpperCase(), 4);
+
+// seg.error is the message key; the lengths of counted messages are their {count}
+const describeUtf8Error = (seg, { t, plural }) => {
+  switch (seg.error) {
+    case "stray":
+    case "invalid-byte":
+      return t(`decoder.error.${seg.error}`, { byte: hexByte(seg.bytes[0]) });
+    case "truncated":
+      return plural("decoder.error.truncated", seg.bytes.length, { byte: hexByte(seg.bytes[0]), expected: seg.expected });
+    case "overlong":
+      return plural("decoder.error.overlong", utf8Form(seg.value).length, { cp: hexCp(seg.value), length: seg.bytes.length });
+    case "surrogate":
+    case "too-large":
+      return t(`decoder.error.${seg.error}`, { cp: hexCp(seg.value) });
+    default:
+      return "";
+  }
+};
+
+// a decoding error of byteEncodings.js; counted reasons have .one/.other forms
+const describeInputError = ({ error, reason }, { t, plural }) => {
+  if (!reason) return error;
+  const key = `decoder.inputError.${reason.id}`;
+  return "count" in reason ? plural(key, reason.count, reason) : t(key, reason);
+};
+
+function DecoderTool({ text }) {
+  const i18n = useI18n();
+  const { t, plural } = i18n;
   const [hexInput, setHexInput] = useState("48 65 6C 6C 6F 20 F0 9F 91 8B");
-  const [decoded, setDecoded] = useState("");
-  const [error, setError] = useState("");
+  const [inputFormat, setInputFormat] = useState("hex");
+  const [encodingId, setEncodingId] = useState("utf8");
+  const [skipBom, setSkipBom] = useState(true);
+
+  // hex is read leniently (any separators, 0x prefixes); the other formats strictly
+  const parsed = useMemo(
+    () => (inputFormat === "hex" ? { bytes: parseHexBytes(hexInput) } : findByteEncoding(inputFormat).decode(hexInput)),
+    [hexInput, inputFormat]
+  );
+  const bytes = useMemo(() => parsed.bytes || [], [parsed]);
+  const decoded = useMemo(() => decodeBytes(bytes, encodingId, { bom: skipBom }), [bytes, encodingId, skipBom]);
+  const bomEncoding = useMemo(() => sniffBom(bytes), [bytes]);
+  const readings = useMemo(
+    () => ENCODINGS.map((enc) => ({ enc, text: decodeBytes(bytes, enc.id, { bom: skipBom }) })),
+    [bytes, skipBom]
+  );
 
-  useEffect(() => {
-    try {
-      const bytes = hexInput
-        .replace(/0x/gi, " ")
-        .replace(/[^0-9a-fA-F]/g, " ")
-        .trim()
-        .split(/\s+/)
-        .filter(Boolean)
-        .map((h) => parseInt(h, 16));
-      const arr = new Uint8Array(bytes);
-      const text = new TextDecoder().decode(arr);
-      setDecoded(text);
-      setError("");
-    } catch (e) {
-      setDecoded("");
-      setError("Invalid UTF‑8 or hex format");
-    }
-  }, [hexInput]);
+  // UTF‑8 is decoded strictly so every invalid sequence can be pointed at
+  const strict = useMemo(() => {
+    if (encodingId !== "utf8") return null;
+    const skip = skipBom && bomEncoding?.id === "utf8" ? bomEncoding.bom.length : 0;
+    const result = decodeUtf8Strict(bytes.slice(skip));
+    const segments = result.segments.map((seg) => ({ ...seg, offset: seg.offset + skip }));
+    return { segments, errors: segments.filter((seg) => seg.error) };
+  }, [bytes, encodingId, skipBom, bomEncoding]);
+
+  const loadText = () => setHexInput(findByteEncoding(inputFormat).encode(utf8Bytes(text)));
+
+  // switching the format rewrites the current bytes in it
+  const changeFormat = (id) => {
+    if (parsed.bytes) setHexInput(findByteEncoding(id).encode(bytes));
+    setInputFormat(id);
+  };
 
   return (
-    <div className="grid md:grid-cols-2 gap-4 items-start">
-      <textarea
-        className="w-full rounded-xl border border-slate-300 px-3 py-2 min-h-[96px] font-mono"
-        value={hexInput}
-        onChange={(e) => setHexInput(e.target.value)}
-      />
-      <div className="rounded-2xl border border-slate-200 bg-slate-50 p-4 min-h-[96px]">
-        <div className="text-xs text-slate-500 mb-1">Decoded text</div>
-        <div className="text-slate-900 whitespace-pre-wrap break-words">{decoded}</div>
-        {error && <div className="text-rose-600 text-sm mt-2">{error}</div>}
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <label className="flex items-center gap-2 text-slate-600">
+          {t("decoder.input")}
+          <select
+            className="rounded-xl border border-slate-300 px-2 py-1.5"
+            value={inputFormat}
+            onChange={(e) => changeFormat(e.target.value)}
+          >
+            {BYTE_ENCODINGS.map((f) => (
+              <option key={f.id} value={f.id}>{t(`byteEncoding.${f.id}`)}</option>
+            ))}
+          </select>
+        </label>
+        <span className="text-slate-400">→</span>
+        <select
+          className="rounded-xl border border-slate-300 px-2 py-1.5"
+          value={encodingId}
+          onChange={(e) => setEncodingId(e.target.value)}
+        >
+          {ENCODINGS.map((enc) => (
+            <option key={enc.id} value={enc.id}>{enc.label}</option>
+          ))}
+        </select>
+        <label className="flex items-center gap-2 text-slate-600">
+          <input type="checkbox" checked={skipBom} onChange={(e) => setSkipBom(e.target.checked)} />
+          {t("decoder.skipBom")}
+        </label>
+        <button onClick={loadText} className="px-3 py-1.5 rounded-xl border bg-white hover:bg-slate-50">
+          {t("decoder.loadText")}
+        </button>
+      </div>
+      <div className="grid md:grid-cols-2 gap-4 items-start">
+        <div>
+          <textarea
+            className={`w-full rounded-xl border px-3 py-2 min-h-[96px] font-mono ${parsed.error ? "border-rose-400" : "border-slate-300"}`}
+            value={hexInput}
+            onChange={(e) => setHexInput(e.target.value)}
+          />
+          {parsed.error && <div className="text-sm text-rose-700">{describeInputError(parsed, i18n)}</div>}
+        </div>
+        <div className="rounded-2xl border border-slate-200 bg-slate-50 p-4 min-h-[96px]">
+          <div className="text-xs text-slate-500 mb-1">{plural("decoder.decodedText", bytes.length)}</div>
+          <div className="text-slate-900 whitespace-pre-wrap break-words">{decoded}</div>
+          {bomEncoding && (
+            <div className={`text-sm mt-2 ${bomEncoding.id === encodingId ? "text-slate-600" : "text-amber-700"}`}>
+              {t(bomEncoding.id === encodingId ? "decoder.bom" : "decoder.bomMismatch", { encoding: bomEncoding.label })}
+            </div>
+          )}
+        </div>
+      </div>
+      {strict && (
+        <div>
+          <div className="flex flex-wrap gap-2">
+            {strict.segments.map((seg) => (
+              <div
+                key={seg.offset}
+                className={`rounded-2xl border p-1.5 ${seg.error ? "border-rose-300 bg-rose-50" : "border-slate-200"}`}
+              >
+                <div className="flex gap-1">
+                  {seg.bytes.map((b, bi) => (
+                    <div key={bi} className="px-2 py-1 rounded-xl bg-white border border-slate-200">
+                      <div className="text-xs text-slate-500">{t("decoder.byte", { offset: seg.offset + bi })}</div>
+                      <div className="font-mono text-sm">{hexByte(b)}</div>
+                    </div>
+                  ))}
+                </div>
+                <div className={`text-xs mt-1 px-1 ${seg.error ? "text-rose-700" : "text-slate-600"}`}>
+                  {seg.error ? `✘ ${t(`decoder.errorName.${seg.error}`)}` : `${String.fromCodePoint(seg.cp)} ${hexCp(seg.cp)}`}
+                </div>
+              </div>
+            ))}
+          </div>
+          {strict.errors.length === 0 ? (
+            <p className="text-sm text-green-700 mt-2">{t("decoder.valid")}</p>
+          ) : (
+            <ul className="text-sm text-rose-700 mt-2 space-y-1">
+              {strict.errors.map((seg) => (
+                <li key={seg.offset}>
+                  <span className="font-mono">
+                    {t("decoder.byte", { offset: seg.offset })}
+                    {seg.bytes.length > 1 ? `–${seg.offset + seg.bytes.length - 1}` : ""}
+                  </span>
+                  : {t("decoder.replaced", { description: describeUtf8Error(seg, i18n) })}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+      <div>
+        <div className="text-xs text-slate-500 mb-1">{t("decoder.readings")}</div>
+        <table className="min-w-full text-sm">
+          <tbody>
+            {readings.map((r) => (
+              <tr
+                key={r.enc.id}
+                onClick={() => setEncodingId(r.enc.id)}
+                className={`border-t border-slate-200 cursor-pointer ${r.enc.id === encodingId ? "bg-slate-100" : "hover:bg-slate-50"}`}
+              >
+                <td className="py-1.5 pr-4 whitespace-nowrap text-slate-600">{r.enc.label}</td>
+                <td className="py-1.5 whitespace-pre-wrap break-all">{r.text}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
       </div>
     </div>
   );
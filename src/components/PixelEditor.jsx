@@ -0,0 +1,127 @@
+import React, { useEffect, useState } from "react";
+import { hexToRgb, rgbToHex } from "../lib/colorSpaces";
+import { MAX_BLANK_SIZE } from "../lib/pixelEdit";
+import useI18n from "../hooks/useI18n";
+
+/**
+ * Pixel Editor
+ * ------------------------------------------------------
+ * The paint colour (typed as R, G, B or hex, or taken from the picked
+ * pixel), a button that writes it into the picked pixel, and a blank
+ * image of any size to start from. Pencil and Fill live in the Pixel
+ * Viewer's toolbar and paint with the same colour.
+ */
+
+const CHANNELS = ["r", "g", "b"];
+const BLANK_PRESETS = [
+  [8, 8],
+  [16, 16],
+  [32, 32],
+];
+
+const clampByte = (v) => Math.max(0, Math.min(255, Math.round(Number(v)) || 0));
+
+export default function PixelEditor({ pixel, color, onColorChange, onSetPixel, onNewImage, onUndo, canUndo }) {
+  const { t } = useI18n();
+  const [hexInput, setHexInput] = useState(rgbToHex(color.r, color.g, color.b));
+  const [size, setSize] = useState({ width: 8, height: 8 });
+
+  // follow colour changes from the RGB fields and the eyedropper, but not while "#AB…" is still being typed
+  useEffect(() => {
+    const typed = hexToRgb(hexInput);
+    if (!typed || typed.some((v, i) => v !== color[CHANNELS[i]])) setHexInput(rgbToHex(color.r, color.g, color.b));
+  }, [color.r, color.g, color.b]);
+
+  const fromHex = (str) => {
+    const rgb = hexToRgb(str);
+    return rgb && { r: rgb[0], g: rgb[1], b: rgb[2] };
+  };
+
+  const setHex = (str) => {
+    setHexInput(str);
+    const rgb = fromHex(str);
+    if (rgb) onColorChange(rgb);
+  };
+
+  const blankSize = (v) => Math.max(1, Math.min(MAX_BLANK_SIZE, Math.round(Number(v)) || 1));
+
+  return (
+    <div className="p-4 bg-white rounded-2xl border border-slate-200 space-y-4">
+      <div className="flex items-baseline justify-between gap-2">
+        <h3 className="font-semibold">{t("pixelEditor.title")}</h3>
+        <button className="px-3 py-1 rounded bg-gray-200 text-sm disabled:opacity-50" onClick={onUndo} disabled={!canUndo}>
+          {t("pixelEditor.undo")}
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-end gap-3 text-sm">
+        <div className="w-12 h-12 rounded-lg border border-slate-300" style={{ background: rgbToHex(color.r, color.g, color.b) }} />
+        {CHANNELS.map((c) => (
+          <label key={c} className="flex flex-col">
+            <span className="text-xs text-slate-500 uppercase">{c}</span>
+            <input
+              type="number"
+              min={0}
+              max={255}
+              className="w-20 rounded-lg border border-slate-300 px-2 py-1 font-mono"
+              value={color[c]}
+              onChange={(e) => onColorChange({ ...color, [c]: clampByte(e.target.value) })}
+            />
+          </label>
+        ))}
+        <label className="flex flex-col">
+          <span className="text-xs text-slate-500">{t("pixelEditor.hex")}</span>
+          <input
+            className="w-24 rounded-lg border border-slate-300 px-2 py-1 font-mono"
+            value={hexInput}
+            onChange={(e) => setHex(e.target.value)}
+          />
+        </label>
+        <input
+          type="color"
+          className="h-9 w-12"
+          value={rgbToHex(color.r, color.g, color.b).toLowerCase()}
+          onChange={(e) => onColorChange(fromHex(e.target.value))}
+          title={t("pixelEditor.picker")}
+        />
+        {pixel && (
+          <button className="px-3 py-1 rounded bg-gray-200" onClick={() => onColorChange({ r: pixel.r, g: pixel.g, b: pixel.b })}>
+            {t("pixelEditor.useColour", { x: pixel.x, y: pixel.y })}
+          </button>
+        )}
+        <button className="px-3 py-1 rounded bg-blue-500 text-white disabled:opacity-50" onClick={onSetPixel} disabled={!pixel}>
+          {pixel ? t("pixelEditor.setPixel", { x: pixel.x, y: pixel.y }) : t("pixelEditor.pickFirst")}
+        </button>
+      </div>
+
+      <form
+        className="flex flex-wrap items-end gap-3 text-sm border-t border-slate-200 pt-3"
+        onSubmit={(e) => {
+          e.preventDefault();
+          onNewImage(size.width, size.height);
+        }}
+      >
+        <span className="font-medium self-center">{t("pixelEditor.blank")}</span>
+        {["width", "height"].map((k) => (
+          <label key={k} className="flex flex-col">
+            <span className="text-xs text-slate-500">{t(`pixelEditor.${k}`)}</span>
+            <input
+              type="number"
+              min={1}
+              max={MAX_BLANK_SIZE}
+              className="w-20 rounded-lg border border-slate-300 px-2 py-1 font-mono"
+              value={size[k]}
+              onChange={(e) => setSize({ ...size, [k]: blankSize(e.target.value) })}
+            />
+          </label>
+        ))}
+        {BLANK_PRESETS.map(([w, h]) => (
+          <button key={w} type="button" className="px-2 py-1 rounded bg-gray-200" onClick={() => setSize({ width: w, height: h })}>
+            {w}×{h}
+          </button>
+        ))}
+        <button className="px-3 py-1 rounded bg-blue-500 text-white">{t("pixelEditor.create")}</button>
+      </form>
+    </div>
+  );
+}
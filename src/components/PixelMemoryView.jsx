@@ -0,0 +1,139 @@
+import React, { useState } from "react";
+import ByteCards from "./ByteCards";
+import { PIXEL_LAYOUTS, isLittleEndian, nativeLayout, packPixel, pixelOffset, rowStride, wordBytes } from "../lib/pixelMemory";
+import useI18n from "../hooks/useI18n";
+
+/**
+ * Pixel in Memory
+ * ------------------------------------------------------
+ * The picked pixel as the bytes the browser keeps for it: where they
+ * sit in the ImageData buffer, and the 32-bit word they make in each
+ * common channel layout, stored big- and little-endian. Any of the
+ * words opens in the Numbers tab.
+ */
+
+const hex32 = (word) => "0x" + word.toString(16).toUpperCase().padStart(8, "0");
+
+export default function PixelMemoryView({ imageData, pixel, onOpenNumber }) {
+  const { t, parts, formatNumber } = useI18n();
+  const [layout, setLayout] = useState("RGBA");
+  const { width, data } = imageData;
+  const offset = pixelOffset(pixel.x, pixel.y, width);
+  const stride = rowStride(width);
+  const littleEndian = isLittleEndian();
+  const word = packPixel(pixel, layout);
+  const channelsOf = (id, le) => (le ? [...id].reverse() : [...id]);
+  const addresses = [0, 1, 2, 3].map((i) => t("pixelMemory.address", { offset: offset + i }));
+  const order = (le) => t(le ? "pixelMemory.littleEndian" : "pixelMemory.bigEndian");
+
+  return (
+    <div className="p-4 bg-white rounded-2xl border border-slate-200 space-y-4 text-sm">
+      <h3 className="font-semibold">{t("pixelMemory.title")}</h3>
+
+      <div className="space-y-1">
+        <p>
+          {parts("pixelMemory.offset", {
+            x: pixel.x,
+            y: pixel.y,
+            formula: (
+              <span className="font-mono">
+                ({pixel.y} × {width} + {pixel.x}) × 4 = <b>{formatNumber(offset)}</b>
+              </span>
+            ),
+            hex: <span className="font-mono">{hex32(offset)}</span>,
+          })}
+        </p>
+        <p>
+          {parts("pixelMemory.stride", {
+            formula: (
+              <span className="font-mono">
+                {width} × 4 = {formatNumber(stride)}
+              </span>
+            ),
+            row: pixel.y,
+            start: <span className="font-mono">{formatNumber(pixel.y * stride)}</span>,
+            stride: formatNumber(stride),
+          })}
+        </p>
+      </div>
+      <ByteCards bytes={Array.from(data.subarray(offset, offset + 4))} labels={addresses} notes={["R", "G", "B", "A"]} />
+
+      <table className="w-full">
+        <thead>
+          <tr className="text-left text-slate-500">
+            <th className="py-1 pr-4">{t("pixelMemory.layout")}</th>
+            <th className="py-1 pr-4">{t("pixelMemory.word")}</th>
+            <th className="py-1 pr-4 text-right">{t("pixelMemory.unsigned")}</th>
+            <th className="py-1 pr-4">{t("pixelMemory.bigEndianMemory")}</th>
+            <th className="py-1 pr-4">{t("pixelMemory.littleEndianMemory")}</th>
+            <th className="py-1" />
+          </tr>
+        </thead>
+        <tbody>
+          {PIXEL_LAYOUTS.map((l) => {
+            const w = packPixel(pixel, l.id);
+            return (
+              <tr
+                key={l.id}
+                onClick={() => setLayout(l.id)}
+                className={`border-t border-slate-200 cursor-pointer ${layout === l.id ? "bg-blue-50" : "hover:bg-slate-50"}`}
+              >
+                <td className="py-1 pr-4" title={t(`pixelMemory.layout.${l.id}`)}>
+                  <input type="radio" className="mr-2" checked={layout === l.id} readOnly />
+                  <span className="font-mono">{l.id}</span>
+                  {l.id === nativeLayout(littleEndian) && <span className="text-slate-500"> {t("pixelMemory.native")}</span>}
+                </td>
+                <td className="py-1 pr-4 font-mono">{hex32(w)}</td>
+                <td className="py-1 pr-4 font-mono text-right">{formatNumber(w)}</td>
+                {[false, true].map((le) => (
+                  <td key={String(le)} className="py-1 pr-4 font-mono">
+                    {wordBytes(w, le)
+                      .map((b) => b.toString(16).toUpperCase().padStart(2, "0"))
+                      .join(" ")}{" "}
+                    <span className="text-slate-500">{channelsOf(l.id, le).join("")}</span>
+                  </td>
+                ))}
+                <td className="py-1 text-right">
+                  {onOpenNumber && (
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        onOpenNumber(32, BigInt(w));
+                      }}
+                      className="px-2 py-0.5 rounded-lg text-xs border bg-white hover:bg-slate-50"
+                    >
+                      {t("pixelMemory.openInNumbers")}
+                    </button>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div className="grid md:grid-cols-2 gap-4">
+        {[false, true].map((le) => (
+          <div key={String(le)}>
+            <div className="mb-1">
+              {parts(le === littleEndian ? "pixelMemory.storedHere" : "pixelMemory.stored", {
+                layout: <span className="font-mono">{layout}</span>,
+                order: order(le),
+              })}
+            </div>
+            <ByteCards bytes={wordBytes(word, le)} notes={channelsOf(layout, le)} />
+          </div>
+        ))}
+      </div>
+
+      <p className="text-slate-600">
+        {parts(littleEndian ? "pixelMemory.noteLittleEndian" : "pixelMemory.note", {
+          order: order(littleEndian),
+          layout: <span className="font-mono">{nativeLayout(littleEndian)}</span>,
+          word: <span className="font-mono">{hex32(packPixel(pixel, "ABGR"))}</span>,
+          expected: <span className="font-mono">{hex32(packPixel(pixel, "RGBA"))}</span>,
+        })}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,381 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { rectFromPoints } from "../lib/imageStats";
+import useI18n from "../hooks/useI18n";
+
+/**
+ * Pixel Viewer
+ * ------------------------------------------------------
+ * Zoomable, pannable view of an ImageData. From GRID_ZOOM on the pixel
+ * grid is drawn, from LABEL_ZOOM on every pixel is labelled with its
+ * value. A loupe follows the cursor, arrow keys move the picked pixel.
+ *
+ * Interaction: click picks a pixel, drag selects a rectangle, wheel
+ * zooms around the cursor, Shift+drag (or the Pan tool) pans. With an
+ * `onPaint` handler the Pencil and Fill tools appear; each pencil
+ * segment is reported as `{ tool, from, to, start }`.
+ */
+
+const VIEW_HEIGHT = 480;
+const MIN_ZOOM = 0.05;
+const MAX_ZOOM = 128;
+const ZOOM_STEP = 1.25;
+const GRID_ZOOM = 12;
+const LABEL_ZOOM = 40;
+const LOUPE_RADIUS = 5; // pixels around the cursor, so the loupe shows 11 × 11
+const LOUPE_CELL = 12;
+
+const clamp = (n, min, max) => Math.min(max, Math.max(min, n));
+const hex2 = (v) => v.toString(16).padStart(2, "0").toUpperCase();
+
+const pixelAt = (imageData, x, y) => {
+  const i = (y * imageData.width + x) * 4;
+  const d = imageData.data;
+  return { r: d[i], g: d[i + 1], b: d[i + 2], a: d[i + 3] };
+};
+
+// dark text on light pixels and vice versa
+const labelColor = ({ r, g, b }) => (0.2126 * r + 0.7152 * g + 0.0722 * b > 140 ? "#0f172a" : "#ffffff");
+
+const TOOLS = ["select", "pan"];
+const PAINT_TOOLS = ["pencil", "fill"];
+
+export default function PixelViewer({ imageData, pixel, onPick, selection, onSelect, onPaint }) {
+  const { t } = useI18n();
+  const containerRef = useRef();
+  const canvasRef = useRef();
+  const loupeRef = useRef();
+  const dragRef = useRef(null);
+  const [viewWidth, setViewWidth] = useState(800);
+  const [view, setView] = useState({ zoom: 1, x: 0, y: 0 }); // x/y: image coordinate at the top-left corner
+  const [tool, setTool] = useState("select"); // 'select' | 'pan' | 'pencil' | 'fill'
+  const [labelMode, setLabelMode] = useState("rgb"); // 'rgb' | 'hex'
+  const [hover, setHover] = useState(null); // {x, y, sx, sy}: image pixel and position in the view
+  const [dragRect, setDragRect] = useState(null);
+
+  // the image as a canvas, so drawImage can scale it
+  const source = useMemo(() => {
+    const c = document.createElement("canvas");
+    c.width = imageData.width;
+    c.height = imageData.height;
+    c.getContext("2d").putImageData(imageData, 0, 0);
+    return c;
+  }, [imageData]);
+
+  useEffect(() => {
+    const el = containerRef.current;
+    const observer = new ResizeObserver(([entry]) => setViewWidth(Math.max(200, Math.floor(entry.contentRect.width))));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  const fit = useCallback(() => {
+    // measured directly: on the first render the observer has not reported yet
+    const width = containerRef.current?.clientWidth || viewWidth;
+    const zoom = clamp(Math.min(width / imageData.width, VIEW_HEIGHT / imageData.height), MIN_ZOOM, MAX_ZOOM);
+    setView({
+      zoom,
+      x: (imageData.width - width / zoom) / 2,
+      y: (imageData.height - VIEW_HEIGHT / zoom) / 2,
+    });
+  }, [imageData.width, imageData.height, viewWidth]);
+
+  // fit a newly loaded image (not an edited one of the same size)
+  useEffect(() => {
+    fit();
+  }, [imageData.width, imageData.height]);
+
+  const zoomAround = useCallback((factor, sx, sy) => {
+    setView((v) => {
+      const zoom = clamp(v.zoom * factor, MIN_ZOOM, MAX_ZOOM);
+      return { zoom, x: v.x + sx / v.zoom - sx / zoom, y: v.y + sy / v.zoom - sy / zoom };
+    });
+  }, []);
+
+  // wheel listeners added through React are passive and cannot stop the page from scrolling
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const rect = canvas.getBoundingClientRect();
+      zoomAround(e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP, e.clientX - rect.left, e.clientY - rect.top);
+    };
+    canvas.addEventListener("wheel", onWheel, { passive: false });
+    return () => canvas.removeEventListener("wheel", onWheel);
+  }, [zoomAround]);
+
+  // ---------- drawing ----------
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = viewWidth * dpr;
+    canvas.height = VIEW_HEIGHT * dpr;
+    const ctx = canvas.getContext("2d");
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    const { zoom } = view;
+    const toScreenX = (ix) => (ix - view.x) * zoom;
+    const toScreenY = (iy) => (iy - view.y) * zoom;
+
+    ctx.fillStyle = "#e2e8f0";
+    ctx.fillRect(0, 0, viewWidth, VIEW_HEIGHT);
+    ctx.imageSmoothingEnabled = zoom < 1;
+    ctx.drawImage(source, toScreenX(0), toScreenY(0), imageData.width * zoom, imageData.height * zoom);
+
+    const x0 = clamp(Math.floor(view.x), 0, imageData.width);
+    const y0 = clamp(Math.floor(view.y), 0, imageData.height);
+    const x1 = clamp(Math.ceil(view.x + viewWidth / zoom), 0, imageData.width);
+    const y1 = clamp(Math.ceil(view.y + VIEW_HEIGHT / zoom), 0, imageData.height);
+
+    if (zoom >= GRID_ZOOM) {
+      ctx.strokeStyle = "rgba(100, 116, 139, 0.5)";
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      for (let x = x0; x <= x1; x++) {
+        ctx.moveTo(Math.round(toScreenX(x)) + 0.5, toScreenY(y0));
+        ctx.lineTo(Math.round(toScreenX(x)) + 0.5, toScreenY(y1));
+      }
+      for (let y = y0; y <= y1; y++) {
+        ctx.moveTo(toScreenX(x0), Math.round(toScreenY(y)) + 0.5);
+        ctx.lineTo(toScreenX(x1), Math.round(toScreenY(y)) + 0.5);
+      }
+      ctx.stroke();
+    }
+
+    if (zoom >= LABEL_ZOOM) {
+      const fontSize = Math.min(14, Math.floor(zoom / (labelMode === "rgb" ? 4 : 5)));
+      ctx.font = `${fontSize}px ui-monospace, monospace`;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const p = pixelAt(imageData, x, y);
+          const cx = toScreenX(x + 0.5);
+          const cy = toScreenY(y + 0.5);
+          ctx.fillStyle = labelColor(p);
+          if (labelMode === "hex") {
+            ctx.fillText(`#${hex2(p.r)}${hex2(p.g)}${hex2(p.b)}`, cx, cy);
+          } else {
+            [p.r, p.g, p.b].forEach((v, k) => ctx.fillText(String(v), cx, cy + (k - 1) * fontSize * 1.1));
+          }
+        }
+      }
+    }
+
+    const rect = dragRect || selection;
+    if (rect) {
+      ctx.setLineDash([6, 4]);
+      ctx.strokeStyle = "#3b82f6";
+      ctx.lineWidth = 2;
+      ctx.strokeRect(toScreenX(rect.x), toScreenY(rect.y), rect.width * zoom, rect.height * zoom);
+      ctx.setLineDash([]);
+    }
+
+    if (pixel) {
+      const size = Math.max(zoom, 6);
+      const offset = (size - zoom) / 2;
+      ctx.lineWidth = 2;
+      ctx.strokeStyle = "#ffffff";
+      ctx.strokeRect(toScreenX(pixel.x) - offset - 1, toScreenY(pixel.y) - offset - 1, size + 2, size + 2);
+      ctx.strokeStyle = "#ef4444";
+      ctx.strokeRect(toScreenX(pixel.x) - offset, toScreenY(pixel.y) - offset, size, size);
+    }
+  }, [source, imageData, view, viewWidth, labelMode, selection, dragRect, pixel]);
+
+  // ---------- loupe ----------
+  useEffect(() => {
+    const canvas = loupeRef.current;
+    if (!canvas || !hover) return;
+    const ctx = canvas.getContext("2d");
+    const side = (2 * LOUPE_RADIUS + 1) * LOUPE_CELL;
+    ctx.fillStyle = "#e2e8f0";
+    ctx.fillRect(0, 0, side, side);
+    for (let dy = -LOUPE_RADIUS; dy <= LOUPE_RADIUS; dy++) {
+      for (let dx = -LOUPE_RADIUS; dx <= LOUPE_RADIUS; dx++) {
+        const x = hover.x + dx;
+        const y = hover.y + dy;
+        if (x < 0 || y < 0 || x >= imageData.width || y >= imageData.height) continue;
+        const p = pixelAt(imageData, x, y);
+        ctx.fillStyle = `rgba(${p.r}, ${p.g}, ${p.b}, ${p.a / 255})`;
+        ctx.fillRect((dx + LOUPE_RADIUS) * LOUPE_CELL, (dy + LOUPE_RADIUS) * LOUPE_CELL, LOUPE_CELL, LOUPE_CELL);
+      }
+    }
+    ctx.strokeStyle = "#ef4444";
+    ctx.lineWidth = 2;
+    ctx.strokeRect(LOUPE_RADIUS * LOUPE_CELL + 1, LOUPE_RADIUS * LOUPE_CELL + 1, LOUPE_CELL - 2, LOUPE_CELL - 2);
+  }, [hover, imageData]);
+
+  // ---------- interaction ----------
+  const screenPoint = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return { sx: e.clientX - rect.left, sy: e.clientY - rect.top };
+  };
+
+  const toImage = ({ sx, sy }) => ({
+    x: clamp(Math.floor(view.x + sx / view.zoom), 0, imageData.width - 1),
+    y: clamp(Math.floor(view.y + sy / view.zoom), 0, imageData.height - 1),
+  });
+
+  const isInside = ({ sx, sy }) => {
+    const ix = view.x + sx / view.zoom;
+    const iy = view.y + sy / view.zoom;
+    return ix >= 0 && iy >= 0 && ix < imageData.width && iy < imageData.height;
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    containerRef.current.focus();
+    const sp = screenPoint(e);
+    if (tool === "pan" || e.shiftKey || e.button === 1) {
+      dragRef.current = { mode: "pan", sp, origin: view };
+    } else if (tool === "pencil" || tool === "fill") {
+      if (!isInside(sp)) return;
+      const p = toImage(sp);
+      onPick(p);
+      onPaint({ tool, from: p, to: p, start: true });
+      if (tool === "pencil") dragRef.current = { mode: "paint", last: p };
+    } else {
+      dragRef.current = { mode: "select", start: toImage(sp), inside: isInside(sp), moved: false };
+    }
+  };
+
+  const handlePointerMove = (e) => {
+    const sp = screenPoint(e);
+    setHover(isInside(sp) ? { ...toImage(sp), ...sp } : null);
+    const drag = dragRef.current;
+    if (!drag) return;
+    if (drag.mode === "pan") {
+      setView({
+        ...drag.origin,
+        x: drag.origin.x - (sp.sx - drag.sp.sx) / drag.origin.zoom,
+        y: drag.origin.y - (sp.sy - drag.sp.sy) / drag.origin.zoom,
+      });
+      return;
+    }
+    const p = toImage(sp);
+    if (drag.mode === "paint") {
+      if (p.x !== drag.last.x || p.y !== drag.last.y) onPaint({ tool: "pencil", from: drag.last, to: p, start: false });
+      drag.last = p;
+      return;
+    }
+    if (p.x !== drag.start.x || p.y !== drag.start.y) drag.moved = true;
+    if (drag.moved) setDragRect(rectFromPoints(drag.start, p));
+  };
+
+  const handlePointerUp = (e) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag || drag.mode !== "select") return;
+    setDragRect(null);
+    const p = toImage(screenPoint(e));
+    if (drag.moved) onSelect(rectFromPoints(drag.start, p));
+    else if (drag.inside) onPick(p);
+  };
+
+  // keeps a pixel on screen after keyboard navigation
+  const reveal = (p) =>
+    setView((v) => {
+      const w = viewWidth / v.zoom;
+      const h = VIEW_HEIGHT / v.zoom;
+      const x = p.x < v.x || p.x + 1 > v.x + w ? p.x + 0.5 - w / 2 : v.x;
+      const y = p.y < v.y || p.y + 1 > v.y + h ? p.y + 0.5 - h / 2 : v.y;
+      return { ...v, x, y };
+    });
+
+  const handleKeyDown = (e) => {
+    const moves = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+    if (moves[e.key]) {
+      e.preventDefault();
+      const step = e.shiftKey ? 10 : 1;
+      const from = pixel || { x: 0, y: 0 };
+      const p = {
+        x: clamp(from.x + moves[e.key][0] * step, 0, imageData.width - 1),
+        y: clamp(from.y + moves[e.key][1] * step, 0, imageData.height - 1),
+      };
+      onPick(p);
+      reveal(p);
+    } else if (e.key === "+" || e.key === "=") {
+      zoomAround(ZOOM_STEP, viewWidth / 2, VIEW_HEIGHT / 2);
+    } else if (e.key === "-") {
+      zoomAround(1 / ZOOM_STEP, viewWidth / 2, VIEW_HEIGHT / 2);
+    }
+  };
+
+  const setZoom = (zoom) => zoomAround(zoom / view.zoom, viewWidth / 2, VIEW_HEIGHT / 2);
+
+  const hoverValue = hover && pixelAt(imageData, hover.x, hover.y);
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        {(onPaint ? [...TOOLS, ...PAINT_TOOLS] : TOOLS).map((id) => (
+          <button
+            key={id}
+            onClick={() => setTool(id)}
+            className={`px-3 py-1 rounded ${tool === id ? "bg-blue-500 text-white" : "bg-gray-200"}`}
+          >
+            {t(`pixelViewer.tool.${id}`)}
+          </button>
+        ))}
+        <span className="mx-2 text-gray-400">|</span>
+        <button onClick={() => setZoom(view.zoom / ZOOM_STEP)} className="px-3 py-1 rounded bg-gray-200">−</button>
+        <span className="font-mono w-16 text-center">{Math.round(view.zoom * 100)}%</span>
+        <button onClick={() => setZoom(view.zoom * ZOOM_STEP)} className="px-3 py-1 rounded bg-gray-200">+</button>
+        <button onClick={() => setZoom(1)} className="px-3 py-1 rounded bg-gray-200">1:1</button>
+        <button onClick={() => setZoom(LABEL_ZOOM * 1.5)} className="px-3 py-1 rounded bg-gray-200">{t("pixelViewer.pixelValues")}</button>
+        <button onClick={fit} className="px-3 py-1 rounded bg-gray-200">{t("pixelViewer.fit")}</button>
+        <span className="mx-2 text-gray-400">|</span>
+        <label className="flex items-center gap-1">
+          {t("pixelViewer.labels")}
+          <select
+            className="rounded border border-gray-300 px-1 py-0.5"
+            value={labelMode}
+            onChange={(e) => setLabelMode(e.target.value)}
+          >
+            <option value="rgb">R G B</option>
+            <option value="hex">#RRGGBB</option>
+          </select>
+        </label>
+      </div>
+
+      <div
+        ref={containerRef}
+        tabIndex={0}
+        onKeyDown={handleKeyDown}
+        className="relative w-full outline-none focus:ring-2 focus:ring-blue-400 rounded"
+      >
+        <canvas
+          ref={canvasRef}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerLeave={() => setHover(null)}
+          style={{ width: viewWidth, height: VIEW_HEIGHT }}
+          className={`block border rounded shadow touch-none ${tool === "pan" ? "cursor-grab" : "cursor-crosshair"}`}
+        />
+        {hover && (
+          <div
+            className="absolute pointer-events-none bg-white border rounded shadow p-1"
+            style={{
+              left: hover.sx + 20 + 140 > viewWidth ? hover.sx - 160 : hover.sx + 20,
+              top: clamp(hover.sy + 20, 0, VIEW_HEIGHT - 170),
+            }}
+          >
+            <canvas
+              ref={loupeRef}
+              width={(2 * LOUPE_RADIUS + 1) * LOUPE_CELL}
+              height={(2 * LOUPE_RADIUS + 1) * LOUPE_CELL}
+              className="block"
+            />
+            <div className="text-xs font-mono mt-1">
+              ({hover.x}, {hover.y}) {hoverValue.r},{hoverValue.g},{hoverValue.b}
+              {hoverValue.a !== 255 && ` α${hoverValue.a}`}
+            </div>
+          </div>
+        )}
+      </div>
+      <p className="text-sm text-gray-600">
+        {t("pixelViewer.help", { grid: GRID_ZOOM * 100, labels: LABEL_ZOOM * 100 })}
+        {onPaint && ` ${t("pixelViewer.paintHelp")}`}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,406 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import useI18n from "../hooks/useI18n";
+import {
+  BASE_POINTS,
+  MAX_SPEED_BONUS,
+  MAX_STREAK_BONUS,
+  QUESTION_COUNTS,
+  QUESTION_TYPES,
+  STREAK_BONUS,
+  TIME_LIMITS,
+  clearResults,
+  loadResults,
+  makeQuestions,
+  randomSeed,
+  saveResult,
+  scoreAnswer,
+} from "../lib/quiz";
+
+/**
+ * Quiz
+ * ------------------------------------------------------
+ * Graded practice rounds: a seeded question set (same seed, same
+ * questions for the whole class), optional time limit per question,
+ * points with speed and streak bonuses, and a results history kept in
+ * localStorage. The config lives in the lab's URL, so a round can be
+ * shared as a link. "Match a target" questions hand their target to
+ * the lab as its challenge and count as answered once the lab reports
+ * `challengeCorrect`.
+ */
+
+const TENTHS = { minimumFractionDigits: 1, maximumFractionDigits: 1 };
+
+const configKey = (c) => `${c.seed}|${c.count}|${c.types.join(",")}|${c.timeLimit}`;
+
+// a question's prompt, detail or explanation; a count picks the counted form
+const questionText = ({ id, ...values }, { t, plural }) =>
+  "count" in values ? plural(`quiz.${id}`, values.count, values) : t(`quiz.${id}`, values);
+
+function Setup({ config, onConfigChange, onStart }) {
+  const { t } = useI18n();
+  const toggleType = (id) => {
+    const types = config.types.includes(id) ? config.types.filter((type) => type !== id) : [...config.types, id];
+    if (types.length) onConfigChange({ ...config, types }, { replace: true });
+  };
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex flex-wrap gap-2">
+        {QUESTION_TYPES.map((type) => (
+          <label key={type.id} className="flex items-center gap-1 px-2 py-1 rounded-xl border border-slate-300">
+            <input type="checkbox" checked={config.types.includes(type.id)} onChange={() => toggleType(type.id)} />
+            {t(`quiz.type.${type.id}`)}
+          </label>
+        ))}
+      </div>
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-2">
+          {t("quiz.questions")}
+          <select
+            className="rounded-xl border border-slate-300 px-2 py-1"
+            value={config.count}
+            onChange={(e) => onConfigChange({ ...config, count: Number(e.target.value) }, { replace: true })}
+          >
+            {QUESTION_COUNTS.map((n) => (
+              <option key={n} value={n}>{n}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          {t("quiz.timeLimit")}
+          <select
+            className="rounded-xl border border-slate-300 px-2 py-1"
+            value={config.timeLimit}
+            onChange={(e) => onConfigChange({ ...config, timeLimit: Number(e.target.value) }, { replace: true })}
+          >
+            {TIME_LIMITS.map((s) => (
+              <option key={s} value={s}>{s ? t("quiz.seconds", { seconds: s }) : t("quiz.untimed")}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          {t("quiz.seed")}
+          <input
+            className="w-28 rounded-xl border border-slate-300 px-2 py-1 font-mono"
+            value={config.seed}
+            placeholder={t("quiz.randomSeed")}
+            onChange={(e) => onConfigChange({ ...config, seed: e.target.value.replace(/[^0-9a-z-]/gi, "").slice(0, 32) }, { replace: true })}
+          />
+        </label>
+        <button onClick={onStart} className="px-3 py-1.5 rounded-xl bg-slate-900 text-white">
+          {t("quiz.start")}
+        </button>
+      </div>
+      <p className="text-xs text-slate-500">
+        {t("quiz.setupNote", { base: BASE_POINTS, speed: MAX_SPEED_BONUS, streak: STREAK_BONUS, maxStreak: MAX_STREAK_BONUS })}
+      </p>
+    </div>
+  );
+}
+
+function Results({ results, onClear }) {
+  const { t, locale } = useI18n();
+  if (!results.length) return null;
+  return (
+    <div className="mt-4">
+      <div className="flex items-center justify-between mb-1">
+        <h4 className="text-sm font-semibold">{t("quiz.pastRounds")}</h4>
+        <button onClick={onClear} className="text-xs px-2 py-0.5 rounded bg-gray-200">{t("quiz.clear")}</button>
+      </div>
+      <table className="min-w-full text-xs">
+        <thead>
+          <tr className="text-left text-slate-500">
+            <th className="py-1 pr-3">{t("quiz.column.when")}</th>
+            <th className="py-1 pr-3">{t("quiz.seed")}</th>
+            <th className="py-1 pr-3">{t("quiz.column.correct")}</th>
+            <th className="py-1 pr-3">{t("quiz.score")}</th>
+            <th className="py-1 pr-3">{t("quiz.column.bestStreak")}</th>
+            <th className="py-1 pr-3">{t("quiz.column.time")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {results.map((r, i) => (
+            <tr key={i} className="border-t border-slate-200">
+              <td className="py-1 pr-3">{new Date(r.date).toLocaleString(locale)}</td>
+              <td className="py-1 pr-3 font-mono">{r.seed}</td>
+              <td className="py-1 pr-3">{r.correct} / {r.total}</td>
+              <td className="py-1 pr-3 font-mono">{r.score}</td>
+              <td className="py-1 pr-3">{r.bestStreak}</td>
+              <td className="py-1 pr-3">{t("quiz.seconds", { seconds: Math.round(r.seconds) })}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default function Quiz({ config, onConfigChange, challengeCorrect, onChallenge }) {
+  const i18n = useI18n();
+  const { t, formatNumber } = i18n;
+  const [phase, setPhase] = useState("setup"); // 'setup' | 'running' | 'done'
+  const [index, setIndex] = useState(0);
+  const [answers, setAnswers] = useState([]); // {response, correct, seconds, points}
+  const [input, setInput] = useState("");
+  const [startedAt, setStartedAt] = useState(0); // of the current question
+  const [now, setNow] = useState(Date.now());
+  const [results, setResults] = useState(loadResults);
+
+  const startedKey = useRef(null); // config of the running round
+  const setKey = configKey(config);
+  const questions = useMemo(() => (config.seed ? makeQuestions(config) : []), [setKey]);
+  const question = questions[index];
+  const answered = answers.length > index;
+  const streak = (() => {
+    let s = 0;
+    for (let i = answers.length - 1; i >= 0 && answers[i].correct; i--) s++;
+    return s;
+  })();
+  const score = answers.reduce((sum, a) => sum + a.points, 0);
+  const elapsed = (now - startedAt) / 1000;
+
+  // a different set (back button, edited link) ends the round
+  useEffect(() => {
+    if (setKey !== startedKey.current) setPhase("setup");
+  }, [setKey]);
+
+  useEffect(() => {
+    if (phase !== "running" || answered) return;
+    const id = setInterval(() => setNow(Date.now()), 200);
+    return () => clearInterval(id);
+  }, [phase, answered]);
+
+  const start = () => {
+    const round = config.seed ? config : { ...config, seed: randomSeed() };
+    startedKey.current = configKey(round);
+    if (round !== config) onConfigChange(round);
+    setAnswers([]);
+    setIndex(0);
+    setInput("");
+    setStartedAt(Date.now());
+    setNow(Date.now());
+    setPhase("running");
+  };
+
+  const submit = (response) => {
+    if (answered) return;
+    const seconds = Math.min((Date.now() - startedAt) / 1000, config.timeLimit || Infinity);
+    const correct = response !== null && question.check(response);
+    const points = scoreAnswer({ correct, seconds, timeLimit: config.timeLimit, streak: correct ? streak + 1 : 0 });
+    setAnswers((a) => [...a, { response, correct, seconds, points }]);
+  };
+
+  // the current "match a target" question, while it is still open
+  const labQuestion = phase === "running" && question?.input === "lab" && !answered ? question : null;
+
+  // only clear a challenge the quiz set itself; a linked or session challenge stays
+  const ownsChallenge = useRef(false);
+  useEffect(() => {
+    if (labQuestion) {
+      ownsChallenge.current = true;
+      onChallenge(labQuestion.challenge);
+    } else if (ownsChallenge.current) {
+      ownsChallenge.current = false;
+      onChallenge(null);
+    }
+  }, [labQuestion]);
+
+  useEffect(() => {
+    if (labQuestion && challengeCorrect) submit(true);
+  });
+
+  // out of time counts as a wrong answer
+  useEffect(() => {
+    if (phase === "running" && !answered && config.timeLimit && elapsed >= config.timeLimit) submit(null);
+  });
+
+  const next = () => {
+    if (index + 1 < questions.length) {
+      setIndex(index + 1);
+      setInput("");
+      setStartedAt(Date.now());
+      setNow(Date.now());
+      return;
+    }
+    let best = 0;
+    let run = 0;
+    for (const a of answers) {
+      run = a.correct ? run + 1 : 0;
+      best = Math.max(best, run);
+    }
+    setResults(
+      saveResult({
+        date: Date.now(),
+        seed: config.seed,
+        types: config.types,
+        total: questions.length,
+        correct: answers.filter((a) => a.correct).length,
+        score,
+        bestStreak: best,
+        seconds: answers.reduce((sum, a) => sum + a.seconds, 0),
+      })
+    );
+    setPhase("done");
+  };
+
+  const clear = () => {
+    clearResults();
+    setResults([]);
+  };
+
+  return (
+    <div className="bg-white rounded-2xl p-4 shadow-sm border border-slate-200">
+      <div className="flex items-center justify-between mb-3 gap-2 flex-wrap">
+        <h3 className="font-semibold">{t("quiz.title")}</h3>
+        {phase !== "setup" && (
+          <div className="flex items-center gap-3 text-sm">
+            <span className="font-mono">{t("quiz.seedValue", { seed: config.seed })}</span>
+            <span>
+              {t("quiz.score")} <b className="font-mono">{score}</b>
+            </span>
+            <span>
+              {t("quiz.streak")} <b className="font-mono">{streak}</b>
+            </span>
+            <button onClick={() => setPhase("setup")} className="px-3 py-1.5 rounded-xl border bg-white hover:bg-slate-50">
+              {t("quiz.settings")}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {phase === "setup" && <Setup config={config} onConfigChange={onConfigChange} onStart={start} />}
+
+      {phase === "running" && question && (
+        <div className="space-y-3">
+          <div className="flex items-center justify-between text-sm text-slate-500">
+            <span>
+              {t("quiz.progress", { number: index + 1, total: questions.length, type: t(`quiz.type.${question.type}`) })}
+            </span>
+            <span className="font-mono">
+              {config.timeLimit
+                ? t("quiz.secondsLeft", { seconds: Math.max(0, Math.ceil(config.timeLimit - (answered ? answers[index].seconds : elapsed))) })
+                : t("quiz.seconds", { seconds: Math.floor(answered ? answers[index].seconds : elapsed) })}
+            </span>
+          </div>
+          {config.timeLimit > 0 && (
+            <div className="h-1.5 bg-slate-100 rounded">
+              <div
+                className="h-1.5 bg-slate-900 rounded"
+                style={{ width: `${Math.max(0, 100 - ((answered ? answers[index].seconds : elapsed) / config.timeLimit) * 100)}%` }}
+              />
+            </div>
+          )}
+          <div>
+            <div className="text-lg">{questionText(question.prompt, i18n)}</div>
+            {question.detail && <div className="text-xs text-slate-500">{questionText(question.detail, i18n)}</div>}
+          </div>
+
+          {question.input === "lab" ? (
+            !answered && (
+              <div className="flex items-center gap-3 text-sm">
+                <span className="text-slate-500">{t("quiz.checkedAutomatically")}</span>
+                <button onClick={() => submit(false)} className="px-3 py-1.5 rounded-xl border bg-white hover:bg-slate-50">
+                  {t("quiz.giveUp")}
+                </button>
+              </div>
+            )
+          ) : question.input === "choice" ? (
+            <div className="flex gap-3 flex-wrap">
+              {question.choices.map((c, i) => (
+                <button
+                  key={i}
+                  disabled={answered}
+                  onClick={() => submit(i)}
+                  className={`w-20 h-20 rounded-xl border-4 ${
+                    answered && c.correct ? "border-green-600" : answered && answers[index].response === i ? "border-red-500" : "border-slate-200"
+                  }`}
+                  style={{ background: c.color }}
+                  aria-label={t("quiz.choice", { number: i + 1 })}
+                />
+              ))}
+            </div>
+          ) : (
+            <form
+              onSubmit={(e) => {
+                e.preventDefault();
+                if (answered) next();
+                else if (input.trim()) submit(input);
+              }}
+              className="flex gap-2"
+            >
+              <input
+                autoFocus
+                disabled={answered}
+                className="flex-1 rounded-xl border border-slate-300 px-3 py-2 font-mono"
+                value={input}
+                onChange={(e) => setInput(e.target.value)}
+                placeholder={t("quiz.yourAnswer")}
+              />
+              {!answered && <button className="px-3 py-1.5 rounded-xl bg-slate-900 text-white">{t("quiz.check")}</button>}
+            </form>
+          )}
+
+          {answered && (
+            <div
+              className={`p-3 rounded-xl text-sm ${
+                answers[index].correct ? "bg-green-50 text-green-800" : "bg-amber-50 text-amber-800"
+              }`}
+            >
+              <div className="font-semibold">
+                {answers[index].correct
+                  ? `✔ ${t("quiz.correct", { points: answers[index].points })}`
+                  : answers[index].response === null
+                  ? `⏱ ${t("quiz.timeUp", { answer: question.answer })}`
+                  : `✘ ${t("quiz.theAnswer", { answer: question.answer })}`}
+              </div>
+              <div className="font-mono text-xs mt-1">{questionText(question.explanation, i18n)}</div>
+              <button autoFocus onClick={next} className="mt-2 px-3 py-1.5 rounded-xl bg-slate-900 text-white">
+                {index + 1 < questions.length ? t("quiz.next") : t("quiz.seeResults")}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {phase === "done" && (
+        <div className="space-y-3">
+          <div className="text-lg">
+            {t("quiz.summary", { correct: answers.filter((a) => a.correct).length, total: questions.length })} ·{" "}
+            <b>{t("quiz.points", { points: score })}</b>
+          </div>
+          <table className="min-w-full text-sm">
+            <tbody>
+              {questions.map((q, i) => (
+                <tr key={i} className="border-t border-slate-200 align-top">
+                  <td className="py-1 pr-3">{answers[i]?.correct ? "✔" : "✘"}</td>
+                  <td className="py-1 pr-3">{questionText(q.prompt, i18n)}</td>
+                  <td className="py-1 pr-3 font-mono text-xs">{q.answer}</td>
+                  <td className="py-1 pr-3 font-mono text-xs text-right">
+                    {answers[i] ? t("quiz.seconds", { seconds: formatNumber(answers[i].seconds, TENTHS) }) : ""}
+                  </td>
+                  <td className="py-1 font-mono text-xs text-right">+{answers[i]?.points ?? 0}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="flex gap-2">
+            <button onClick={start} className="px-3 py-1.5 rounded-xl border bg-white hover:bg-slate-50">
+              {t("quiz.retry")}
+            </button>
+            <button
+              onClick={() => {
+                onConfigChange({ ...config, seed: randomSeed() });
+                setPhase("setup");
+              }}
+              className="px-3 py-1.5 rounded-xl border bg-white hover:bg-slate-50"
+            >
+              {t("quiz.newSet")}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {phase !== "running" && <Results results={results} onClear={clear} />}
+    </div>
+  );
+}
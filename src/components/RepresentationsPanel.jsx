@@ -0,0 +1,117 @@
+import React from "react";
+import useI18n from "../hooks/useI18n";
+import { REPRESENTATIONS, defaultBias, qFormat } from "../lib/representations";
+import { maxUnsigned } from "../lib/conversions";
+
+/**
+ * Representations
+ * ------------------------------------------------------
+ * The lab's bit pattern read every way the panel knows: unsigned, two's
+ * complement, sign-magnitude, ones' complement, excess-K, packed and
+ * unpacked BCD, Gray code and Qm.n fixed point. Picking a row makes it
+ * the input mode of the decimal field and relabels the bit weights.
+ * K and the Q format are chosen here.
+ */
+
+/** A decode or encode error in the interface language; counted reasons have .one/.other forms. */
+export const representationError = ({ error, reason }, { t, plural }) => {
+  if (!reason) return error;
+  const key = `representation.error.${reason.id}`;
+  return "count" in reason ? plural(key, reason.count, reason) : t(key, reason);
+};
+
+export default function RepresentationsPanel({ bits, value, view, bias, fracBits, onViewChange, onBiasChange, onFracBitsChange }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const opts = { bits, bias, fracBits };
+  const half = defaultBias(bits);
+
+  const setBias = (str) => {
+    if (!/^\d+$/.test(str.trim())) return;
+    const k = BigInt(str.trim());
+    if (k <= maxUnsigned(bits)) onBiasChange(k);
+  };
+
+  return (
+    <div className="bg-white rounded-2xl p-4 shadow-sm border border-slate-200">
+      <div className="flex items-baseline justify-between gap-2 flex-wrap mb-3">
+        <h2 className="font-semibold">{t("reprPanel.title")}</h2>
+        <div className="text-xs text-slate-500">{t("reprPanel.hint")}</div>
+      </div>
+
+      <table className="min-w-full text-sm">
+        <tbody>
+          {REPRESENTATIONS.map((r) => {
+            const decoded = r.decode(value, opts);
+            return (
+              <tr
+                key={r.id}
+                onClick={() => onViewChange(r.id)}
+                className={`border-t border-slate-200 cursor-pointer ${view === r.id ? "bg-slate-100" : "hover:bg-slate-50"}`}
+              >
+                <td className="py-1.5 pr-4 whitespace-nowrap">
+                  <input type="radio" className="mr-2" checked={view === r.id} readOnly />
+                  {r.id === "fixed"
+                    ? `${t("representation.fixed")} ${qFormat(bits, fracBits)}`
+                    : r.id === "excess"
+                    ? t("reprPanel.excess", { bias: bias.toString() })
+                    : t(`representation.${r.id}`)}
+                </td>
+                <td className={`py-1.5 pr-4 break-all ${decoded.error ? "text-amber-700" : "font-mono font-semibold"}`}>
+                  {decoded.error ? t("reprPanel.invalid", { error: representationError(decoded, i18n) }) : decoded.value}
+                </td>
+                <td className="py-1.5 text-xs text-slate-500">{t(`representation.rule.${r.id}`)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div className="flex flex-wrap items-center gap-4 mt-3 text-sm text-slate-600">
+        <label className="flex items-center gap-2">
+          {t("reprPanel.bias")}
+          <input
+            type="text"
+            inputMode="numeric"
+            className="w-40 rounded-xl border border-slate-300 px-2 py-1 font-mono"
+            value={bias.toString()}
+            onChange={(e) => setBias(e.target.value)}
+          />
+        </label>
+        <span className="flex gap-1">
+          {[
+            { k: half, label: "2ⁿ⁻¹" },
+            { k: half - 1n, label: `2ⁿ⁻¹ − 1 (${t("reprPanel.ieeeExponents")})` },
+          ].map((p) => (
+            <button
+              key={p.k.toString()}
+              onClick={() => onBiasChange(p.k)}
+              className={`px-2 py-0.5 rounded-lg border text-xs ${
+                bias === p.k ? "bg-slate-900 text-white border-slate-900" : "bg-white border-slate-300 hover:bg-slate-50"
+              }`}
+            >
+              {p.label}
+            </button>
+          ))}
+        </span>
+        <label className="flex items-center gap-2">
+          {t("representation.fixed")}
+          <select
+            className="rounded-xl border border-slate-300 px-2 py-1"
+            value={fracBits}
+            onChange={(e) => onFracBitsChange(Number(e.target.value))}
+          >
+            {Array.from({ length: bits }, (_, n) => (
+              <option key={n} value={n}>
+                {qFormat(bits, n)}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <p className="text-xs text-slate-500 mt-2">
+        {t("reprPanel.note")}
+      </p>
+    </div>
+  );
+}
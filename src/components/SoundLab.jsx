@@ -0,0 +1,497 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import WaveformView from "./WaveformView";
+import WavInspector from "./WavInspector";
+import {
+  MAX_BIT_DEPTH,
+  MIN_BIT_DEPTH,
+  SAMPLE_RATES,
+  WAVEFORMS,
+  aliasFrequency,
+  dequantize,
+  holdSamples,
+  idealSqnr,
+  quantize,
+  resample,
+  sampleRange,
+  sampleSignal,
+  signalAt,
+  snr,
+} from "../lib/audio";
+import { containerBits, encodeWav, parseWav } from "../lib/wav";
+import { formatBytes } from "../lib/colorDepth";
+import useI18n from "../hooks/useI18n";
+
+/**
+ * Sound Lab
+ * ------------------------------------------------------
+ * Sound as numbers. A generated tone or a loaded recording is sampled
+ * at a chosen rate and quantized to a chosen bit depth; the waveform
+ * shows what is lost (aliasing above the Nyquist frequency, rounding
+ * to the nearest level) and playback lets you hear it. Samples are
+ * signed integers that open in the Numbers tab, and the result can be
+ * saved as a WAV file whose header is taken apart byte by byte.
+ */
+
+const DURATION = 1; // seconds of generated sound
+const MAX_FILE_SECONDS = 10;
+const REFERENCE_RATE = 48000; // the "original" of a generated tone is played at this rate
+const WINDOWS_MS = [1, 2, 5, 10, 20, 50, 100];
+const TABLE_RADIUS = 5; // samples listed either side of the selected one
+const MIN_FREQUENCY = 20;
+const MAX_FREQUENCY = 20000;
+
+// log-scale frequency slider: position 0–1000 ↔ 20 Hz–20 kHz
+const frequencyAt = (pos) => Math.round(MIN_FREQUENCY * (MAX_FREQUENCY / MIN_FREQUENCY) ** (pos / 1000));
+const positionOf = (f) => Math.round((1000 * Math.log(f / MIN_FREQUENCY)) / Math.log(MAX_FREQUENCY / MIN_FREQUENCY));
+
+const twosComplement = (q, bits) => (q < 0 ? q + 2 ** bits : q);
+const fixed = (digits) => ({ minimumFractionDigits: digits, maximumFractionDigits: digits });
+
+export default function SoundLab({ onOpenNumber }) {
+  const { locale, t, parts, plural, formatNumber } = useI18n();
+  const formatDb = (db) => (db === Infinity ? "∞" : `${formatNumber(db, fixed(1))} dB`);
+  const [signal, setSignal] = useState({ waveform: "sine", frequency: 440, amplitude: 0.8 });
+  const [file, setFile] = useState(null); // {name, sampleRate, samples, bytes?}
+  const [useFile, setUseFile] = useState(false);
+  const [fileError, setFileError] = useState(null);
+  const [sampleRate, setSampleRate] = useState(8000);
+  const [bitDepth, setBitDepth] = useState(8);
+  const [windowMs, setWindowMs] = useState(5);
+  const [start, setStart] = useState(0); // seconds
+  const [selected, setSelected] = useState(0);
+  const [inspectFile, setInspectFile] = useState(false);
+  const [playing, setPlaying] = useState(null);
+  const audioRef = useRef(null); // {ctx, source}
+
+  const fromFile = useFile && file;
+  const duration = fromFile ? file.samples.length / file.sampleRate : DURATION;
+  const windowSec = Math.min(windowMs / 1000, duration);
+
+  const sampled = useMemo(
+    () => (fromFile ? resample(file.samples, file.sampleRate, sampleRate) : sampleSignal(signal, sampleRate, DURATION)),
+    [fromFile, file, signal, sampleRate]
+  );
+  const ints = useMemo(() => quantize(sampled, bitDepth), [sampled, bitDepth]);
+  const quantized = useMemo(() => dequantize(ints, bitDepth), [ints, bitDepth]);
+  const measuredSnr = useMemo(() => snr(sampled, quantized), [sampled, quantized]);
+  const wavBytes = useMemo(() => encodeWav(ints, sampleRate, bitDepth), [ints, sampleRate, bitDepth]);
+
+  // the continuous original, for drawing
+  const reference = useMemo(() => {
+    if (!fromFile) return (t) => signalAt(signal, t);
+    const { samples, sampleRate: rate } = file;
+    return (t) => {
+      const x = t * rate;
+      const i = Math.floor(x);
+      const a = samples[i] ?? 0;
+      return a + ((samples[i + 1] ?? a) - a) * (x - i);
+    };
+  }, [fromFile, file, signal]);
+
+  // a pure tone above Nyquist produces exactly the samples of a lower one
+  const nyquist = sampleRate / 2;
+  const aliased = !fromFile && signal.frequency > nyquist;
+  const alias = useMemo(() => {
+    if (!aliased || signal.waveform !== "sine") return null;
+    const folded = signal.frequency - sampleRate * Math.round(signal.frequency / sampleRate);
+    return (t) => signal.amplitude * Math.sin(2 * Math.PI * folded * t);
+  }, [aliased, signal, sampleRate]);
+
+  useEffect(() => {
+    setSelected((s) => Math.min(s, sampled.length - 1));
+  }, [sampled]);
+
+  useEffect(() => () => audioRef.current?.ctx.close(), []);
+
+  const stop = () => {
+    if (audioRef.current?.source) {
+      audioRef.current.source.onended = null;
+      audioRef.current.source.stop();
+      audioRef.current.source = null;
+    }
+    setPlaying(null);
+  };
+
+  const play = (id, samples, rate) => {
+    stop();
+    if (!audioRef.current) audioRef.current = { ctx: new (window.AudioContext || window.webkitAudioContext)(), source: null };
+    const { ctx } = audioRef.current;
+    let buffer;
+    try {
+      buffer = ctx.createBuffer(1, samples.length, rate);
+      buffer.copyToChannel(samples, 0);
+    } catch {
+      // below the lowest rate the browser accepts: hold each sample, as a simple DAC would
+      const held = holdSamples(samples, rate, ctx.sampleRate);
+      buffer = ctx.createBuffer(1, held.length, ctx.sampleRate);
+      buffer.copyToChannel(held, 0);
+    }
+    const source = ctx.createBufferSource();
+    source.buffer = buffer;
+    source.connect(ctx.destination);
+    source.onended = () => setPlaying(null);
+    source.start();
+    audioRef.current.source = source;
+    setPlaying(id);
+  };
+
+  const playOriginal = () =>
+    fromFile ? play("original", file.samples, file.sampleRate) : play("original", sampleSignal(signal, REFERENCE_RATE, DURATION), REFERENCE_RATE);
+  const playQuantized = () => play("quantized", quantized, sampleRate);
+  // the error alone is tiny; amplify so ±½ step becomes ±½ full scale
+  const playNoise = () =>
+    play("noise", Float32Array.from(sampled, (x, i) => (x - quantized[i]) * 2 ** (bitDepth - 1)), sampleRate);
+
+  const openFile = async (upload) => {
+    if (!upload) return;
+    setFileError(null);
+    try {
+      const bytes = new Uint8Array(await upload.arrayBuffer());
+      const wav = parseWav(bytes);
+      let rate;
+      let samples;
+      if (wav.info) {
+        rate = wav.info.sampleRate;
+        samples = wav.info.samples;
+      } else {
+        // not a WAV we can read ourselves: let the browser decode it
+        const ctx = new (window.AudioContext || window.webkitAudioContext)();
+        const decoded = await ctx.decodeAudioData(bytes.slice().buffer);
+        ctx.close();
+        rate = decoded.sampleRate;
+        samples = decoded.getChannelData(0);
+      }
+      setFile({
+        name: upload.name,
+        sampleRate: rate,
+        samples: samples.slice(0, rate * MAX_FILE_SECONDS),
+        bytes: wav.format ? bytes : null,
+        truncated: samples.length > rate * MAX_FILE_SECONDS,
+      });
+      setUseFile(true);
+      setSampleRate(rate);
+      setStart(0);
+      setSelected(0);
+    } catch (e) {
+      setFileError(t("sound.decodeFailed", { name: upload.name, error: e.message }));
+    }
+  };
+
+  const download = () => {
+    const url = URL.createObjectURL(new Blob([wavBytes], { type: "audio/wav" }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `sound-${sampleRate}Hz-${bitDepth}bit.wav`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const moveWindow = (s) => {
+    setStart(s);
+    setSelected(Math.min(sampled.length - 1, Math.ceil(s * sampleRate)));
+  };
+
+  const [minInt, maxInt] = sampleRange(bitDepth);
+  const rates = SAMPLE_RATES.includes(sampleRate) ? SAMPLE_RATES : [...SAMPLE_RATES, sampleRate].sort((a, b) => a - b);
+  const rows = [];
+  for (let n = Math.max(0, selected - TABLE_RADIUS); n <= Math.min(sampled.length - 1, selected + TABLE_RADIUS); n++) rows.push(n);
+  const inspected = inspectFile && file?.bytes ? { bytes: file.bytes, name: file.name } : { bytes: wavBytes, name: t("sound.exportedName") };
+  // a loaded file's samples line up with ours only at its own rate
+  const inspectedSample = inspected.bytes === wavBytes || (fromFile && sampleRate === file.sampleRate) ? selected : null;
+
+  return (
+    <div className="p-4 space-y-4">
+      <h2 className="text-xl font-bold">{t("sound.title")}</h2>
+
+      <div className="grid lg:grid-cols-3 gap-4">
+        <div className="p-4 bg-white rounded-2xl border border-slate-200 space-y-3 text-sm">
+          <h3 className="font-semibold">{t("sound.source")}</h3>
+          <div className="flex gap-2">
+            {[
+              { id: false, label: t("sound.generated") },
+              { id: true, label: file ? file.name : t("sound.file"), disabled: !file },
+            ].map((s) => (
+              <button
+                key={String(s.id)}
+                disabled={s.disabled}
+                onClick={() => setUseFile(s.id)}
+                className={`px-3 py-1 rounded-xl truncate max-w-[12rem] ${useFile === s.id ? "bg-blue-600 text-white" : "bg-slate-100"} disabled:opacity-40`}
+              >
+                {s.label}
+              </button>
+            ))}
+          </div>
+          {!useFile ? (
+            <>
+              <label className="flex items-center gap-2">
+                {t("sound.waveform")}
+                <select
+                  className="rounded border border-gray-300 px-1 py-0.5"
+                  value={signal.waveform}
+                  onChange={(e) => setSignal({ ...signal, waveform: e.target.value })}
+                >
+                  {WAVEFORMS.map((w) => (
+                    <option key={w.id} value={w.id}>
+                      {t(`sound.waveform.${w.id}`)}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="block">
+                {t("sound.frequency")}
+                <input
+                  type="number"
+                  min={MIN_FREQUENCY}
+                  max={MAX_FREQUENCY}
+                  className="ml-2 w-24 rounded border border-gray-300 px-1 py-0.5 font-mono"
+                  value={signal.frequency}
+                  onChange={(e) => {
+                    const f = Number(e.target.value);
+                    if (f >= MIN_FREQUENCY && f <= MAX_FREQUENCY) setSignal({ ...signal, frequency: f });
+                  }}
+                />{" "}
+                Hz
+                <input
+                  type="range"
+                  min={0}
+                  max={1000}
+                  className="w-full"
+                  value={positionOf(signal.frequency)}
+                  onChange={(e) => setSignal({ ...signal, frequency: frequencyAt(Number(e.target.value)) })}
+                />
+              </label>
+              <label className="flex items-center gap-2">
+                {t("sound.amplitude")}
+                <input
+                  type="range"
+                  min={0}
+                  max={1.2}
+                  step={0.01}
+                  value={signal.amplitude}
+                  onChange={(e) => setSignal({ ...signal, amplitude: Number(e.target.value) })}
+                />
+                <span className="font-mono">{formatNumber(signal.amplitude, fixed(2))}</span>
+              </label>
+              {signal.amplitude > 1 && <p className="text-amber-700">{t("sound.clipping")}</p>}
+            </>
+          ) : (
+            <p className="text-slate-600">
+              {t(file.truncated ? "sound.fileTruncated" : "sound.fileInfo", {
+                rate: formatNumber(file.sampleRate),
+                seconds: formatNumber(file.samples.length / file.sampleRate, fixed(2)),
+                max: MAX_FILE_SECONDS,
+              })}
+            </p>
+          )}
+          <div className="pt-2 border-t border-slate-200">
+            <input type="file" accept="audio/*,.wav" onChange={(e) => openFile(e.target.files[0])} />
+            <p className="text-slate-500 mt-1">{t("sound.fileNote")}</p>
+            {fileError && <p className="text-red-600">{fileError}</p>}
+          </div>
+        </div>
+
+        <div className="p-4 bg-white rounded-2xl border border-slate-200 space-y-3 text-sm">
+          <h3 className="font-semibold">{t("sound.sampling")}</h3>
+          <label className="flex items-center gap-2">
+            {t("sound.sampleRate")}
+            <select
+              className="rounded border border-gray-300 px-1 py-0.5"
+              value={sampleRate}
+              onChange={(e) => setSampleRate(Number(e.target.value))}
+            >
+              {rates.map((r) => (
+                <option key={r} value={r}>
+                  {formatNumber(r)} Hz
+                </option>
+              ))}
+            </select>
+          </label>
+          <p>
+            {parts("sound.nyquist", {
+              nyquist: <b>{formatNumber(nyquist)} Hz</b>,
+              period: formatNumber(1000 / sampleRate, fixed(3)),
+            })}
+          </p>
+          {aliased && (
+            <p className="text-red-700">
+              {parts(signal.waveform === "sine" ? "sound.aliasedSine" : "sound.aliased", {
+                frequency: formatNumber(signal.frequency),
+                alias: <b>{formatNumber(aliasFrequency(signal.frequency, sampleRate))} Hz</b>,
+              })}
+            </p>
+          )}
+          {!aliased && !fromFile && signal.waveform !== "sine" && signal.waveform !== "chord" && (
+            <p className="text-slate-600">
+              {t(`sound.harmonics.${signal.waveform}`, { frequency: formatNumber(signal.frequency), nyquist: formatNumber(nyquist) })}
+            </p>
+          )}
+        </div>
+
+        <div className="p-4 bg-white rounded-2xl border border-slate-200 space-y-3 text-sm">
+          <h3 className="font-semibold">{t("sound.quantization")}</h3>
+          <label className="flex items-center gap-2">
+            {t("sound.bitDepth")}
+            <input
+              type="range"
+              min={MIN_BIT_DEPTH}
+              max={MAX_BIT_DEPTH}
+              value={bitDepth}
+              onChange={(e) => setBitDepth(Number(e.target.value))}
+            />
+            <span className="font-mono">{t("sound.bits", { bits: bitDepth })}</span>
+          </label>
+          <p>{t("sound.levels", { levels: formatNumber(2 ** bitDepth), min: formatNumber(minInt), max: formatNumber(maxInt) })}</p>
+          <p>
+            {parts("sound.snr", {
+              measured: <b>{formatDb(measuredSnr)}</b>,
+              ideal: formatNumber(idealSqnr(bitDepth), fixed(1)),
+              perBit: formatNumber(6.02),
+            })}
+          </p>
+          <p className="text-slate-600">
+            {t("sound.bitrate", {
+              bits: formatNumber(sampleRate * bitDepth),
+              size: formatBytes((sampleRate * containerBits(bitDepth)) / 8, locale),
+            })}
+          </p>
+        </div>
+      </div>
+
+      <div className="p-4 bg-white rounded-2xl border border-slate-200 space-y-3">
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+          <span className="font-semibold mr-2">{t("sound.listen")}</span>
+          {[
+            { id: "original", label: t("sound.original"), run: playOriginal },
+            { id: "quantized", label: t("sound.quantized", { rate: formatNumber(sampleRate), bits: bitDepth }), run: playQuantized },
+            { id: "noise", label: t("sound.noise"), run: playNoise },
+          ].map((b) => (
+            <button
+              key={b.id}
+              onClick={b.run}
+              className={`px-3 py-1 rounded-xl ${playing === b.id ? "bg-blue-600 text-white" : "bg-slate-100 hover:bg-slate-200"}`}
+            >
+              ▶ {b.label}
+            </button>
+          ))}
+          <button onClick={stop} disabled={!playing} className="px-3 py-1 rounded-xl bg-slate-100 disabled:opacity-40">
+            ■ {t("sound.stop")}
+          </button>
+          <button onClick={download} className="px-3 py-1 rounded-xl bg-blue-600 text-white ml-auto">
+            {t("sound.download", { size: formatBytes(wavBytes.length, locale) })}
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4 text-sm">
+          <label className="flex items-center gap-2">
+            {t("sound.show")}
+            <select className="rounded border border-gray-300 px-1 py-0.5" value={windowMs} onChange={(e) => setWindowMs(Number(e.target.value))}>
+              {WINDOWS_MS.map((ms) => (
+                <option key={ms} value={ms}>
+                  {ms} ms
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-2 flex-1 min-w-[12rem]">
+            {t("sound.from")}
+            <input
+              type="range"
+              min={0}
+              max={Math.max(0, duration - windowSec)}
+              step={windowSec / 20}
+              value={Math.min(start, Math.max(0, duration - windowSec))}
+              onChange={(e) => moveWindow(Number(e.target.value))}
+              className="flex-1"
+            />
+            <span className="font-mono w-20">{formatNumber(start * 1000, fixed(1))} ms</span>
+          </label>
+        </div>
+        <WaveformView
+          reference={reference}
+          alias={alias}
+          samples={sampled}
+          quantized={quantized}
+          sampleRate={sampleRate}
+          bitDepth={bitDepth}
+          start={Math.min(start, Math.max(0, duration - windowSec))}
+          duration={windowSec}
+          selected={selected}
+          onSelect={setSelected}
+        />
+        <p className="text-xs text-slate-500">{t("sound.legend")}</p>
+      </div>
+
+      <div className="p-4 bg-white rounded-2xl border border-slate-200 overflow-x-auto">
+        <h3 className="font-semibold mb-2">{t("sound.samples")}</h3>
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-slate-500">
+              <th className="py-1 pr-4">#</th>
+              <th className="py-1 pr-4">{t("sound.time")}</th>
+              <th className="py-1 pr-4 text-right">{t("sound.sampled")}</th>
+              <th className="py-1 pr-4 text-right">{t("sound.integer")}</th>
+              <th className="py-1 pr-4">{t("sound.twosComplement")}</th>
+              <th className="py-1 pr-4">{t("sound.hex")}</th>
+              <th className="py-1" />
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((n) => {
+              const q = ints[n];
+              const pattern = twosComplement(q, bitDepth);
+              return (
+                <tr
+                  key={n}
+                  onClick={() => setSelected(n)}
+                  className={`border-t border-slate-200 cursor-pointer ${n === selected ? "bg-blue-50" : "hover:bg-slate-50"}`}
+                >
+                  <td className="py-1 pr-4 font-mono">{n}</td>
+                  <td className="py-1 pr-4 font-mono">{formatNumber((n / sampleRate) * 1000, fixed(3))} ms</td>
+                  <td className="py-1 pr-4 font-mono text-right">{formatNumber(sampled[n], fixed(5))}</td>
+                  <td className="py-1 pr-4 font-mono text-right font-semibold">{q}</td>
+                  <td className="py-1 pr-4 font-mono">{pattern.toString(2).padStart(bitDepth, "0")}</td>
+                  <td className="py-1 pr-4 font-mono">0x{pattern.toString(16).toUpperCase().padStart(Math.ceil(bitDepth / 4), "0")}</td>
+                  <td className="py-1">
+                    {onOpenNumber && n === selected && (
+                      <button
+                        onClick={() => onOpenNumber(bitDepth, BigInt(pattern), "signed")}
+                        className="px-2 py-0.5 rounded-lg text-xs border bg-white hover:bg-slate-50"
+                      >
+                        {t("sound.openInNumbers")}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        <p className="text-xs text-slate-500 mt-2">
+          {t("sound.integerNote", { scale: formatNumber(2 ** (bitDepth - 1)), min: minInt, max: maxInt })}{" "}
+          {t(`sound.stored${containerBits(bitDepth) > bitDepth ? "Shifted" : ""}${containerBits(bitDepth) === 8 ? "Unsigned" : ""}`, {
+            bits: containerBits(bitDepth),
+            shift: plural("sound.bitCount", containerBits(bitDepth) - bitDepth),
+          })}
+        </p>
+      </div>
+
+      {file?.bytes && (
+        <div className="flex gap-2 text-sm">
+          {[
+            { id: false, label: t("sound.exported") },
+            { id: true, label: file.name },
+          ].map((s) => (
+            <button
+              key={String(s.id)}
+              onClick={() => setInspectFile(s.id)}
+              className={`px-3 py-1 rounded-xl ${inspectFile === s.id ? "bg-blue-600 text-white" : "bg-slate-100"}`}
+            >
+              {s.label}
+            </button>
+          ))}
+        </div>
+      )}
+      <WavInspector bytes={inspected.bytes} name={inspected.name} sample={inspectedSample} />
+    </div>
+  );
+}
@@ -0,0 +1,306 @@
+import React, { useMemo, useState } from "react";
+import ImageCanvas from "./ImageCanvas";
+import { LENGTH_BITS, MAX_STEGO_BITS, STEGO_CHANNELS, capacity, carriersAt, embedMessage, extractMessage, lowBitsData } from "../lib/stego";
+import { differenceImage, errorMetrics } from "../lib/compression";
+import { decodeWithCanvas, encodeWithCanvas } from "../lib/imageEncoders";
+import { formatBytes } from "../lib/colorDepth";
+import { utf8Bytes } from "../lib/conversions";
+import { decodeUtf8Strict } from "../lib/textEncodings";
+import useI18n from "../hooks/useI18n";
+
+/**
+ * Hidden Message (LSB steganography)
+ * ------------------------------------------------------
+ * A text's UTF-8 bytes, the same ones the Text tab shows, written into
+ * the lowest bits of the image's colour channels. Before and after look
+ * the same; the difference image and the stretched low bits show where
+ * the message went, and the picked pixel's bits show which ones flipped.
+ * Saved as PNG (lossless) the message survives and can be read back.
+ */
+
+const VIEWS = ["diff", "low-before", "low-after"];
+const PREVIEW_BYTES = 48;
+
+const hexBytes = (bytes) => Array.from(bytes, (b) => b.toString(16).toUpperCase().padStart(2, "0")).join(" ");
+
+// which part of the payload a bit belongs to
+const describeBit = (n, t) =>
+  n < LENGTH_BITS ? t("stego.lengthBit", { bit: n }) : t("stego.messageBit", { byte: (n - LENGTH_BITS) >> 3, bit: 7 - ((n - LENGTH_BITS) & 7) });
+
+// an error of stego.js, with its counts in the language's style
+const describeError = ({ reason }, { t, formatNumber }) =>
+  t(`stego.error.${reason.id}`, { ...reason, length: formatNumber(reason.length ?? 0), fit: formatNumber(reason.fit ?? 0) });
+
+export default function StegoLab({ imageData, pixel, onPick, onApply, baseName }) {
+  const i18n = useI18n();
+  const { locale, t, parts, plural, formatNumber } = i18n;
+  const [message, setMessage] = useState(() => t("stego.sample"));
+  const [channels, setChannels] = useState(["r", "g", "b"]);
+  const [bits, setBits] = useState(1);
+  const [view, setView] = useState("diff");
+  const [extracted, setExtracted] = useState(null); // {source, bytes, usedBits} | {source, error}
+  const [error, setError] = useState(null);
+
+  const options = useMemo(() => ({ channels, bits }), [channels, bits]);
+  const { width, height } = imageData;
+  const bytes = useMemo(() => utf8Bytes(message), [message]);
+  const room = useMemo(() => capacity(imageData, options), [imageData, options]);
+  const hidden = useMemo(() => embedMessage(imageData, bytes, options), [imageData, bytes, options]);
+  const after = useMemo(() => (hidden.data ? new ImageData(hidden.data, width, height) : null), [hidden, width, height]);
+  const metrics = useMemo(() => after && errorMetrics(imageData, after), [imageData, after]);
+  const shown = useMemo(() => {
+    if (view === "low-before") return new ImageData(lowBitsData(imageData, options), width, height);
+    if (view === "low-after") return after && new ImageData(lowBitsData(after, options), width, height);
+    return after && differenceImage(imageData, after, 255);
+  }, [view, imageData, after, options, width, height]);
+
+  const toggleChannel = (id) =>
+    setChannels((cs) => (cs.includes(id) ? cs.filter((c) => c !== id) : STEGO_CHANNELS.map((c) => c.id).filter((c) => c === id || cs.includes(c))));
+
+  const downloadPng = () =>
+    encodeWithCanvas(after, "image/png")
+      .then((png) => {
+        const url = URL.createObjectURL(new Blob([png], { type: "image/png" }));
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = `${baseName}-hidden.png`;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+      })
+      .catch(() => setError(t("stego.saveFailed")));
+
+  // source: the file name, or null for the current image
+  const extract = (image, source) => setExtracted({ source, ...extractMessage(image, options) });
+
+  const extractFile = async (upload) => {
+    if (!upload) return;
+    setError(null);
+    try {
+      const decoded = await decodeWithCanvas(new Uint8Array(await upload.arrayBuffer()), upload.type || "image/png");
+      extract(decoded, upload.name);
+    } catch (e) {
+      setError(t("stego.decodeFailed", { name: upload.name, error: e.message }));
+    }
+  };
+
+  const decodedText = extracted?.bytes ? decodeUtf8Strict(extracted.bytes) : null;
+  const used = LENGTH_BITS + bytes.length * 8;
+
+  // the picked pixel's channels before and after, bit by bit, with the payload bit each carries
+  const channelBits = useMemo(() => {
+    if (!pixel || !after) return null;
+    const i = (pixel.y * width + pixel.x) * 4;
+    const carriers = carriersAt(imageData, pixel.x, pixel.y, options).filter((c) => c.n < used);
+    return [0, 1, 2].map((c) => ({
+      label: "RGB"[c],
+      before: imageData.data[i + c],
+      after: after.data[i + c],
+      carriers: Array.from({ length: 8 }, (_, k) => carriers.find((x) => x.offset === c && x.shift === 7 - k)?.n ?? null),
+    }));
+  }, [pixel, after, imageData, options, used, width]);
+
+  return (
+    <div className="p-4 bg-white rounded-2xl border border-slate-200 space-y-4">
+      <h3 className="font-semibold">{t("stego.title")}</h3>
+
+      <div className="grid md:grid-cols-2 gap-4 text-sm">
+        <div className="space-y-2">
+          <label className="block">
+            {t("stego.message")}
+            <textarea
+              rows={3}
+              value={message}
+              onChange={(e) => setMessage(e.target.value)}
+              className="mt-1 w-full rounded border border-gray-300 px-2 py-1 font-mono"
+            />
+          </label>
+          <p className="font-mono text-xs text-slate-600 break-all">
+            UTF-8: {hexBytes(bytes.slice(0, PREVIEW_BYTES))}
+            {bytes.length > PREVIEW_BYTES && " …"}
+          </p>
+        </div>
+        <div className="space-y-2">
+          <div className="flex flex-wrap items-center gap-3">
+            {t("stego.hideIn")}
+            {STEGO_CHANNELS.map((c) => (
+              <label key={c.id} className="flex items-center gap-1">
+                <input type="checkbox" checked={channels.includes(c.id)} onChange={() => toggleChannel(c.id)} />
+                {t(`stego.channel.${c.id}`)}
+              </label>
+            ))}
+          </div>
+          <label className="flex items-center gap-2">
+            {parts("stego.lowest", {
+              select: (
+                <select className="rounded border border-gray-300 px-1 py-0.5" value={bits} onChange={(e) => setBits(Number(e.target.value))}>
+                  {Array.from({ length: MAX_STEGO_BITS }, (_, i) => i + 1).map((b) => (
+                    <option key={b} value={b}>
+                      {b}
+                    </option>
+                  ))}
+                </select>
+              ),
+              bitWord: plural("stego.bitWord", bits),
+              max: 2 ** bits - 1,
+            })}
+          </label>
+          <p>
+            {parts("stego.capacity", {
+              pixels: plural("stego.pixels", room.pixels),
+              channels: plural("stego.channels", channels.length),
+              bits: plural("stego.bits", bits),
+              total: <b>{plural("stego.bits", room.bits)}</b>,
+              size: formatBytes(room.bits / 8, locale),
+              lengthBits: LENGTH_BITS,
+              bytes: plural("stego.bytes", room.bytes),
+            })}
+            {room.skipped > 0 && ` ${plural("stego.skipped", room.skipped)}`}
+          </p>
+          <div className="h-2 rounded bg-slate-200">
+            <div
+              className={`h-2 rounded ${hidden.error ? "bg-red-500" : "bg-blue-500"}`}
+              style={{ width: `${Math.min(100, room.bits ? (used / room.bits) * 100 : 100)}%` }}
+            />
+          </div>
+          <p className="text-slate-600">
+            {room.bits > 0
+              ? plural("stego.usedShare", used, {
+                  share: formatNumber(used / room.bits, {
+                    style: "percent",
+                    minimumFractionDigits: room.bits > 1e5 ? 3 : 1,
+                    maximumFractionDigits: room.bits > 1e5 ? 3 : 1,
+                  }),
+                })
+              : plural("stego.used", used)}
+          </p>
+        </div>
+      </div>
+
+      {hidden.error && <p className="text-sm text-red-600">{describeError(hidden, i18n)}</p>}
+
+      {after && (
+        <>
+          <p className="text-sm">
+            {t("stego.flipped", {
+              bits: plural("stego.bits", hidden.changedBits),
+              pixels: plural("stego.pixels", hidden.changedPixels),
+              psnr: metrics.psnr === Infinity ? "∞" : `${formatNumber(metrics.psnr, { minimumFractionDigits: 1, maximumFractionDigits: 1 })} dB`,
+              maxError: metrics.maxError,
+            })}
+          </p>
+          <div className="grid md:grid-cols-3 gap-4">
+            <div>
+              <div className="text-sm mb-1">{t("stego.before")}</div>
+              <ImageCanvas imageData={imageData} onPick={onPick} />
+            </div>
+            <div>
+              <div className="text-sm mb-1">{t("stego.after")}</div>
+              <ImageCanvas imageData={after} onPick={onPick} />
+            </div>
+            <div>
+              <select className="text-sm mb-1 rounded border border-gray-300 px-1" value={view} onChange={(e) => setView(e.target.value)}>
+                {VIEWS.map((id) => (
+                  <option key={id} value={id}>
+                    {t(`stego.view.${id}`)}
+                  </option>
+                ))}
+              </select>
+              {shown && <ImageCanvas imageData={shown} onPick={onPick} />}
+            </div>
+          </div>
+
+          {channelBits && (
+            <table className="text-sm">
+              <thead>
+                <tr className="text-left text-slate-500">
+                  <th className="pr-4">({pixel.x}, {pixel.y})</th>
+                  <th className="pr-4">{t("stego.before")}</th>
+                  <th className="pr-4">{t("stego.after")}</th>
+                  <th>{t("stego.carries")}</th>
+                </tr>
+              </thead>
+              <tbody className="font-mono">
+                {channelBits.map((ch) => (
+                  <tr key={ch.label}>
+                    <td className="pr-4 font-sans">{ch.label}</td>
+                    <td className="pr-4">
+                      {ch.before.toString(2).padStart(8, "0")} = {ch.before}
+                    </td>
+                    <td className="pr-4">
+                      {Array.from(ch.after.toString(2).padStart(8, "0"), (bit, k) => (
+                        <span
+                          key={k}
+                          className={
+                            ((ch.before ^ ch.after) >> (7 - k)) & 1
+                              ? "bg-red-200 text-red-800 font-bold"
+                              : ch.carriers[k] !== null
+                                ? "bg-blue-100"
+                                : ""
+                          }
+                        >
+                          {bit}
+                        </span>
+                      ))}{" "}
+                      = {ch.after}
+                    </td>
+                    <td className="text-xs font-sans text-slate-600">
+                      {ch.carriers
+                        .map((n) => n !== null && describeBit(n, t))
+                        .filter(Boolean)
+                        .join("; ") || t("stego.nothing")}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {!pixel && <p className="text-sm text-slate-500">{t("stego.pickHint")}</p>}
+
+          <div className="flex flex-wrap gap-2 text-sm">
+            <button onClick={downloadPng} className="px-3 py-1 rounded-xl bg-blue-600 text-white">
+              {t("stego.download")}
+            </button>
+            <button onClick={() => onApply(hidden.data)} className="px-3 py-1 rounded-xl bg-slate-100 hover:bg-slate-200">
+              {t("stego.apply")}
+            </button>
+          </div>
+        </>
+      )}
+
+      <div className="pt-3 border-t border-slate-200 space-y-2 text-sm">
+        <div className="flex flex-wrap items-center gap-3">
+          <span className="font-semibold">{t("stego.readBack")}</span>
+          <button onClick={() => extract(imageData, null)} className="px-3 py-1 rounded-xl bg-slate-100 hover:bg-slate-200">
+            {t("stego.fromImage")}
+          </button>
+          <label className="flex items-center gap-2">
+            {t("stego.fromFile")}
+            <input type="file" accept="image/png,image/*" onChange={(e) => extractFile(e.target.files[0])} />
+          </label>
+        </div>
+        <p className="text-slate-500">{t("stego.readNote")}</p>
+        {error && <p className="text-red-600">{error}</p>}
+        {extracted?.error && (
+          <p className="text-amber-700">
+            {extracted.source ?? t("stego.currentImage")}: {describeError(extracted, i18n)}
+          </p>
+        )}
+        {decodedText && (
+          <div className="p-2 bg-slate-50 rounded space-y-1">
+            <p>
+              {extracted.source === null
+                ? t("stego.readFromImage", { bytes: plural("stego.bytes", extracted.bytes.length) })
+                : t("stego.readFromFile", { name: extracted.source, bytes: plural("stego.bytes", extracted.bytes.length) })}
+              {decodedText.errors.length > 0 && `, ${plural("stego.invalid", decodedText.errors.length)}`}
+            </p>
+            <p className="font-mono whitespace-pre-wrap break-all">{decodedText.text}</p>
+            <p className="font-mono text-xs text-slate-600 break-all">
+              {hexBytes(extracted.bytes.slice(0, PREVIEW_BYTES))}
+              {extracted.bytes.length > PREVIEW_BYTES && " …"}
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
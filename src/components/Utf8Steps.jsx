@@ -0,0 +1,118 @@
+import React, { useMemo } from "react";
+import useI18n from "../hooks/useI18n";
+import { padLeft } from "../lib/conversions";
+import { UTF8_FORMS, utf8Form } from "../lib/textEncodings";
+import { codePoints } from "../lib/unicode";
+
+/**
+ * UTF‑8 Step by Step
+ * ------------------------------------------------------
+ * For every code point: its bits, which layout it needs, and how the
+ * bits are poured into the x positions of the lead and continuation
+ * bytes. Each slice of bits keeps its colour from the code point to
+ * the byte it lands in.
+ */
+
+const MAX_STEPS = 24;
+
+// one colour per byte the bits end up in
+const SLICE_COLORS = ["text-sky-700 bg-sky-50", "text-emerald-700 bg-emerald-50", "text-amber-700 bg-amber-50", "text-violet-700 bg-violet-50"];
+
+// Splits the code point's bits into one slice per template byte, most significant first.
+const layoutCodePoint = (cp) => {
+  const form = utf8Form(cp);
+  const widths = form.template.map((t) => t.replace(/[^x]/g, "").length);
+  const bits = padLeft(cp.toString(2), widths.reduce((a, b) => a + b, 0));
+  let pos = 0;
+  const bytes = form.template.map((template, i) => {
+    const slice = bits.slice(pos, pos + widths[i]);
+    pos += widths[i];
+    const prefix = template.slice(0, template.indexOf("x"));
+    return { prefix, slice, value: parseInt(prefix + slice, 2) };
+  });
+  return { form, bits, widths, bytes };
+};
+
+function Step({ cp }) {
+  const { t, plural } = useI18n();
+  const { form, widths, bytes } = layoutCodePoint(cp);
+  return (
+    <div className="p-3 rounded-xl bg-slate-50 border border-slate-200">
+      <div className="flex items-baseline justify-between gap-2 mb-2">
+        <div>
+          <span className="text-lg mr-2">{String.fromCodePoint(cp)}</span>
+          <span className="font-mono text-sm">U+{padLeft(cp.toString(16).toUpperCase(), 4)}</span>
+        </div>
+        <div className="text-xs text-slate-500">
+          {t("utf8Steps.layout", {
+            max: `U+${padLeft(form.max.toString(16).toUpperCase(), 4)}`,
+            bytes: plural("utf8Steps.bytes", form.length),
+            bits: widths.reduce((a, b) => a + b, 0),
+          })}
+        </div>
+      </div>
+      <div className="font-mono text-sm mb-2">
+        <span className="text-xs text-slate-500 mr-2">{t("utf8Steps.bits")}</span>
+        {bytes.map((b, i) => (
+          <span key={i} className={`px-0.5 rounded ${SLICE_COLORS[i]}`}>{b.slice}</span>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {bytes.map((b, i) => (
+          <div key={i} className="px-2 py-1.5 rounded-xl bg-white border border-slate-200">
+            <div className="text-xs text-slate-500">{t(`utf8Steps.byte.${i > 0 ? "continuation" : form.length === 1 ? "ascii" : "lead"}`)}</div>
+            <div className="font-mono text-sm">
+              <span className="text-slate-400">{b.prefix}</span>
+              <span className={`rounded ${SLICE_COLORS[i]}`}>{b.slice}</span>
+            </div>
+            <div className="font-mono">0x{padLeft(b.value.toString(16).toUpperCase(), 2)}</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default function Utf8Steps({ text }) {
+  const { t } = useI18n();
+  const cps = useMemo(() => codePoints(text), [text]);
+  const shown = cps.slice(0, MAX_STEPS);
+
+  return (
+    <div className="bg-white rounded-2xl p-4 shadow-sm border border-slate-200">
+      <h3 className="font-semibold mb-3">{t("utf8Steps.title")}</h3>
+      <table className="text-sm mb-4">
+        <tbody>
+          {UTF8_FORMS.map((f) => (
+            <tr key={f.length}>
+              <td className="pr-4 font-mono text-slate-600">
+                U+{padLeft(f.min.toString(16).toUpperCase(), 4)} – U+{padLeft(f.max.toString(16).toUpperCase(), 4)}
+              </td>
+              <td className="font-mono">
+                {f.template.map((template, i) => (
+                  <span key={i} className="mr-2">
+                    <span className="text-slate-400">{template.slice(0, template.indexOf("x"))}</span>
+                    <span className={`rounded ${SLICE_COLORS[i]}`}>{template.slice(template.indexOf("x"))}</span>
+                  </span>
+                ))}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {shown.length === 0 ? (
+        <p className="text-sm text-slate-600">{t("utf8Steps.noCharacters")}</p>
+      ) : (
+        <div className="grid md:grid-cols-2 gap-3">
+          {shown.map((cp, i) => (
+            <Step key={i} cp={cp} />
+          ))}
+        </div>
+      )}
+      {cps.length > MAX_STEPS && (
+        <p className="text-xs text-slate-500 mt-2">{t("utf8Steps.truncated", { shown: MAX_STEPS, total: cps.length })}</p>
+      )}
+      <p className="text-xs text-slate-500 mt-3">{t("utf8Steps.note")}</p>
+    </div>
+  );
+}
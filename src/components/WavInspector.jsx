@@ -0,0 +1,73 @@
+import React, { useMemo, useState } from "react";
+import { RegionDump, fileText } from "./FileInspector";
+import { parseWav } from "../lib/wav";
+import { formatBytes } from "../lib/colorDepth";
+import useI18n from "../hooks/useI18n";
+
+/**
+ * WAV Inspector
+ * ------------------------------------------------------
+ * A WAV file split into its RIFF header, fmt and data chunks (and any
+ * others), each field decoded next to its bytes. `sample` highlights
+ * where that sample is stored.
+ */
+
+export default function WavInspector({ bytes, name, sample }) {
+  const i18n = useI18n();
+  const { t, locale, plural, formatNumber } = i18n;
+  const parsed = useMemo(() => parseWav(bytes), [bytes]);
+  const [active, setActive] = useState(null); // {region, field} under the mouse
+  const { info } = parsed;
+  const stored = info && sample !== null && sample < info.frames ? info.offsetOf(sample) : null;
+  const headerBytes = info ? bytes.length - info.frames * info.blockAlign : null;
+
+  return (
+    <div className="p-4 bg-white rounded-2xl border border-slate-200 space-y-3">
+      <div className="flex items-baseline justify-between gap-2 flex-wrap">
+        <h3 className="font-semibold">{t("wavInspector.title")}</h3>
+        <span className="text-sm text-slate-500">
+          {name} · {plural("fileInspector.bytes", bytes.length)} ({formatBytes(bytes.length, locale)})
+        </span>
+      </div>
+
+      {parsed.warnings.length > 0 && (
+        <ul className="text-sm text-amber-700 list-disc pl-5">
+          {parsed.warnings.map((w, i) => (
+            <li key={i}>{fileText(w, i18n)}</li>
+          ))}
+        </ul>
+      )}
+
+      {info && (
+        <div className="text-sm space-y-1">
+          <p>
+            <b>{fileText(info.formatLabel, i18n)}</b>,{" "}
+            {plural("wavInspector.summary", info.channels, {
+              rate: formatNumber(info.sampleRate),
+              bits: info.bitsPerSample,
+              frames: formatNumber(info.frames),
+              seconds: formatNumber(info.duration, { minimumFractionDigits: 3, maximumFractionDigits: 3 }),
+              header: formatNumber(headerBytes),
+            })}
+          </p>
+          {stored && (
+            <p className="font-mono text-xs">
+              {t(info.bitsPerSample === 8 ? "wavInspector.sampleStoredUnsigned" : "wavInspector.sampleStored", {
+                sample,
+                offset: stored.offset,
+                bytes: Array.from(bytes.subarray(stored.offset, stored.offset + stored.length), (b) => b.toString(16).toUpperCase().padStart(2, "0")).join(" "),
+                value: info.ints ? info.ints[sample] : info.samples[sample],
+              })}
+            </p>
+          )}
+        </div>
+      )}
+
+      <div>
+        {parsed.regions.map((region, i) => (
+          <RegionDump key={i} bytes={bytes} region={region} index={i} active={active} setActive={setActive} highlight={stored} />
+        ))}
+      </div>
+    </div>
+  );
+}
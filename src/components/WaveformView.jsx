@@ -0,0 +1,142 @@
+import React, { useEffect, useRef } from "react";
+
+/**
+ * Waveform
+ * ------------------------------------------------------
+ * A few milliseconds of sound drawn three ways: the original signal
+ * (grey), its samples (blue stems) and what the quantized samples play
+ * back as when each is held until the next (orange steps). A dashed red
+ * curve traces the alias a tone above the Nyquist frequency turns into.
+ * The strip below shows the quantization error, scaled so ±½ step fills
+ * it. Clicking selects the nearest sample.
+ */
+
+const WIDTH = 900;
+const WAVE_HEIGHT = 240;
+const ERROR_HEIGHT = 60;
+const MAX_LEVEL_LINES = 64;
+
+export default function WaveformView({ reference, alias, samples, quantized, sampleRate, bitDepth, start, duration, selected, onSelect }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const ctx = canvasRef.current.getContext("2d");
+    const mid = WAVE_HEIGHT / 2;
+    const yOf = (v) => mid - v * (mid - 8);
+    const xOf = (t) => ((t - start) / duration) * WIDTH;
+    const first = Math.max(0, Math.ceil(start * sampleRate));
+    const last = Math.min(samples.length - 1, Math.floor((start + duration) * sampleRate));
+    const levels = 2 ** bitDepth;
+
+    ctx.clearRect(0, 0, WIDTH, WAVE_HEIGHT + ERROR_HEIGHT);
+    ctx.fillStyle = "#f8fafc";
+    ctx.fillRect(0, 0, WIDTH, WAVE_HEIGHT);
+
+    // quantization levels, while they are far enough apart to see
+    if (levels <= MAX_LEVEL_LINES) {
+      ctx.strokeStyle = "#e2e8f0";
+      ctx.lineWidth = 1;
+      for (let q = -levels / 2; q < levels / 2; q++) {
+        const y = Math.round(yOf(q / (levels / 2))) + 0.5;
+        ctx.beginPath();
+        ctx.moveTo(0, y);
+        ctx.lineTo(WIDTH, y);
+        ctx.stroke();
+      }
+    }
+    ctx.strokeStyle = "#94a3b8";
+    ctx.beginPath();
+    ctx.moveTo(0, mid + 0.5);
+    ctx.lineTo(WIDTH, mid + 0.5);
+    ctx.stroke();
+
+    const curve = (fn, color, dash = []) => {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1.5;
+      ctx.setLineDash(dash);
+      ctx.beginPath();
+      for (let x = 0; x <= WIDTH; x++) {
+        const y = yOf(fn(start + (x / WIDTH) * duration));
+        if (x === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      }
+      ctx.stroke();
+      ctx.setLineDash([]);
+    };
+    curve(reference, "#64748b");
+    if (alias) curve(alias, "#dc2626", [6, 4]);
+
+    // held quantized samples
+    ctx.strokeStyle = "#ea580c";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let n = Math.max(0, first - 1); n <= last; n++) {
+      const x0 = Math.max(0, xOf(n / sampleRate));
+      const x1 = Math.min(WIDTH, xOf((n + 1) / sampleRate));
+      const y = yOf(quantized[n]);
+      if (n === Math.max(0, first - 1)) ctx.moveTo(x0, y);
+      else ctx.lineTo(x0, y);
+      ctx.lineTo(x1, y);
+    }
+    ctx.stroke();
+
+    // sample stems, or just dots when they crowd together
+    const stems = last - first < WIDTH / 4;
+    for (let n = first; n <= last; n++) {
+      const x = xOf(n / sampleRate);
+      const y = yOf(samples[n]);
+      if (stems) {
+        ctx.strokeStyle = "#2563eb";
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x, mid);
+        ctx.lineTo(x, y);
+        ctx.stroke();
+      }
+      ctx.fillStyle = "#2563eb";
+      ctx.beginPath();
+      ctx.arc(x, y, stems ? 3 : 1.5, 0, 2 * Math.PI);
+      ctx.fill();
+    }
+
+    // quantization error strip: ±½ step (2^−bits of full scale) fills it
+    const errorMid = WAVE_HEIGHT + ERROR_HEIGHT / 2;
+    ctx.fillStyle = "#fff7ed";
+    ctx.fillRect(0, WAVE_HEIGHT, WIDTH, ERROR_HEIGHT);
+    ctx.fillStyle = "#ea580c";
+    const halfStep = 2 ** -bitDepth;
+    for (let n = first; n <= last; n++) {
+      const x = xOf(n / sampleRate);
+      const e = ((samples[n] - quantized[n]) / halfStep) * (ERROR_HEIGHT / 2 - 4);
+      ctx.fillRect(x - 1, Math.min(errorMid, errorMid - e), 2, Math.max(1, Math.abs(e)));
+    }
+
+    if (selected >= first && selected <= last) {
+      const x = Math.round(xOf(selected / sampleRate)) + 0.5;
+      ctx.strokeStyle = "#0f172a";
+      ctx.lineWidth = 1;
+      ctx.setLineDash([3, 3]);
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, WAVE_HEIGHT + ERROR_HEIGHT);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+  }, [reference, alias, samples, quantized, sampleRate, bitDepth, start, duration, selected]);
+
+  const pick = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const t = start + ((e.clientX - rect.left) / rect.width) * duration;
+    onSelect(Math.min(samples.length - 1, Math.max(0, Math.round(t * sampleRate))));
+  };
+
+  return (
+    <canvas
+      ref={canvasRef}
+      width={WIDTH}
+      height={WAVE_HEIGHT + ERROR_HEIGHT}
+      onClick={pick}
+      className="w-full rounded-xl border border-slate-200 cursor-crosshair"
+    />
+  );
+}
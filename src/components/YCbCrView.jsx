@@ -0,0 +1,89 @@
+import React, { useMemo, useState } from "react";
+import ImageCanvas from "./ImageCanvas";
+import { SUBSAMPLING, YCBCR_STANDARDS, bitsPerPixelOf, subsample, ycbcrPlanes } from "../lib/colorSpaces";
+import { formatBytes } from "../lib/colorDepth";
+import useI18n from "../hooks/useI18n";
+
+/**
+ * Y / Cb / Cr Split
+ * ------------------------------------------------------
+ * The whole image as luma and the two chroma channels, and what
+ * averaging chroma over 2×1, 2×2 or 4×1 blocks does to it — compared
+ * with doing the same to luma, which is why JPEG and video only
+ * subsample chroma.
+ */
+
+export default function YCbCrView({ imageData }) {
+  const { locale, t } = useI18n();
+  const [standard, setStandard] = useState("bt601");
+  const [schemeId, setSchemeId] = useState("420");
+  const scheme = SUBSAMPLING.find((s) => s.id === schemeId);
+
+  const planes = useMemo(() => ycbcrPlanes(imageData, standard), [imageData, standard]);
+  const chromaSubsampled = useMemo(() => subsample(imageData, scheme, standard, "chroma"), [imageData, scheme, standard]);
+  const lumaSubsampled = useMemo(() => subsample(imageData, scheme, standard, "luma"), [imageData, scheme, standard]);
+
+  const pixels = imageData.width * imageData.height;
+  const bpp = bitsPerPixelOf(scheme);
+
+  return (
+    <div className="p-4 bg-white rounded-2xl border border-slate-200 space-y-4">
+      <div className="flex items-center justify-between gap-2 flex-wrap">
+        <h3 className="font-semibold">{t("ycbcr.title")}</h3>
+        <div className="flex items-center gap-2 text-sm">
+          {Object.entries(YCBCR_STANDARDS).map(([id, s]) => (
+            <button
+              key={id}
+              onClick={() => setStandard(id)}
+              className={`px-3 py-1 rounded ${standard === id ? "bg-blue-500 text-white" : "bg-gray-200"}`}
+            >
+              {s.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-3 gap-4">
+        {["y", "cb", "cr"].map((id) => (
+          <div key={id}>
+            <div className="text-xs text-slate-500 mb-1">{t(`ycbcr.plane.${id}`)}</div>
+            <ImageCanvas imageData={planes[id]} />
+          </div>
+        ))}
+      </div>
+
+      <div>
+        <div className="flex flex-wrap items-center gap-2 text-sm mb-2">
+          <span className="font-semibold">{t("ycbcr.subsampling")}</span>
+          {SUBSAMPLING.map((s) => (
+            <button
+              key={s.id}
+              onClick={() => setSchemeId(s.id)}
+              className={`px-3 py-1 rounded font-mono ${schemeId === s.id ? "bg-blue-500 text-white" : "bg-gray-200"}`}
+            >
+              {s.label}
+            </button>
+          ))}
+          <span className="text-slate-500">
+            {t("ycbcr.size", {
+              bits: bpp,
+              size: formatBytes(Math.ceil((pixels * bpp) / 8), locale),
+              full: formatBytes(pixels * 3, locale),
+            })}
+          </span>
+        </div>
+        <div className="grid md:grid-cols-2 gap-4">
+          <div>
+            <div className="text-xs text-slate-500 mb-1">{t("ycbcr.chroma", { bx: scheme.bx, by: scheme.by })}</div>
+            <ImageCanvas imageData={chromaSubsampled} />
+          </div>
+          <div>
+            <div className="text-xs text-slate-500 mb-1">{t("ycbcr.luma", { bx: scheme.bx, by: scheme.by })}</div>
+            <ImageCanvas imageData={lumaSubsampled} />
+          </div>
+        </div>
+        <p className="text-xs text-slate-500 mt-2">{t("ycbcr.note")}</p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,122 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { decodeChallenge, encodeChallenge } from "../lib/classroom";
+
+/**
+ * Classroom session connection
+ * ------------------------------------------------------
+ * Owns the WebSocket to the classroom server. It lives in App, so a
+ * session survives switching tabs. `session.role` is "host" for the
+ * teacher, "student" after joining, null otherwise. `session.error` is
+ * a message `{id, ...values}` (classroom.error.<id> in the catalogs).
+ */
+
+const IDLE = { status: "idle", role: null, code: null, name: null, challenge: null, roster: null, result: null, error: null };
+
+export default function useClassroom() {
+  const [session, setSession] = useState(IDLE);
+  const socketRef = useRef(null);
+
+  const handleMessage = (msg) => {
+    switch (msg.type) {
+      case "hosted":
+        setSession((s) => ({ ...s, status: "open", role: "host", code: msg.code, error: null }));
+        break;
+      case "joined":
+        setSession((s) => ({ ...s, status: "open", role: "student", code: msg.code, name: msg.name, error: null }));
+        break;
+      case "roster":
+        setSession((s) => ({
+          ...s,
+          // the host times its display from when the roster first shows the challenge
+          challenge:
+            msg.challenge && msg.challenge.id === s.challenge?.id
+              ? s.challenge
+              : msg.challenge && { id: msg.challenge.id, ...decodeChallenge(msg.challenge), receivedAt: Date.now() },
+          roster: msg.students,
+        }));
+        break;
+      case "challenge":
+        setSession((s) => ({
+          ...s,
+          challenge: msg.challenge && { id: msg.challenge.id, ...decodeChallenge(msg.challenge), receivedAt: Date.now() },
+          result: null,
+        }));
+        break;
+      case "result":
+        setSession((s) => (s.challenge?.id === msg.challengeId ? { ...s, result: msg } : s));
+        break;
+      case "error":
+        setSession((s) => ({ ...s, error: msg.reason ? { id: msg.reason } : { id: "server", message: msg.message } }));
+        break;
+      case "closed": {
+        const ws = socketRef.current;
+        socketRef.current = null;
+        ws?.close();
+        setSession({ ...IDLE, status: "closed", error: { id: "ended" } });
+        break;
+      }
+      default:
+    }
+  };
+
+  const connect = useCallback((url, first) => {
+    socketRef.current?.close();
+    let ws;
+    try {
+      ws = new WebSocket(url);
+    } catch {
+      setSession({ ...IDLE, status: "error", error: { id: "bad-address", url } });
+      return;
+    }
+    socketRef.current = ws;
+    setSession({ ...IDLE, status: "connecting" });
+    ws.onopen = () => ws.send(JSON.stringify(first));
+    ws.onmessage = (e) => {
+      try {
+        handleMessage(JSON.parse(e.data));
+      } catch {
+        // ignore malformed messages
+      }
+    };
+    ws.onclose = () => {
+      if (socketRef.current !== ws) return; // replaced by a newer connection
+      socketRef.current = null;
+      setSession((s) =>
+        s.status === "closed"
+          ? s
+          : {
+              ...IDLE,
+              status: "error",
+              // a refused join arrives as an error message just before the server closes
+              error: s.error || (s.status === "connecting" ? { id: "unreachable", url } : { id: "lost" }),
+            }
+      );
+    };
+  }, []);
+
+  const send = useCallback((msg) => {
+    const ws = socketRef.current;
+    if (ws && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(msg));
+  }, []);
+
+  const host = useCallback((url) => connect(url, { type: "host" }), [connect]);
+  const join = useCallback((url, code, name) => connect(url, { type: "join", code, name }), [connect]);
+  const leave = useCallback(() => {
+    const ws = socketRef.current;
+    socketRef.current = null;
+    ws?.close();
+    setSession(IDLE);
+  }, []);
+  const sendChallenge = useCallback(
+    (challenge) => send(challenge ? { type: "challenge", ...encodeChallenge(challenge) } : { type: "end" }),
+    [send]
+  );
+  const answer = useCallback(
+    (challengeId, value) => send({ type: "answer", challengeId, value: "0x" + value.toString(16).toUpperCase() }),
+    [send]
+  );
+
+  useEffect(() => () => socketRef.current?.close(), []);
+
+  return { session, host, join, leave, sendChallenge, answer };
+}
@@ -0,0 +1,55 @@
+import { useCallback, useEffect, useState } from "react";
+
+/**
+ * Hash routing
+ * ------------------------------------------------------
+ * Routes look like `#/numbers/number?bits=16&value=0xBEEF`: path
+ * segments pick tabs, query parameters carry state. The hash works on
+ * a static host (gh-pages) without server-side rewrites, and every
+ * pushed route is a browser history entry, so back/forward work.
+ */
+
+export const parseHash = (hash) => {
+  const s = hash.replace(/^#\/?/, "");
+  const q = s.indexOf("?");
+  const path = q < 0 ? s : s.slice(0, q);
+  const query = q < 0 ? "" : s.slice(q + 1);
+  let segments;
+  try {
+    segments = path.split("/").filter(Boolean).map(decodeURIComponent);
+  } catch {
+    segments = []; // malformed percent-encoding
+  }
+  return { segments, params: Object.fromEntries(new URLSearchParams(query)) };
+};
+
+export const formatHash = ({ segments = [], params = {} }) => {
+  const query = new URLSearchParams(params).toString();
+  return "#/" + segments.map(encodeURIComponent).join("/") + (query ? `?${query}` : "");
+};
+
+/**
+ * Current route plus `navigate(route, { replace })`. Use `replace` for
+ * continuous edits (typing) so they don't flood the history.
+ */
+export default function useHashRoute() {
+  const [route, setRoute] = useState(() => parseHash(window.location.hash));
+
+  useEffect(() => {
+    // back/forward and edits of the address bar
+    const onHashChange = () => setRoute(parseHash(window.location.hash));
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, []);
+
+  const navigate = useCallback((next, { replace = false } = {}) => {
+    const hash = formatHash(next);
+    if (hash !== window.location.hash) {
+      // pushState/replaceState don't fire hashchange, so the route is set here
+      window.history[replace ? "replaceState" : "pushState"](null, "", hash);
+    }
+    setRoute(parseHash(hash));
+  }, []);
+
+  return [route, navigate];
+}
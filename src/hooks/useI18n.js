@@ -0,0 +1,49 @@
+import { Children, createContext, useContext, useEffect, useState } from "react";
+import { CATALOGS } from "../locales";
+import { DEFAULT_LANGUAGE, createI18n, detectLanguage, findLanguage } from "../lib/i18n";
+
+/**
+ * Language of the interface
+ * ------------------------------------------------------
+ * App owns the language (useLanguage) and provides the translator
+ * through I18nContext; components read it with useI18n(). Without a
+ * provider they get English, so they also render on their own.
+ */
+
+const LANGUAGE_KEY = "drlab.language";
+
+export const I18nContext = createContext(createI18n(CATALOGS, DEFAULT_LANGUAGE));
+
+/** `{ lang, locale, t, parts, plural, formatNumber }`; `parts` returns keyed children for JSX. */
+export default function useI18n() {
+  const i18n = useContext(I18nContext);
+  return { ...i18n, parts: (key, vars) => Children.toArray(i18n.parts(key, vars)) };
+}
+
+const storedLanguage = () => {
+  try {
+    return findLanguage(localStorage.getItem(LANGUAGE_KEY))?.id ?? null;
+  } catch {
+    return null; // storage blocked
+  }
+};
+
+/** The chosen language, remembered in localStorage; until one is chosen, the browser's. */
+export function useLanguage() {
+  const [lang, setLang] = useState(() => storedLanguage() ?? detectLanguage(navigator.languages ?? [navigator.language]));
+
+  useEffect(() => {
+    document.documentElement.lang = lang;
+  }, [lang]);
+
+  const choose = (id) => {
+    setLang(id);
+    try {
+      localStorage.setItem(LANGUAGE_KEY, id);
+    } catch {
+      // the choice then lasts for this visit only
+    }
+  };
+
+  return [lang, choose];
+}
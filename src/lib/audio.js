@@ -0,0 +1,92 @@
+/**
+ * Sampling and quantization
+ * ------------------------------------------------------
+ * A sound as numbers: a signal (a generated waveform, or samples
+ * loaded from a file) is sampled at a chosen rate and each sample
+ * rounded to a signed integer of a chosen bit depth. Nothing filters
+ * the signal first, so frequencies above half the sample rate alias,
+ * just as they would without an anti-aliasing filter. Samples are
+ * floats in −1 … 1 until they are quantized.
+ */
+
+export const MIN_BIT_DEPTH = 2;
+export const MAX_BIT_DEPTH = 16;
+export const SAMPLE_RATES = [2000, 4000, 8000, 11025, 16000, 22050, 32000, 44100, 48000];
+
+// ---------- waveforms ----------
+// value at `phase` (in cycles) of each waveform, peak 1
+const frac = (x) => x - Math.floor(x);
+
+// named in the catalogs (sound.waveform.<id>)
+export const WAVEFORMS = [
+  { id: "sine", at: (p) => Math.sin(2 * Math.PI * p) },
+  { id: "square", at: (p) => (frac(p) < 0.5 ? 1 : -1) },
+  { id: "triangle", at: (p) => 1 - 4 * Math.abs(frac(p + 0.25) - 0.5) },
+  { id: "sawtooth", at: (p) => 2 * frac(p + 0.5) - 1 },
+  {
+    id: "chord",
+    at: (p) => (Math.sin(2 * Math.PI * p) + Math.sin(2.5 * Math.PI * p) + Math.sin(3 * Math.PI * p)) / 3,
+  },
+];
+
+export const findWaveform = (id) => WAVEFORMS.find((w) => w.id === id) || WAVEFORMS[0];
+
+/** The signal's value at time t (seconds): `{waveform, frequency, amplitude}`. */
+export const signalAt = ({ waveform, frequency, amplitude }, t) => amplitude * findWaveform(waveform).at(frequency * t);
+
+/** Samples a generated signal: `duration` seconds at `sampleRate`. */
+export const sampleSignal = (signal, sampleRate, duration) =>
+  Float32Array.from({ length: Math.round(sampleRate * duration) }, (_, n) => signalAt(signal, n / sampleRate));
+
+/**
+ * Samples recorded at `sourceRate` taken again at `targetRate` by linear
+ * interpolation, with no low-pass filter, so lowering the rate aliases.
+ */
+export const resample = (samples, sourceRate, targetRate) => {
+  const length = Math.floor((samples.length * targetRate) / sourceRate);
+  const out = new Float32Array(length);
+  for (let n = 0; n < length; n++) {
+    const x = (n * sourceRate) / targetRate;
+    const i = Math.floor(x);
+    const a = samples[i] ?? 0;
+    const b = samples[i + 1] ?? a;
+    out[n] = a + (b - a) * (x - i);
+  }
+  return out;
+};
+
+/** The frequency a tone of `frequency` Hz is heard at after sampling at `sampleRate` (folded into 0 … rate/2). */
+export const aliasFrequency = (frequency, sampleRate) => Math.abs(frequency - sampleRate * Math.round(frequency / sampleRate));
+
+// ---------- quantization ----------
+export const sampleRange = (bits) => [-(2 ** (bits - 1)), 2 ** (bits - 1) - 1];
+
+/** Each sample rounded to a signed `bits`-bit integer; full scale 1.0 is 2^(bits−1), clipped to the range. */
+export const quantize = (samples, bits) => {
+  const [min, max] = sampleRange(bits);
+  const scale = 2 ** (bits - 1);
+  return Int32Array.from(samples, (x) => Math.min(max, Math.max(min, Math.round(x * scale))));
+};
+
+export const dequantize = (ints, bits) => {
+  const scale = 2 ** (bits - 1);
+  return Float32Array.from(ints, (q) => q / scale);
+};
+
+/** Signal-to-noise ratio of `approx` against `exact` in dB; Infinity when they match. */
+export const snr = (exact, approx) => {
+  let signal = 0;
+  let noise = 0;
+  for (let i = 0; i < exact.length; i++) {
+    signal += exact[i] * exact[i];
+    noise += (exact[i] - approx[i]) ** 2;
+  }
+  return noise === 0 ? Infinity : 10 * Math.log10(signal / noise);
+};
+
+/** The textbook SQNR of a full-scale sine: 6.02 · bits + 1.76 dB. */
+export const idealSqnr = (bits) => 6.02 * bits + 1.76;
+
+/** Each sample held until the next one, at `targetRate`: what a simple DAC outputs. */
+export const holdSamples = (samples, sourceRate, targetRate) =>
+  Float32Array.from({ length: Math.floor((samples.length * targetRate) / sourceRate) }, (_, n) => samples[Math.floor((n * sourceRate) / targetRate)]);
@@ -0,0 +1,119 @@
+/**
+ * Binary data helpers
+ * ------------------------------------------------------
+ * Reading typed values out of raw bytes, as a hex editor's data
+ * inspector does: fixed-size integers and floats in both byte orders,
+ * strings in UTF-8/UTF-16, Unix timestamps. Values are read at an
+ * offset with a DataView, so the bytes are never copied. Errors are
+ * `{error, reason}`: the English message and `{id, ...values}` to build
+ * it in another language from.
+ */
+
+// ---------- pasted input ----------
+// modes without a label are named in the catalogs (hexViewer.mode.<id>),
+// and every mode's example input is there too (hexViewer.placeholder.<id>)
+export const PASTE_MODES = [{ id: "hex", label: "Hex" }, { id: "base64", label: "Base64" }, { id: "text" }];
+
+const failure = (error, id, values = {}) => ({ error, reason: { id, ...values } });
+
+/** Bytes from pasted text, or `{error, reason}`. */
+export const parsePastedBytes = (str, mode) => {
+  if (mode === "text") return { bytes: new TextEncoder().encode(str) };
+  if (mode === "base64") {
+    const s = str.replace(/\s+/g, "").replace(/-/g, "+").replace(/_/g, "/");
+    try {
+      const bin = atob(s.padEnd(Math.ceil(s.length / 4) * 4, "="));
+      return { bytes: Uint8Array.from(bin, (c) => c.charCodeAt(0)) };
+    } catch {
+      return failure("Not valid Base64.", "base64");
+    }
+  }
+  const hex = str.replace(/0x/gi, " ").replace(/[\s,;:_-]+/g, "");
+  const digit = hex.match(/[^0-9a-f]/i)?.[0];
+  if (digit) return failure(`Not a hex digit: "${digit}"`, "hexDigit", { digit });
+  if (hex.length % 2) return failure("Odd number of hex digits: every byte needs two.", "oddDigits");
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+  return { bytes };
+};
+
+// ---------- formatting ----------
+export const hexByte = (b) => b.toString(16).toUpperCase().padStart(2, "0");
+export const hexOffset = (n, digits = 8) => n.toString(16).toUpperCase().padStart(digits, "0");
+export const printableChar = (b) => (b >= 0x20 && b < 0x7f ? String.fromCharCode(b) : "·");
+export const bytesToHex = (bytes) => Array.from(bytes, hexByte).join(" ");
+
+// ---------- typed values ----------
+/** IEEE 754 half precision, from its 16-bit pattern. */
+export const halfToNumber = (h) => {
+  const sign = h & 0x8000 ? -1 : 1;
+  const exp = (h >> 10) & 0x1f;
+  const frac = h & 0x3ff;
+  if (exp === 0) return sign * frac * 2 ** -24; // subnormal (and ±0)
+  if (exp === 0x1f) return frac ? NaN : sign * Infinity;
+  return sign * (1 + frac / 1024) * 2 ** (exp - 15);
+};
+
+const formatFloat = (x) => (Object.is(x, -0) ? "-0" : String(x));
+
+const formatTimestamp = (ms) => {
+  const d = new Date(ms);
+  return Number.isNaN(d.getTime()) ? { id: "outOfRange" } : d.toISOString().replace(".000Z", "Z");
+};
+
+/**
+ * Each type reads `size` bytes at an offset in the given byte order and
+ * returns a display string, or a message `{id}` (dataInspector.<id>)
+ * when the bytes mean no value. `singleByte` types have no byte order.
+ * Types without a label are named in the catalogs (dataInspector.type.<id>).
+ */
+export const INSPECTOR_TYPES = [
+  { id: "int8", label: "int8", size: 1, singleByte: true, read: (v, o) => String(v.getInt8(o)) },
+  { id: "uint8", label: "uint8", size: 1, singleByte: true, read: (v, o) => String(v.getUint8(o)) },
+  { id: "int16", label: "int16", size: 2, read: (v, o, le) => String(v.getInt16(o, le)) },
+  { id: "uint16", label: "uint16", size: 2, read: (v, o, le) => String(v.getUint16(o, le)) },
+  { id: "int32", label: "int32", size: 4, read: (v, o, le) => String(v.getInt32(o, le)) },
+  { id: "uint32", label: "uint32", size: 4, read: (v, o, le) => String(v.getUint32(o, le)) },
+  { id: "int64", label: "int64", size: 8, read: (v, o, le) => String(v.getBigInt64(o, le)) },
+  { id: "uint64", label: "uint64", size: 8, read: (v, o, le) => String(v.getBigUint64(o, le)) },
+  { id: "float16", label: "float16", size: 2, read: (v, o, le) => formatFloat(halfToNumber(v.getUint16(o, le))) },
+  { id: "float32", label: "float32", size: 4, read: (v, o, le) => formatFloat(v.getFloat32(o, le)) },
+  { id: "float64", label: "float64", size: 8, read: (v, o, le) => formatFloat(v.getFloat64(o, le)) },
+  {
+    id: "time32",
+    size: 4,
+    read: (v, o, le) => formatTimestamp(v.getInt32(o, le) * 1000),
+  },
+  {
+    id: "time64",
+    size: 8,
+    read: (v, o, le) => formatTimestamp(Number(v.getBigInt64(o, le))),
+  },
+];
+
+/**
+ * Every type read at `offset`: `{type, le, be}` with null where the
+ * data ends too early. Types read from the offset onwards, whatever the
+ * selection length, the way hex editors inspect "at the cursor".
+ */
+export const inspectAt = (bytes, offset) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return INSPECTOR_TYPES.map((type) => {
+    if (offset + type.size > bytes.length) return { type, le: null, be: null };
+    return { type, le: type.read(view, offset, true), be: type.singleByte ? null : type.read(view, offset, false) };
+  });
+};
+
+export const STRING_DECODERS = [
+  { id: "utf-8", label: "UTF-8" },
+  { id: "utf-16le", label: "UTF-16 LE" },
+  { id: "utf-16be", label: "UTF-16 BE" },
+];
+
+/** `{text, invalid}`: malformed sequences become U+FFFD; `invalid` counts every U+FFFD. */
+export const decodeString = (bytes, encoding) => {
+  const text = new TextDecoder(encoding).decode(bytes);
+  let invalid = 0;
+  for (const ch of text) if (ch === "�") invalid++;
+  return { text, invalid };
+};
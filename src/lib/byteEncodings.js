@@ -0,0 +1,275 @@
+/**
+ * Bytes as ASCII text
+ * ------------------------------------------------------
+ * The ways binary data is smuggled through text-only channels: hex,
+ * Base64 and Base64URL (RFC 4648), Base32, Ascii85, percent-encoding
+ * (RFC 3986) and quoted-printable (RFC 2045). Written out by hand rather
+ * than with btoa/atob so the bit regrouping can be shown and tested.
+ * Decoders return `{bytes}` or `{error, reason}`: the English message
+ * and `{id, ...values}` to build it in another language from.
+ */
+
+const failure = (error, id, values = {}) => ({ error, reason: { id, ...values } });
+const invalidChar = (ch, name) => failure(`"${ch}" is not a ${name} character`, "character", { char: ch, encoding: name });
+
+// ---------- hex ----------
+const encodeHex = (bytes) => Array.from(bytes, (b) => b.toString(16).toUpperCase().padStart(2, "0")).join(" ");
+
+const decodeHex = (str) => {
+  const hex = str.replace(/0x/gi, " ").replace(/[\s,;:_-]+/g, "");
+  const bad = /[^0-9a-f]/i.exec(hex);
+  if (bad) return invalidChar(bad[0], "hex");
+  if (hex.length % 2) return failure("Odd number of hex digits: every byte needs two", "oddHex");
+  return { bytes: Array.from({ length: hex.length / 2 }, (_, i) => parseInt(hex.slice(i * 2, i * 2 + 2), 16)) };
+};
+
+// ---------- Base64 / Base32: groups of bits mapped onto an alphabet ----------
+const BASE64 = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+const BASE64URL = BASE64.slice(0, 62) + "-_";
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// bytes → `bitsPerChar`-bit characters, zero-filled at the end, padded with "=" to a multiple of `block`
+const encodeBits = (bytes, alphabet, bitsPerChar, block) => {
+  let out = "";
+  let acc = 0;
+  let n = 0;
+  for (const b of bytes) {
+    acc = (acc << 8) | b;
+    n += 8;
+    while (n >= bitsPerChar) {
+      n -= bitsPerChar;
+      out += alphabet[(acc >> n) & ((1 << bitsPerChar) - 1)];
+    }
+    acc &= (1 << n) - 1;
+  }
+  if (n > 0) out += alphabet[(acc << (bitsPerChar - n)) & ((1 << bitsPerChar) - 1)];
+  return block ? out.padEnd(Math.ceil(out.length / block) * block, "=") : out;
+};
+
+const decodeBits = (str, alphabet, bitsPerChar, name, caseless = false) => {
+  const s = str.replace(/\s+/g, "").replace(/=+$/, "");
+  const bytes = [];
+  let acc = 0;
+  let n = 0;
+  for (const ch of s) {
+    const v = alphabet.indexOf(caseless ? ch.toUpperCase() : ch);
+    if (v < 0) return invalidChar(ch, name);
+    acc = (acc << bitsPerChar) | v;
+    n += bitsPerChar;
+    if (n >= 8) {
+      n -= 8;
+      bytes.push((acc >> n) & 0xff);
+    }
+    acc &= (1 << n) - 1;
+  }
+  // leftover bits that cannot make a byte are only the zero fill
+  if (n >= bitsPerChar) return failure(`${s.length} ${name} characters cannot end a group`, "groupEnd", { count: s.length, encoding: name });
+  return { bytes };
+};
+
+/**
+ * The Base64 regrouping, 3 bytes at a time: `{bytes, sextets: [{value, char}], padding}`.
+ * The last group is zero-filled to whole sextets and padded with "=".
+ */
+export const base64Groups = (bytes) => {
+  const groups = [];
+  for (let i = 0; i < bytes.length; i += 3) {
+    const chunk = Array.from(bytes.slice(i, i + 3));
+    const bits = chunk.reduce((acc, b) => (acc << 8) | b, 0) << (8 * (3 - chunk.length));
+    const count = chunk.length + 1;
+    const sextets = Array.from({ length: count }, (_, k) => {
+      const value = (bits >> (18 - 6 * k)) & 0x3f;
+      return { value, char: BASE64[value] };
+    });
+    groups.push({ bytes: chunk, sextets, padding: 4 - count });
+  }
+  return groups;
+};
+
+// ---------- Ascii85 ----------
+const decodeAscii85 = (str) => {
+  const s = str.replace(/^\s*<~/, "").replace(/~>\s*$/, "").replace(/\s+/g, "");
+  const bytes = [];
+  let group = [];
+  const flush = (count) => {
+    let v = 0;
+    for (const d of group) v = v * 85 + d;
+    if (v > 0xffffffff) return false;
+    for (let k = 0; k < count; k++) bytes.push((v >>> (24 - 8 * k)) & 0xff);
+    return true;
+  };
+  for (const ch of s) {
+    if (ch === "z" && group.length === 0) {
+      bytes.push(0, 0, 0, 0);
+      continue;
+    }
+    const d = ch.charCodeAt(0) - 33;
+    if (d < 0 || d > 84) return invalidChar(ch, "Ascii85");
+    group.push(d);
+    if (group.length === 5) {
+      if (!flush(4)) return failure("A group of 5 characters is larger than 4 bytes can hold", "groupTooLarge");
+      group = [];
+    }
+  }
+  if (group.length === 1) return failure("A final group needs at least 2 characters", "finalTooShort");
+  if (group.length) {
+    const count = group.length - 1;
+    while (group.length < 5) group.push(84); // pad with "u"
+    if (!flush(count)) return failure("The final group is larger than 4 bytes can hold", "finalTooLarge");
+  }
+  return { bytes };
+};
+
+/** Every 4 bytes as a base-85 number in 5 characters from "!"; four zero bytes shrink to "z". */
+const encodeAscii85 = (bytes) => {
+  let out = "";
+  for (let i = 0; i < bytes.length; i += 4) {
+    const chunk = Array.from(bytes.slice(i, i + 4));
+    const count = chunk.length;
+    while (chunk.length < 4) chunk.push(0);
+    let v = ((chunk[0] << 24) | (chunk[1] << 16) | (chunk[2] << 8) | chunk[3]) >>> 0;
+    if (v === 0 && count === 4) {
+      out += "z";
+      continue;
+    }
+    const digits = [];
+    for (let k = 0; k < 5; k++) {
+      digits.unshift(String.fromCharCode(33 + (v % 85)));
+      v = Math.floor(v / 85);
+    }
+    out += digits.slice(0, count + 1).join("");
+  }
+  return out;
+};
+
+// ---------- percent-encoding ----------
+const UNRESERVED = /[A-Za-z0-9\-._~]/;
+
+const encodePercent = (bytes) =>
+  Array.from(bytes, (b) =>
+    b < 0x80 && UNRESERVED.test(String.fromCharCode(b)) ? String.fromCharCode(b) : "%" + b.toString(16).toUpperCase().padStart(2, "0")
+  ).join("");
+
+const decodePercent = (str) => {
+  const bytes = [];
+  const encoder = new TextEncoder();
+  for (let i = 0; i < str.length; i++) {
+    if (str[i] === "%") {
+      const hex = str.slice(i + 1, i + 3);
+      if (!/^[0-9a-f]{2}$/i.test(hex)) {
+        return failure(`"%${hex}" at position ${i} needs two hex digits`, "escape", { escape: `%${hex}`, position: i });
+      }
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      const cp = str.codePointAt(i);
+      if (cp > 0xffff) i++;
+      bytes.push(...encoder.encode(String.fromCodePoint(cp)));
+    }
+  }
+  return { bytes };
+};
+
+// ---------- quoted-printable ----------
+const MAX_QP_LINE = 76;
+
+/**
+ * Printable ASCII stays, everything else becomes =XX; a newline byte is a
+ * line break, spaces before one are escaped, and long lines end in a
+ * soft break "=".
+ */
+const encodeQuotedPrintable = (bytes) => {
+  const lines = [];
+  let line = "";
+  const arr = Array.from(bytes);
+  arr.forEach((b, i) => {
+    if (b === 0x0a) {
+      lines.push(line);
+      line = "";
+      return;
+    }
+    const lineEnd = i === arr.length - 1 || arr[i + 1] === 0x0a;
+    const literal = (b >= 33 && b <= 126 && b !== 0x3d) || ((b === 0x20 || b === 0x09) && !lineEnd);
+    const token = literal ? String.fromCharCode(b) : "=" + b.toString(16).toUpperCase().padStart(2, "0");
+    if (line.length + token.length > MAX_QP_LINE - 1) {
+      lines.push(line + "=");
+      line = "";
+    }
+    line += token;
+  });
+  lines.push(line);
+  return lines.join("\n");
+};
+
+const decodeQuotedPrintable = (str) => {
+  const bytes = [];
+  const s = str.replace(/\r\n/g, "\n");
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (ch === "=") {
+      if (s[i + 1] === "\n") {
+        i++; // soft line break
+        continue;
+      }
+      const hex = s.slice(i + 1, i + 3);
+      if (!/^[0-9A-F]{2}$/i.test(hex)) {
+        return failure(`"=${hex}" at position ${i} needs two hex digits`, "escape", { escape: `=${hex}`, position: i });
+      }
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      const code = ch.charCodeAt(0);
+      if (code > 0x7e) return invalidChar(ch, "quoted-printable");
+      bytes.push(code);
+    }
+  }
+  return { bytes };
+};
+
+export const BYTE_ENCODINGS = [
+  { id: "hex", label: "Hex", encode: encodeHex, decode: decodeHex },
+  {
+    id: "base64",
+    label: "Base64",
+    note: "6 bits per character, 3 bytes → 4 characters, padded with =",
+    encode: (bytes) => encodeBits(bytes, BASE64, 6, 4),
+    decode: (str) => decodeBits(str, BASE64, 6, "Base64"),
+  },
+  {
+    id: "base64url",
+    label: "Base64URL",
+    note: "Base64 with - and _ instead of + and /, no padding; safe in URLs and file names",
+    encode: (bytes) => encodeBits(bytes, BASE64URL, 6, 0),
+    decode: (str) => decodeBits(str, BASE64URL, 6, "Base64URL"),
+  },
+  {
+    id: "base32",
+    label: "Base32",
+    note: "5 bits per character, 5 bytes → 8 characters; no lower case, no 0/1/8/9",
+    encode: (bytes) => encodeBits(bytes, BASE32, 5, 8),
+    decode: (str) => decodeBits(str, BASE32, 5, "Base32", true),
+  },
+  {
+    id: "ascii85",
+    label: "Ascii85",
+    note: "4 bytes as a 5-digit base-85 number, 25% overhead; used in PDF and PostScript",
+    encode: encodeAscii85,
+    decode: decodeAscii85,
+  },
+  {
+    id: "percent",
+    label: "Percent-encoding",
+    note: "URLs: letters, digits and - . _ ~ stay, every other byte becomes %XX",
+    encode: encodePercent,
+    decode: decodePercent,
+  },
+  {
+    id: "quoted-printable",
+    label: "Quoted-printable",
+    note: "e-mail: printable ASCII stays readable, other bytes become =XX, lines stop at 76 characters",
+    encode: encodeQuotedPrintable,
+    decode: decodeQuotedPrintable,
+  },
+];
+
+export const findByteEncoding = (id) => BYTE_ENCODINGS.find((e) => e.id === id) || BYTE_ENCODINGS[0];
@@ -0,0 +1,54 @@
+/**
+ * Classroom session protocol
+ * ------------------------------------------------------
+ * Shared by the browser (useClassroom) and the LAN server
+ * (server/classroom-server.mjs). Messages are JSON objects with a
+ * `type`; BigInt targets travel as hex strings.
+ *
+ *   teacher → server  host | challenge {target, bits} | end
+ *   student → server  join {code, name} | answer {challengeId, value}
+ *   server → teacher  hosted {code} | roster {challenge, students}
+ *   server → student  joined {code, name} | challenge {challenge} | result {…}
+ *   server → anyone   error {reason, message} | closed
+ *
+ * The server stamps each challenge when it sends it out and times
+ * answers on arrival, so every student is measured by the same clock.
+ */
+
+export const CLASSROOM_PATH = "/classroom";
+export const DEFAULT_PORT = 8787;
+
+// no 0/O, 1/I/L: codes are read off a projector
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+export const CODE_LENGTH = 4;
+export const MAX_NAME_LENGTH = 24;
+export const MAX_CHALLENGE_BITS = 128;
+
+export const makeCode = (random = Math.random) =>
+  Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[Math.floor(random() * CODE_ALPHABET.length)]).join("");
+
+export const normalizeCode = (str) => String(str ?? "").toUpperCase().replace(/[^A-Z0-9]/g, "").slice(0, CODE_LENGTH);
+
+export const cleanName = (str) => String(str ?? "").replace(/\s+/g, " ").trim().slice(0, MAX_NAME_LENGTH);
+
+export const encodeChallenge = ({ target, bits }) => ({ target: "0x" + target.toString(16).toUpperCase(), bits });
+
+/** `{target: BigInt, bits}` or null when the message is malformed or doesn't fit its width. */
+export const decodeChallenge = (msg) => {
+  if (typeof msg?.target !== "string" || !/^0x[0-9a-f]+$/i.test(msg.target)) return null;
+  const { bits } = msg;
+  if (!Number.isInteger(bits) || bits < 1 || bits > MAX_CHALLENGE_BITS) return null;
+  const target = BigInt(msg.target);
+  return target >> BigInt(bits) === 0n ? { target, bits } : null;
+};
+
+/** Uniformly random `bits`-bit target, never 0 so there is something to do. */
+export const randomTarget = (bits, random = Math.random) => {
+  let t = 0n;
+  for (let i = 0; i < bits; i++) t = (t << 1n) | (random() < 0.5 ? 1n : 0n);
+  return t || 1n;
+};
+
+/** Same host as the page: the server serves the app, and `vite` proxies the path in development. */
+export const defaultServerUrl = (location = window.location) =>
+  `${location.protocol === "https:" ? "wss" : "ws"}://${location.host}${CLASSROOM_PATH}`;
@@ -0,0 +1,247 @@
+/**
+ * Colour depth reduction for the Graphics Analyzer
+ * ------------------------------------------------------
+ * Re-renders ImageData with fewer bits per pixel: n bits per channel,
+ * RGB565, n-bit grayscale or an adaptive palette (median cut), with
+ * optional Floyd–Steinberg or ordered (Bayer) dithering. Alpha is
+ * copied unchanged.
+ */
+
+import { luma } from "./imageStats.js";
+
+// named in the catalogs (colorDepth.mode.<id>)
+export const DEPTH_MODES = [{ id: "channel" }, { id: "rgb565" }, { id: "palette" }, { id: "gray" }];
+
+export const PALETTE_SIZES = [2, 4, 16, 256];
+
+// dithers without a label are named in the catalogs (colorDepth.dither.<id>)
+export const DITHERS = [{ id: "none" }, { id: "floyd", label: "Floyd–Steinberg" }, { id: "ordered" }];
+
+const clampByte = (v) => (v < 0 ? 0 : v > 255 ? 255 : v);
+
+// Maps 0–255 onto 2^bits evenly spaced levels and back to 0–255.
+const levels = (bits) => {
+  const max = (1 << bits) - 1;
+  return (v) => Math.round((Math.round((clampByte(v) * max) / 255) * 255) / max);
+};
+
+// Bayer 8×8 threshold matrix, built recursively from the 2×2 one.
+const BAYER_8 = (() => {
+  let m = [[0, 2], [3, 1]];
+  while (m.length < 8) {
+    const n = m.length;
+    m = Array.from({ length: 2 * n }, (_, y) =>
+      Array.from({ length: 2 * n }, (_, x) => 4 * m[y % n][x % n] + [[0, 2], [3, 1]][Math.floor(y / n)][Math.floor(x / n)])
+    );
+  }
+  return m;
+})();
+
+/**
+ * Bits needed per pixel (and for the palette table) for a setting. Pass
+ * the palette median cut built to size the table and the indexes by
+ * the colours it found, which can be fewer than were asked for.
+ */
+export const storageOf = ({ mode, bits, paletteSize }, palette) => {
+  switch (mode) {
+    case "channel":
+      return { bitsPerPixel: 3 * bits, paletteBytes: 0, colors: 2 ** (3 * bits) };
+    case "rgb565":
+      return { bitsPerPixel: 16, paletteBytes: 0, colors: 65536 };
+    case "gray":
+      return { bitsPerPixel: bits, paletteBytes: 0, colors: 2 ** bits };
+    case "palette": {
+      const colors = palette ? palette.length : paletteSize;
+      return { bitsPerPixel: Math.max(1, Math.ceil(Math.log2(colors))), paletteBytes: colors * 3, colors };
+    }
+    default:
+      throw new Error(`Unknown depth mode: ${mode}`);
+  }
+};
+
+/** Uncompressed size in bytes: width × height × bits per pixel, plus the palette table. */
+export const memorySize = (width, height, setting, palette) => {
+  const { bitsPerPixel, paletteBytes } = storageOf(setting, palette);
+  return Math.ceil((width * height * bitsPerPixel) / 8) + paletteBytes;
+};
+
+/** "512 B", "1.5 KiB", "2.25 MiB"; with a locale, the digits in its style ("1,5 KiB" in German). */
+export const formatBytes = (n, locale = "en") => {
+  const fixed = (v, digits) => v.toLocaleString(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+  if (n < 1024) return `${n.toLocaleString(locale)} B`;
+  if (n < 1024 * 1024) return `${fixed(n / 1024, 1)} KiB`;
+  return `${fixed(n / 1024 / 1024, 2)} MiB`;
+};
+
+/**
+ * Adaptive palette by median cut: repeatedly split the box of colours
+ * with the widest channel range at its median, then average each box.
+ * Works on a sample of at most 65536 pixels.
+ */
+export const medianCutPalette = (imageData, size) => {
+  const { data } = imageData;
+  const n = imageData.width * imageData.height;
+  const step = Math.max(1, Math.floor(n / 65536));
+  const colors = [];
+  for (let p = 0; p < n; p += step) colors.push([data[p * 4], data[p * 4 + 1], data[p * 4 + 2]]);
+
+  const rangeOf = (box) => {
+    let best = { channel: 0, range: -1 };
+    for (let c = 0; c < 3; c++) {
+      let min = 255;
+      let max = 0;
+      for (const col of box) {
+        if (col[c] < min) min = col[c];
+        if (col[c] > max) max = col[c];
+      }
+      if (max - min > best.range) best = { channel: c, range: max - min };
+    }
+    return best;
+  };
+
+  let boxes = [colors];
+  while (boxes.length < size) {
+    let pick = -1;
+    let pickRange = null;
+    boxes.forEach((box, i) => {
+      const r = rangeOf(box);
+      if (r.range > 0 && (!pickRange || r.range > pickRange.range)) {
+        pick = i;
+        pickRange = r;
+      }
+    });
+    if (pick < 0) break; // every box holds a single colour
+    const box = boxes[pick].slice().sort((a, b) => a[pickRange.channel] - b[pickRange.channel]);
+    const mid = Math.floor(box.length / 2);
+    boxes = [...boxes.slice(0, pick), box.slice(0, mid), box.slice(mid), ...boxes.slice(pick + 1)];
+  }
+
+  return boxes.map((box) => {
+    const sum = [0, 0, 0];
+    for (const col of box) for (let c = 0; c < 3; c++) sum[c] += col[c];
+    return sum.map((s) => Math.round(s / box.length));
+  });
+};
+
+// Nearest palette entry, cached on 6 bits per channel.
+const paletteQuantizer = (palette) => {
+  const cache = new Int16Array(1 << 18).fill(-1);
+  return (r, g, b) => {
+    const key = ((clampByte(r) >> 2) << 12) | ((clampByte(g) >> 2) << 6) | (clampByte(b) >> 2);
+    if (cache[key] < 0) {
+      let best = 0;
+      let bestDist = Infinity;
+      palette.forEach(([pr, pg, pb], i) => {
+        const d = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2;
+        if (d < bestDist) {
+          bestDist = d;
+          best = i;
+        }
+      });
+      cache[key] = best;
+    }
+    return palette[cache[key]];
+  };
+};
+
+// Returns (r, g, b) → [r, g, b] and the level spacing per channel used by ordered dithering.
+const quantizerFor = (imageData, { mode, bits, paletteSize }) => {
+  switch (mode) {
+    case "channel": {
+      const q = levels(bits);
+      const s = 255 / ((1 << bits) - 1);
+      return { quantize: (r, g, b) => [q(r), q(g), q(b)], spread: [s, s, s] };
+    }
+    case "rgb565": {
+      const q5 = levels(5);
+      const q6 = levels(6);
+      return { quantize: (r, g, b) => [q5(r), q6(g), q5(b)], spread: [255 / 31, 255 / 63, 255 / 31] };
+    }
+    case "gray": {
+      const q = levels(bits);
+      const s = 255 / ((1 << bits) - 1);
+      return {
+        quantize: (r, g, b) => {
+          const y = q(luma(clampByte(r), clampByte(g), clampByte(b)));
+          return [y, y, y];
+        },
+        spread: [s, s, s],
+      };
+    }
+    case "palette": {
+      const palette = medianCutPalette(imageData, paletteSize);
+      const s = 255 / Math.cbrt(palette.length);
+      return { quantize: paletteQuantizer(palette), spread: [s, s, s], palette };
+    }
+    default:
+      throw new Error(`Unknown depth mode: ${mode}`);
+  }
+};
+
+/** Re-renders an image at the given depth; returns the new ImageData (and the palette, if any). */
+export const reduceDepth = (imageData, setting, dither = "none") => {
+  const { width, height, data } = imageData;
+  const { quantize, spread, palette } = quantizerFor(imageData, setting);
+  const out = new Uint8ClampedArray(data.length);
+
+  if (dither === "floyd") {
+    // working copy that accumulates the diffused error
+    const work = new Float32Array(width * height * 3);
+    for (let p = 0; p < width * height; p++) for (let c = 0; c < 3; c++) work[p * 3 + c] = data[p * 4 + c];
+    const spreadError = (x, y, err, weight) => {
+      if (x < 0 || x >= width || y >= height) return;
+      const p = (y * width + x) * 3;
+      for (let c = 0; c < 3; c++) work[p + c] += err[c] * weight;
+    };
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const p = y * width + x;
+        const old = [work[p * 3], work[p * 3 + 1], work[p * 3 + 2]];
+        const q = quantize(...old);
+        const err = old.map((v, c) => v - q[c]);
+        out.set(q, p * 4);
+        out[p * 4 + 3] = data[p * 4 + 3];
+        spreadError(x + 1, y, err, 7 / 16);
+        spreadError(x - 1, y + 1, err, 3 / 16);
+        spreadError(x, y + 1, err, 5 / 16);
+        spreadError(x + 1, y + 1, err, 1 / 16);
+      }
+    }
+  } else {
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4;
+        const t = dither === "ordered" ? (BAYER_8[y & 7][x & 7] + 0.5) / 64 - 0.5 : 0;
+        const q = quantize(data[i] + t * spread[0], data[i + 1] + t * spread[1], data[i + 2] + t * spread[2]);
+        out.set(q, i);
+        out[i + 3] = data[i + 3];
+      }
+    }
+  }
+
+  return { imageData: new ImageData(out, width, height), palette };
+};
+
+// named in the catalogs (colorDepth.channel.<id>)
+export const PLANE_CHANNELS = [
+  { id: "r", offset: 0 },
+  { id: "g", offset: 1 },
+  { id: "b", offset: 2 },
+  { id: "l", offset: null },
+];
+
+/** One bit of one channel as a black and white image, plus the share of pixels with the bit set. */
+export const bitPlane = (imageData, channelId, bit) => {
+  const { width, height, data } = imageData;
+  const { offset } = PLANE_CHANNELS.find((c) => c.id === channelId);
+  const out = new Uint8ClampedArray(data.length);
+  let set = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    const v = offset === null ? luma(data[i], data[i + 1], data[i + 2]) : data[i + offset];
+    const on = (v >> bit) & 1;
+    set += on;
+    out[i] = out[i + 1] = out[i + 2] = on ? 255 : 0;
+    out[i + 3] = 255;
+  }
+  return { imageData: new ImageData(out, width, height), share: set / (width * height) };
+};
@@ -0,0 +1,300 @@
+/**
+ * Colour space conversions
+ * ------------------------------------------------------
+ * 8-bit sRGB to and from HSV, HSL, CMYK, YCbCr (BT.601 / BT.709, full
+ * range as in JPEG), linear-light sRGB, CIE XYZ and CIELAB (both D65),
+ * plus the usual grayscale formulas. `toRgb` returns unrounded values
+ * that may fall outside 0–255; `rgbFromSpace` rounds and clamps.
+ */
+
+export const rgbToHex = (r, g, b) =>
+  "#" + [r, g, b].map((v) => v.toString(16).padStart(2, "0")).join("").toUpperCase();
+
+/** Parses #RGB or #RRGGBB (the # is optional); null if invalid. */
+export const hexToRgb = (hex) => {
+  let s = hex.trim().replace(/^#/, "");
+  if (/^[0-9a-f]{3}$/i.test(s)) s = s.replace(/./g, (c) => c + c);
+  if (!/^[0-9a-f]{6}$/i.test(s)) return null;
+  return [0, 2, 4].map((i) => parseInt(s.slice(i, i + 2), 16));
+};
+
+// ---------- HSV / HSL ----------
+
+const hueOf = (r, g, b, max, d) => {
+  if (d === 0) return 0;
+  let h;
+  if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+  return h * 60;
+};
+
+// hue sector helper shared by the HSV and HSL inverses
+const fromHueChroma = (h, c, m) => {
+  const hp = (((h % 360) + 360) % 360) / 60;
+  const x = c * (1 - Math.abs((hp % 2) - 1));
+  const [r, g, b] = [[c, x, 0], [x, c, 0], [0, c, x], [0, x, c], [x, 0, c], [c, 0, x]][Math.floor(hp) % 6];
+  return [(r + m) * 255, (g + m) * 255, (b + m) * 255];
+};
+
+/** H in degrees, S and V in percent. */
+export const rgbToHsv = (r, g, b) => {
+  r /= 255; g /= 255; b /= 255;
+  const max = Math.max(r, g, b);
+  const d = max - Math.min(r, g, b);
+  return { h: hueOf(r, g, b, max, d), s: max === 0 ? 0 : (d / max) * 100, v: max * 100 };
+};
+
+export const hsvToRgb = (h, s, v) => {
+  s /= 100; v /= 100;
+  const c = v * s;
+  return fromHueChroma(h, c, v - c);
+};
+
+export const rgbToHsl = (r, g, b) => {
+  r /= 255; g /= 255; b /= 255;
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const d = max - min;
+  const l = (max + min) / 2;
+  const s = d === 0 ? 0 : d / (1 - Math.abs(2 * l - 1));
+  return { h: hueOf(r, g, b, max, d), s: s * 100, l: l * 100 };
+};
+
+export const hslToRgb = (h, s, l) => {
+  s /= 100; l /= 100;
+  const c = (1 - Math.abs(2 * l - 1)) * s;
+  return fromHueChroma(h, c, l - c / 2);
+};
+
+// ---------- CMYK ----------
+
+/** Naive device-independent CMYK in percent (no ink profile). */
+export const rgbToCmyk = (r, g, b) => {
+  r /= 255; g /= 255; b /= 255;
+  const k = 1 - Math.max(r, g, b);
+  if (k === 1) return { c: 0, m: 0, y: 0, k: 100 };
+  return {
+    c: ((1 - r - k) / (1 - k)) * 100,
+    m: ((1 - g - k) / (1 - k)) * 100,
+    y: ((1 - b - k) / (1 - k)) * 100,
+    k: k * 100,
+  };
+};
+
+export const cmykToRgb = (c, m, y, k) => [c, m, y].map((v) => 255 * (1 - v / 100) * (1 - k / 100));
+
+// ---------- YCbCr ----------
+
+export const YCBCR_STANDARDS = {
+  bt601: { label: "BT.601", kr: 0.299, kb: 0.114 },
+  bt709: { label: "BT.709", kr: 0.2126, kb: 0.0722 },
+};
+
+/** Full-range 8-bit YCbCr (Y 0–255, Cb/Cr centred on 128). */
+export const rgbToYcbcr = (r, g, b, standard = "bt601") => {
+  const { kr, kb } = YCBCR_STANDARDS[standard];
+  const y = kr * r + (1 - kr - kb) * g + kb * b;
+  return { y, cb: 128 + (b - y) / (2 * (1 - kb)), cr: 128 + (r - y) / (2 * (1 - kr)) };
+};
+
+export const ycbcrToRgb = (y, cb, cr, standard = "bt601") => {
+  const { kr, kb } = YCBCR_STANDARDS[standard];
+  const r = y + 2 * (1 - kr) * (cr - 128);
+  const b = y + 2 * (1 - kb) * (cb - 128);
+  return [r, (y - kr * r - kb * b) / (1 - kr - kb), b];
+};
+
+// ---------- linear light, XYZ, Lab ----------
+
+/** sRGB transfer function: 0–255 gamma-encoded to 0–1 linear light. */
+export const srgbToLinear = (v) => {
+  const c = v / 255;
+  return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+};
+
+export const linearToSrgb = (c) => 255 * (c <= 0.0031308 ? 12.92 * c : 1.055 * Math.sign(c) * Math.abs(c) ** (1 / 2.4) - 0.055);
+
+// D65 reference white, Y = 100
+const WHITE = { x: 95.047, y: 100, z: 108.883 };
+
+export const rgbToXyz = (r, g, b) => {
+  const [lr, lg, lb] = [r, g, b].map(srgbToLinear);
+  return {
+    x: (0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) * 100,
+    y: (0.2126729 * lr + 0.7151522 * lg + 0.072175 * lb) * 100,
+    z: (0.0193339 * lr + 0.119192 * lg + 0.9503041 * lb) * 100,
+  };
+};
+
+export const xyzToRgb = (x, y, z) => {
+  [x, y, z] = [x / 100, y / 100, z / 100];
+  return [
+    3.2404542 * x - 1.5371385 * y - 0.4985314 * z,
+    -0.969266 * x + 1.8760108 * y + 0.041556 * z,
+    0.0556434 * x - 0.2040259 * y + 1.0572252 * z,
+  ].map(linearToSrgb);
+};
+
+const DELTA = 6 / 29;
+const labF = (t) => (t > DELTA ** 3 ? Math.cbrt(t) : t / (3 * DELTA ** 2) + 4 / 29);
+const labFInverse = (t) => (t > DELTA ? t ** 3 : 3 * DELTA ** 2 * (t - 4 / 29));
+
+export const rgbToLab = (r, g, b) => {
+  const { x, y, z } = rgbToXyz(r, g, b);
+  const [fx, fy, fz] = [x / WHITE.x, y / WHITE.y, z / WHITE.z].map(labF);
+  return { l: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+};
+
+export const labToRgb = (l, a, b) => {
+  const fy = (l + 16) / 116;
+  return xyzToRgb(WHITE.x * labFInverse(fy + a / 500), WHITE.y * labFInverse(fy), WHITE.z * labFInverse(fy - b / 200));
+};
+
+// ---------- table of spaces for the UI ----------
+
+const field = (id, label, min, max, digits = 0, unit = "") => ({ id, label, min, max, digits, unit });
+
+// spaces without a label are named in the catalogs (colorSpace.space.<id>)
+export const COLOR_SPACES = [
+  {
+    id: "rgb",
+    fields: [field("r", "R", 0, 255), field("g", "G", 0, 255), field("b", "B", 0, 255)],
+    fromRgb: (r, g, b) => [r, g, b],
+    toRgb: (r, g, b) => [r, g, b],
+  },
+  {
+    id: "hsv",
+    label: "HSV",
+    fields: [field("h", "H", 0, 360, 1, "°"), field("s", "S", 0, 100, 1, "%"), field("v", "V", 0, 100, 1, "%")],
+    fromRgb: (...rgb) => Object.values(rgbToHsv(...rgb)),
+    toRgb: hsvToRgb,
+  },
+  {
+    id: "hsl",
+    label: "HSL",
+    fields: [field("h", "H", 0, 360, 1, "°"), field("s", "S", 0, 100, 1, "%"), field("l", "L", 0, 100, 1, "%")],
+    fromRgb: (...rgb) => Object.values(rgbToHsl(...rgb)),
+    toRgb: hslToRgb,
+  },
+  {
+    id: "cmyk",
+    label: "CMYK",
+    fields: ["c", "m", "y", "k"].map((id) => field(id, id.toUpperCase(), 0, 100, 1, "%")),
+    fromRgb: (...rgb) => Object.values(rgbToCmyk(...rgb)),
+    toRgb: cmykToRgb,
+  },
+  ...Object.entries(YCBCR_STANDARDS).map(([std, { label }]) => ({
+    id: `ycbcr-${std}`,
+    label: `YCbCr ${label}`,
+    fields: [field("y", "Y", 0, 255, 1), field("cb", "Cb", 0, 255, 1), field("cr", "Cr", 0, 255, 1)],
+    fromRgb: (r, g, b) => Object.values(rgbToYcbcr(r, g, b, std)),
+    toRgb: (y, cb, cr) => ycbcrToRgb(y, cb, cr, std),
+  })),
+  {
+    id: "linear",
+    fields: [field("r", "R", 0, 1, 4), field("g", "G", 0, 1, 4), field("b", "B", 0, 1, 4)],
+    fromRgb: (...rgb) => rgb.map(srgbToLinear),
+    toRgb: (...lin) => lin.map(linearToSrgb),
+  },
+  {
+    id: "xyz",
+    label: "CIE XYZ (D65)",
+    fields: [field("x", "X", 0, 95.05, 2), field("y", "Y", 0, 100, 2), field("z", "Z", 0, 108.9, 2)],
+    fromRgb: (...rgb) => Object.values(rgbToXyz(...rgb)),
+    toRgb: xyzToRgb,
+  },
+  {
+    id: "lab",
+    label: "CIELAB (D65)",
+    fields: [field("l", "L*", 0, 100, 2), field("a", "a*", -128, 127, 2), field("b", "b*", -128, 127, 2)],
+    fromRgb: (...rgb) => Object.values(rgbToLab(...rgb)),
+    toRgb: labToRgb,
+  },
+];
+
+/** Converts values of a space back to 8-bit RGB; `inGamut` is false if clamping was needed. */
+export const rgbFromSpace = (space, values) => {
+  const raw = space.toRgb(...values);
+  const rgb = raw.map((v) => Math.min(255, Math.max(0, Math.round(v))));
+  return { rgb, inGamut: raw.every((v) => v > -0.5 && v < 255.5) };
+};
+
+// formulas without a label are named in the catalogs (colorSpace.gray.<id>),
+// and one without a formula is described there (colorSpace.grayFormula.<id>)
+export const GRAY_FORMULAS = [
+  { id: "average", formula: "(R + G + B) / 3", gray: (r, g, b) => (r + g + b) / 3 },
+  { id: "bt601", label: "Luma BT.601", formula: "0.299 R + 0.587 G + 0.114 B", gray: (r, g, b) => 0.299 * r + 0.587 * g + 0.114 * b },
+  { id: "bt709", label: "Luma BT.709", formula: "0.2126 R + 0.7152 G + 0.0722 B", gray: (r, g, b) => 0.2126 * r + 0.7152 * g + 0.0722 * b },
+  { id: "lightness", formula: "(max + min) / 2", gray: (r, g, b) => (Math.max(r, g, b) + Math.min(r, g, b)) / 2 },
+  { id: "value", formula: "max(R, G, B)", gray: (r, g, b) => Math.max(r, g, b) },
+  {
+    id: "luminance",
+    gray: (r, g, b) => linearToSrgb(0.2126 * srgbToLinear(r) + 0.7152 * srgbToLinear(g) + 0.0722 * srgbToLinear(b)),
+  },
+];
+
+// ---------- whole-image YCbCr ----------
+
+export const SUBSAMPLING = [
+  { id: "444", label: "4:4:4", bx: 1, by: 1 },
+  { id: "422", label: "4:2:2", bx: 2, by: 1 },
+  { id: "420", label: "4:2:0", bx: 2, by: 2 },
+  { id: "411", label: "4:1:1", bx: 4, by: 1 },
+];
+
+/** Bits per pixel when chroma is stored once per bx × by block. */
+export const bitsPerPixelOf = ({ bx, by }) => 8 + 16 / (bx * by);
+
+/** Y, Cb and Cr as three grayscale images. */
+export const ycbcrPlanes = (imageData, standard = "bt601") => {
+  const { width, height, data } = imageData;
+  const planes = [0, 1, 2].map(() => new Uint8ClampedArray(data.length));
+  for (let i = 0; i < data.length; i += 4) {
+    const { y, cb, cr } = rgbToYcbcr(data[i], data[i + 1], data[i + 2], standard);
+    [y, cb, cr].forEach((v, k) => {
+      planes[k][i] = planes[k][i + 1] = planes[k][i + 2] = v;
+      planes[k][i + 3] = 255;
+    });
+  }
+  const [y, cb, cr] = planes.map((p) => new ImageData(p, width, height));
+  return { y, cb, cr };
+};
+
+/**
+ * Averages chroma (or, for comparison, luma) over bx × by blocks and
+ * converts back to RGB — what a 4:2:0 JPEG does before any other loss.
+ */
+export const subsample = (imageData, scheme, standard = "bt601", target = "chroma") => {
+  const { width, height, data } = imageData;
+  const { bx, by } = scheme;
+  const ycc = new Float32Array(width * height * 3);
+  for (let p = 0; p < width * height; p++) {
+    const { y, cb, cr } = rgbToYcbcr(data[p * 4], data[p * 4 + 1], data[p * 4 + 2], standard);
+    ycc[p * 3] = y;
+    ycc[p * 3 + 1] = cb;
+    ycc[p * 3 + 2] = cr;
+  }
+  const channels = target === "chroma" ? [1, 2] : [0];
+  for (let y0 = 0; y0 < height; y0 += by) {
+    for (let x0 = 0; x0 < width; x0 += bx) {
+      const x1 = Math.min(width, x0 + bx);
+      const y1 = Math.min(height, y0 + by);
+      for (const c of channels) {
+        let sum = 0;
+        for (let y = y0; y < y1; y++) for (let x = x0; x < x1; x++) sum += ycc[(y * width + x) * 3 + c];
+        const mean = sum / ((x1 - x0) * (y1 - y0));
+        for (let y = y0; y < y1; y++) for (let x = x0; x < x1; x++) ycc[(y * width + x) * 3 + c] = mean;
+      }
+    }
+  }
+  const out = new Uint8ClampedArray(data.length);
+  for (let p = 0; p < width * height; p++) {
+    const rgb = ycbcrToRgb(ycc[p * 3], ycc[p * 3 + 1], ycc[p * 3 + 2], standard);
+    out[p * 4] = rgb[0];
+    out[p * 4 + 1] = rgb[1];
+    out[p * 4 + 2] = rgb[2];
+    out[p * 4 + 3] = data[p * 4 + 3];
+  }
+  return new ImageData(out, width, height);
+};
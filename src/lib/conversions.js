@@ -0,0 +1,123 @@
+/**
+ * Number and text conversions
+ * ------------------------------------------------------
+ * The integer, base and UTF-8 logic behind the Numbers and Text tabs,
+ * free of React and the DOM so it can be unit tested and used by the
+ * `drlab` command-line tool. Integers are BigInt throughout, so every
+ * width from 1 to 128 bits is exact. A value "at a width" is kept as
+ * its unsigned bit pattern; the signed reading is derived from it.
+ */
+
+import { encodeBytes } from "./textEncodings.js";
+
+export { codePoints } from "./unicode.js";
+export { rgbToHex, rgbToHsv } from "./colorSpaces.js";
+
+// ---------- formatting ----------
+export const padLeft = (s, len, ch = "0") => (s + "").padStart(len, ch);
+
+/** Groups from the right, so odd widths still line up on nibble/byte boundaries. */
+export const groupEvery = (s, n, sep = " ") => {
+  const head = s.length % n || n;
+  const groups = [s.slice(0, head)];
+  for (let i = head; i < s.length; i += n) groups.push(s.slice(i, i + n));
+  return groups.join(sep);
+};
+
+// ---------- integers ----------
+export const MIN_BITS = 1;
+export const MAX_BITS = 128;
+
+export const maxUnsigned = (bits) => (1n << BigInt(bits)) - 1n;
+
+/**
+ * The bit pattern of `n` at the given width: negative values wrap like
+ * two's complement, values above the unsigned maximum saturate.
+ */
+export const toUnsigned = (n, bits) => {
+  let v;
+  try {
+    v = BigInt(n);
+  } catch {
+    return 0n;
+  }
+  if (v < 0n) return BigInt.asUintN(bits, v);
+  const max = maxUnsigned(bits);
+  return v > max ? max : v;
+};
+
+export const unsignedToSigned = (u, bits) => BigInt.asIntN(bits, u);
+
+/** Fits the width as unsigned or as two's complement. */
+export const fitsWidth = (n, bits) => n >= -(1n << BigInt(bits - 1)) && n <= maxUnsigned(bits);
+
+export const toHex = (u, bits) => padLeft(u.toString(16).toUpperCase(), Math.ceil(bits / 4));
+export const toBin = (u, bits) => padLeft(u.toString(2), bits);
+
+/** Big-endian bytes of the pattern, ⌈bits / 8⌉ of them. */
+export const toBytesBE = (u, bits) => {
+  const bytes = [];
+  for (let i = Math.ceil(bits / 8) - 1; i >= 0; i--) bytes.push(Number((u >> BigInt(i * 8)) & 0xffn));
+  return bytes;
+};
+
+const DIGITS = "0123456789abcdefghijklmnopqrstuvwxyz";
+
+/** Digits in `base` (2–36) to a BigInt; null if any digit is invalid. parseInt would lose precision above 2^53. */
+export const parseFromBase = (str, base) => {
+  if (str == null) return null;
+  const cleaned = String(str).trim().toLowerCase();
+  if (cleaned === "") return null;
+  let n = 0n;
+  for (const ch of cleaned) {
+    const d = DIGITS.indexOf(ch);
+    if (d < 0 || d >= base) return null;
+    n = n * BigInt(base) + BigInt(d);
+  }
+  return n;
+};
+
+// ---------- any base ----------
+export const MIN_BASE = 2;
+export const MAX_BASE = 36;
+
+/** Digits of a non-negative BigInt in `base` (2–36), upper case. */
+export const toBase = (n, base) => n.toString(base).toUpperCase();
+
+/** Repeated division: `{dividend, quotient, remainder}` per step; the remainders read bottom-up are the digits. */
+export const divisionSteps = (n, base) => {
+  const b = BigInt(base);
+  const steps = [];
+  let dividend = n;
+  do {
+    steps.push({ dividend, quotient: dividend / b, remainder: dividend % b });
+    dividend /= b;
+  } while (dividend > 0n);
+  return steps;
+};
+
+/** Positional expansion: `{digit, value, power, term}` per digit from the left, term = value · base^power. */
+export const expansionSteps = (digits, base) =>
+  Array.from(digits, (digit, i) => {
+    const power = digits.length - 1 - i;
+    const value = BigInt(DIGITS.indexOf(digit.toLowerCase()));
+    return { digit, value, power, term: value * BigInt(base) ** BigInt(power) };
+  });
+
+export const parseDecimal = (str) => {
+  const cleaned = String(str ?? "").trim();
+  return /^[+-]?\d+$/.test(cleaned) ? BigInt(cleaned) : null;
+};
+
+/** 0x…, 0b…, 0o… or decimal, optionally signed; spaces and underscores are ignored. null if invalid. */
+export const parseInteger = (str) => {
+  const s = String(str ?? "").replace(/[\s_]/g, "");
+  const m = /^([+-]?)(0x[0-9a-f]+|0b[01]+|0o[0-7]+|\d+)$/i.exec(s);
+  if (!m) return null;
+  const n = BigInt(m[2].toLowerCase());
+  return m[1] === "-" ? -n : n;
+};
+
+// ---------- text ----------
+/** The UTF-8 bytes of a string; lone surrogates become U+FFFD (EF BF BD). */
+export const utf8Bytes = (str) => encodeBytes(str, "utf8");
@@ -0,0 +1,135 @@
+/**
+ * Convolution
+ * ------------------------------------------------------
+ * Image filters as a weighted sum over each pixel's neighbourhood. A
+ * kernel is { size, weights, divisor, offset }: `size` × `size`
+ * weights, row by row, centred on the pixel. Each output channel is
+ *
+ *   clamp(round(Σ weight × neighbour / divisor + offset), 0, 255)
+ *
+ * computed for R, G and B; alpha is copied. Neighbours outside the
+ * image come from the chosen edge mode.
+ *
+ * Images are ImageData-like: { width, height, data } with RGBA bytes.
+ */
+
+export const KERNEL_SIZES = [3, 5, 7];
+
+const kernel = (size, weights, divisor = 1, offset = 0) => ({ size, weights, divisor, offset });
+
+// 5×5 Gaussian from the binomial row 1 4 6 4 1
+const BINOMIAL_5 = [1, 4, 6, 4, 1];
+const GAUSSIAN_5 = BINOMIAL_5.flatMap((a) => BINOMIAL_5.map((b) => a * b));
+
+// presets and edge modes are named in the catalogs (convolution.preset.<id>, convolution.edge.<id>)
+export const KERNEL_PRESETS = [
+  { id: "identity", kernel: kernel(3, [0, 0, 0, 0, 1, 0, 0, 0, 0]) },
+  { id: "box3", kernel: kernel(3, Array(9).fill(1), 9) },
+  { id: "box5", kernel: kernel(5, Array(25).fill(1), 25) },
+  { id: "gauss3", kernel: kernel(3, [1, 2, 1, 2, 4, 2, 1, 2, 1], 16) },
+  { id: "gauss5", kernel: kernel(5, GAUSSIAN_5, 256) },
+  { id: "sharpen", kernel: kernel(3, [0, -1, 0, -1, 5, -1, 0, -1, 0]) },
+  { id: "sobel-x", kernel: kernel(3, [-1, 0, 1, -2, 0, 2, -1, 0, 1], 1, 128) },
+  { id: "sobel-y", kernel: kernel(3, [-1, -2, -1, 0, 0, 0, 1, 2, 1], 1, 128) },
+  { id: "prewitt-x", kernel: kernel(3, [-1, 0, 1, -1, 0, 1, -1, 0, 1], 1, 128) },
+  { id: "prewitt-y", kernel: kernel(3, [-1, -1, -1, 0, 0, 0, 1, 1, 1], 1, 128) },
+  { id: "laplace", kernel: kernel(3, [0, 1, 0, 1, -4, 1, 0, 1, 0], 1, 128) },
+  { id: "emboss", kernel: kernel(3, [-2, -1, 0, -1, 1, 1, 0, 1, 2]) },
+];
+
+export const findPreset = (id) => KERNEL_PRESETS.find((p) => p.id === id);
+
+// where a coordinate outside 0 … n−1 reads from, or −1 for "treat as 0"
+export const EDGE_MODES = [
+  { id: "extend", at: (i, n) => Math.min(n - 1, Math.max(0, i)) },
+  {
+    id: "mirror",
+    at: (i, n) => {
+      if (n === 1) return 0;
+      const period = 2 * (n - 1);
+      const m = ((i % period) + period) % period;
+      return m < n ? m : period - m;
+    },
+  },
+  { id: "wrap", at: (i, n) => ((i % n) + n) % n },
+  { id: "zero", at: (i, n) => (i < 0 || i >= n ? -1 : i) },
+];
+
+export const findEdgeMode = (id) => EDGE_MODES.find((m) => m.id === id) || EDGE_MODES[0];
+
+/** The divisor that keeps brightness: the sum of the weights, or 1 when they sum to 0. */
+export const defaultDivisor = (weights) => weights.reduce((a, b) => a + b, 0) || 1;
+
+/** The kernel resized to `size`, keeping the weights around the centre. */
+export const resizeKernel = ({ size, weights, divisor, offset }, next) => {
+  const shift = (next - size) / 2;
+  const out = Array.from({ length: next * next }, (_, i) => {
+    const y = Math.floor(i / next) - shift;
+    const x = (i % next) - shift;
+    return x >= 0 && y >= 0 && x < size && y < size ? weights[y * size + x] : 0;
+  });
+  return { size: next, weights: out, divisor, offset };
+};
+
+const finish = (sum, { divisor, offset }) => Math.min(255, Math.max(0, Math.round(sum / divisor + offset)));
+
+/** The filtered RGBA bytes. */
+export const convolve = ({ width, height, data }, k, edgeId) => {
+  const edge = findEdgeMode(edgeId).at;
+  const r = (k.size - 1) / 2;
+  const out = new Uint8ClampedArray(data.length);
+  // source column and row of each kernel offset, precomputed per axis
+  const cols = Array.from({ length: k.size }, (_, j) => Int32Array.from({ length: width }, (_, x) => edge(x + j - r, width)));
+  const rows = Array.from({ length: k.size }, (_, j) => Int32Array.from({ length: height }, (_, y) => edge(y + j - r, height)));
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sr = 0;
+      let sg = 0;
+      let sb = 0;
+      for (let ky = 0; ky < k.size; ky++) {
+        const sy = rows[ky][y];
+        if (sy < 0) continue;
+        for (let kx = 0; kx < k.size; kx++) {
+          const w = k.weights[ky * k.size + kx];
+          const sx = cols[kx][x];
+          if (!w || sx < 0) continue;
+          const i = (sy * width + sx) * 4;
+          sr += w * data[i];
+          sg += w * data[i + 1];
+          sb += w * data[i + 2];
+        }
+      }
+      const o = (y * width + x) * 4;
+      out[o] = finish(sr, k);
+      out[o + 1] = finish(sg, k);
+      out[o + 2] = finish(sb, k);
+      out[o + 3] = data[o + 3];
+    }
+  }
+  return out;
+};
+
+/**
+ * How pixel (x, y) of the output is computed: one term per kernel cell
+ * ({ dx, dy, sx, sy, weight, rgb }; sx/sy null for a zero edge), then
+ * per channel the sum, sum / divisor + offset, and the clamped result.
+ */
+export const breakdown = ({ width, height, data }, x, y, k, edgeId) => {
+  const edge = findEdgeMode(edgeId).at;
+  const r = (k.size - 1) / 2;
+  const terms = k.weights.map((weight, j) => {
+    const dx = (j % k.size) - r;
+    const dy = Math.floor(j / k.size) - r;
+    const sx = edge(x + dx, width);
+    const sy = edge(y + dy, height);
+    if (sx < 0 || sy < 0) return { dx, dy, sx: null, sy: null, weight, rgb: [0, 0, 0] };
+    const i = (sy * width + sx) * 4;
+    return { dx, dy, sx, sy, weight, rgb: [data[i], data[i + 1], data[i + 2]] };
+  });
+  const channels = [0, 1, 2].map((c) => {
+    const sum = terms.reduce((s, t) => s + t.weight * t.rgb[c], 0);
+    const exact = sum / k.divisor + k.offset;
+    return { sum, exact, result: finish(sum, k) };
+  });
+  return { terms, channels };
+};
@@ -0,0 +1,11 @@
+/**
+ * Runs convolve() off the main thread, so a large image can be filtered
+ * while the page stays responsive. Replies with the filtered bytes
+ * (transferred, not copied).
+ */
+import { convolve } from "./convolution.js";
+
+self.onmessage = ({ data: { image, kernel, edge } }) => {
+  const out = convolve(image, kernel, edge);
+  self.postMessage(out, [out.buffer]);
+};
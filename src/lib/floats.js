@@ -0,0 +1,210 @@
+/**
+ * IEEE 754 floating point
+ * ------------------------------------------------------
+ * Encoding and decoding of half, single and double precision bit
+ * patterns, free of React so the Floating Point tab's arithmetic can be
+ * unit tested. Bit patterns are BigInt so all three widths share one
+ * code path.
+ */
+
+import { padLeft } from "./conversions.js";
+
+// ---------- formats ----------
+// named in the catalogs (float.format.<id>, float.inPrecision.<id>)
+export const FORMATS = [
+  { id: "half", bits: 16, expBits: 5, fracBits: 10 },
+  { id: "single", bits: 32, expBits: 8, fracBits: 23 },
+  { id: "double", bits: 64, expBits: 11, fracBits: 52 },
+];
+
+export const formatById = (id) => FORMATS.find((f) => f.id === id) || FORMATS[1];
+export const biasOf = (fmt) => 2 ** (fmt.expBits - 1) - 1;
+
+// ---------- encoding ----------
+const roundHalfEven = (v) => {
+  const f = Math.floor(v);
+  const d = v - f;
+  if (d > 0.5) return f + 1;
+  if (d < 0.5) return f;
+  return f % 2 === 0 ? f : f + 1;
+};
+
+// JS has no Float16Array everywhere yet, so round to half precision by hand.
+const halfBitsFromNumber = (x) => {
+  if (Number.isNaN(x)) return 0x7e00;
+  const sign = x < 0 || Object.is(x, -0) ? 0x8000 : 0;
+  const a = Math.abs(x);
+  if (a === Infinity) return sign | 0x7c00;
+  // subnormal range; rounding may carry into the smallest normal, which the bit layout handles
+  if (a < 2 ** -14) return sign | roundHalfEven(a * 2 ** 24);
+  let e = Math.floor(Math.log2(a));
+  if (2 ** e > a) e--;
+  else if (2 ** (e + 1) <= a) e++;
+  let m = roundHalfEven((a / 2 ** e - 1) * 1024);
+  if (m === 1024) {
+    m = 0;
+    e++;
+  }
+  if (e > 15) return sign | 0x7c00;
+  return sign | ((e + 15) << 10) | m;
+};
+
+export const encodeFloat = (x, fmt) => {
+  if (fmt.bits === 16) return BigInt(halfBitsFromNumber(x));
+  const view = new DataView(new ArrayBuffer(8));
+  if (fmt.bits === 32) {
+    view.setFloat32(0, x);
+    return BigInt(view.getUint32(0));
+  }
+  view.setFloat64(0, x);
+  return view.getBigUint64(0);
+};
+
+export const decodeFloat = (pattern, fmt) => {
+  const { expBits, fracBits } = fmt;
+  const bias = biasOf(fmt);
+  const expMax = 2 ** expBits - 1;
+  const sign = Number((pattern >> BigInt(expBits + fracBits)) & 1n);
+  const exp = Number((pattern >> BigInt(fracBits)) & BigInt(expMax));
+  const frac = pattern & ((1n << BigInt(fracBits)) - 1n);
+  const quietBit = 1n << BigInt(fracBits - 1);
+
+  let kind;
+  let significand = 0n;
+  let scale = 0; // value = significand × 2^scale
+  if (exp === expMax) {
+    kind = frac === 0n ? "infinity" : frac & quietBit ? "qnan" : "snan";
+  } else if (exp === 0) {
+    kind = frac === 0n ? "zero" : "subnormal";
+    significand = frac;
+    scale = 1 - bias - fracBits;
+  } else {
+    kind = "normal";
+    significand = (1n << BigInt(fracBits)) | frac;
+    scale = exp - bias - fracBits;
+  }
+
+  let value;
+  if (kind === "infinity") value = sign ? -Infinity : Infinity;
+  else if (kind === "qnan" || kind === "snan") value = NaN;
+  else value = (sign ? -1 : 1) * Number(significand) * 2 ** scale;
+
+  return {
+    sign,
+    exp,
+    frac,
+    bias,
+    kind,
+    significand,
+    scale,
+    value,
+    payload: kind === "qnan" || kind === "snan" ? frac & (quietBit - 1n) : 0n,
+  };
+};
+
+// Exact decimal expansion of (-1)^sign × significand × 2^scale; every binary fraction terminates.
+export const exactDecimal = (sign, significand, scale) => {
+  let digits;
+  if (scale >= 0) {
+    digits = (significand << BigInt(scale)).toString();
+  } else {
+    const s = padLeft((significand * 5n ** BigInt(-scale)).toString(), -scale + 1);
+    const intPart = s.slice(0, s.length + scale);
+    const fracPart = s.slice(s.length + scale).replace(/0+$/, "");
+    digits = fracPart ? `${intPart}.${fracPart}` : intPart;
+  }
+  return (sign ? "-" : "") + digits;
+};
+
+// Shortest decimal that reads back to the same bit pattern in this format.
+export const shortestDecimal = (pattern, fmt) => {
+  const { value, sign } = decodeFloat(pattern, fmt);
+  if (!Number.isFinite(value)) return String(value);
+  if (value === 0) return sign ? "-0" : "0";
+  if (fmt.bits === 64) return String(value);
+  for (let p = 1; p <= 17; p++) {
+    const s = value.toPrecision(p);
+    if (encodeFloat(Number(s), fmt) === pattern) return String(Number(s));
+  }
+  return String(value);
+};
+
+export const roundToFormat = (x, fmt) => decodeFloat(encodeFloat(x, fmt), fmt).value;
+
+export const parseFloatInput = (str) => {
+  const s = String(str).trim().toLowerCase().replace(/∞/g, "infinity");
+  if (s === "") return null;
+  if (s === "nan") return NaN;
+  if (s === "inf" || s === "+inf") return Infinity;
+  if (s === "-inf") return -Infinity;
+  const n = Number(s);
+  return Number.isNaN(n) ? null : n;
+};
+
+export const toHexPattern = (pattern, fmt) => padLeft(pattern.toString(16).toUpperCase(), fmt.bits / 4);
+
+
+// ---------- exact decimal sums ----------
+const DECIMAL = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+const MAX_EXPONENT = 400; // beyond every format's range; keeps the BigInts small
+
+// "1.5e-3" as { digits: 15n, exp: -4 }, or null for anything but a plain decimal
+const parseExactDecimal = (str) => {
+  const m = String(str).trim().match(DECIMAL);
+  if (!m || !(m[2] || m[3])) return null;
+  const frac = m[3] || "";
+  const exp = Number(m[4] || 0) - frac.length;
+  if (Math.abs(exp) > MAX_EXPONENT) return null;
+  const digits = BigInt((m[2] || "") + frac || "0");
+  return { digits: m[1] === "-" ? -digits : digits, exp };
+};
+
+const formatExactDecimal = ({ digits, exp }) => {
+  const sign = digits < 0n ? "-" : "";
+  const abs = (digits < 0n ? -digits : digits).toString();
+  if (exp >= 0) return sign + abs + "0".repeat(exp);
+  const s = padLeft(abs, -exp + 1);
+  const fracPart = s.slice(s.length + exp).replace(/0+$/, "");
+  return sign + s.slice(0, s.length + exp) + (fracPart ? `.${fracPart}` : "");
+};
+
+/** The exact sum of two decimal strings, as a decimal string; null unless both are plain decimals. */
+export const decimalSum = (a, b) => {
+  const x = parseExactDecimal(a);
+  const y = parseExactDecimal(b);
+  if (!x || !y) return null;
+  const exp = Math.min(x.exp, y.exp);
+  const scaled = (d) => d.digits * 10n ** BigInt(d.exp - exp);
+  return formatExactDecimal({ digits: scaled(x) + scaled(y), exp });
+};
+
+/**
+ * a + b the way the format computes it (both operands rounded, the sum
+ * rounded again) next to the float nearest to the true decimal sum.
+ * Each side is described by its shortest and exact decimal and its hex
+ * pattern; null while either input does not parse.
+ */
+export const floatSum = (inputA, inputB, fmt) => {
+  const a = parseFloatInput(inputA);
+  const b = parseFloatInput(inputB);
+  if (a === null || b === null) return null;
+  const sumPattern = encodeFloat(roundToFormat(a, fmt) + roundToFormat(b, fmt), fmt);
+  const exact = decimalSum(inputA, inputB);
+  const expectedPattern = encodeFloat(exact === null ? a + b : Number(exact), fmt);
+  const describe = (p) => {
+    const d = decodeFloat(p, fmt);
+    return {
+      short: shortestDecimal(p, fmt),
+      exact: Number.isFinite(d.value) ? exactDecimal(d.sign, d.significand, d.scale) : String(d.value),
+      hex: toHexPattern(p, fmt),
+    };
+  };
+  return {
+    a: describe(encodeFloat(a, fmt)),
+    b: describe(encodeFloat(b, fmt)),
+    sum: describe(sumPattern),
+    expected: describe(expectedPattern),
+    expectedLabel: exact ?? String(a + b),
+    equal: sumPattern === expectedPattern,
+  };
+};
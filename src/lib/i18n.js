@@ -0,0 +1,135 @@
+/**
+ * Translations
+ * ------------------------------------------------------
+ * Messages live in one flat catalog per language (src/locales), keyed
+ * like "numbers.bitWidth". A message may contain {name} placeholders,
+ * and counted messages come in ".one" / ".other" forms picked by
+ * Intl.PluralRules. A key missing from a language falls back to
+ * English; `checkCatalogs` and `findKeyUses` find such gaps before
+ * they ship, and `findHardcodedText` finds interface text written
+ * around the catalogs (npm run check:i18n, and the test suite). Tables
+ * in src/lib name their entries by id, and the comment above each one
+ * says under which keys the catalogs hold the names.
+ */
+
+export const LANGUAGES = [
+  { id: "en", label: "English", locale: "en-US" },
+  { id: "de", label: "Deutsch", locale: "de-DE" },
+];
+export const DEFAULT_LANGUAGE = "en";
+
+export const findLanguage = (id) => LANGUAGES.find((l) => l.id === id);
+
+/** The first supported language among the browser's preferred ones ("de-AT" → "de"), else English. */
+export const detectLanguage = (preferred = []) => {
+  for (const tag of preferred) {
+    const id = tag.toLowerCase().split("-")[0];
+    if (findLanguage(id)) return id;
+  }
+  return DEFAULT_LANGUAGE;
+};
+
+/** The template split at its placeholders, each replaced by its value (which may be any object). */
+export const formatParts = (template, vars = {}) =>
+  template
+    .split(/\{(\w+)\}/)
+    .map((part, i) => (i % 2 ? (part in vars ? vars[part] : `{${part}}`) : part))
+    .filter((part) => part !== "");
+
+export const interpolate = (template, vars) => formatParts(template, vars).join("");
+
+export const placeholders = (template) => [...template.matchAll(/\{(\w+)\}/g)].map((m) => m[1]).sort();
+
+/**
+ * Everything a component needs for one language: `t(key, vars)` for a
+ * string, `parts(key, vars)` when a placeholder is markup, `plural(key,
+ * count, vars)` (count is also available as {count}) and
+ * `formatNumber(n)` for numbers and BigInts in the language's style.
+ * `onMissing(key, lang)` is told about every fallback.
+ */
+export const createI18n = (catalogs, lang, { onMissing } = {}) => {
+  const { locale } = findLanguage(lang) || findLanguage(DEFAULT_LANGUAGE);
+  const pluralRules = new Intl.PluralRules(locale);
+  const message = (key) => {
+    const own = catalogs[lang]?.[key];
+    if (own !== undefined) return own;
+    onMissing?.(key, lang);
+    return catalogs[DEFAULT_LANGUAGE]?.[key] ?? key;
+  };
+  const formatNumber = (n, options) => n.toLocaleString(locale, options);
+  const parts = (key, vars) => formatParts(message(key), vars);
+  const t = (key, vars) => interpolate(message(key), vars);
+  const plural = (key, count, vars) => {
+    const form = pluralRules.select(Number(count)) === "one" ? "one" : "other";
+    return t(`${key}.${form}`, { count: formatNumber(count), ...vars });
+  };
+  return { lang, locale, t, parts, plural, formatNumber };
+};
+
+/**
+ * Each language's gaps against `base`: keys it lacks (`missing`),
+ * keys `base` lacks (`extra`), messages whose placeholders differ, and
+ * messages identical to the base text (`same`, often untranslated).
+ */
+export const checkCatalogs = (catalogs, base = DEFAULT_LANGUAGE) => {
+  const reference = catalogs[base];
+  return Object.keys(catalogs)
+    .filter((lang) => lang !== base)
+    .map((lang) => {
+      const catalog = catalogs[lang];
+      const keys = Object.keys(reference);
+      return {
+        lang,
+        missing: keys.filter((k) => !(k in catalog)),
+        extra: Object.keys(catalog).filter((k) => !(k in reference)),
+        placeholderMismatch: keys.filter((k) => k in catalog && placeholders(catalog[k]).join() !== placeholders(reference[k]).join()),
+        same: keys.filter((k) => catalog[k] === reference[k]),
+      };
+    });
+};
+
+/**
+ * The message keys a source file uses literally: t("…"), parts("…")
+ * and plural("…") (counted keys are returned with their forms).
+ */
+export const findKeyUses = (source) =>
+  [...source.matchAll(/\b(t|parts|plural)\(\s*"([\w.-]+)"/g)].flatMap(([, fn, key]) =>
+    fn === "plural" ? [`${key}.one`, `${key}.other`] : [key]
+  );
+
+// JSX text: what follows a tag (not an arrow) or an expression, up to the next tag or expression
+const JSX_TEXT = /(?<![=-])>([^<>{}]+)(?=[<{])|\}([^<>{}]+)(?=<)/g;
+// attributes a reader sees or hears
+const JSX_ATTRIBUTE = /\b(?:title|placeholder|alt|aria-label)="([^"]*)"/g;
+// code that JSX_TEXT can take for text: comparisons, arrows, template literals, statements, object keys
+const LOOKS_LIKE_CODE = /[;$`"]|===|!==|=>|&&|\|\||\s\?\s|^\s*(?:else|catch|finally)\b|^\s*,/;
+const WORD = /[A-Za-z]*[a-z][A-Za-z]*/g;
+// comments, which may mention <tags> themselves (not "//" inside a URL)
+const COMMENT = /\/\*[\s\S]*?\*\/|(?<![:"'])\/\/[^\n]*/g;
+
+// units, written the same in every language
+export const UNTRANSLATED_WORDS = ["Hz", "ms"];
+
+const balanced = (text) => (text.match(/\(/g) || []).length === (text.match(/\)/g) || []).length;
+
+/**
+ * Text written straight into JSX instead of going through t(): text
+ * nodes and title/placeholder/alt/aria-label attributes with a word of
+ * two or more letters in them, outside comments. A heuristic, not a
+ * parser: it does not see strings built in plain JavaScript (labels in
+ * tables, template literals) and lets `allowed` words such as units pass.
+ */
+export const findHardcodedText = (source, allowed = []) => {
+  const code = source.replace(COMMENT, (comment) => comment.replace(/[^\n]/g, " "));
+  const found = [];
+  const report = (index, text) => {
+    const words = (text.match(WORD) || []).filter((w) => w.length > 1 && !allowed.includes(w));
+    if (words.length > 0) found.push({ line: code.slice(0, index).split("\n").length, text: text.trim().replace(/\s+/g, " ") });
+  };
+  for (const m of code.matchAll(JSX_TEXT)) {
+    const text = m[1] ?? m[2];
+    if (!LOOKS_LIKE_CODE.test(text) && balanced(text)) report(m.index + 1, text);
+  }
+  for (const m of code.matchAll(JSX_ATTRIBUTE)) report(m.index, m[1]);
+  return found;
+};
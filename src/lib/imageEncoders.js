@@ -0,0 +1,155 @@
+/**
+ * Image encoders
+ * ------------------------------------------------------
+ * Writes an ImageData out as a file. BMP and PPM are simple enough to
+ * write byte by byte here; PNG, JPEG and WebP go through the browser's
+ * canvas encoder, and decodeWithCanvas reads them back to measure
+ * what a lossy format changed. BMP (24-bit) and PPM have no alpha
+ * channel, so transparency is dropped.
+ */
+
+// a 2D context on a new canvas; browsers give none when the canvas is too large
+const canvasFor = (width, height) => {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  if (!ctx) throw new Error(`The browser has no canvas of ${width} × ${height} pixels`);
+  return ctx;
+};
+
+/**
+ * The browser's encoder for `mime`; `quality` (0–1) applies to lossy
+ * formats. Rejects when the browser gives no blob (a canvas too large
+ * to encode) or one of another type (a format it cannot write).
+ */
+export const encodeWithCanvas = (imageData, mime, quality) =>
+  new Promise((resolve, reject) => {
+    const ctx = canvasFor(imageData.width, imageData.height);
+    ctx.putImageData(imageData, 0, 0);
+    ctx.canvas.toBlob(
+      (blob) => {
+        if (!blob) reject(new Error(`The browser could not encode a ${imageData.width} × ${imageData.height} image`));
+        else if (blob.type !== mime) reject(new Error(`This browser cannot encode ${mime}`));
+        else blob.arrayBuffer().then((buffer) => resolve(new Uint8Array(buffer)), reject);
+      },
+      mime,
+      quality
+    );
+  });
+
+/** Decodes file bytes with the browser's decoders, back into an ImageData. */
+export const decodeWithCanvas = async (bytes, mime) => {
+  const bitmap = await createImageBitmap(new Blob([bytes], { type: mime }));
+  try {
+    const ctx = canvasFor(bitmap.width, bitmap.height);
+    ctx.drawImage(bitmap, 0, 0);
+    return ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+  } finally {
+    bitmap.close();
+  }
+};
+
+// ---------- BMP ----------
+const BMP_HEADER_SIZE = 14 + 40; // BITMAPFILEHEADER + BITMAPINFOHEADER
+
+const bmpStride = (width) => Math.ceil((width * 3) / 4) * 4;
+
+export const bmpSize = ({ width, height }) => BMP_HEADER_SIZE + bmpStride(width) * height;
+
+/** Uncompressed 24-bit BMP: rows bottom-up, pixels B, G, R, rows padded to 4 bytes. */
+export const encodeBmp = (imageData) => {
+  const { width, height, data } = imageData;
+  const stride = bmpStride(width);
+  const bytes = new Uint8Array(bmpSize(imageData));
+  const view = new DataView(bytes.buffer);
+  bytes[0] = 0x42; // "BM"
+  bytes[1] = 0x4d;
+  view.setUint32(2, bytes.length, true); // file size
+  view.setUint32(10, BMP_HEADER_SIZE, true); // pixel data offset
+  view.setUint32(14, 40, true); // info header size
+  view.setInt32(18, width, true);
+  view.setInt32(22, height, true); // positive: bottom-up
+  view.setUint16(26, 1, true); // colour planes
+  view.setUint16(28, 24, true); // bits per pixel
+  view.setUint32(30, 0, true); // BI_RGB
+  view.setUint32(34, stride * height, true); // image size
+  view.setInt32(38, 2835, true); // 72 dpi in pixels per metre
+  view.setInt32(42, 2835, true);
+  for (let y = 0; y < height; y++) {
+    const row = BMP_HEADER_SIZE + (height - 1 - y) * stride;
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const o = row + x * 3;
+      bytes[o] = data[i + 2];
+      bytes[o + 1] = data[i + 1];
+      bytes[o + 2] = data[i];
+    }
+  }
+  return bytes;
+};
+
+// ---------- PPM ----------
+const ppmHeader = (magic, { width, height }) => `${magic}\n${width} ${height}\n255\n`;
+
+export const ppmBinarySize = (imageData) => ppmHeader("P6", imageData).length + imageData.width * imageData.height * 3;
+
+/** Binary PPM (P6): a text header, then R, G, B bytes row by row. */
+export const encodePpmBinary = (imageData) => {
+  const { width, height, data } = imageData;
+  const header = new TextEncoder().encode(ppmHeader("P6", imageData));
+  const bytes = new Uint8Array(header.length + width * height * 3);
+  bytes.set(header);
+  for (let p = 0, o = header.length; p < width * height; p++, o += 3) {
+    bytes[o] = data[p * 4];
+    bytes[o + 1] = data[p * 4 + 1];
+    bytes[o + 2] = data[p * 4 + 2];
+  }
+  return bytes;
+};
+
+const MAX_PPM_LINE = 70; // what the format asks of ASCII PPM lines
+
+// One line per image row, wrapped before MAX_PPM_LINE; hands each line to `write`.
+const writeAsciiPpm = (imageData, write) => {
+  const { width, height, data } = imageData;
+  write(ppmHeader("P3", imageData));
+  for (let y = 0; y < height; y++) {
+    let line = "";
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const rgb = `${data[i]} ${data[i + 1]} ${data[i + 2]}`;
+      if (line && line.length + 2 + rgb.length > MAX_PPM_LINE) {
+        write(line + "\n");
+        line = "";
+      }
+      line += line ? "  " + rgb : rgb;
+    }
+    write(line + "\n");
+  }
+};
+
+export const ppmAsciiSize = (imageData) => {
+  let size = 0;
+  writeAsciiPpm(imageData, (s) => (size += s.length));
+  return size;
+};
+
+/** ASCII PPM (P3): every sample as decimal text, readable in any editor. */
+export const encodePpmAscii = (imageData) => {
+  const parts = [];
+  writeAsciiPpm(imageData, (s) => parts.push(s));
+  return new TextEncoder().encode(parts.join(""));
+};
+
+/**
+ * The export formats. `size` is exact and cheap where the format allows
+ * it; PNG's size is only known after encoding. Formats without a label
+ * are named in the catalogs (export.format.<id>).
+ */
+export const EXPORT_FORMATS = [
+  { id: "png", label: "PNG", ext: "png", mime: "image/png", size: null, encode: (img) => encodeWithCanvas(img, "image/png") },
+  { id: "bmp", ext: "bmp", mime: "image/bmp", size: bmpSize, encode: async (img) => encodeBmp(img) },
+  { id: "ppm", ext: "ppm", mime: "image/x-portable-pixmap", size: ppmBinarySize, encode: async (img) => encodePpmBinary(img) },
+  { id: "ppm-ascii", ext: "ppm", mime: "image/x-portable-pixmap", size: ppmAsciiSize, encode: async (img) => encodePpmAscii(img) },
+];
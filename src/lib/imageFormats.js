@@ -0,0 +1,859 @@
+/**
+ * Image file format parser
+ * ------------------------------------------------------
+ * Splits the raw bytes of a PNG, BMP, JPEG, GIF or PPM file into regions
+ * (signature, headers, chunks, segments, blocks, pixel data), each
+ * with decoded fields that point back at the bytes they come from:
+ *
+ *   region: { label, offset, length, kind, fields: [{ label, offset, length, value, note? }] }
+ *
+ * Labels, values, notes, warnings and descriptions in words are
+ * messages {id, ...values} for the catalogs (file.<id>); a `count`
+ * value picks the counted form and a value may be a message itself.
+ * Plain strings (chunk types, marker names, hex) are data and shown as
+ * they are.
+ *
+ * Parsing stops with a warning where a file is truncated or does not
+ * follow the format; everything recognised up to that point is kept.
+ */
+
+// ---------- helpers ----------
+
+const hex = (n, digits = 2) => "0x" + n.toString(16).toUpperCase().padStart(digits, "0");
+
+const msg = (id, values) => ({ id, ...values });
+
+const field = (label, offset, length, value, note) => ({ label, offset, length, value: typeof value === "object" ? value : String(value), note });
+
+const region = (label, offset, length, kind, fields = [], note) => ({ label, offset, length, kind, fields, note });
+
+class TruncatedError extends Error {
+  constructor(message, warning) {
+    super(message);
+    this.warning = warning;
+  }
+}
+
+const reader = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const need = (offset, length) => {
+    if (offset < 0 || offset + length > bytes.length) {
+      throw new TruncatedError(
+        `File ends at byte ${bytes.length}, but ${length} bytes were expected at offset ${offset}`,
+        msg("warning.truncated", { size: bytes.length, count: length, offset })
+      );
+    }
+  };
+  return {
+    need,
+    u8: (o) => (need(o, 1), bytes[o]),
+    u16be: (o) => (need(o, 2), view.getUint16(o, false)),
+    u16le: (o) => (need(o, 2), view.getUint16(o, true)),
+    u32be: (o) => (need(o, 4), view.getUint32(o, false)),
+    u32le: (o) => (need(o, 4), view.getUint32(o, true)),
+    i32le: (o) => (need(o, 4), view.getInt32(o, true)),
+    u16: (o, le) => (need(o, 2), view.getUint16(o, le)),
+    u32: (o, le) => (need(o, 4), view.getUint32(o, le)),
+    ascii: (o, n) => (need(o, n), String.fromCharCode(...bytes.subarray(o, o + n))),
+    // NUL-terminated string, at most up to `end`
+    cstring: (o, end) => {
+      let e = o;
+      while (e < Math.min(end, bytes.length) && bytes[e] !== 0) e++;
+      return String.fromCharCode(...bytes.subarray(o, e));
+    },
+  };
+};
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/** CRC-32 as used by PNG (and zip). */
+export const crc32 = (bytes) => {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+// ---------- PNG ----------
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// named in the catalogs (file.colourType.<id>)
+const PNG_COLOR_TYPES = {
+  0: { id: "gray", channels: 1 },
+  2: { id: "rgb", channels: 3 },
+  3: { id: "indexed", channels: 1 },
+  4: { id: "grayAlpha", channels: 2 },
+  6: { id: "rgba", channels: 4 },
+};
+
+const RENDERING_INTENTS = ["perceptual", "relative", "saturation", "absolute"];
+
+const parsePng = (bytes, r, out) => {
+  out.regions.push(
+    region(msg("region.signature", { format: "PNG" }), 0, 8, "signature", [
+      field(msg("field.pngMagic"), 0, 4, "89 50 4E 47", msg("note.highBit")),
+      field(msg("field.lineEndings"), 4, 4, "0D 0A 1A 0A", msg("note.lineEndings")),
+    ])
+  );
+  let o = 8;
+  while (o < bytes.length) {
+    const length = r.u32be(o);
+    const type = r.ascii(o + 4, 4);
+    const d = o + 8;
+    r.need(d, length + 4);
+    const stored = r.u32be(d + length);
+    const computed = crc32(bytes.subarray(o + 4, d + length));
+    const critical = type[0] === type[0].toUpperCase();
+    const fields = [
+      field(msg("field.length"), o, 4, length, msg("note.chunkData")),
+      field(msg("field.type"), o + 4, 4, type, msg(critical ? "note.critical" : "note.ancillary")),
+    ];
+    let kind = "meta";
+
+    switch (type) {
+      case "IHDR": {
+        kind = "header";
+        const width = r.u32be(d);
+        const height = r.u32be(d + 4);
+        const bitDepth = r.u8(d + 8);
+        const colorType = r.u8(d + 9);
+        const ct = PNG_COLOR_TYPES[colorType];
+        const interlace = r.u8(d + 12);
+        fields.push(
+          field(msg("field.width"), d, 4, width, msg("note.pixels")),
+          field(msg("field.height"), d + 4, 4, height, msg("note.pixels")),
+          field(msg("field.bitDepth"), d + 8, 1, bitDepth, msg("note.bitDepth")),
+          field(msg("field.colourType"), d + 9, 1, colorType, msg(ct ? `colourType.${ct.id}` : "note.invalid")),
+          field(msg("field.compression"), d + 10, 1, r.u8(d + 10), msg("note.deflate")),
+          field(msg("field.filterMethod"), d + 11, 1, r.u8(d + 11), msg("note.filterByte")),
+          field(msg("field.interlace"), d + 12, 1, interlace, interlace ? "Adam7" : msg("note.none"))
+        );
+        if (ct) {
+          const rowBytes = Math.ceil((width * ct.channels * bitDepth) / 8);
+          out.info = {
+            width,
+            height,
+            bitsPerPixel: ct.channels * bitDepth,
+            description: msg("description.png", { colourType: msg(`colourType.${ct.id}`), count: bitDepth }),
+            // filtered scanlines before DEFLATE (non-interlaced)
+            rawBytes: height * (1 + rowBytes),
+          };
+        }
+        break;
+      }
+      case "PLTE":
+        kind = "palette";
+        fields.push(field(msg("field.palette"), d, length, msg("value.colours", { count: length / 3 }), msg("note.rgbEntries")));
+        break;
+      case "IDAT":
+        kind = "data";
+        out.payloadBytes += length;
+        fields.push(field(msg("field.compressedPixels"), d, length, msg("value.bytes", { count: length }), msg("note.idat")));
+        break;
+      case "IEND":
+        kind = "end";
+        break;
+      case "tEXt": {
+        const keyword = r.cstring(d, d + length);
+        fields.push(
+          field(msg("field.keyword"), d, keyword.length + 1, keyword, msg("note.latin1")),
+          field(msg("field.text"), d + keyword.length + 1, length - keyword.length - 1, r.ascii(d + keyword.length + 1, length - keyword.length - 1))
+        );
+        break;
+      }
+      case "pHYs":
+        fields.push(
+          field(msg("field.pixelsPerUnitX"), d, 4, r.u32be(d)),
+          field(msg("field.pixelsPerUnitY"), d + 4, 4, r.u32be(d + 4)),
+          field(msg("field.unit"), d + 8, 1, r.u8(d + 8), r.u8(d + 8) === 1 ? msg("note.metre", { dpi: Math.round(r.u32be(d) * 0.0254) }) : msg("note.unknown"))
+        );
+        break;
+      case "gAMA":
+        fields.push(field(msg("field.gamma"), d, 4, r.u32be(d), msg("note.gamma", { gamma: (r.u32be(d) / 100000).toFixed(5) })));
+        break;
+      case "sRGB":
+        fields.push(field(msg("field.renderingIntent"), d, 1, r.u8(d), RENDERING_INTENTS[r.u8(d)] && msg(`intent.${RENDERING_INTENTS[r.u8(d)]}`)));
+        break;
+      case "tIME":
+        fields.push(
+          field(
+            msg("field.lastModified"),
+            d,
+            7,
+            `${r.u16be(d)}-${String(r.u8(d + 2)).padStart(2, "0")}-${String(r.u8(d + 3)).padStart(2, "0")} ` +
+              `${String(r.u8(d + 4)).padStart(2, "0")}:${String(r.u8(d + 5)).padStart(2, "0")}:${String(r.u8(d + 6)).padStart(2, "0")}`,
+            "UTC"
+          )
+        );
+        break;
+      default:
+        if (length) fields.push(field(msg("field.data"), d, length, msg("value.bytes", { count: length })));
+    }
+
+    fields.push(
+      field(
+        "CRC-32",
+        d + length,
+        4,
+        hex(stored, 8),
+        stored === computed ? msg("note.crcMatches") : msg("note.crcComputed", { crc: hex(computed, 8) })
+      )
+    );
+    if (stored !== computed) out.warnings.push(msg("warning.crc", { type, offset: o }));
+    out.regions.push(region(msg("region.chunk", { type }), o, 12 + length, kind, fields));
+    o = d + length + 4;
+    if (type === "IEND") break;
+  }
+  return o;
+};
+
+// ---------- BMP ----------
+
+const BMP_COMPRESSION = ["BI_RGB", "BI_RLE8", "BI_RLE4", "BI_BITFIELDS", "BI_JPEG", "BI_PNG", "BI_ALPHABITFIELDS"];
+
+const DIB_HEADERS = { 12: "BITMAPCOREHEADER", 40: "BITMAPINFOHEADER", 52: "BITMAPV2INFOHEADER", 56: "BITMAPV3INFOHEADER", 108: "BITMAPV4HEADER", 124: "BITMAPV5HEADER" };
+
+const MASK_CHANNELS = ["red", "green", "blue", "alpha"];
+
+const compressionName = (compression) =>
+  compression === 0 ? msg("note.uncompressed", { name: BMP_COMPRESSION[0] }) : BMP_COMPRESSION[compression] || msg("note.unknown");
+
+const maskField = (channel, offset, r) => field(msg("field.mask", { channel: msg(`channel.${channel}`) }), offset, 4, hex(r.u32le(offset), 8));
+
+const parseBmp = (bytes, r, out) => {
+  const fileSize = r.u32le(2);
+  const pixelOffset = r.u32le(10);
+  out.regions.push(
+    region(msg("region.fileHeader"), 0, 14, "header", [
+      field(msg("field.signature"), 0, 2, "BM"),
+      field(msg("field.fileSize"), 2, 4, fileSize, fileSize === bytes.length ? msg("note.sizeMatches") : msg("note.actualSize", { size: bytes.length })),
+      field(msg("field.reserved"), 6, 4, hex(r.u32le(6), 8)),
+      field(msg("field.pixelOffset"), 10, 4, pixelOffset, msg("note.pixelOffset")),
+    ])
+  );
+
+  const dibSize = r.u32le(14);
+  const fields = [field(msg("field.headerSize"), 14, 4, dibSize, DIB_HEADERS[dibSize] || msg("note.unknownHeader"))];
+  let width, height, bpp;
+  let compression = 0;
+  let colorsUsed = 0;
+  if (dibSize === 12) {
+    width = r.u16le(18);
+    height = r.u16le(20);
+    bpp = r.u16le(24);
+    fields.push(
+      field(msg("field.width"), 18, 2, width, msg("note.pixels")),
+      field(msg("field.height"), 20, 2, height, msg("note.bottomUp")),
+      field(msg("field.planes"), 22, 2, r.u16le(22), msg("note.alwaysOne")),
+      field(msg("field.bitsPerPixel"), 24, 2, bpp)
+    );
+  } else {
+    width = r.i32le(18);
+    height = r.i32le(22);
+    bpp = r.u16le(28);
+    compression = r.u32le(30);
+    colorsUsed = r.u32le(46);
+    fields.push(
+      field(msg("field.width"), 18, 4, width, msg("note.pixels")),
+      field(msg("field.height"), 22, 4, height, msg(height < 0 ? "note.negativeHeight" : "note.positiveHeight")),
+      field(msg("field.planes"), 26, 2, r.u16le(26), msg("note.alwaysOne")),
+      field(msg("field.bitsPerPixel"), 28, 2, bpp),
+      field(msg("field.compression"), 30, 4, compression, compressionName(compression)),
+      field(msg("field.imageSize"), 34, 4, r.u32le(34), msg("note.imageSize")),
+      field(msg("field.resolutionX"), 38, 4, r.i32le(38), msg("note.resolutionDpi", { dpi: Math.round(r.i32le(38) * 0.0254) })),
+      field(msg("field.resolutionY"), 42, 4, r.i32le(42), msg("note.resolution")),
+      field(msg("field.coloursUsed"), 46, 4, colorsUsed, msg(colorsUsed ? "note.paletteEntries" : "note.allColours")),
+      field(msg("field.importantColours"), 50, 4, r.u32le(50))
+    );
+    if (dibSize >= 52) MASK_CHANNELS.slice(0, dibSize >= 56 ? 4 : 3).forEach((c, i) => fields.push(maskField(c, 54 + i * 4, r)));
+    if (dibSize > 56) fields.push(field(msg("field.colourSpace"), 70, dibSize - 56, msg("value.bytes", { count: dibSize - 56 })));
+  }
+  out.regions.push(region(DIB_HEADERS[dibSize] || msg("region.dibHeader"), 14, dibSize, "header", fields));
+
+  let o = 14 + dibSize;
+  // BITMAPINFOHEADER keeps its BI_BITFIELDS masks outside the header
+  if (dibSize === 40 && (compression === 3 || compression === 6)) {
+    const n = compression === 6 ? 4 : 3;
+    out.regions.push(
+      region(
+        msg("region.bitMasks"),
+        o,
+        n * 4,
+        "header",
+        MASK_CHANNELS.slice(0, n).map((c, i) => maskField(c, o + i * 4, r))
+      )
+    );
+    o += n * 4;
+  }
+
+  if (pixelOffset > o) {
+    const entrySize = dibSize === 12 ? 3 : 4;
+    const entries = Math.floor((pixelOffset - o) / entrySize);
+    const shown = Math.min(entries, 16);
+    const table = [];
+    for (let i = 0; i < shown; i++) {
+      const e = o + i * entrySize;
+      table.push(field(msg("field.colour", { index: i }), e, entrySize, `R ${r.u8(e + 2)} G ${r.u8(e + 1)} B ${r.u8(e)}`, msg(entrySize === 4 ? "note.bgr0" : "note.bgr")));
+    }
+    out.regions.push(
+      region(
+        msg("region.colourTable"),
+        o,
+        pixelOffset - o,
+        "palette",
+        table,
+        msg(entries > shown ? "note.entriesShown" : "note.entries", { count: entries, shown })
+      )
+    );
+  }
+
+  const rows = Math.abs(height);
+  const stride = Math.floor((bpp * width + 31) / 32) * 4;
+  const pixelBytes = compression === 0 || compression === 3 ? stride * rows : Math.max(0, (r.u32le(34) || bytes.length - pixelOffset));
+  const length = Math.min(pixelBytes, bytes.length - pixelOffset);
+  out.payloadBytes += length;
+  out.regions.push(
+    region(
+      msg("region.pixelArray"),
+      pixelOffset,
+      length,
+      "data",
+      [
+        field(
+          msg(height < 0 ? "field.firstRowTop" : "field.firstRowBottom"),
+          pixelOffset,
+          Math.min(stride, length),
+          msg("value.bytes", { count: stride }),
+          msg("note.rowPadding", { count: Math.ceil((bpp * width) / 8), padding: stride - Math.ceil((bpp * width) / 8) })
+        ),
+      ],
+      bpp >= 24 ? msg(bpp === 32 ? "note.bgra" : "note.bgrPixels") : undefined
+    )
+  );
+  if (length < pixelBytes) out.warnings.push(msg("warning.pixelArrayShort", { count: pixelBytes - length }));
+
+  out.info = {
+    width,
+    height: rows,
+    bitsPerPixel: bpp,
+    description: msg("description.bmp", { count: bpp, compression: compressionName(compression) }),
+    rawBytes: stride * rows,
+    // where the pixel (x, y) of the decoded image lives in the file, for uncompressed 24/32-bit files
+    offsetOf:
+      (compression === 0 || compression === 3) && (bpp === 24 || bpp === 32)
+        ? (x, y) => ({ offset: pixelOffset + (height < 0 ? y : rows - 1 - y) * stride + (x * bpp) / 8, length: bpp / 8, order: bpp === 32 ? "BGRA" : "BGR" })
+        : null,
+  };
+  return pixelOffset + length;
+};
+
+// ---------- JPEG ----------
+
+// frame types and Exif tags are named in the catalogs (file.sof.<id>, file.exif.<id>)
+const SOF_TYPES = {
+  0xc0: "baseline",
+  0xc1: "extended",
+  0xc2: "progressive",
+  0xc3: "lossless",
+  0xc5: "differentialSequential",
+  0xc6: "differentialProgressive",
+  0xc7: "differentialLossless",
+  0xc9: "arithmeticSequential",
+  0xca: "arithmeticProgressive",
+  0xcb: "arithmeticLossless",
+};
+
+const EXIF_TAGS = {
+  0x010f: "make",
+  0x0110: "model",
+  0x0112: "orientation",
+  0x011a: "resolutionX",
+  0x011b: "resolutionY",
+  0x0128: "resolutionUnit",
+  0x0131: "software",
+  0x0132: "dateTime",
+  0x013b: "artist",
+  0x8298: "copyright",
+  0x8769: "exifIfd",
+  0x8825: "gpsIfd",
+};
+
+const DENSITY_UNITS = ["aspect", "dpi", "dpcm"];
+
+const EXIF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const parseExif = (r, tiff, end, fields) => {
+  const order = r.ascii(tiff, 2);
+  const le = order === "II";
+  fields.push(
+    field(msg("field.byteOrder"), tiff, 2, order, msg(le ? "note.littleEndian" : "note.bigEndian")),
+    field(msg("field.tiffMagic"), tiff + 2, 2, r.u16(tiff + 2, le), msg("note.always42")),
+    field(msg("field.ifdOffset"), tiff + 4, 4, r.u32(tiff + 4, le), msg("note.fromTiffHeader"))
+  );
+  const ifd = tiff + r.u32(tiff + 4, le);
+  const count = r.u16(ifd, le);
+  fields.push(field(msg("field.ifdEntries"), ifd, 2, count));
+  for (let i = 0; i < count; i++) {
+    const e = ifd + 2 + i * 12;
+    if (e + 12 > end) break;
+    const tag = r.u16(e, le);
+    const type = r.u16(e + 2, le);
+    const n = r.u32(e + 4, le);
+    const size = (EXIF_TYPE_SIZES[type] || 1) * n;
+    const at = size <= 4 ? e + 8 : tiff + r.u32(e + 8, le);
+    let value;
+    if (type === 2) value = r.cstring(at, Math.min(end, at + n));
+    else if (type === 3) value = r.u16(at, le);
+    else if (type === 4) value = r.u32(at, le);
+    else if (type === 5) value = `${r.u32(at, le)}/${r.u32(at + 4, le)}`;
+    else value = msg("value.exifValues", { count: n, type });
+    fields.push(
+      field(
+        msg(EXIF_TAGS[tag] ? `exif.${EXIF_TAGS[tag]}` : "field.tag", { tag: hex(tag, 4) }),
+        e,
+        12,
+        value,
+        size > 4 ? msg("note.storedAt", { offset: at }) : undefined
+      )
+    );
+  }
+};
+
+const subsamplingOf = (components) => {
+  if (components.length !== 3) return null;
+  const [y, cb, cr] = components;
+  if (cb.h !== cr.h || cb.v !== cr.v) return null;
+  const bx = y.h / cb.h;
+  const by = y.v / cb.v;
+  return { "1x1": "4:4:4", "2x1": "4:2:2", "2x2": "4:2:0", "4x1": "4:1:1", "1x2": "4:4:0" }[`${bx}x${by}`] || null;
+};
+
+const parseJpeg = (bytes, r, out) => {
+  out.regions.push(region(msg("region.soi"), 0, 2, "signature", [field(msg("field.marker"), 0, 2, "FF D8")]));
+  let o = 2;
+  while (o < bytes.length) {
+    if (r.u8(o) !== 0xff) {
+      out.warnings.push(msg("warning.marker", { offset: o }));
+      break;
+    }
+    const marker = r.u8(o + 1);
+    if (marker === 0xff) {
+      o++; // fill byte
+      continue;
+    }
+    if (marker === 0xd9) {
+      out.regions.push(region(msg("region.eoi"), o, 2, "end", [field(msg("field.marker"), o, 2, "FF D9")]));
+      o += 2;
+      break;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      o += 2;
+      continue;
+    }
+
+    const length = r.u16be(o + 2);
+    const end = o + 2 + length;
+    r.need(o, length + 2);
+    const d = o + 4;
+    const fields = [field(msg("field.marker"), o, 2, `FF ${hex(marker).slice(2)}`), field(msg("field.length"), o + 2, 2, length, msg("note.includesLength"))];
+    let label = msg("region.marker", { marker: hex(marker) });
+    let kind = "meta";
+
+    if (marker === 0xe0 && r.ascii(d, 5) === "JFIF\0") {
+      label = "APP0 — JFIF";
+      const units = r.u8(d + 7);
+      fields.push(
+        field(msg("field.identifier"), d, 5, "JFIF\\0"),
+        field(msg("field.version"), d + 5, 2, `${r.u8(d + 5)}.${String(r.u8(d + 6)).padStart(2, "0")}`),
+        field(msg("field.densityUnits"), d + 7, 1, units, DENSITY_UNITS[units] && msg(`density.${DENSITY_UNITS[units]}`)),
+        field(msg("field.densityX"), d + 8, 2, r.u16be(d + 8)),
+        field(msg("field.densityY"), d + 10, 2, r.u16be(d + 10)),
+        field(msg("field.thumbnail"), d + 12, 2, `${r.u8(d + 12)} × ${r.u8(d + 13)}`)
+      );
+    } else if (marker === 0xe1 && r.ascii(d, 6) === "Exif\0\0") {
+      label = "APP1 — Exif";
+      fields.push(field(msg("field.identifier"), d, 6, "Exif\\0\\0"));
+      parseExif(r, d + 6, end, fields);
+    } else if (marker >= 0xe0 && marker <= 0xef) {
+      const id = r.cstring(d, end);
+      label = id ? `APP${marker - 0xe0} — ${id}` : msg("region.app", { n: marker - 0xe0 });
+      fields.push(field(msg("field.identifier"), d, Math.min(id.length + 1, end - d), id || msg("value.none")));
+    } else if (marker === 0xdb) {
+      label = msg("region.dqt");
+      kind = "header";
+      for (let p = d; p < end; ) {
+        const pq = r.u8(p) >> 4;
+        const tq = r.u8(p) & 15;
+        const n = 64 * (pq ? 2 : 1);
+        const values = Array.from({ length: 8 }, (_, i) => (pq ? r.u16be(p + 1 + i * 2) : r.u8(p + 1 + i)));
+        fields.push(
+          field(msg("field.dqtId", { table: tq }), p, 1, hex(r.u8(p)), msg("note.dqtBits", { bits: pq ? 16 : 8, table: tq })),
+          field(msg("field.dqtValues", { table: tq }), p + 1, n, `${values.join(" ")} …`, msg("note.zigzag"))
+        );
+        p += 1 + n;
+      }
+    } else if (SOF_TYPES[marker]) {
+      const type = msg(`sof.${SOF_TYPES[marker]}`);
+      label = msg("region.sof", { n: marker - 0xc0, type });
+      kind = "header";
+      const height = r.u16be(d + 1);
+      const width = r.u16be(d + 3);
+      const n = r.u8(d + 5);
+      const components = [];
+      fields.push(
+        field(msg("field.precision"), d, 1, r.u8(d), msg("note.bits")),
+        field(msg("field.height"), d + 1, 2, height, msg("note.pixels")),
+        field(msg("field.width"), d + 3, 2, width, msg("note.pixels")),
+        field(msg("field.components"), d + 5, 1, n, n === 3 ? "Y, Cb, Cr" : n === 1 ? msg("colourType.gray") : undefined)
+      );
+      for (let i = 0; i < n; i++) {
+        const c = d + 6 + i * 3;
+        const comp = { id: r.u8(c), h: r.u8(c + 1) >> 4, v: r.u8(c + 1) & 15, tq: r.u8(c + 2) };
+        components.push(comp);
+        fields.push(field(msg("field.component", { id: comp.id }), c, 3, msg("value.sampling", { h: comp.h, v: comp.v, table: comp.tq })));
+      }
+      const sub = subsamplingOf(components);
+      out.info = {
+        width,
+        height,
+        bitsPerPixel: 8 * n,
+        description: msg(sub ? "description.jpegChroma" : "description.jpeg", { type, count: n, chroma: sub }),
+        rawBytes: width * height * n,
+      };
+    } else if (marker === 0xc4) {
+      label = msg("region.dht");
+      kind = "header";
+      for (let p = d; p < end; ) {
+        const tc = r.u8(p) >> 4;
+        const th = r.u8(p) & 15;
+        let total = 0;
+        for (let i = 0; i < 16; i++) total += r.u8(p + 1 + i);
+        fields.push(
+          field(msg("field.dhtTable", { table: th, class: tc ? "AC" : "DC" }), p, 1, hex(r.u8(p))),
+          field(msg("field.codeLengths"), p + 1, 16, msg("value.codes", { count: total })),
+          field(msg("field.symbols"), p + 17, total, msg("value.bytes", { count: total }))
+        );
+        p += 17 + total;
+      }
+    } else if (marker === 0xdd) {
+      label = msg("region.dri");
+      fields.push(field(msg("field.interval"), d, 2, r.u16be(d), msg("note.restart")));
+    } else if (marker === 0xfe) {
+      label = msg("region.com");
+      fields.push(field(msg("field.text"), d, length - 2, r.ascii(d, length - 2)));
+    } else if (marker === 0xda) {
+      label = msg("region.sos");
+      kind = "header";
+      const n = r.u8(d);
+      fields.push(field(msg("field.scanComponents"), d, 1, n));
+      for (let i = 0; i < n; i++) {
+        const c = d + 1 + i * 2;
+        fields.push(field(msg("field.component", { id: r.u8(c) }), c, 2, msg("value.scanTables", { dc: r.u8(c + 1) >> 4, ac: r.u8(c + 1) & 15 })));
+      }
+      fields.push(field(msg("field.spectral"), d + 1 + n * 2, 3, `${r.u8(d + 1 + n * 2)}–${r.u8(d + 2 + n * 2)}, ${hex(r.u8(d + 3 + n * 2))}`));
+    }
+    out.regions.push(region(label, o, length + 2, kind, fields));
+    o = end;
+
+    if (marker === 0xda) {
+      // entropy-coded data runs to the next marker that is neither a stuffed 0xFF00 nor a restart marker
+      let e = o;
+      while (e + 1 < bytes.length && !(bytes[e] === 0xff && bytes[e + 1] !== 0 && (bytes[e + 1] < 0xd0 || bytes[e + 1] > 0xd7))) e++;
+      if (e + 1 >= bytes.length) e = bytes.length;
+      out.payloadBytes += e - o;
+      out.regions.push(
+        region(msg("region.scanData"), o, e - o, "data", [
+          field(msg("field.coefficients"), o, e - o, msg("value.bytes", { count: e - o }), msg("note.stuffing")),
+        ])
+      );
+      o = e;
+    }
+  }
+  return o;
+};
+
+// ---------- GIF ----------
+
+// Walks data sub-blocks (size byte + data, ending with a 0 byte); returns the end and the data size.
+const subBlocks = (r, o) => {
+  let size = 0;
+  let n;
+  while ((n = r.u8(o)) !== 0) {
+    r.need(o + 1, n);
+    size += n;
+    o += 1 + n;
+  }
+  return { end: o + 1, size };
+};
+
+const parseGif = (bytes, r, out) => {
+  const version = r.ascii(0, 6);
+  out.regions.push(region(msg("region.header"), 0, 6, "signature", [field(msg("field.signatureVersion"), 0, 6, version)]));
+  const width = r.u16le(6);
+  const height = r.u16le(8);
+  const packed = r.u8(10);
+  const hasGct = packed >> 7;
+  const gctSize = 2 ** ((packed & 7) + 1);
+  out.regions.push(
+    region(msg("region.screen"), 6, 7, "header", [
+      field(msg("field.width"), 6, 2, width, msg("note.pixelsLittleEndian")),
+      field(msg("field.height"), 8, 2, height, msg("note.pixels")),
+      field(
+        msg("field.packedFlags"),
+        10,
+        1,
+        hex(packed),
+        hasGct
+          ? msg("note.globalTable", { count: gctSize, bits: ((packed >> 4) & 7) + 1 })
+          : msg("note.noGlobalTable", { bits: ((packed >> 4) & 7) + 1 })
+      ),
+      field(msg("field.background"), 11, 1, r.u8(11)),
+      field(msg("field.aspect"), 12, 1, r.u8(12)),
+    ])
+  );
+  let o = 13;
+  if (hasGct) {
+    r.need(o, gctSize * 3);
+    out.regions.push(
+      region(msg("region.globalTable"), o, gctSize * 3, "palette", [
+        field(msg("field.palette"), o, gctSize * 3, msg("value.colours", { count: gctSize }), msg("note.rgbEntries")),
+      ])
+    );
+    o += gctSize * 3;
+  }
+
+  let frames = 0;
+  while (o < bytes.length) {
+    const intro = r.u8(o);
+    if (intro === 0x3b) {
+      out.regions.push(region(msg("region.trailer"), o, 1, "end", [field(msg("field.trailer"), o, 1, "0x3B")]));
+      o++;
+      break;
+    }
+    if (intro === 0x21) {
+      const label = r.u8(o + 1);
+      const { end } = subBlocks(r, o + 2);
+      const fields = [field(msg("field.introducer"), o, 1, "0x21"), field(msg("field.extensionLabel"), o + 1, 1, hex(label))];
+      let name = msg("region.extension");
+      if (label === 0xf9) {
+        name = msg("region.graphicControl");
+        const p = r.u8(o + 3);
+        fields.push(
+          field(msg("field.flags"), o + 3, 1, hex(p), msg(p & 1 ? "note.disposalTransparent" : "note.disposal", { disposal: (p >> 2) & 7 })),
+          field(msg("field.delay"), o + 4, 2, r.u16le(o + 4), msg("note.hundredths")),
+          field(msg("field.transparentIndex"), o + 6, 1, r.u8(o + 6))
+        );
+      } else if (label === 0xff) {
+        name = msg("region.application");
+        fields.push(field(msg("field.application"), o + 3, 11, r.ascii(o + 3, 11), r.ascii(o + 3, 11) === "NETSCAPE2.0" ? msg("note.loopCount") : undefined));
+      } else if (label === 0xfe) {
+        name = msg("region.commentExtension");
+      } else if (label === 0x01) {
+        name = msg("region.plainText");
+      }
+      out.regions.push(region(name, o, end - o, "meta", fields));
+      o = end;
+    } else if (intro === 0x2c) {
+      frames++;
+      const p = r.u8(o + 9);
+      const hasLct = p >> 7;
+      const lctSize = 2 ** ((p & 7) + 1);
+      out.regions.push(
+        region(msg("region.imageDescriptor", { frame: frames }), o, 10, "header", [
+          field(msg("field.separator"), o, 1, "0x2C"),
+          field(msg("field.leftTop"), o + 1, 4, `${r.u16le(o + 1)}, ${r.u16le(o + 3)}`),
+          field(msg("field.widthHeight"), o + 5, 4, `${r.u16le(o + 5)} × ${r.u16le(o + 7)}`),
+          field(
+            msg("field.flags"),
+            o + 9,
+            1,
+            hex(p),
+            hasLct
+              ? msg(p & 0x40 ? "note.localTableInterlaced" : "note.localTable", { count: lctSize })
+              : msg(p & 0x40 ? "note.noLocalTableInterlaced" : "note.noLocalTable")
+          ),
+        ])
+      );
+      o += 10;
+      if (hasLct) {
+        r.need(o, lctSize * 3);
+        out.regions.push(
+          region(msg("region.localTable"), o, lctSize * 3, "palette", [field(msg("field.palette"), o, lctSize * 3, msg("value.colours", { count: lctSize }))])
+        );
+        o += lctSize * 3;
+      }
+      const { end, size } = subBlocks(r, o + 1);
+      out.payloadBytes += end - o;
+      out.regions.push(
+        region(msg("region.imageData", { frame: frames }), o, end - o, "data", [
+          field(msg("field.lzwCodeSize"), o, 1, r.u8(o), msg("note.bitsPerIndex")),
+          field(msg("field.lzwData"), o + 1, end - o - 1, msg("value.bytes", { count: size }), msg("note.subBlocks")),
+        ])
+      );
+      o = end;
+    } else {
+      out.warnings.push(msg("warning.unknownBlock", { block: hex(intro), offset: o }));
+      break;
+    }
+  }
+
+  out.info = {
+    width,
+    height,
+    bitsPerPixel: 8,
+    description: msg("description.gif", { version, count: frames }),
+    rawBytes: width * height,
+  };
+  return o;
+};
+
+// ---------- PPM ----------
+
+const isSpace = (b) => b === 0x20 || b === 0x09 || b === 0x0a || b === 0x0d || b === 0x0b || b === 0x0c;
+
+// whitespace-separated decimal tokens; "#" starts a comment up to the end of the line
+const ppmToken = (bytes, r, o) => {
+  for (;;) {
+    r.need(o, 1);
+    if (bytes[o] === 0x23) while (o < bytes.length && bytes[o] !== 0x0a) o++;
+    else if (isSpace(bytes[o])) o++;
+    else break;
+  }
+  const start = o;
+  while (o < bytes.length && !isSpace(bytes[o]) && bytes[o] !== 0x23) o++;
+  return { start, end: o, text: String.fromCharCode(...bytes.subarray(start, o)) };
+};
+
+const parsePpm = (bytes, r, out) => {
+  const ascii = bytes[1] === 0x33; // P3
+  const tokens = [{ start: 0, end: 2, text: ascii ? "P3" : "P6" }];
+  for (let i = 0; i < 3; i++) tokens.push(ppmToken(bytes, r, tokens[i].end));
+  const [, width, height, maxval] = tokens.map((t) => Number(t.text));
+  if (![width, height, maxval].every(Number.isInteger) || maxval < 1 || maxval > 65535) {
+    out.warnings.push(msg("warning.ppmHeader"));
+    return tokens[3].end;
+  }
+  // binary data starts after exactly one whitespace byte
+  const dataStart = tokens[3].end + 1;
+  out.regions.push(
+    region(msg("region.header"), 0, dataStart, "header", [
+      field(msg("field.magic"), 0, 2, tokens[0].text, msg(ascii ? "note.p3" : "note.p6")),
+      field(msg("field.width"), tokens[1].start, tokens[1].end - tokens[1].start, width, msg("note.pixelsText")),
+      field(msg("field.height"), tokens[2].start, tokens[2].end - tokens[2].start, height, msg("note.pixelsText")),
+      field(msg("field.maxValue"), tokens[3].start, tokens[3].end - tokens[3].start, maxval, msg(maxval < 256 ? "note.oneByte" : "note.twoBytes")),
+    ])
+  );
+  const samples = width * height * 3;
+  let offsetOf = null;
+  let end;
+  if (ascii) {
+    // token start offsets, so a pixel can be found in the text
+    const starts = samples <= 3_000_000 ? new Uint32Array(samples + 1) : null;
+    let o = dataStart - 1;
+    let n = 0;
+    for (; n < samples; n++) {
+      let t;
+      try {
+        t = ppmToken(bytes, r, o);
+      } catch {
+        break;
+      }
+      if (starts) starts[n] = t.start;
+      o = t.end;
+    }
+    end = o;
+    if (starts) starts[n] = end;
+    while (end < bytes.length && isSpace(bytes[end])) end++; // the final line break
+    if (n < samples) out.warnings.push(msg("warning.samplesMissing", { present: n, total: samples }));
+    if (starts && n === samples) {
+      offsetOf = (x, y) => {
+        const k = (y * width + x) * 3;
+        // through the end of the blue sample's digits
+        let e = starts[k + 2];
+        while (e < end && !isSpace(bytes[e])) e++;
+        return { offset: starts[k], length: e - starts[k], order: msg("order.rgbText") };
+      };
+    }
+  } else {
+    const size = maxval < 256 ? 1 : 2;
+    end = Math.min(bytes.length, dataStart + samples * size);
+    if (end < dataStart + samples * size) out.warnings.push(msg("warning.pixelDataShort", { count: dataStart + samples * size - end }));
+    if (size === 1) offsetOf = (x, y) => ({ offset: dataStart + (y * width + x) * 3, length: 3, order: "RGB" });
+  }
+  out.payloadBytes += end - dataStart;
+  out.regions.push(
+    region(
+      msg("region.pixelData"),
+      dataStart,
+      end - dataStart,
+      "data",
+      [
+        field(
+          msg("field.firstPixel"),
+          dataStart,
+          Math.min(ascii ? (offsetOf ? offsetOf(0, 0).length : 0) : 3, end - dataStart),
+          ascii ? msg("value.text") : msg("value.bytes", { count: 3 })
+        ),
+      ],
+      msg("note.ppmRows")
+    )
+  );
+  out.info = {
+    width,
+    height,
+    bitsPerPixel: maxval < 256 ? 24 : 48,
+    description: ascii ? msg("description.ppmAscii") : msg("description.ppm", { bits: maxval < 256 ? 8 : 16 }),
+    rawBytes: samples * (maxval < 256 ? 1 : 2),
+    offsetOf,
+  };
+  return end;
+};
+
+// ---------- entry point ----------
+
+const FORMATS = [
+  { id: "PNG", test: (b) => PNG_SIGNATURE.every((v, i) => b[i] === v), parse: parsePng },
+  { id: "BMP", test: (b) => b[0] === 0x42 && b[1] === 0x4d, parse: parseBmp },
+  { id: "JPEG", test: (b) => b[0] === 0xff && b[1] === 0xd8, parse: parseJpeg },
+  { id: "GIF", test: (b) => b[0] === 0x47 && b[1] === 0x49 && b[2] === 0x46 && b[3] === 0x38, parse: parseGif },
+  { id: "PPM", test: (b) => b[0] === 0x50 && (b[1] === 0x33 || b[1] === 0x36) && isSpace(b[2]), parse: parsePpm },
+];
+
+/**
+ * Parses the bytes of an image file. Returns { format, regions, info,
+ * payloadBytes, warnings }; `format` is null for unsupported files.
+ * `payloadBytes` counts the stored (possibly compressed) pixel data.
+ */
+export const parseImageFile = (bytes) => {
+  const out = { format: null, regions: [], info: null, payloadBytes: 0, warnings: [] };
+  const format = FORMATS.find((f) => f.test(bytes));
+  if (!format) {
+    out.warnings.push(msg("warning.unsupported"));
+    return out;
+  }
+  out.format = format.id;
+  const r = reader(bytes);
+  let end = bytes.length;
+  try {
+    end = format.parse(bytes, r, out);
+  } catch (e) {
+    if (!(e instanceof TruncatedError)) throw e;
+    out.warnings.push(e.warning);
+  }
+  if (end < bytes.length) {
+    out.regions.push(
+      region(msg("region.trailing"), end, bytes.length - end, "meta", [
+        field(msg("field.afterImage"), end, bytes.length - end, msg("value.bytes", { count: bytes.length - end })),
+      ])
+    );
+  }
+  return out;
+};
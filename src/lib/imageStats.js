@@ -0,0 +1,104 @@
+/**
+ * Image statistics for the Graphics Analyzer
+ * ------------------------------------------------------
+ * Works directly on ImageData (RGBA bytes, row by row), so it can be
+ * used for the whole image or for any rectangle of it.
+ */
+
+// named in the catalogs (stats.channel.<id>)
+export const CHANNELS = [
+  { id: "r", color: "#dc2626" },
+  { id: "g", color: "#16a34a" },
+  { id: "b", color: "#2563eb" },
+  { id: "a", color: "#64748b" },
+  { id: "l", color: "#0f172a" },
+];
+
+// Rec. 709 luma of gamma-encoded sRGB values, rounded to a byte
+export const luma = (r, g, b) => Math.round(0.2126 * r + 0.7152 * g + 0.0722 * b);
+
+const wholeImage = (imageData) => ({ x: 0, y: 0, width: imageData.width, height: imageData.height });
+
+/** 256-bin histograms of R, G, B, alpha and luminance. */
+export const computeHistograms = (imageData, rect = wholeImage(imageData)) => {
+  const hist = Object.fromEntries(CHANNELS.map((c) => [c.id, new Uint32Array(256)]));
+  const { data, width } = imageData;
+  for (let y = rect.y; y < rect.y + rect.height; y++) {
+    for (let x = rect.x; x < rect.x + rect.width; x++) {
+      const i = (y * width + x) * 4;
+      hist.r[data[i]]++;
+      hist.g[data[i + 1]]++;
+      hist.b[data[i + 2]]++;
+      hist.a[data[i + 3]]++;
+      hist.l[luma(data[i], data[i + 1], data[i + 2])]++;
+    }
+  }
+  return hist;
+};
+
+/**
+ * Mean, min, max and standard deviation per channel, the number of
+ * distinct RGBA colours and the most frequent colours in a rectangle.
+ */
+export const regionStats = (imageData, rect = wholeImage(imageData), dominantCount = 8) => {
+  const { data, width } = imageData;
+  const acc = Object.fromEntries(CHANNELS.map((c) => [c.id, { sum: 0, sumSq: 0, min: 255, max: 0 }]));
+  const counts = new Map();
+  const add = (id, v) => {
+    const a = acc[id];
+    a.sum += v;
+    a.sumSq += v * v;
+    if (v < a.min) a.min = v;
+    if (v > a.max) a.max = v;
+  };
+
+  for (let y = rect.y; y < rect.y + rect.height; y++) {
+    for (let x = rect.x; x < rect.x + rect.width; x++) {
+      const i = (y * width + x) * 4;
+      const r = data[i];
+      const g = data[i + 1];
+      const b = data[i + 2];
+      const a = data[i + 3];
+      add("r", r);
+      add("g", g);
+      add("b", b);
+      add("a", a);
+      add("l", luma(r, g, b));
+      // packed as an unsigned 32-bit RGBA word
+      const key = ((r << 24) | (g << 16) | (b << 8) | a) >>> 0;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+
+  const n = rect.width * rect.height;
+  const channels = Object.fromEntries(
+    CHANNELS.map((c) => {
+      const a = acc[c.id];
+      const mean = n ? a.sum / n : 0;
+      const variance = n ? Math.max(0, a.sumSq / n - mean * mean) : 0;
+      return [c.id, { mean, min: n ? a.min : 0, max: n ? a.max : 0, std: Math.sqrt(variance) }];
+    })
+  );
+
+  const dominant = Array.from(counts.entries())
+    .sort((p, q) => q[1] - p[1])
+    .slice(0, dominantCount)
+    .map(([key, count]) => ({
+      r: key >>> 24,
+      g: (key >>> 16) & 0xff,
+      b: (key >>> 8) & 0xff,
+      a: key & 0xff,
+      count,
+      share: count / n,
+    }));
+
+  return { pixels: n, channels, distinct: counts.size, dominant };
+};
+
+/** Normalises two corner points into a rectangle that includes both pixels. */
+export const rectFromPoints = (p, q) => ({
+  x: Math.min(p.x, q.x),
+  y: Math.min(p.y, q.y),
+  width: Math.abs(p.x - q.x) + 1,
+  height: Math.abs(p.y - q.y) + 1,
+});
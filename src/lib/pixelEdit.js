@@ -0,0 +1,81 @@
+/**
+ * Pixel editing
+ * ------------------------------------------------------
+ * In-place edits of an ImageData: single pixels, pencil lines and
+ * flood fill. Colours are {r, g, b, a}. The functions mutate the
+ * buffer and return how many pixels changed, so callers can skip a
+ * redraw (and an undo step) when nothing did.
+ */
+
+export const MAX_BLANK_SIZE = 1024;
+
+export const createBlank = (width, height, { r, g, b, a = 255 }) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = r;
+    data[i + 1] = g;
+    data[i + 2] = b;
+    data[i + 3] = a;
+  }
+  return new ImageData(data, width, height);
+};
+
+export const setPixel = (imageData, x, y, { r, g, b, a = 255 }) => {
+  if (x < 0 || y < 0 || x >= imageData.width || y >= imageData.height) return 0;
+  const d = imageData.data;
+  const i = (y * imageData.width + x) * 4;
+  if (d[i] === r && d[i + 1] === g && d[i + 2] === b && d[i + 3] === a) return 0;
+  d[i] = r;
+  d[i + 1] = g;
+  d[i + 2] = b;
+  d[i + 3] = a;
+  return 1;
+};
+
+/** Bresenham line, so a fast pencil stroke leaves no gaps. */
+export const drawLine = (imageData, from, to, color) => {
+  let { x, y } = from;
+  const dx = Math.abs(to.x - x);
+  const dy = -Math.abs(to.y - y);
+  const sx = x < to.x ? 1 : -1;
+  const sy = y < to.y ? 1 : -1;
+  let err = dx + dy;
+  let changed = 0;
+  for (;;) {
+    changed += setPixel(imageData, x, y, color);
+    if (x === to.x && y === to.y) return changed;
+    const e2 = 2 * err;
+    if (e2 >= dy) {
+      err += dy;
+      x += sx;
+    }
+    if (e2 <= dx) {
+      err += dx;
+      y += sy;
+    }
+  }
+};
+
+/** Fills the 4-connected area of exactly the colour at (x, y). */
+export const floodFill = (imageData, x, y, color) => {
+  const { width, height, data } = imageData;
+  const start = (y * width + x) * 4;
+  const target = data.slice(start, start + 4);
+  const fill = [color.r, color.g, color.b, color.a ?? 255];
+  if (fill.every((v, k) => v === target[k])) return 0;
+  const matches = (p) => data[p * 4] === target[0] && data[p * 4 + 1] === target[1] && data[p * 4 + 2] === target[2] && data[p * 4 + 3] === target[3];
+  const stack = [y * width + x];
+  let changed = 0;
+  while (stack.length) {
+    const p = stack.pop();
+    if (!matches(p)) continue;
+    data.set(fill, p * 4);
+    changed++;
+    const px = p % width;
+    if (px > 0) stack.push(p - 1);
+    if (px < width - 1) stack.push(p + 1);
+    if (p >= width) stack.push(p - width);
+    if (p < width * (height - 1)) stack.push(p + width);
+  }
+  return changed;
+};
@@ -0,0 +1,32 @@
+/**
+ * Pixels in memory
+ * ------------------------------------------------------
+ * An RGBA pixel packed into one 32-bit word. The layout name lists the
+ * channels from the most significant byte down: "ARGB" is 0xAARRGGBB.
+ * A canvas ImageData stores the bytes R, G, B, A one after another, so
+ * reading them as a Uint32 gives the RGBA word on a big-endian machine
+ * and the ABGR word on a little-endian one (nearly every machine).
+ */
+
+// where each layout is found is told in the catalogs (pixelMemory.layout.<id>)
+export const PIXEL_LAYOUTS = [{ id: "RGBA" }, { id: "ARGB" }, { id: "BGRA" }, { id: "ABGR" }];
+
+/** True when this machine stores the least significant byte first. */
+export const isLittleEndian = () => new Uint8Array(new Uint32Array([1]).buffer)[0] === 1;
+
+/** The layout a Uint32 view of RGBA bytes sees. */
+export const nativeLayout = (littleEndian) => (littleEndian ? "ABGR" : "RGBA");
+
+/** The pixel as an unsigned 32-bit word in `layout`. */
+export const packPixel = (pixel, layout) =>
+  [...layout.toLowerCase()].reduce((word, channel) => word * 256 + pixel[channel], 0);
+
+/** The word's four bytes in memory order, lowest address first. */
+export const wordBytes = (word, littleEndian) => {
+  const bytes = [24, 16, 8, 0].map((shift) => Math.floor(word / 2 ** shift) % 256);
+  return littleEndian ? bytes.reverse() : bytes;
+};
+
+/** Where pixel (x, y) starts in an RGBA buffer, and how many bytes one row takes. */
+export const pixelOffset = (x, y, width) => (y * width + x) * 4;
+export const rowStride = (width) => width * 4;
@@ -0,0 +1,295 @@
+/**
+ * Quiz engine
+ * ------------------------------------------------------
+ * Question sets are generated from a seed with a small deterministic
+ * PRNG, so everyone who opens the same seed (and settings) gets the
+ * same questions in the same order. Each question carries its own
+ * checker, the correct answer for display and a short explanation.
+ * Prompt, detail and explanation are messages `{id, ...values}` for
+ * the catalogs (quiz.<id>), so a question reads in any language; a
+ * `count` value picks the counted form. Type names are quiz.type.<id>.
+ *
+ *   question: { type, prompt, detail?, input: 'text' | 'choice' | 'lab',
+ *               choices?, answer, check(response), explanation }
+ *
+ * 'lab' questions are answered with the lab's own controls: the
+ * question carries a {target, bits} challenge and the response is
+ * whether the lab matched it.
+ */
+
+import { parseInteger, rgbToHex } from "./conversions.js";
+
+// ---------- seeded randomness ----------
+
+/** 32-bit FNV-1a hash of a string, used to turn a seed into PRNG state. */
+export const hashSeed = (str) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+};
+
+/** mulberry32: returns a function producing floats in [0, 1). */
+export const mulberry32 = (state) => () => {
+  state = (state + 0x6d2b79f5) | 0;
+  let t = Math.imul(state ^ (state >>> 15), 1 | state);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+export const randomSeed = () => Math.random().toString(36).slice(2, 8);
+
+const int = (rng, min, max) => min + Math.floor(rng() * (max - min + 1));
+const pick = (rng, list) => list[Math.floor(rng() * list.length)];
+const shuffle = (rng, list) => {
+  const a = [...list];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+};
+
+// ---------- answer parsing ----------
+
+const hex2 = (b) => b.toString(16).toUpperCase().padStart(2, "0");
+
+// 202 → "128 + 64 + 8 + 2"
+const powerSum = (n) =>
+  n
+    .toString(2)
+    .split("")
+    .map((d, i, a) => (d === "1" ? 2 ** (a.length - 1 - i) : null))
+    .filter((v) => v !== null)
+    .join(" + ") || "0";
+
+/** "C3 A9", "0xC3, 0xA9" or "C3A9" → [0xC3, 0xA9]; null if invalid. */
+export const parseAnswerBytes = (str) => {
+  const s = String(str ?? "").trim();
+  if (!s) return null;
+  let tokens = s.split(/[\s,]+/).map((t) => t.replace(/^0x/i, ""));
+  if (tokens.length === 1 && tokens[0].length > 2 && tokens[0].length % 2 === 0) tokens = tokens[0].match(/../g);
+  if (!tokens.every((t) => /^[0-9a-f]{1,2}$/i.test(t))) return null;
+  return tokens.map((t) => parseInt(t, 16));
+};
+
+// ---------- question types ----------
+
+const UTF8_CHARACTERS = ["A", "é", "ß", "ñ", "ü", "©", "€", "中", "あ", "→", "😀", "👋", "🎉", "Ω"];
+
+export const QUESTION_TYPES = [
+  {
+    id: "match",
+    generate: (rng) => {
+      const bits = pick(rng, [4, 8, 8, 16]);
+      const target = int(rng, 0, 2 ** bits - 1);
+      return {
+        prompt: { id: "match.prompt", target, bits },
+        detail: { id: "match.detail" },
+        input: "lab",
+        challenge: { target: BigInt(target), bits },
+        answer: `0b${target.toString(2).padStart(bits, "0")} = 0x${target.toString(16).toUpperCase().padStart(bits / 4, "0")}`,
+        check: (matched) => matched === true,
+        explanation: { id: "powerSum", value: target, sum: powerSum(target) },
+      };
+    },
+  },
+  {
+    id: "dec-bin",
+    generate: (rng) => {
+      const bits = pick(rng, [8, 8, 12, 16]);
+      const n = int(rng, 1, 2 ** bits - 1);
+      return {
+        prompt: { id: "dec-bin.prompt", value: n },
+        detail: { id: "dec-bin.detail", bits },
+        input: "text",
+        answer: n.toString(2).padStart(bits, "0").replace(/\B(?=(\d{4})+$)/g, " "),
+        check: (r) => {
+          const s = String(r).replace(/[\s_]/g, "").replace(/^0b/i, "");
+          return /^[01]+$/.test(s) && s.replace(/^0+(?=.)/, "").length <= bits && BigInt("0b" + s) === BigInt(n);
+        },
+        explanation: { id: "powerSum", value: n, sum: powerSum(n) },
+      };
+    },
+  },
+  {
+    id: "hex-signed",
+    generate: (rng) => {
+      const bits = pick(rng, [8, 16]);
+      const u = int(rng, 0, 2 ** bits - 1);
+      const signed = u >= 2 ** (bits - 1) ? u - 2 ** bits : u;
+      return {
+        prompt: { id: "hex-signed.prompt", hex: `0x${u.toString(16).toUpperCase().padStart(bits / 4, "0")}`, bits },
+        detail: { id: "hex-signed.detail" },
+        input: "text",
+        answer: String(signed),
+        check: (r) => parseInteger(r) === BigInt(signed),
+        explanation:
+          signed < 0
+            ? { id: "hex-signed.negative", bits, value: u, modulus: 2 ** bits, signed }
+            : { id: "hex-signed.positive", value: u },
+      };
+    },
+  },
+  {
+    id: "utf8",
+    generate: (rng) => {
+      const ch = pick(rng, UTF8_CHARACTERS);
+      const bytes = Array.from(new TextEncoder().encode(ch));
+      const cp = ch.codePointAt(0);
+      return {
+        prompt: { id: "utf8.prompt", char: ch },
+        detail: { id: "utf8.detail", cp: `U+${cp.toString(16).toUpperCase().padStart(4, "0")}` },
+        input: "text",
+        answer: bytes.map(hex2).join(" "),
+        check: (r) => {
+          const got = parseAnswerBytes(r);
+          return !!got && got.length === bytes.length && got.every((b, i) => b === bytes[i]);
+        },
+        explanation: {
+          id: "utf8.explanation",
+          cp: `U+${cp.toString(16).toUpperCase()}`,
+          count: bytes.length,
+          bits: bytes.map((b) => b.toString(2).padStart(8, "0")).join(" "),
+        },
+      };
+    },
+  },
+  {
+    id: "le-int",
+    generate: (rng) => {
+      const size = pick(rng, [2, 2, 4]);
+      const bytes = Array.from({ length: size }, () => int(rng, 0, 255));
+      const value = bytes.reduceRight((acc, b) => acc * 256n + BigInt(b), 0n);
+      return {
+        prompt: { id: "le-int.prompt", bytes: bytes.map((b) => `0x${hex2(b)}`).join(" ") },
+        detail: { id: "le-int.detail" },
+        input: "text",
+        answer: `${value} (0x${value.toString(16).toUpperCase().padStart(size * 2, "0")})`,
+        check: (r) => parseInteger(r) === value,
+        explanation: { id: "le-int.explanation", hex: `0x${[...bytes].reverse().map(hex2).join("")}` },
+      };
+    },
+  },
+  {
+    id: "hex-colour",
+    generate: (rng) => {
+      const rgb = [int(rng, 0, 255), int(rng, 0, 255), int(rng, 0, 255)];
+      const toHex = (c) => rgbToHex(...c);
+      // byte-order mix-ups make the best distractors
+      const candidates = [
+        [rgb[2], rgb[1], rgb[0]],
+        [rgb[1], rgb[0], rgb[2]],
+        [rgb[0], rgb[2], rgb[1]],
+        rgb.map((v) => 255 - v),
+        rgb.map((v) => (v + 128) % 256),
+      ];
+      const distractors = [];
+      for (const c of candidates) {
+        if (distractors.length < 3 && toHex(c) !== toHex(rgb) && !distractors.some((d) => toHex(d) === toHex(c))) distractors.push(c);
+      }
+      while (distractors.length < 3) distractors.push([int(rng, 0, 255), int(rng, 0, 255), int(rng, 0, 255)]);
+      const choices = shuffle(rng, [rgb, ...distractors]).map((c) => ({ color: toHex(c), correct: toHex(c) === toHex(rgb) }));
+      return {
+        prompt: { id: "hex-colour.prompt", color: toHex(rgb) },
+        detail: { id: "hex-colour.detail" },
+        input: "choice",
+        choices,
+        answer: `${toHex(rgb)} = R ${rgb[0]}, G ${rgb[1]}, B ${rgb[2]}`,
+        check: (r) => !!choices[r]?.correct,
+        explanation: {
+          id: "hex-colour.explanation",
+          redHex: `0x${hex2(rgb[0])}`,
+          red: rgb[0],
+          greenHex: `0x${hex2(rgb[1])}`,
+          green: rgb[1],
+          blueHex: `0x${hex2(rgb[2])}`,
+          blue: rgb[2],
+        },
+      };
+    },
+  },
+];
+
+// ---------- quiz sets ----------
+
+export const QUESTION_COUNTS = [5, 10, 20];
+export const TIME_LIMITS = [0, 15, 30, 60]; // seconds per question, 0 = untimed
+
+export const DEFAULT_QUIZ_CONFIG = {
+  seed: "",
+  count: 10,
+  types: QUESTION_TYPES.map((t) => t.id),
+  timeLimit: 0,
+};
+
+/** Validates a possibly partial config (e.g. from a link); invalid parts fall back to the defaults. */
+export const normalizeQuizConfig = ({ seed, count, types, timeLimit } = {}) => {
+  const validTypes = (types || []).filter((id) => QUESTION_TYPES.some((t) => t.id === id));
+  return {
+    seed: /^[0-9a-z-]{1,32}$/i.test(seed || "") ? seed : DEFAULT_QUIZ_CONFIG.seed,
+    count: QUESTION_COUNTS.includes(Number(count)) ? Number(count) : DEFAULT_QUIZ_CONFIG.count,
+    types: validTypes.length ? validTypes : DEFAULT_QUIZ_CONFIG.types,
+    timeLimit: TIME_LIMITS.includes(Number(timeLimit)) ? Number(timeLimit) : DEFAULT_QUIZ_CONFIG.timeLimit,
+  };
+};
+
+/** The question set for a config; the same config always yields the same questions. */
+export const makeQuestions = ({ seed, count, types }) => {
+  const rng = mulberry32(hashSeed(`${seed}|${types.join(",")}`));
+  const pool = QUESTION_TYPES.filter((t) => types.includes(t.id));
+  // every selected type comes up about equally often, in random order
+  const order = shuffle(rng, Array.from({ length: count }, (_, i) => pool[i % pool.length]));
+  return order.map((type) => ({ type: type.id, ...type.generate(rng) }));
+};
+
+// ---------- scoring ----------
+
+export const BASE_POINTS = 100;
+export const MAX_SPEED_BONUS = 50;
+export const STREAK_BONUS = 10;
+export const MAX_STREAK_BONUS = 50;
+const SPEED_WINDOW = 30; // seconds; untimed questions earn the speed bonus against this
+
+/** Points for one answer: base + speed bonus + streak bonus (streak includes this answer). */
+export const scoreAnswer = ({ correct, seconds, timeLimit, streak }) => {
+  if (!correct) return 0;
+  const window = timeLimit || SPEED_WINDOW;
+  const speed = Math.max(0, Math.round(MAX_SPEED_BONUS * (1 - seconds / window)));
+  return BASE_POINTS + speed + Math.min(MAX_STREAK_BONUS, STREAK_BONUS * (streak - 1));
+};
+
+// ---------- results history ----------
+
+const RESULTS_KEY = "drlab.quizResults";
+const MAX_RESULTS = 20;
+
+export const loadResults = () => {
+  try {
+    const list = JSON.parse(localStorage.getItem(RESULTS_KEY) || "[]");
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+};
+
+/** Prepends a result and keeps the most recent MAX_RESULTS; returns the new list. */
+export const saveResult = (result) => {
+  const list = [result, ...loadResults()].slice(0, MAX_RESULTS);
+  try {
+    localStorage.setItem(RESULTS_KEY, JSON.stringify(list));
+  } catch {
+    // storage full or disabled: the summary is still shown
+  }
+  return list;
+};
+
+export const clearResults = () => {
+  try {
+    localStorage.removeItem(RESULTS_KEY);
+  } catch {
+    // nothing to clear
+  }
+};
@@ -0,0 +1,247 @@
+/**
+ * Integer representations
+ * ------------------------------------------------------
+ * One bit pattern, read in different ways: unsigned, two's complement,
+ * sign-magnitude, ones' complement, excess-K, packed and unpacked BCD,
+ * Gray code and Qm.n fixed point. Each representation can decode the
+ * pattern, encode typed text back into a pattern and name the place
+ * weight of every bit. Encoding returns `{pattern, adjusted}`, adjusted
+ * when the pattern means something other than the text (saturated,
+ * wrapped or rounded), or `{error, reason}`: the English message and
+ * `{id, ...values}` to build it in another language from. Patterns are
+ * unsigned BigInts as in conversions.js; `opts` is `{bits, bias, fracBits}`.
+ */
+
+import { maxUnsigned, parseDecimal, toUnsigned, unsignedToSigned } from "./conversions.js";
+
+// ---------- weight labels ----------
+const FRACTIONS = { 1: "½", 2: "¼", 3: "⅛" };
+
+/** 2^k as a short label: 1, 2, …, 32768, then 2^16…; ½, ¼, ⅛, then 2^-4… */
+export const powerLabel = (k) => (k >= 0 ? (k < 16 ? String(2 ** k) : `2^${k}`) : FRACTIONS[-k] || `2^${k}`);
+
+// 2^b · 10^k, the weight of bit b of decimal digit k
+const digitWeightLabel = (b, k) => (k < 4 ? String(2 ** b * 10 ** k) : `${2 ** b}·10^${k}`);
+
+// ---------- decimal text ----------
+const isNegativeText = (str) => /^\s*-/.test(str);
+
+// a value, or "-0" for the negative zero of sign-magnitude and ones' complement
+const signedText = (negative, magnitude) => (negative ? "-" : "") + magnitude.toString();
+
+const failure = (error, id, values = {}) => ({ error, reason: { id, ...values } });
+const outOfRange = (min, max) => failure(`Out of range: ${min} … ${max}`, "range", { min, max });
+const notAnInteger = failure("Not a whole number", "integer");
+
+/** Exact decimal expansion of s / 2^f; every binary fraction ends in decimal. */
+export const fixedToDecimal = (s, f) => {
+  if (f === 0) return s.toString();
+  const negative = s < 0n;
+  const digits = ((negative ? -s : s) * 5n ** BigInt(f)).toString().padStart(f + 1, "0");
+  const fraction = digits.slice(-f).replace(/0+$/, "");
+  return (negative ? "-" : "") + digits.slice(0, -f) + (fraction ? "." + fraction : "");
+};
+
+/** Decimal text to the nearest multiple of 2^-f, as that multiple; null if not a number. */
+export const decimalToFixed = (str, f) => {
+  const m = /^\s*([+-]?)(\d*)(?:\.(\d*))?\s*$/.exec(str ?? "");
+  if (!m || (m[2] === "" && !m[3])) return null;
+  const fraction = m[3] || "";
+  const den = 10n ** BigInt(fraction.length);
+  const scaled = BigInt(m[2] + fraction || "0") << BigInt(f);
+  let q = scaled / den;
+  const r = scaled % den;
+  if (r * 2n >= den) q++; // round half away from zero
+  return { value: m[1] === "-" ? -q : q, exact: r === 0n };
+};
+
+// ---------- BCD ----------
+// digit groups from least significant: {shift, size} of each group's digit bits
+const bcdGroups = (bits, stride) => {
+  const groups = [];
+  for (let shift = 0; shift < bits; shift += stride) groups.push({ shift, size: Math.min(4, bits - shift) });
+  return groups;
+};
+
+const decodeBcd = (u, bits, stride) => {
+  let digits = "";
+  for (const { shift, size } of bcdGroups(bits, stride)) {
+    const group = (u >> BigInt(shift)) & ((1n << BigInt(stride)) - 1n);
+    const digit = Number(group & 0xfn);
+    if (group > 0xfn) {
+      const high = Math.min(shift + stride, bits) - 1;
+      return failure(`bits ${high}–${shift + 4} must be 0 in unpacked BCD`, "unpacked", { high, low: shift + 4 });
+    }
+    if (digit > 9) {
+      const pattern = digit.toString(2).padStart(size, "0");
+      const high = shift + size - 1;
+      return failure(`${pattern} (bits ${high}–${shift}) is not a decimal digit`, "digit", { pattern, high, low: shift });
+    }
+    digits = digit + digits;
+  }
+  return { value: digits.replace(/^0+(?=\d)/, "") };
+};
+
+const encodeBcd = (str, bits, stride) => {
+  const s = String(str ?? "").trim();
+  if (!/^\+?\d+$/.test(s)) return failure("BCD holds digits 0–9 only, no sign", "bcd");
+  const groups = bcdGroups(bits, stride);
+  const digits = s.replace(/^\+/, "").replace(/^0+(?=\d)/, "");
+  if (digits.length > groups.length) {
+    return failure(`${bits} bits hold ${groups.length} digit${groups.length > 1 ? "s" : ""}`, "digits", { bits, count: groups.length });
+  }
+  let pattern = 0n;
+  for (let k = 0; k < digits.length; k++) {
+    const digit = Number(digits[digits.length - 1 - k]);
+    const { shift, size } = groups[k];
+    if (digit >= 2 ** size) return failure(`the top digit has only ${size} bit${size > 1 ? "s" : ""}`, "topDigit", { count: size });
+    pattern |= BigInt(digit) << BigInt(shift);
+  }
+  return { pattern };
+};
+
+const bcdWeight = (i, stride) => {
+  const b = i % stride;
+  return b >= 4 ? "0" : digitWeightLabel(b, Math.floor(i / stride));
+};
+
+// ---------- the representations ----------
+const signedRange = (bits) => [-(1n << BigInt(bits - 1)), (1n << BigInt(bits - 1)) - 1n];
+const symmetricMax = (bits) => (1n << BigInt(bits - 1)) - 1n;
+
+/** The default bias: 2^(bits−1), so the pattern 100…0 means 0. */
+export const defaultBias = (bits) => 1n << BigInt(bits - 1);
+
+/** The default number of fraction bits for Qm.n. */
+export const defaultFracBits = (bits) => Math.floor(bits / 2);
+
+export const REPRESENTATIONS = [
+  {
+    id: "unsigned",
+    label: "Unsigned",
+    rule: "Σ bitᵢ · 2ⁱ",
+    decode: (u) => ({ value: u.toString() }),
+    encode: (str, { bits }) => {
+      const n = parseDecimal(str);
+      if (n === null) return notAnInteger;
+      const pattern = toUnsigned(n, bits);
+      return { pattern, adjusted: pattern !== n };
+    },
+    weight: (i) => powerLabel(i),
+  },
+  {
+    id: "signed",
+    label: "Two's complement",
+    rule: "the MSB weighs −2ⁿ⁻¹",
+    decode: (u, { bits }) => ({ value: unsignedToSigned(u, bits).toString() }),
+    encode: (str, { bits }) => {
+      const n = parseDecimal(str);
+      if (n === null) return notAnInteger;
+      const pattern = toUnsigned(n, bits);
+      return { pattern, adjusted: unsignedToSigned(pattern, bits) !== n };
+    },
+    weight: (i, { bits }) => (i === bits - 1 ? "−" + powerLabel(i) : powerLabel(i)),
+  },
+  {
+    id: "sign-magnitude",
+    label: "Sign-magnitude",
+    rule: "MSB is the sign, the rest the magnitude; 100…0 is −0",
+    decode: (u, { bits }) => {
+      const sign = 1n << BigInt(bits - 1);
+      return { value: signedText((u & sign) !== 0n, u & (sign - 1n)) };
+    },
+    encode: (str, { bits }) => {
+      const n = parseDecimal(str);
+      if (n === null) return notAnInteger;
+      const max = symmetricMax(bits);
+      if (n > max || n < -max) return outOfRange(-max, max);
+      return { pattern: isNegativeText(str) ? (1n << BigInt(bits - 1)) | -n : n };
+    },
+    weight: (i, { bits }) => (i === bits - 1 ? "±" : powerLabel(i)),
+  },
+  {
+    id: "ones",
+    label: "Ones' complement",
+    rule: "negative values invert every bit; 11…1 is −0",
+    decode: (u, { bits }) => {
+      const negative = u >> BigInt(bits - 1) === 1n;
+      return { value: signedText(negative, negative ? maxUnsigned(bits) - u : u) };
+    },
+    encode: (str, { bits }) => {
+      const n = parseDecimal(str);
+      if (n === null) return notAnInteger;
+      const max = symmetricMax(bits);
+      if (n > max || n < -max) return outOfRange(-max, max);
+      return { pattern: isNegativeText(str) ? maxUnsigned(bits) + n : n };
+    },
+    weight: (i, { bits }) =>
+      i === bits - 1 ? (i < 16 ? `−${2 ** i - 1}` : `−(2^${i}−1)`) : powerLabel(i),
+  },
+  {
+    id: "excess",
+    label: "Excess-K (biased)",
+    rule: "pattern − K",
+    decode: (u, { bias }) => ({ value: (u - bias).toString() }),
+    encode: (str, { bits, bias }) => {
+      const n = parseDecimal(str);
+      if (n === null) return notAnInteger;
+      if (n < -bias || n + bias > maxUnsigned(bits)) return outOfRange(-bias, maxUnsigned(bits) - bias);
+      return { pattern: n + bias };
+    },
+    weight: (i) => powerLabel(i),
+  },
+  {
+    id: "bcd",
+    label: "Packed BCD",
+    rule: "one decimal digit per 4 bits",
+    decode: (u, { bits }) => decodeBcd(u, bits, 4),
+    encode: (str, { bits }) => encodeBcd(str, bits, 4),
+    weight: (i) => bcdWeight(i, 4),
+  },
+  {
+    id: "bcd-unpacked",
+    label: "Unpacked BCD",
+    rule: "one decimal digit per byte, in the low 4 bits",
+    decode: (u, { bits }) => decodeBcd(u, bits, 8),
+    encode: (str, { bits }) => encodeBcd(str, bits, 8),
+    weight: (i) => bcdWeight(i, 8),
+  },
+  {
+    id: "gray",
+    label: "Gray code",
+    rule: "binary bitᵢ = Gray bitᵢ ⊕ binary bitᵢ₊₁; neighbours differ in one bit",
+    decode: (u) => {
+      let n = u;
+      for (let s = u >> 1n; s; s >>= 1n) n ^= s;
+      return { value: n.toString() };
+    },
+    encode: (str, { bits }) => {
+      const n = parseDecimal(str);
+      if (n === null) return notAnInteger;
+      if (n < 0n || n > maxUnsigned(bits)) return outOfRange(0n, maxUnsigned(bits));
+      return { pattern: n ^ (n >> 1n) };
+    },
+    weight: () => "⊕",
+  },
+  {
+    id: "fixed",
+    label: "Fixed point",
+    rule: "two's complement ÷ 2ⁿ",
+    decode: (u, { bits, fracBits }) => ({ value: fixedToDecimal(unsignedToSigned(u, bits), fracBits) }),
+    encode: (str, { bits, fracBits }) => {
+      const parsed = decimalToFixed(str, fracBits);
+      if (parsed === null) return failure("Not a number", "number");
+      const [min, max] = signedRange(bits);
+      if (parsed.value < min || parsed.value > max) {
+        return outOfRange(fixedToDecimal(min, fracBits), fixedToDecimal(max, fracBits));
+      }
+      return { pattern: BigInt.asUintN(bits, parsed.value), adjusted: !parsed.exact };
+    },
+    weight: (i, { bits, fracBits }) => (i === bits - 1 ? "−" : "") + powerLabel(i - fracBits),
+  },
+];
+
+export const findRepresentation = (id) => REPRESENTATIONS.find((r) => r.id === id) || REPRESENTATIONS[0];
+
+/** "Q4.4": integer bits (sign included) and fraction bits. */
+export const qFormat = (bits, fracBits) => `Q${bits - fracBits}.${fracBits}`;
@@ -0,0 +1,136 @@
+/**
+ * LSB steganography
+ * ------------------------------------------------------
+ * Hides bytes in the lowest bits of an image's colour channels. The
+ * payload is a 32-bit big-endian byte count followed by the bytes,
+ * read most significant bit first. It is spread over the chosen
+ * channels of each pixel in raster order, `bits` bits per channel
+ * (highest of them first). Pixels that are not fully opaque are
+ * skipped: browsers store canvas pixels premultiplied by alpha, which
+ * would round their colour bits away.
+ *
+ * Images are ImageData-like: { width, height, data } with RGBA bytes.
+ * Errors are `{error, reason}`: the English message and `{id, ...values}`
+ * to build it in another language from.
+ */
+
+// named in the catalogs (stego.channel.<id>)
+export const STEGO_CHANNELS = [
+  { id: "r", offset: 0 },
+  { id: "g", offset: 1 },
+  { id: "b", offset: 2 },
+];
+export const MAX_STEGO_BITS = 4;
+
+const failure = (error, id, values = {}) => ({ error, reason: { id, ...values } });
+export const LENGTH_BITS = 32;
+
+const offsetsOf = (channels) => STEGO_CHANNELS.filter((c) => channels.includes(c.id)).map((c) => c.offset);
+
+/**
+ * Calls visit(index, shift, n) for the first `count` carrier bits: bit
+ * `shift` of byte `index` in the pixel data carries payload bit n.
+ * Returns how many carrier bits there were.
+ */
+const walk = (data, { channels, bits }, count, visit) => {
+  const offsets = offsetsOf(channels);
+  let n = 0;
+  for (let p = 0; p < data.length && n < count; p += 4) {
+    if (data[p + 3] !== 255) continue;
+    for (const o of offsets) for (let s = bits - 1; s >= 0 && n < count; s--, n++) visit(p + o, s, n);
+  }
+  return n;
+};
+
+/** Carrier pixels (opaque ones), carrier bits and the longest message that fits, in bytes. */
+export const capacity = ({ data }, { channels, bits }) => {
+  let pixels = 0;
+  for (let p = 3; p < data.length; p += 4) if (data[p] === 255) pixels++;
+  const total = pixels * offsetsOf(channels).length * bits;
+  return { pixels, skipped: data.length / 4 - pixels, bits: total, bytes: Math.max(0, Math.floor((total - LENGTH_BITS) / 8)) };
+};
+
+const payloadBits = (bytes) => {
+  const all = [bytes.length >>> 24, (bytes.length >>> 16) & 0xff, (bytes.length >>> 8) & 0xff, bytes.length & 0xff, ...bytes];
+  return (n) => (all[n >> 3] >> (7 - (n & 7))) & 1;
+};
+
+/**
+ * `bytes` hidden in a copy of the image. Returns { data, usedBits,
+ * changedBits, changedPixels }, or { error, reason } when they do not fit.
+ */
+export const embedMessage = (image, bytes, options) => {
+  const room = capacity(image, options);
+  if (bytes.length > room.bytes) {
+    return failure(`The message is ${bytes.length} bytes; at most ${room.bytes} fit`, "tooLong", { length: bytes.length, fit: room.bytes });
+  }
+  const data = new Uint8ClampedArray(image.data);
+  const bitAt = payloadBits(bytes);
+  const usedBits = LENGTH_BITS + bytes.length * 8;
+  let changedBits = 0;
+  const touched = new Set();
+  walk(data, options, usedBits, (i, s, n) => {
+    const bit = bitAt(n);
+    if (((data[i] >> s) & 1) === bit) return;
+    data[i] ^= 1 << s;
+    changedBits++;
+    touched.add(i >> 2);
+  });
+  return { data, usedBits, changedBits, changedPixels: touched.size };
+};
+
+/**
+ * The bytes hidden in an image with the same options. Returns { bytes,
+ * usedBits } or { error, reason } when the length header cannot be
+ * right, which is what an image without a message usually gives.
+ */
+export const extractMessage = (image, options) => {
+  const room = capacity(image, options);
+  if (room.bits < LENGTH_BITS) return failure("The image is too small to hold even the length", "tooSmall");
+  let length = 0;
+  walk(image.data, options, LENGTH_BITS, (i, s) => {
+    length = length * 2 + ((image.data[i] >> s) & 1);
+  });
+  if (length > room.bytes) {
+    return failure(
+      `The length header says ${length.toLocaleString()} bytes, more than the ${room.bytes.toLocaleString()} that fit: probably no message here`,
+      "noMessage",
+      { length, fit: room.bytes }
+    );
+  }
+  const bytes = new Uint8Array(length);
+  walk(image.data, options, LENGTH_BITS + length * 8, (i, s, n) => {
+    if (n >= LENGTH_BITS) bytes[(n - LENGTH_BITS) >> 3] |= ((image.data[i] >> s) & 1) << (7 - ((n - LENGTH_BITS) & 7));
+  });
+  return { bytes, usedBits: LENGTH_BITS + length * 8 };
+};
+
+/**
+ * The carrier bits of pixel (x, y): [{ offset, shift, n }], bit `shift`
+ * of channel `offset` carrying payload bit n. Empty for skipped pixels.
+ */
+export const carriersAt = ({ width, data }, x, y, { channels, bits }) => {
+  const target = (y * width + x) * 4;
+  if (data[target + 3] !== 255) return [];
+  let before = 0;
+  for (let p = 3; p < target; p += 4) if (data[p] === 255) before++;
+  const offsets = offsetsOf(channels);
+  const first = before * offsets.length * bits;
+  return offsets.flatMap((offset, c) => Array.from({ length: bits }, (_, k) => ({ offset, shift: bits - 1 - k, n: first + c * bits + k })));
+};
+
+/**
+ * The low `bits` bits of each chosen channel stretched to 0–255, so
+ * the hidden layer becomes visible: natural images show faint shapes
+ * there, a payload shows as noise. Other channels are black.
+ */
+export const lowBitsData = ({ data }, { channels, bits }) => {
+  const offsets = offsetsOf(channels);
+  const mask = (1 << bits) - 1;
+  const out = new Uint8ClampedArray(data.length);
+  for (let p = 0; p < data.length; p += 4) {
+    for (const o of offsets) out[p + o] = ((data[p + o] & mask) * 255) / mask;
+    out[p + 3] = 255;
+  }
+  return out;
+};
@@ -0,0 +1,226 @@
+/**
+ * Text encodings for the Text & Unicode tab
+ * ------------------------------------------------------
+ * Encodes a string into bytes and decodes bytes back into a string
+ * for the Unicode transformation formats and a few legacy single-byte
+ * code pages. Everything is implemented here rather than through
+ * TextDecoder, because browsers treat "iso-8859-1" as Windows-1252 and
+ * support neither UTF-32 nor CP437.
+ *
+ * encodeText() returns the bytes grouped into units (one per code point,
+ * or per UTF-16 code unit for surrogates) so the UI can draw which bytes
+ * belong to which character.
+ */
+
+// Windows-1252 differs from ISO-8859-1 only in 0x80–0x9F; null marks the five unassigned bytes.
+const WINDOWS_1252_HIGH = [
+  0x20ac, null, 0x201a, 0x0192, 0x201e, 0x2026, 0x2020, 0x2021,
+  0x02c6, 0x2030, 0x0160, 0x2039, 0x0152, null, 0x017d, null,
+  null, 0x2018, 0x2019, 0x201c, 0x201d, 0x2022, 0x2013, 0x2014,
+  0x02dc, 0x2122, 0x0161, 0x203a, 0x0153, null, 0x017e, 0x0178,
+];
+
+// The original IBM PC character set, bytes 0x80–0xFF.
+const CP437_HIGH =
+  "ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒáíóúñÑªº¿⌐¬½¼¡«»░▒▓│┤╡╢╖╕╣║╗╝╜╛┐" +
+  "└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■\u00A0";
+
+const buildSingleByteTable = (high) => {
+  const toCp = [];
+  for (let b = 0; b < 0x80; b++) toCp.push(b);
+  for (let b = 0x80; b < 0x100; b++) toCp.push(typeof high === "string" ? high.codePointAt(b - 0x80) : high(b));
+  const fromCp = new Map();
+  toCp.forEach((cp, b) => {
+    if (cp !== null) fromCp.set(cp, b);
+  });
+  return { toCp, fromCp };
+};
+
+const SINGLE_BYTE_TABLES = {
+  ascii: { toCp: Array.from({ length: 0x100 }, (_, b) => (b < 0x80 ? b : null)) },
+  latin1: buildSingleByteTable((b) => b),
+  windows1252: buildSingleByteTable((b) => (b < 0xa0 ? WINDOWS_1252_HIGH[b - 0x80] : b)),
+  cp437: buildSingleByteTable(CP437_HIGH),
+};
+SINGLE_BYTE_TABLES.ascii.fromCp = new Map(Array.from({ length: 0x80 }, (_, b) => [b, b]));
+
+export const ENCODINGS = [
+  { id: "utf8", label: "UTF‑8", kind: "utf8", bom: [0xef, 0xbb, 0xbf] },
+  { id: "utf16le", label: "UTF‑16LE", kind: "utf16", littleEndian: true, bom: [0xff, 0xfe] },
+  { id: "utf16be", label: "UTF‑16BE", kind: "utf16", littleEndian: false, bom: [0xfe, 0xff] },
+  { id: "utf32le", label: "UTF‑32LE", kind: "utf32", littleEndian: true, bom: [0xff, 0xfe, 0x00, 0x00] },
+  { id: "utf32be", label: "UTF‑32BE", kind: "utf32", littleEndian: false, bom: [0x00, 0x00, 0xfe, 0xff] },
+  { id: "ascii", label: "US‑ASCII", kind: "single", bom: null },
+  { id: "latin1", label: "ISO‑8859‑1", kind: "single", bom: null },
+  { id: "windows1252", label: "Windows‑1252", kind: "single", bom: null },
+  { id: "cp437", label: "CP437", kind: "single", bom: null },
+];
+
+export const encodingById = (id) => ENCODINGS.find((e) => e.id === id) || ENCODINGS[0];
+
+const REPLACEMENT = 0xfffd;
+const QUESTION_MARK = 0x3f;
+
+// The four UTF-8 byte layouts; x marks the bits taken from the code point.
+export const UTF8_FORMS = [
+  { length: 1, min: 0x0, max: 0x7f, template: ["0xxxxxxx"] },
+  { length: 2, min: 0x80, max: 0x7ff, template: ["110xxxxx", "10xxxxxx"] },
+  { length: 3, min: 0x800, max: 0xffff, template: ["1110xxxx", "10xxxxxx", "10xxxxxx"] },
+  { length: 4, min: 0x10000, max: 0x10ffff, template: ["11110xxx", "10xxxxxx", "10xxxxxx", "10xxxxxx"] },
+];
+
+export const utf8Form = (cp) => UTF8_FORMS.find((f) => cp <= f.max) || UTF8_FORMS[3];
+
+const utf8Encode = (cp) => {
+  if (cp < 0x80) return [cp];
+  if (cp < 0x800) return [0xc0 | (cp >> 6), 0x80 | (cp & 0x3f)];
+  if (cp < 0x10000) return [0xe0 | (cp >> 12), 0x80 | ((cp >> 6) & 0x3f), 0x80 | (cp & 0x3f)];
+  return [0xf0 | (cp >> 18), 0x80 | ((cp >> 12) & 0x3f), 0x80 | ((cp >> 6) & 0x3f), 0x80 | (cp & 0x3f)];
+};
+
+const unitBytes = (value, size, littleEndian) => {
+  const bytes = [];
+  for (let i = size - 1; i >= 0; i--) bytes.push((value >>> (i * 8)) & 0xff);
+  return littleEndian ? bytes.reverse() : bytes;
+};
+
+/**
+ * Encodes text into units of { bytes, cp, role }.
+ * role is "char", "bom", "high"/"low" (UTF-16 surrogate halves) or
+ * "unmappable" (replaced by "?" in a single-byte encoding).
+ */
+export const encodeText = (text, id, { bom = false } = {}) => {
+  const enc = encodingById(id);
+  const units = [];
+  if (bom && enc.bom) units.push({ bytes: enc.bom, cp: 0xfeff, role: "bom" });
+  for (const ch of Array.from(text || "")) {
+    // lone surrogates cannot be encoded by any UTF and become U+FFFD, as TextEncoder does
+    let cp = ch.codePointAt(0);
+    if (cp >= 0xd800 && cp <= 0xdfff && enc.kind !== "single") cp = REPLACEMENT;
+    if (enc.kind === "utf8") {
+      units.push({ bytes: utf8Encode(cp), cp, role: "char" });
+    } else if (enc.kind === "utf16") {
+      if (cp < 0x10000) {
+        units.push({ bytes: unitBytes(cp, 2, enc.littleEndian), cp, role: "char" });
+      } else {
+        const v = cp - 0x10000;
+        units.push({ bytes: unitBytes(0xd800 | (v >> 10), 2, enc.littleEndian), cp, role: "high" });
+        units.push({ bytes: unitBytes(0xdc00 | (v & 0x3ff), 2, enc.littleEndian), cp, role: "low" });
+      }
+    } else if (enc.kind === "utf32") {
+      units.push({ bytes: unitBytes(cp, 4, enc.littleEndian), cp, role: "char" });
+    } else {
+      const b = SINGLE_BYTE_TABLES[enc.id].fromCp.get(cp);
+      units.push(b === undefined ? { bytes: [QUESTION_MARK], cp, role: "unmappable" } : { bytes: [b], cp, role: "char" });
+    }
+  }
+  return units;
+};
+
+export const encodeBytes = (text, id, options) => encodeText(text, id, options).flatMap((u) => u.bytes);
+
+/**
+ * Strict UTF-8 decoder. Returns the decoded text plus one segment per
+ * code point or invalid sequence: { offset, bytes, cp, value, error, expected }.
+ * error is one of "stray" (continuation byte without a lead), "invalid-byte"
+ * (0xF8–0xFF), "truncated" (fewer continuation bytes than the lead announces),
+ * "overlong", "surrogate" or "too-large" (beyond U+10FFFF). Each invalid
+ * sequence decodes to a single U+FFFD.
+ */
+export const decodeUtf8Strict = (bytes) => {
+  const segments = [];
+  let i = 0;
+  while (i < bytes.length) {
+    const lead = bytes[i];
+    if (lead < 0x80) {
+      segments.push({ offset: i, bytes: [lead], cp: lead, value: lead, error: null });
+      i++;
+      continue;
+    }
+    if (lead < 0xc0 || lead >= 0xf8) {
+      segments.push({ offset: i, bytes: [lead], cp: null, value: null, error: lead < 0xc0 ? "stray" : "invalid-byte" });
+      i++;
+      continue;
+    }
+    const need = lead < 0xe0 ? 1 : lead < 0xf0 ? 2 : 3;
+    let found = 0;
+    while (found < need && i + 1 + found < bytes.length && (bytes[i + 1 + found] & 0xc0) === 0x80) found++;
+    const seq = Array.from(bytes.slice(i, i + 1 + found));
+    if (found < need) {
+      segments.push({ offset: i, bytes: seq, cp: null, value: null, error: "truncated", expected: need + 1 });
+      i += 1 + found;
+      continue;
+    }
+    let value = lead & (0x7f >> (need + 1));
+    for (let j = 1; j <= need; j++) value = (value << 6) | (bytes[i + j] & 0x3f);
+    let error = null;
+    if (value < UTF8_FORMS[need].min) error = "overlong";
+    else if (value >= 0xd800 && value <= 0xdfff) error = "surrogate";
+    else if (value > 0x10ffff) error = "too-large";
+    segments.push({ offset: i, bytes: seq, cp: error ? null : value, value, error });
+    i += 1 + need;
+  }
+  const text = segments.map((seg) => String.fromCodePoint(seg.cp ?? REPLACEMENT)).join("");
+  return { text, segments, errors: segments.filter((seg) => seg.error) };
+};
+
+const startsWith = (bytes, prefix) => prefix.length <= bytes.length && prefix.every((b, i) => bytes[i] === b);
+
+// Detects a byte order mark; UTF-32LE is checked before UTF-16LE because its BOM starts the same way.
+export const sniffBom = (bytes) => {
+  const order = ["utf32le", "utf32be", "utf8", "utf16le", "utf16be"];
+  return order.map(encodingById).find((e) => startsWith(bytes, e.bom)) || null;
+};
+
+const fromCodePoints = (cps) => cps.map((cp) => String.fromCodePoint(cp)).join("");
+
+/**
+ * Decodes bytes with the given encoding. Invalid input decodes to U+FFFD
+ * (use decodeUtf8Strict() to find out why). Unlike a non-fatal
+ * TextDecoder, which replaces each maximal subpart separately, UTF-8
+ * gives one U+FFFD per invalid sequence: ED A0 80 decodes to one, not
+ * three. With bom: true a matching BOM is skipped.
+ */
+export const decodeBytes = (bytes, id, { bom = true } = {}) => {
+  const enc = encodingById(id);
+  let input = Array.from(bytes);
+  if (bom && enc.bom && startsWith(input, enc.bom)) input = input.slice(enc.bom.length);
+
+  if (enc.kind === "utf8") {
+    return decodeUtf8Strict(input).text;
+  }
+  if (enc.kind === "utf16") {
+    const cps = [];
+    for (let i = 0; i < input.length; i += 2) {
+      if (i + 1 >= input.length) {
+        cps.push(REPLACEMENT);
+        break;
+      }
+      const unit = enc.littleEndian ? input[i] | (input[i + 1] << 8) : (input[i] << 8) | input[i + 1];
+      const last = cps.length - 1;
+      const prev = cps[last];
+      if (unit >= 0xdc00 && unit <= 0xdfff && prev >= 0xd800 && prev <= 0xdbff) {
+        cps[last] = 0x10000 + ((prev - 0xd800) << 10) + (unit - 0xdc00);
+      } else {
+        cps.push(unit);
+      }
+    }
+    return fromCodePoints(cps.map((cp) => (cp >= 0xd800 && cp <= 0xdfff ? REPLACEMENT : cp)));
+  }
+  if (enc.kind === "utf32") {
+    const cps = [];
+    for (let i = 0; i < input.length; i += 4) {
+      if (i + 3 >= input.length) {
+        cps.push(REPLACEMENT);
+        break;
+      }
+      const word = input.slice(i, i + 4);
+      if (enc.littleEndian) word.reverse();
+      const cp = ((word[0] << 24) | (word[1] << 16) | (word[2] << 8) | word[3]) >>> 0;
+      cps.push(cp > 0x10ffff || (cp >= 0xd800 && cp <= 0xdfff) ? REPLACEMENT : cp);
+    }
+    return fromCodePoints(cps);
+  }
+  const { toCp } = SINGLE_BYTE_TABLES[enc.id];
+  return fromCodePoints(input.map((b) => (toCp[b] === null ? REPLACEMENT : toCp[b])));
+};
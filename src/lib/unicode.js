@@ -0,0 +1,156 @@
+/**
+ * Unicode helpers for the Text & Unicode tab
+ * ------------------------------------------------------
+ * Grapheme clusters (user-perceived characters), normalization forms,
+ * and character names, general categories and blocks looked up in the
+ * bundled Unicode Character Database extract (src/data/unicodeData.json,
+ * generated by scripts/build-unicode-data.mjs).
+ *
+ * The database is ~500 kB, so it is loaded on demand with loadUnicodeData().
+ */
+
+export const codePoints = (str) => Array.from(str || "", (ch) => ch.codePointAt(0));
+
+const segmenter =
+  typeof Intl !== "undefined" && Intl.Segmenter ? new Intl.Segmenter(undefined, { granularity: "grapheme" }) : null;
+
+export const hasGraphemeSegmenter = segmenter !== null;
+
+/** Splits text into grapheme clusters; without Intl.Segmenter every code point is its own cluster. */
+export const graphemeClusters = (str) =>
+  segmenter ? Array.from(segmenter.segment(str || ""), (s) => s.segment) : Array.from(str || "");
+
+// what each form does is told in the catalogs (normalization.hint.<id>)
+export const NORMALIZATION_FORMS = [
+  { id: "NFC", label: "NFC" },
+  { id: "NFD", label: "NFD" },
+  { id: "NFKC", label: "NFKC" },
+  { id: "NFKD", label: "NFKD" },
+];
+
+export const GENERAL_CATEGORIES = {
+  Lu: "Uppercase Letter",
+  Ll: "Lowercase Letter",
+  Lt: "Titlecase Letter",
+  Lm: "Modifier Letter",
+  Lo: "Other Letter",
+  Mn: "Nonspacing Mark",
+  Mc: "Spacing Mark",
+  Me: "Enclosing Mark",
+  Nd: "Decimal Number",
+  Nl: "Letter Number",
+  No: "Other Number",
+  Pc: "Connector Punctuation",
+  Pd: "Dash Punctuation",
+  Ps: "Open Punctuation",
+  Pe: "Close Punctuation",
+  Pi: "Initial Punctuation",
+  Pf: "Final Punctuation",
+  Po: "Other Punctuation",
+  Sm: "Math Symbol",
+  Sc: "Currency Symbol",
+  Sk: "Modifier Symbol",
+  So: "Other Symbol",
+  Zs: "Space Separator",
+  Zl: "Line Separator",
+  Zp: "Paragraph Separator",
+  Cc: "Control",
+  Cf: "Format",
+  Cs: "Surrogate",
+  Co: "Private Use",
+  Cn: "Unassigned",
+};
+
+// Hangul syllable names are built from jamo short names (Unicode §3.12).
+const JAMO_L = ["G", "GG", "N", "D", "DD", "R", "M", "B", "BB", "S", "SS", "", "J", "JJ", "C", "K", "T", "P", "H"];
+const JAMO_V = ["A", "AE", "YA", "YAE", "EO", "E", "YEO", "YE", "O", "WA", "WAE", "OE", "YO", "U", "WEO", "WE", "WI", "YU", "EU", "YI", "I"];
+const JAMO_T = ["", "G", "GG", "GS", "N", "NJ", "NH", "D", "L", "LG", "LM", "LB", "LS", "LT", "LP", "LH", "M", "B", "BS", "S", "SS", "NG", "J", "C", "K", "T", "P", "H"];
+const HANGUL_BASE = 0xac00;
+
+const hex = (cp) => cp.toString(16).toUpperCase().padStart(4, "0");
+
+const rangeName = (label, cp) => {
+  if (label.startsWith("CJK Ideograph")) return `CJK UNIFIED IDEOGRAPH-${hex(cp)}`;
+  if (label.startsWith("Tangut Ideograph")) return `TANGUT IDEOGRAPH-${hex(cp)}`;
+  if (label === "Hangul Syllable") {
+    const s = cp - HANGUL_BASE;
+    return `HANGUL SYLLABLE ${JAMO_L[Math.floor(s / 588)]}${JAMO_V[Math.floor((s % 588) / 28)]}${JAMO_T[s % 28]}`;
+  }
+  if (label.includes("Surrogate")) return `<surrogate-${hex(cp)}>`;
+  return `<private-use-${hex(cp)}>`;
+};
+
+const isNoncharacter = (cp) => (cp >= 0xfdd0 && cp <= 0xfdef) || (cp & 0xfffe) === 0xfffe;
+
+// Unpacks the compact name list written by scripts/build-unicode-data.mjs.
+const buildIndex = ({ version, blocks, ranges, names }) => {
+  const lines = names.split("\n");
+  const cps = new Int32Array(lines.length);
+  const nameList = new Array(lines.length);
+  const categories = new Array(lines.length);
+  let cp = -1;
+  let prevName = "";
+  let category = "";
+  lines.forEach((line, i) => {
+    const [delta, cat, rest] = line.split("|");
+    cp += delta === "" ? 1 : parseInt(delta, 36);
+    if (cat !== "") category = cat;
+    const name = prevName.slice(0, rest.charCodeAt(0) - 48) + rest.slice(1);
+    cps[i] = cp;
+    nameList[i] = name;
+    categories[i] = category;
+    prevName = name;
+  });
+  return { version, blocks, ranges, cps, names: nameList, categories };
+};
+
+// Index of the last entry whose start is <= cp, or -1.
+const searchStart = (length, startAt, cp) => {
+  let lo = 0;
+  let hi = length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (startAt(mid) <= cp) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+};
+
+let dbPromise = null;
+
+/** Loads and indexes the bundled Unicode data once; resolves to the database handed to charInfo(). */
+export const loadUnicodeData = () => {
+  if (!dbPromise) dbPromise = import("../data/unicodeData.json").then((m) => buildIndex(m.default));
+  return dbPromise;
+};
+
+/** Name, general category and block of a code point; db may be null while the data is still loading. */
+export const charInfo = (db, cp) => {
+  if (!db) return { name: "…", category: "", categoryName: "", block: "…" };
+
+  const b = searchStart(db.blocks.length, (i) => db.blocks[i][0], cp);
+  const block = b >= 0 && cp <= db.blocks[b][1] ? db.blocks[b][2] : "No Block";
+
+  let name;
+  let category;
+  const i = searchStart(db.cps.length, (k) => db.cps[k], cp);
+  if (i >= 0 && db.cps[i] === cp) {
+    name = db.names[i].endsWith("#") ? db.names[i].slice(0, -1) + hex(cp) : db.names[i];
+    category = db.categories[i];
+  } else {
+    const range = db.ranges.find(([start, end]) => cp >= start && cp <= end);
+    if (range) {
+      name = rangeName(range[3], cp);
+      category = range[2];
+    } else {
+      name = isNoncharacter(cp) ? `<noncharacter-${hex(cp)}>` : `<reserved-${hex(cp)}>`;
+      category = "Cn";
+    }
+  }
+  return { name, category, categoryName: GENERAL_CATEGORIES[category] || category, block };
+};
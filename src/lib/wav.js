@@ -0,0 +1,196 @@
+/**
+ * WAV files
+ * ------------------------------------------------------
+ * Writing and reading RIFF/WAVE files. A WAV file is a "RIFF" header
+ * followed by chunks of [4-byte id, 4-byte little-endian size, data]:
+ * "fmt " says how the samples are stored, "data" holds them,
+ * interleaved by channel. The parser splits a file into annotated
+ * regions in the same shape as imageFormats.js:
+ *
+ *   region: { label, offset, length, kind, fields: [{ label, offset, length, value, note? }] }
+ *
+ * with the same messages for the catalogs (file.<id>), and decodes the
+ * first channel's samples.
+ */
+
+const hex = (n, digits = 4) => "0x" + n.toString(16).toUpperCase().padStart(digits, "0");
+
+const msg = (id, values) => ({ id, ...values });
+
+const field = (label, offset, length, value, note) => ({ label, offset, length, value: typeof value === "object" ? value : String(value), note });
+
+const region = (label, offset, length, kind, fields = [], note) => ({ label, offset, length, kind, fields, note });
+
+const FORMAT_TAGS = { 1: msg("wavFormat.pcm"), 3: "IEEE float", 0xfffe: "WAVE_FORMAT_EXTENSIBLE" };
+
+// ---------- writing ----------
+/** The smallest standard container (8, 16 or 24 bits) for samples of `bits` bits. */
+export const containerBits = (bits) => (bits <= 8 ? 8 : bits <= 16 ? 16 : 24);
+
+export const WAV_HEADER_SIZE = 44;
+
+/**
+ * A mono PCM WAV of signed `bits`-bit samples. They are stored
+ * left-aligned in the container (a 12-bit sample is shifted up 4 bits);
+ * 8-bit WAV samples are unsigned, with 128 as silence.
+ */
+export const encodeWav = (ints, sampleRate, bits) => {
+  const container = containerBits(bits);
+  const bytesPerSample = container / 8;
+  const shift = container - bits;
+  const dataSize = ints.length * bytesPerSample;
+  const bytes = new Uint8Array(WAV_HEADER_SIZE + dataSize + (dataSize % 2));
+  const view = new DataView(bytes.buffer);
+  const ascii = (o, s) => [...s].forEach((c, i) => (bytes[o + i] = c.charCodeAt(0)));
+  ascii(0, "RIFF");
+  view.setUint32(4, bytes.length - 8, true);
+  ascii(8, "WAVE");
+  ascii(12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * bytesPerSample, true);
+  view.setUint16(32, bytesPerSample, true);
+  view.setUint16(34, container, true);
+  ascii(36, "data");
+  view.setUint32(40, dataSize, true);
+  ints.forEach((q, i) => {
+    const o = WAV_HEADER_SIZE + i * bytesPerSample;
+    const v = q * 2 ** shift;
+    if (container === 8) bytes[o] = v + 128;
+    else if (container === 16) view.setInt16(o, v, true);
+    else {
+      bytes[o] = v & 0xff;
+      bytes[o + 1] = (v >> 8) & 0xff;
+      bytes[o + 2] = (v >> 16) & 0xff;
+    }
+  });
+  return bytes;
+};
+
+// ---------- reading ----------
+// reads the sample at byte `o`: a signed integer for PCM, a float for IEEE float data
+const sampleReader = (view, formatCode, bits) => {
+  if (formatCode === 3 && bits === 32) return (o) => view.getFloat32(o, true);
+  if (formatCode === 3 && bits === 64) return (o) => view.getFloat64(o, true);
+  if (formatCode !== 1) return null;
+  if (bits === 8) return (o) => view.getUint8(o) - 128;
+  if (bits === 16) return (o) => view.getInt16(o, true);
+  if (bits === 24) return (o) => (view.getUint8(o) | (view.getUint8(o + 1) << 8) | (view.getInt8(o + 2) << 16));
+  if (bits === 32) return (o) => view.getInt32(o, true);
+  return null;
+};
+
+/**
+ * Parses the bytes of a WAV file. Returns `{format, regions, info,
+ * warnings}`; `format` is null when the bytes are not RIFF/WAVE. `info`
+ * holds the fmt fields, the first channel as `samples` (−1 … 1) and,
+ * for PCM, as `ints`, and `offsetOf(i)`, where sample i is stored.
+ */
+export const parseWav = (bytes) => {
+  const out = { format: null, regions: [], info: null, warnings: [] };
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const ascii = (o, n) => String.fromCharCode(...bytes.subarray(o, o + n));
+  if (bytes.length < 12 || ascii(0, 4) !== "RIFF" || ascii(8, 4) !== "WAVE") {
+    out.warnings.push(msg("warning.notWav"));
+    return out;
+  }
+  out.format = "WAV";
+  const riffSize = view.getUint32(4, true);
+  out.regions.push(
+    region(msg("region.riff"), 0, 12, "signature", [
+      field(msg("field.chunkId"), 0, 4, "RIFF", "Resource Interchange File Format"),
+      field(msg("field.size"), 4, 4, riffSize, riffSize === bytes.length - 8 ? msg("note.restOfFile") : msg("note.fileHas", { size: bytes.length - 8 })),
+      field(msg("field.formType"), 8, 4, "WAVE"),
+    ])
+  );
+  if (riffSize !== bytes.length - 8) out.warnings.push(msg("warning.riffSize", { count: riffSize + 8, size: bytes.length }));
+
+  let fmt = null;
+  let o = 12;
+  while (o + 8 <= bytes.length) {
+    const id = ascii(o, 4);
+    const size = view.getUint32(o + 4, true);
+    const d = o + 8;
+    const available = Math.min(size, bytes.length - d);
+    const fields = [field(msg("field.chunkId"), o, 4, JSON.stringify(id)), field(msg("field.size"), o + 4, 4, size, msg("note.chunkData"))];
+    if (available < size) out.warnings.push(msg("warning.chunkShort", { chunk: JSON.stringify(id), count: size - available }));
+
+    if (id === "fmt " && available >= 16) {
+      const tag = view.getUint16(d, true);
+      fmt = {
+        tag,
+        code: tag,
+        channels: view.getUint16(d + 2, true),
+        sampleRate: view.getUint32(d + 4, true),
+        byteRate: view.getUint32(d + 8, true),
+        blockAlign: view.getUint16(d + 12, true),
+        bitsPerSample: view.getUint16(d + 14, true),
+      };
+      fields.push(
+        field(msg("field.format"), d, 2, hex(tag), FORMAT_TAGS[tag] || msg("note.compressedOrUnknown")),
+        field(msg("field.channels"), d + 2, 2, fmt.channels, fmt.channels === 1 ? msg("note.mono") : fmt.channels === 2 ? msg("note.stereo") : undefined),
+        field(msg("field.sampleRate"), d + 4, 4, fmt.sampleRate, msg("note.sampleRate")),
+        field(msg("field.byteRate"), d + 8, 4, fmt.byteRate, msg("note.byteRate")),
+        field(msg("field.blockAlign"), d + 12, 2, fmt.blockAlign, msg("note.blockAlign")),
+        field(msg("field.bitsPerSample"), d + 14, 2, fmt.bitsPerSample, msg(fmt.bitsPerSample === 8 ? "note.unsigned8" : "note.signedLittleEndian"))
+      );
+      if (available >= 18) fields.push(field(msg("field.extensionSize"), d + 16, 2, view.getUint16(d + 16, true)));
+      if (tag === 0xfffe && available >= 40) {
+        fmt.code = view.getUint16(d + 24, true);
+        fields.push(
+          field(msg("field.validBits"), d + 18, 2, view.getUint16(d + 18, true)),
+          field(msg("field.channelMask"), d + 20, 4, hex(view.getUint32(d + 20, true), 8), msg("note.speakers")),
+          field(msg("field.subFormat"), d + 24, 16, hex(fmt.code), FORMAT_TAGS[fmt.code] || msg("note.unknown"))
+        );
+      }
+      if (fmt.blockAlign !== (fmt.channels * fmt.bitsPerSample) / 8) out.warnings.push(msg("warning.blockAlign"));
+      if (fmt.byteRate !== fmt.sampleRate * fmt.blockAlign) out.warnings.push(msg("warning.byteRate"));
+      out.regions.push(region(msg("region.chunk", { type: "fmt" }), o, 8 + available, "header", fields, msg("note.fmt")));
+    } else if (id === "data") {
+      const note = fmt ? msg("note.frames", { count: fmt.channels, bits: fmt.bitsPerSample }) : msg("note.noFmt");
+      const read = fmt && sampleReader(view, fmt.code, fmt.bitsPerSample);
+      const bytesPerSample = fmt && fmt.bitsPerSample / 8;
+      // frames are stepped by blockAlign: one too small for its samples would read into the next frame and past the end
+      if (fmt && read && fmt.blockAlign && fmt.blockAlign >= fmt.channels * bytesPerSample) {
+        const frames = Math.floor(available / fmt.blockAlign);
+        const isFloat = fmt.code === 3;
+        const scale = isFloat ? 1 : 2 ** (fmt.bitsPerSample - 1);
+        const ints = isFloat ? null : new Int32Array(frames);
+        const samples = new Float32Array(frames);
+        for (let i = 0; i < frames && d + i * fmt.blockAlign + bytesPerSample <= bytes.length; i++) {
+          const v = read(d + i * fmt.blockAlign);
+          if (ints) ints[i] = v;
+          samples[i] = v / scale;
+        }
+        if (frames) fields.push(field(msg("field.firstSample"), d, bytesPerSample, isFloat ? samples[0] : ints[0], fmt.channels > 1 ? msg("note.leftChannel") : undefined));
+        out.info = {
+          ...fmt,
+          formatLabel: FORMAT_TAGS[fmt.code] || hex(fmt.code),
+          frames,
+          duration: frames / fmt.sampleRate,
+          samples,
+          ints,
+          offsetOf: (i) => ({ offset: d + i * fmt.blockAlign, length: bytesPerSample }),
+        };
+      } else if (fmt) {
+        out.warnings.push(msg("warning.cannotDecode", { format: FORMAT_TAGS[fmt.code] || hex(fmt.code), bits: fmt.bitsPerSample }));
+      }
+      out.regions.push(region(msg("region.chunk", { type: "data" }), o, 8 + available, "data", fields, note));
+    } else {
+      out.regions.push(region(msg("region.chunk", { type: JSON.stringify(id) }), o, 8 + available, "meta", fields, msg(id === "LIST" ? "note.list" : "note.notNeeded")));
+    }
+    o = d + size + (size % 2); // chunks are padded to an even length
+  }
+  if (!fmt) out.warnings.push(msg("warning.noFmt"));
+  else if (!out.info && !out.warnings.some((w) => w.id === "warning.cannotDecode")) out.warnings.push(msg("warning.noData"));
+  if (o < bytes.length) {
+    out.regions.push(
+      region(msg("region.trailing"), o, bytes.length - o, "meta", [
+        field(msg("field.afterChunks"), o, bytes.length - o, msg("value.bytes", { count: bytes.length - o })),
+      ])
+    );
+  }
+  return out;
+};
@@ -0,0 +1,1252 @@
+/**
+ * Deutsche Texte
+ * ------------------------------------------------------
+ * Same keys and placeholders as en.js; npm run check:i18n lists
+ * anything missing or left in English.
+ */
+
+export default {
+  "app.title": "Labor für digitale Darstellung",
+  "app.tab.numbers": "Zahlen und Text",
+  "app.tab.graphics": "Grafik",
+  "app.tab.hex": "Hex-Betrachter",
+  "app.tab.sound": "Klang",
+  "app.liveSession": "Laufende Unterrichtssitzung",
+  "app.copyLink": "Link kopieren",
+  "app.copied": "Kopiert!",
+  "app.copyLinkTitle": "Einen Link genau zu dieser Ansicht kopieren",
+  "app.language": "Sprache",
+
+  "representation.unsigned": "Vorzeichenlos",
+  "representation.signed": "Zweierkomplement",
+  "representation.sign-magnitude": "Vorzeichen und Betrag",
+  "representation.ones": "Einerkomplement",
+  "representation.excess": "Exzess-K (mit Bias)",
+  "representation.bcd": "Gepacktes BCD",
+  "representation.bcd-unpacked": "Ungepacktes BCD",
+  "representation.gray": "Gray-Code",
+  "representation.fixed": "Festkomma",
+
+  "numbers.title": "Labor für Zahlen- und Textdarstellung",
+  "numbers.tab.number": "Zahlen",
+  "numbers.tab.float": "Gleitkomma",
+  "numbers.tab.text": "Text & Unicode",
+  "numbers.bitWidth": "Bitbreite",
+  "numbers.bitsPreset": "{bits} Bit",
+  "numbers.anyWidth": "Beliebige Breite:",
+  "numbers.bits": "Bit",
+  "numbers.range": "Bereich: 0 … {max}",
+  "numbers.signedRange": "Mit Vorzeichen: {min} … {max}",
+  "numbers.enterValue": "Wert eingeben",
+  "numbers.decimal": "Dezimal",
+  "numbers.hex": "Hex",
+  "numbers.binary": "Binär",
+  "numbers.octal": "Oktal",
+  "numbers.base": "Basis",
+  "numbers.baseDigits": "Basis {base}: Ziffern 0–{last}",
+  "numbers.notValidPlaceholder": "(ungültig)",
+  "numbers.notValid": "Ungültig als {representation}: {error}",
+  "numbers.storedAs": "Gespeichert als {value}",
+  "numbers.sliderNote": "Der Schieberegler bewegt die obersten {top} Bit; die unteren {rest} Bit bleiben, wie sie sind.",
+  "numbers.views": "Ansichten",
+  "numbers.unsigned": "Vorzeichenlos",
+  "numbers.signed": "Mit Vorzeichen (Zweierkomplement)",
+  "numbers.flipBits": "Bits umschalten",
+  "numbers.weightsAs": "Gewichte als {representation} · MSB → LSB",
+  "numbers.bitTitle": "Bit {index}, Gewicht {weight} als {representation}",
+  "numbers.binaryGrouped": "Binär (gruppiert):",
+  "numbers.as": "Als {representation}:",
+  "numbers.invalid": "ungültig",
+  "numbers.excessNote": "(Σ Gewichte − K, K = {bias})",
+  "numbers.grayNote": "(keine Stellengewichte: {rule})",
+  "numbers.signMagnitudeNote": "(± : das MSB gibt das Vorzeichen an)",
+  "numbers.bigEndian": "Bytes in Big‑Endian",
+  "numbers.littleEndian": "Bytes in Little‑Endian",
+  "numbers.target": "Ziel ({bits} Bit):",
+  "numbers.correct": "✔ Richtig!",
+  "numbers.keepGoing": "Bits umschalten oder tippen, bis es passt.",
+  "numbers.footer":
+    "Für Vorführungen im Unterricht: Schieberegler, Bits umschalten, Bytereihenfolge, IEEE-754-Gleitkommazahlen, Codepunkte und Textkodierungen. Probier 16/32/64 Bit aus und tippe Emojis.",
+
+  "text.typeText": "Text eingeben (ASCII, Unicode, Emojis)",
+  "text.placeholder": "Hier tippen…",
+  "text.clusters": "Zeichen (Graphem-Cluster): {count}",
+  "text.codePointCount": "Codepunkte: {count}",
+  "text.codeUnits": "UTF‑16-Codeeinheiten (JavaScript-Länge): {count}",
+  "text.codePoints": "Codepunkte",
+  "text.unicodeVersion": "Zeichendaten aus Unicode {version}",
+  "text.loadingUnicode": "Unicode-Zeichendaten werden geladen…",
+  "text.unicodeFailed": "Die Unicode-Daten konnten nicht geladen werden; zum erneuten Versuch die Seite neu laden",
+  "text.column.character": "Zeichen",
+  "text.column.codePoint": "Codepunkt",
+  "text.column.name": "Name",
+  "text.column.category": "Kategorie",
+  "text.column.block": "Block",
+  "text.column.hex": "U+ (hex)",
+  "text.column.decimal": "Dezimal",
+  "text.column.binary": "Binär",
+  "text.column.copy": "Kopieren",
+  "text.noCharacters": "(Keine Zeichen)",
+  "text.memberCount.one": "{count} Codepunkt",
+  "text.memberCount.other": "{count} Codepunkte",
+  "text.copyCodePoint": "U+ kopieren",
+  "text.clusterNote":
+    "Was man als ein Zeichen liest (ein Graphem-Cluster), können mehrere Codepunkte sein: ein mit ZERO WIDTH JOINERs verbundenes Emoji, eine Flagge aus zwei Regionalindikatoren, ein Hautton-Modifikator oder ein Buchstabe mit kombinierenden Akzenten.",
+  "text.noSegmenter": "Dieser Browser kennt Intl.Segmenter nicht, daher wird jeder Codepunkt als eigener Cluster gezeigt.",
+
+  "decoder.title": "Mini-Decoder",
+  "decoder.intro":
+    "Füge Hex-Bytes (z. B. {example}) oder Base64-, Base32-, Ascii85-, Prozent- oder Quoted-Printable-Text ein und wähle die Kodierung, mit der die Bytes gelesen werden. UTF‑8 wird streng geprüft: probier {overlong}, {surrogate} oder {truncated}.",
+  "decoder.input": "Eingabe",
+  "decoder.skipBom": "Passende BOM überspringen",
+  "decoder.loadText": "Text von oben als UTF‑8 laden",
+  "decoder.decodedText.one": "Dekodierter Text ({count} Byte)",
+  "decoder.decodedText.other": "Dekodierter Text ({count} Bytes)",
+  "decoder.bom": "Beginnt mit einer {encoding}-Bytereihenfolgemarke.",
+  "decoder.bomMismatch": "Beginnt mit einer {encoding}-Bytereihenfolgemarke, du dekodierst aber mit einer anderen Kodierung.",
+  "decoder.byte": "Byte {offset}",
+  "decoder.valid": "✔ Gültiges UTF‑8",
+  "decoder.replaced": "{description}. Dekodiert als U+FFFD �.",
+  "decoder.readings": "Dieselben Bytes in jeder Kodierung gelesen (Zeichensalat entsteht, wenn falsch geraten wird)",
+  "decoder.errorName.stray": "verirrt",
+  "decoder.errorName.invalid-byte": "ungültiges Byte",
+  "decoder.errorName.truncated": "abgeschnitten",
+  "decoder.errorName.overlong": "überlang",
+  "decoder.errorName.surrogate": "Surrogat",
+  "decoder.errorName.too-large": "zu groß",
+  "decoder.error.stray": "verirrtes Folgebyte {byte}: 10xxxxxx darf nur auf ein Startbyte folgen",
+  "decoder.error.invalid-byte": "{byte} kommt in UTF‑8 nie vor (0xF8–0xFF würde eine Folge von 5+ Bytes beginnen)",
+  "decoder.error.truncated.one": "abgeschnittene Folge: Startbyte {byte} kündigt {expected} Bytes an, es ist aber nur {count} da",
+  "decoder.error.truncated.other": "abgeschnittene Folge: Startbyte {byte} kündigt {expected} Bytes an, es sind aber nur {count} da",
+  "decoder.error.overlong.one": "überlange Kodierung: {cp} passt in {count} Byte, daher ist diese {length}‑Byte-Form verboten",
+  "decoder.error.overlong.other": "überlange Kodierung: {cp} passt in {count} Bytes, daher ist diese {length}‑Byte-Form verboten",
+  "decoder.error.surrogate": "kodiertes Surrogat {cp}: U+D800–U+DFFF gibt es nur innerhalb von UTF‑16, in UTF‑8 sind sie ungültig",
+  "decoder.error.too-large": "{cp} liegt jenseits von U+10FFFF, dem letzten Unicode-Codepunkt",
+
+  "graphics.title": "Grafik-Analyse",
+  "graphics.clearSelection": "Auswahl aufheben",
+  "graphics.uploadedAlt": "hochgeladen",
+  "graphics.readFailed": "{name} konnte nicht gelesen werden: {error}",
+  "graphics.pixel": "Pixel:",
+  "graphics.alpha": "(Alpha {alpha})",
+  "graphics.hideMemory": "Speicheransicht ausblenden",
+  "graphics.viewInMemory": "Im Speicher ansehen",
+
+  "float.precision": "Genauigkeit",
+  "float.format.half": "Halb",
+  "float.format.single": "Einfach",
+  "float.format.double": "Doppelt",
+  "float.formatButton": "{format} ({bits} Bit)",
+  "float.layout": "1 Vorzeichenbit, {expBits} Exponentenbits (Bias {bias}), {fracBits} Mantissenbits.",
+  "float.enterValue": "Wert eingeben",
+  "float.decimal": "Dezimal",
+  "float.hexBits": "Bits in Hex",
+  "float.placeholder": "0.1, -2.5e-3, Infinity, NaN",
+  "float.roundingNote": "Die eingegebene Dezimalzahl wird auf den nächsten darstellbaren Wert gerundet.",
+  "float.views": "Ansichten",
+  "float.class": "Klasse",
+  "float.kind.zero": "Null",
+  "float.kind.subnormal": "Subnormal",
+  "float.kind.normal": "Normalisiert",
+  "float.kind.infinity": "Unendlich",
+  "float.kind.qnan": "Stilles NaN",
+  "float.kind.snan": "Signalisierendes NaN",
+  "float.storedValue": "Gespeicherter Wert",
+  "float.exactValue": "Exakter Wert der Bits",
+  "float.flipBits": "Bits umschalten",
+  "float.field.sign": "Vorzeichen",
+  "float.field.exponent": "Exponent",
+  "float.field.mantissa": "Mantisse",
+  "float.bitTitle": "Bit {index} ({field})",
+  "float.sign": "Vorzeichen",
+  "float.negative": "negativ",
+  "float.positive": "positiv",
+  "float.exponent": "Exponent (mit Bias)",
+  "float.exponentZeros": "alles Nullen: null/subnormal, Exponent fest bei 1 − {bias} = {exponent}",
+  "float.exponentOnes": "alles Einsen: Unendlich oder NaN",
+  "float.mantissa": "Mantisse (Nachkommateil)",
+  "float.nanMantissa": "Quiet-Bit {quiet}, Nutzlast {payload} (0x{hex})",
+  "float.significand": "Signifikand {significand} (implizit {leading})",
+  "float.nanExplained": "Exponent aus lauter Einsen und Mantisse ungleich null: keine Zahl (NaN).",
+  "float.infinityExplained": "Exponent aus lauter Einsen und Mantisse null: {sign}Unendlich.",
+  "float.gap": "Abstand zur nächsten darstellbaren Zahl: {ulp}",
+  "float.specialValues": "Besondere Werte",
+  "float.preset.smallestSubnormal": "Kleinste subnormale",
+  "float.preset.largestSubnormal": "Größte subnormale",
+  "float.preset.smallestNormal": "Kleinste normalisierte",
+  "float.preset.largestFinite": "Größte endliche",
+  "float.preset.quietNan": "Stilles NaN",
+  "float.preset.nanPayload": "NaN, Nutzlast 1",
+  "float.preset.signallingNan": "Signalisierendes NaN",
+  "float.note.bias.term": "Exponent mit Bias:",
+  "float.note.bias":
+    "der Exponent wird als vorzeichenlose Zahl mit {bias} addiert gespeichert, also steht {power} als {bias} im Speicher, und die Bitmuster positiver Gleitkommazahlen sortieren sich wie ganze Zahlen.",
+  "float.note.subnormals.term": "Subnormale Zahlen:",
+  "float.note.subnormals":
+    "ein Exponent aus lauter Nullen lässt die implizite führende 1 weg und füllt die Lücke zwischen 0 und der kleinsten normalisierten Zahl mit gleichmäßig verteilten Werten (allmählicher Unterlauf).",
+  "float.note.zero.term": "±0:",
+  "float.note.zero": "die Null hat beide Vorzeichen; beim Vergleich gilt −0 === 0, aber 1 / −0 ist −Infinity.",
+  "float.note.infinity.term": "±Unendlich:",
+  "float.note.infinity": "ein Exponent aus lauter Einsen mit Mantisse null. Überläufe und 1 / 0 landen hier.",
+  "float.note.nan.term": "NaN-Nutzlast:",
+  "float.note.nan":
+    "ein Exponent aus lauter Einsen mit einer Mantisse ungleich null ist NaN. Das oberste Mantissenbit kennzeichnet ein stilles NaN; die übrigen Bits sind eine Nutzlast, die Diagnoseinformationen tragen kann. NaN ist nie gleich irgendetwas, nicht einmal sich selbst.",
+  "float.sumTitle": "Warum 0.1 + 0.2 ≠ 0.3",
+  "float.column.quantity": "Größe",
+  "float.column.exact": "Exakt gespeicherter Wert",
+  "float.storedAs": "{value} gespeichert als",
+  "float.sumRounded": "ihre Summe, gerundet",
+  "float.inPrecision.half": "halber Genauigkeit",
+  "float.inPrecision.single": "einfacher Genauigkeit",
+  "float.inPrecision.double": "doppelter Genauigkeit",
+  "float.sumEqual": "In {precision} heben sich die Rundungsfehler auf: die Summe ist dieselbe Gleitkommazahl wie {expected}.",
+  "float.sumDiffers": "In {precision} ist die Summe {sum}, nicht die Gleitkommazahl, die {expected} am nächsten liegt.",
+  "float.sumNote":
+    "Brüche wie 1/10 sind im Binärsystem periodisch (0.000110011…₂), so wie 1/3 im Dezimalsystem. Jeder Summand wird beim Speichern gerundet und die Summe noch einmal, sodass sich die Fehler zu einem anderen Bitmuster aufaddieren können.",
+  "float.enterTwo": "Zwei Zahlen zum Addieren eingeben.",
+
+  "representation.rule.unsigned": "Σ bitᵢ · 2ⁱ",
+  "representation.rule.signed": "das MSB wiegt −2ⁿ⁻¹",
+  "representation.rule.sign-magnitude": "das MSB ist das Vorzeichen, der Rest der Betrag; 100…0 ist −0",
+  "representation.rule.ones": "negative Werte kehren jedes Bit um; 11…1 ist −0",
+  "representation.rule.excess": "Muster − K",
+  "representation.rule.bcd": "eine Dezimalziffer je 4 Bit",
+  "representation.rule.bcd-unpacked": "eine Dezimalziffer je Byte, in den unteren 4 Bit",
+  "representation.rule.gray": "Binärbitᵢ = Graybitᵢ ⊕ Binärbitᵢ₊₁; Nachbarn unterscheiden sich in einem Bit",
+  "representation.rule.fixed": "Zweierkomplement ÷ 2ⁿ",
+  "reprPanel.title": "Darstellungen",
+  "reprPanel.hint": "Eine auswählen, um in ihr zu tippen und ihre Bitgewichte zu sehen",
+  "reprPanel.excess": "Exzess-{bias}",
+  "reprPanel.invalid": "ungültig: {error}",
+  "reprPanel.bias": "Bias K",
+  "reprPanel.ieeeExponents": "IEEE-754-Exponenten",
+  "reprPanel.note":
+    "Qm.n hat m ganzzahlige Bits (einschließlich Vorzeichen) und n Nachkommabits, die Schrittweite ist also 2⁻ⁿ. Vorzeichen und Betrag sowie Einerkomplement haben zwei Nullen; BCD verschenkt die Nibbles 1010–1111, und beim Gray-Code ändert sich zwischen benachbarten Zahlen genau ein Bit.",
+  "baseSteps.title": "Basisumrechnung Schritt für Schritt",
+  "baseSteps.base": "Basis",
+  "baseSteps.name.2": "binär",
+  "baseSteps.name.3": "ternär",
+  "baseSteps.name.8": "oktal",
+  "baseSteps.name.10": "dezimal",
+  "baseSteps.name.12": "duodezimal",
+  "baseSteps.name.16": "hexadezimal",
+  "baseSteps.name.other": "Basis {base}",
+  "baseSteps.toBase": "Dezimal → {name}: durch {base} teilen, bis der Quotient 0 ist.",
+  "baseSteps.remainder": "Rest {remainder}",
+  "baseSteps.digit": "Ziffer",
+  "baseSteps.last": "(letzte)",
+  "baseSteps.first": "(erste)",
+  "baseSteps.remainders": "Reste von unten nach oben:",
+  "baseSteps.fromBase": "{name} → dezimal: jede Ziffer mal {base} hoch ihrer Stelle.",
+  "baseSteps.sum": "Summe:",
+  "baseSteps.note":
+    "Die Schritte lesen die Bits vorzeichenlos; ein negativer Wert im Zweierkomplement wird als sein Bitmuster umgerechnet.",
+
+  "bitwise.title": "Bit- und Rechenwerkbank",
+  "bitwise.operands": "{bits}‑Bit-Operanden",
+  "bitwise.placeholder": "42, -7, 0xFF, 0b1010",
+  "bitwise.labValue": "← Laborwert",
+  "bitwise.labValue.title": "Den Wert aus den Einstellungen oben übernehmen",
+  "bitwise.notANumber": "keine Zahl",
+  "bitwise.bit": "Bit {index}",
+  "bitwise.op.shr": "SHR (logisch)",
+  "bitwise.op.sar": "SAR (arithmetisch)",
+  "bitwise.shiftBy": "um",
+  "bitwise.shiftBits": "Bit",
+  "bitwise.row.carry": "Übertrag",
+  "bitwise.row.product": "volles Produkt",
+  "bitwise.row.result": "Ergebnis",
+  "bitwise.partialLimit": "Teilprodukte werden bis {bits} Bit gezeichnet.",
+  "bitwise.carryNote":
+    "Die orange Zeile ist die Übertragskette: Eine 1 über einer Spalte heißt, dass aus der Spalte rechts daneben ein Übertrag kam.",
+  "bitwise.subNote": "Subtraktion addiert das Zweierkomplement von B: invertieren, dann 1 als Übertrag in Bit 0 addieren.",
+  "bitwise.flag.c.name": "Übertrag",
+  "bitwise.flag.c.hint": "vorzeichenloses Ergebnis passte nicht (Übertrag, bei − das Borgen)",
+  "bitwise.flag.v.name": "Überlauf",
+  "bitwise.flag.v.hint": "vorzeichenbehaftetes Ergebnis passte nicht (falsches Vorzeichen)",
+  "bitwise.flag.z.name": "Null",
+  "bitwise.flag.z.hint": "alle Ergebnisbits sind 0",
+  "bitwise.flag.n.name": "Vorzeichen",
+  "bitwise.flag.n.hint": "höchstwertiges Ergebnisbit (negativ im Zweierkomplement)",
+  "bitwise.column.reading": "Lesart",
+  "bitwise.column.exact": "Exaktes Ergebnis",
+  "bitwise.column.stored": "Gespeichert in {bits} Bit",
+  "bitwise.column.fits": "Passt?",
+  "bitwise.reading.unsigned": "Vorzeichenlos",
+  "bitwise.reading.signed": "Vorzeichenbehaftet (Zweierkomplement)",
+  "bitwise.notApplicable": "entfällt",
+  "bitwise.fits": "ja",
+  "bitwise.wrapped": "übergelaufen",
+  "bitwise.note":
+    "Die Hardware erzeugt ein einziges Bitmuster; ob es „übergelaufen“ ist, hängt davon ab, wie man es liest. C meldet ein falsches vorzeichenloses Ergebnis, V ein falsches vorzeichenbehaftetes. AND mit einer Maske behält ausgewählte Bits, OR setzt sie, XOR kippt sie.",
+  "bitwise.enterOperands": "A und B dezimal, als 0x-Hex oder 0b-Binärzahl eingeben.",
+
+  "encoded.title": "Kodierte Bytes",
+  "encoded.writeBom": "Eine Byte-Reihenfolge-Markierung (BOM) schreiben",
+  "encoded.bytes.one": "{count} Byte",
+  "encoded.bytes.other": "{count} Bytes",
+  "encoded.copyHex": "Als Hex kopieren",
+  "encoded.noBytes": "(Keine Bytes)",
+  "encoded.byte": "Byte {offset}",
+  "encoded.role.bom": "Byte-Reihenfolge-Markierung",
+  "encoded.role.high": "{cp} hohes Surrogat",
+  "encoded.role.low": "{cp} niedriges Surrogat",
+  "encoded.role.unmappable": "{cp} nicht in {encoding} → „?“",
+  "encoded.note.utf8": "1–4 Bytes je Codepunkt; ASCII bleibt ein Byte.",
+  "encoded.note.utf16": "2 Bytes je Codepunkt unter U+10000; alles darüber wird in ein Surrogatpaar aus 2 × 2 Bytes geteilt.",
+  "encoded.note.utf32": "Immer 4 Bytes je Codepunkt: einfach, aber groß.",
+  "encoded.note.single": "Genau ein Byte je Zeichen, aber es gibt nur 256 Zeichen; alles andere geht verloren.",
+  "encoded.sizes": "Größe je Kodierung",
+  "encoded.lost.one": "{count} Zeichen verloren",
+  "encoded.lost.other": "{count} Zeichen verloren",
+  "encoded.lossless": "verlustfrei",
+  "encoded.sizesNote":
+    "Derselbe Text, verschiedene Byteanzahlen: Jede Kodierung ist eine andere Vereinbarung darüber, wie Codepunkte zu Bytes werden.",
+
+  "utf8Steps.title": "UTF‑8 Schritt für Schritt",
+  "utf8Steps.layout": "≤ {max} → {bytes}, {bits} Nutzbits",
+  "utf8Steps.bytes.one": "{count} Byte",
+  "utf8Steps.bytes.other": "{count} Bytes",
+  "utf8Steps.bits": "Bits",
+  "utf8Steps.byte.ascii": "ASCII-Byte",
+  "utf8Steps.byte.lead": "Startbyte",
+  "utf8Steps.byte.continuation": "Folgebyte",
+  "utf8Steps.noCharacters": "(Keine Zeichen)",
+  "utf8Steps.truncated": "Die ersten {shown} von {total} Codepunkten werden gezeigt.",
+  "utf8Steps.note":
+    "Die führenden Einsen des Startbytes zählen die Bytes der Folge; jedes Folgebyte beginnt mit 10. Ein Decoder kann daher mitten in einen Text springen und die nächste Zeichengrenze finden.",
+
+  "normalization.title": "Normalformen",
+  "normalization.sample.precomposed": "é vorkomponiert",
+  "normalization.sample.combining": "e + kombinierendes ´",
+  "normalization.sample.angstrom": "Å (Ångström-Zeichen)",
+  "normalization.sample.ligature": "ﬁ-Ligatur",
+  "normalization.sample.hangul": "Hangul 한",
+  "normalization.column.form": "Form",
+  "normalization.column.text": "Text",
+  "normalization.column.codePoints": "Codepunkte",
+  "normalization.column.bytes": "UTF‑8-Bytes",
+  "normalization.column.same": "Gleich der Eingabe?",
+  "normalization.input": "Eingabe",
+  "normalization.hint.NFC": "kanonische Komposition: é als ein Codepunkt",
+  "normalization.hint.NFD": "kanonische Dekomposition: e + kombinierender Akut",
+  "normalization.hint.NFKC": "Kompatibilitätskomposition: ﬁ → fi, ① → 1",
+  "normalization.hint.NFKD": "Kompatibilitätsdekomposition",
+  "normalization.identical": "identisch",
+  "normalization.different": "andere Codepunkte",
+  "normalization.note":
+    "Kanonische Formen (NFC/NFD) ändern nur, wie dasselbe Zeichen in Codepunkten geschrieben wird. Kompatibilitätsformen (NFKC/NFKD) falten zusätzlich Doppelgänger wie Ligaturen, eingekreiste Ziffern und Hochzahlen in einfache Zeichen, wobei Information verloren geht. Zeichenketten erst vergleichen, nachdem beide Seiten gleich normalisiert wurden.",
+
+  "unicode.category.Lu": "Großbuchstabe",
+  "unicode.category.Ll": "Kleinbuchstabe",
+  "unicode.category.Lt": "Titelbuchstabe",
+  "unicode.category.Lm": "Modifikatorbuchstabe",
+  "unicode.category.Lo": "Anderer Buchstabe",
+  "unicode.category.Mn": "Nicht-Leerzeichen-Markierung",
+  "unicode.category.Mc": "Leerzeichen-Markierung",
+  "unicode.category.Me": "Umschließende Markierung",
+  "unicode.category.Nd": "Dezimalziffer",
+  "unicode.category.Nl": "Buchstabenzahl",
+  "unicode.category.No": "Andere Zahl",
+  "unicode.category.Pc": "Verbindungszeichen",
+  "unicode.category.Pd": "Bindestrich",
+  "unicode.category.Ps": "Öffnende Klammer",
+  "unicode.category.Pe": "Schließende Klammer",
+  "unicode.category.Pi": "Öffnendes Anführungszeichen",
+  "unicode.category.Pf": "Schließendes Anführungszeichen",
+  "unicode.category.Po": "Andere Interpunktion",
+  "unicode.category.Sm": "Mathematisches Symbol",
+  "unicode.category.Sc": "Währungssymbol",
+  "unicode.category.Sk": "Modifikatorsymbol",
+  "unicode.category.So": "Anderes Symbol",
+  "unicode.category.Zs": "Leerzeichen",
+  "unicode.category.Zl": "Zeilentrenner",
+  "unicode.category.Zp": "Absatztrenner",
+  "unicode.category.Cc": "Steuerzeichen",
+  "unicode.category.Cf": "Formatzeichen",
+  "unicode.category.Cs": "Surrogat",
+  "unicode.category.Co": "Privater Bereich",
+  "unicode.category.Cn": "Nicht zugewiesen",
+
+  "representation.error.range": "Außerhalb des Bereichs: {min} … {max}",
+  "representation.error.integer": "Keine ganze Zahl",
+  "representation.error.number": "Keine Zahl",
+  "representation.error.unpacked": "Bits {high}–{low} müssen in ungepacktem BCD 0 sein",
+  "representation.error.digit": "{pattern} (Bits {high}–{low}) ist keine Dezimalziffer",
+  "representation.error.bcd": "BCD enthält nur Ziffern 0–9, kein Vorzeichen",
+  "representation.error.digits.one": "{bits} Bit fassen {count} Ziffer",
+  "representation.error.digits.other": "{bits} Bit fassen {count} Ziffern",
+  "representation.error.topDigit.one": "die oberste Ziffer hat nur {count} Bit",
+  "representation.error.topDigit.other": "die oberste Ziffer hat nur {count} Bits",
+
+  "byteEncoding.hex": "Hex",
+  "byteEncoding.base64": "Base64",
+  "byteEncoding.base64url": "Base64URL",
+  "byteEncoding.base32": "Base32",
+  "byteEncoding.ascii85": "Ascii85",
+  "byteEncoding.percent": "Prozentkodierung",
+  "byteEncoding.quoted-printable": "Quoted-Printable",
+  "byteEncoding.note.base64": "6 Bit je Zeichen, 3 Bytes → 4 Zeichen, mit = aufgefüllt",
+  "byteEncoding.note.base64url": "Base64 mit - und _ statt + und /, ohne Auffüllung; sicher in URLs und Dateinamen",
+  "byteEncoding.note.base32": "5 Bit je Zeichen, 5 Bytes → 8 Zeichen; keine Kleinbuchstaben, kein 0/1/8/9",
+  "byteEncoding.note.ascii85": "4 Bytes als fünfstellige Zahl zur Basis 85, 25 % Mehraufwand; verwendet in PDF und PostScript",
+  "byteEncoding.note.percent": "URLs: Buchstaben, Ziffern und - . _ ~ bleiben, jedes andere Byte wird zu %XX",
+  "byteEncoding.note.quoted-printable":
+    "E-Mail: druckbares ASCII bleibt lesbar, andere Bytes werden zu =XX, Zeilen enden nach 76 Zeichen",
+  "decoder.inputError.character": "„{char}“ ist kein {encoding}-Zeichen",
+  "decoder.inputError.oddHex": "Ungerade Anzahl Hexziffern: jedes Byte braucht zwei",
+  "decoder.inputError.groupEnd.one": "{count} {encoding}-Zeichen kann keine Gruppe beenden",
+  "decoder.inputError.groupEnd.other": "{count} {encoding}-Zeichen können keine Gruppe beenden",
+  "decoder.inputError.groupTooLarge": "Eine Gruppe aus 5 Zeichen ist größer, als 4 Bytes fassen können",
+  "decoder.inputError.finalTooShort": "Eine letzte Gruppe braucht mindestens 2 Zeichen",
+  "decoder.inputError.finalTooLarge": "Die letzte Gruppe ist größer, als 4 Bytes fassen können",
+  "decoder.inputError.escape": "„{escape}“ an Position {position} braucht zwei Hexziffern",
+  "byteText.title": "Bytes als Text",
+  "byteText.intro.one":
+    "Das {count} UTF‑8-Byte, geschrieben mit Zeichen, die E‑Mail, URLs und JSON überstehen. Der Mehraufwand ist die zusätzliche Länge gegenüber den Bytes selbst.",
+  "byteText.intro.other":
+    "Die {count} UTF‑8-Bytes, geschrieben mit Zeichen, die E‑Mail, URLs und JSON überstehen. Der Mehraufwand ist die zusätzliche Länge gegenüber den Bytes selbst.",
+  "byteText.column.encoding": "Kodierung",
+  "byteText.column.text": "Text",
+  "byteText.column.characters": "Zeichen",
+  "byteText.column.overhead": "Mehraufwand",
+  "byteText.column.copy": "Kopieren",
+  "byteText.empty": "(leer)",
+  "byteText.copy": "kopieren",
+  "byteText.groups":
+    "Base64, Gruppe für Gruppe: 3 Bytes = 24 Bit = 4 Zeichen zu 6 Bit. Eine kurze letzte Gruppe wird mit Nullbits (grau) gefüllt und mit = aufgefüllt.",
+  "byteText.fewerGroups": "Weniger Gruppen zeigen",
+  "byteText.allGroups": "Alle {count} Gruppen zeigen",
+
+  "quiz.title": "Klassenquiz",
+  "quiz.type.match": "Ein Ziel mit den Bits treffen",
+  "quiz.type.dec-bin": "Dezimal → binär",
+  "quiz.type.hex-signed": "Hex → vorzeichenbehaftet dezimal",
+  "quiz.type.utf8": "Zeichen → UTF-8-Bytes",
+  "quiz.type.le-int": "Little-Endian-Bytes → Ganzzahl",
+  "quiz.type.hex-colour": "Hex → Pixelfarbe",
+  "quiz.questions": "Fragen",
+  "quiz.timeLimit": "Zeit pro Frage",
+  "quiz.seconds": "{seconds} s",
+  "quiz.untimed": "ohne Zeitlimit",
+  "quiz.seed": "Startwert",
+  "quiz.randomSeed": "zufällig",
+  "quiz.start": "Starten",
+  "quiz.setupNote":
+    "Wer denselben Startwert, dieselben Fragetypen und dieselbe Anzahl Fragen verwendet, bekommt dieselben Fragen – den Link teilen, um eine Runde mit der Klasse zu spielen. Eine richtige Antwort bringt {base} Punkte, bis zu {speed} mehr für Schnelligkeit und {streak} mehr je Antwort in einer Serie (höchstens {maxStreak}).",
+  "quiz.pastRounds": "Frühere Runden auf diesem Gerät",
+  "quiz.clear": "Löschen",
+  "quiz.column.when": "Wann",
+  "quiz.column.correct": "Richtig",
+  "quiz.column.bestStreak": "Beste Serie",
+  "quiz.column.time": "Zeit",
+  "quiz.score": "Punkte",
+  "quiz.streak": "Serie",
+  "quiz.seedValue": "Startwert {seed}",
+  "quiz.settings": "Einstellungen",
+  "quiz.progress": "Frage {number} / {total} · {type}",
+  "quiz.secondsLeft": "noch {seconds} s",
+  "quiz.checkedAutomatically": "Wird automatisch geprüft, sobald das Labor passt.",
+  "quiz.giveUp": "Aufgeben",
+  "quiz.choice": "Auswahl {number}",
+  "quiz.yourAnswer": "Deine Antwort",
+  "quiz.check": "Prüfen",
+  "quiz.correct": "Richtig! +{points}",
+  "quiz.timeUp": "Die Zeit ist um. Die Antwort ist {answer}",
+  "quiz.theAnswer": "Die Antwort ist {answer}",
+  "quiz.next": "Nächste Frage",
+  "quiz.seeResults": "Ergebnisse ansehen",
+  "quiz.summary": "{correct} von {total} richtig",
+  "quiz.points": "{points} Punkte",
+  "quiz.retry": "Diese Fragen wiederholen",
+  "quiz.newSet": "Neue Fragen",
+  "quiz.match.prompt": "Stelle das Labor auf {target} bei {bits} Bit.",
+  "quiz.match.detail": "mit den Bit-Schaltern, dem Schieberegler oder den Eingabefeldern oben",
+  "quiz.powerSum": "{value} = {sum}",
+  "quiz.dec-bin.prompt": "Schreibe {value} binär.",
+  "quiz.dec-bin.detail": "{bits} Bit vorzeichenlos; führende Nullen optional",
+  "quiz.hex-signed.prompt": "Was ist {hex} als vorzeichenbehaftete {bits}-Bit-Ganzzahl?",
+  "quiz.hex-signed.detail": "Zweierkomplement",
+  "quiz.hex-signed.negative": "Das oberste Bit ist gesetzt, also 2^{bits} abziehen: {value} − {modulus} = {signed}",
+  "quiz.hex-signed.positive": "Das oberste Bit ist nicht gesetzt, also ist der Wert einfach {value}",
+  "quiz.utf8.prompt": "Welche UTF-8-Bytes kodieren „{char}“?",
+  "quiz.utf8.detail": "{cp}; Antwort in Hex, z. B. C3 A9",
+  "quiz.utf8.explanation.one": "{cp} braucht {count} Byte: {bits}",
+  "quiz.utf8.explanation.other": "{cp} braucht {count} Bytes: {bits}",
+  "quiz.le-int.prompt": "Diese Bytes sind little-endian gespeichert: {bytes}. Welche vorzeichenlose Ganzzahl enthalten sie?",
+  "quiz.le-int.detail": "dezimal oder 0x-Hex",
+  "quiz.le-int.explanation": "Niedrigstwertiges Byte zuerst, also rückwärts lesen: {hex}",
+  "quiz.hex-colour.prompt": "Welches Farbfeld ist die Pixelfarbe {color}?",
+  "quiz.hex-colour.detail": "R, G, B mit je zwei Hexziffern",
+  "quiz.hex-colour.explanation": "Rot {redHex} = {red}, Grün {greenHex} = {green}, Blau {blueHex} = {blue}",
+
+  "classroom.title": "Live-Klassensitzung",
+  "classroom.seconds": "{seconds} s",
+  "classroom.teacher": "Lehrkraft",
+  "classroom.hostHint": "Eine Sitzung eröffnen und ihren Code an den Beamer werfen.",
+  "classroom.host": "Sitzung eröffnen",
+  "classroom.student": "Schüler*in",
+  "classroom.codePlaceholder": "CODE",
+  "classroom.yourName": "Dein Name",
+  "classroom.join": "Beitreten",
+  "classroom.server": "Server",
+  "classroom.connecting": "Verbinde…",
+  "classroom.joinCode": "Beitrittscode",
+  "classroom.connected.one": "{count} Schüler*in verbunden",
+  "classroom.connected.other": "{count} Schüler*innen verbunden",
+  "classroom.end": "Sitzung beenden",
+  "classroom.randomTarget": "Zufälliges Ziel",
+  "classroom.bits": "{bits} Bit",
+  "classroom.sendLabValue": "Laborwert senden ({value}, {bits} Bit)",
+  "classroom.sendLabValue.title": "Den Wert senden, der gerade im Labor steht",
+  "classroom.stop": "Stopp",
+  "classroom.target": "Ziel ({bits} Bit):",
+  "classroom.solved": "{solved} / {total} gelöst",
+  "classroom.waitingForStudents": "Warte auf Schüler*innen…",
+  "classroom.column.answer": "Antwort",
+  "classroom.column.time": "Zeit",
+  "classroom.column.attempts": "Versuche",
+  "classroom.working": "arbeitet…",
+  "classroom.joinedAs": "Sitzung {code} als {name}",
+  "classroom.leave": "Verlassen",
+  "classroom.waitingForTarget": "Warte auf das nächste Ziel der Lehrkraft…",
+  "classroom.correct": "Richtig in {time} — #{rank}",
+  "classroom.matchTarget": "Triff das Ziel oben im Labor.",
+  "classroom.wrong": "{value} ist es nicht (Versuch {attempt}).",
+  "classroom.submit": "{value} abgeben",
+  "classroom.submit.title": "Antworten werden automatisch gesendet, sobald sie passen",
+  "classroom.error.ended": "Die Lehrkraft hat die Sitzung beendet.",
+  "classroom.error.bad-address": "Keine gültige Serveradresse: {url}",
+  "classroom.error.unreachable": "{url} ist nicht erreichbar.",
+  "classroom.error.lost": "Verbindung verloren.",
+  "classroom.error.server": "{message}",
+  "classroom.error.in-session": "Schon in einer Sitzung.",
+  "classroom.error.no-session": "Keine Sitzung mit diesem Code.",
+  "classroom.error.no-name": "Bitte einen Namen eingeben.",
+  "classroom.error.full": "Die Sitzung ist voll.",
+  "classroom.error.invalid-challenge": "Ungültiges Ziel.",
+
+  "pixelViewer.tool.select": "Auswählen",
+  "pixelViewer.tool.pan": "Verschieben",
+  "pixelViewer.tool.pencil": "✎ Stift",
+  "pixelViewer.tool.fill": "Füllen",
+  "pixelViewer.pixelValues": "Pixelwerte",
+  "pixelViewer.fit": "Einpassen",
+  "pixelViewer.labels": "Beschriftung",
+  "pixelViewer.help":
+    "Klicke auf ein Pixel, um es zu untersuchen, ziehe, um einen Bereich auszumessen, scrolle zum Zoomen, Umschalt+Ziehen verschiebt. Pfeiltasten bewegen das gewählte Pixel (Umschalt: 10 px). Ab {grid} % erscheint das Pixelraster, ab {labels} % die Werte.",
+  "pixelViewer.paintHelp": "Stift und Füllen malen mit der Farbe, die unter „Pixel bearbeiten“ gewählt ist.",
+
+  "pixelEditor.title": "Pixel bearbeiten",
+  "pixelEditor.undo": "Rückgängig",
+  "pixelEditor.hex": "Hex",
+  "pixelEditor.picker": "Farbwähler",
+  "pixelEditor.useColour": "Farbe von ({x}, {y}) übernehmen",
+  "pixelEditor.setPixel": "Pixel ({x}, {y}) setzen",
+  "pixelEditor.pickFirst": "Wähle ein Pixel, um es zu setzen",
+  "pixelEditor.blank": "Neues leeres Bild",
+  "pixelEditor.width": "Breite",
+  "pixelEditor.height": "Höhe",
+  "pixelEditor.create": "Erstellen, gefüllt mit der Malfarbe",
+
+  "export.title": "Export",
+  "export.raw": "Rohe R-, G-, B-Bytes ({width} × {height} × 3)",
+  "export.format.bmp": "BMP, 24 Bit unkomprimiert",
+  "export.format.ppm": "PPM, binär (P6)",
+  "export.format.ppm-ascii": "PPM, ASCII (P3)",
+  "export.download": "Herunterladen",
+  "export.inspect": "Untersuchen",
+  "export.failed": "Das Bild konnte nicht als {format} gespeichert werden: {error}",
+  "export.note":
+    "BMP und PPM speichern jedes Pixel unverändert, ihre Größe ergibt sich also allein aus Breite und Höhe (BMP füllt außerdem jede Zeile auf ein Vielfaches von 4 Bytes auf). ASCII-PPM schreibt jeden Wert in Ziffern aus, bis zu vier Bytes für einen. PNG komprimiert: Einfarbige Flächen kosten fast nichts, Rauschen kostet viel. BMP (24 Bit) und PPM haben keinen Alphakanal, Transparenz geht also verloren.",
+
+  "file.region.signature": "{format}-Signatur",
+  "file.region.chunk": "{type}-Chunk",
+  "file.region.fileHeader": "Dateikopf",
+  "file.region.dibHeader": "DIB-Kopf",
+  "file.region.bitMasks": "Bitmasken",
+  "file.region.colourTable": "Farbtabelle",
+  "file.region.pixelArray": "Pixelfeld",
+  "file.region.soi": "SOI — Bildanfang",
+  "file.region.eoi": "EOI — Bildende",
+  "file.region.marker": "Marker {marker}",
+  "file.region.app": "APP{n} — Anwendungsdaten",
+  "file.region.dqt": "DQT — Quantisierungstabellen",
+  "file.region.sof": "SOF{n} — Frame-Anfang, {type}",
+  "file.region.dht": "DHT — Huffman-Tabellen",
+  "file.region.dri": "DRI — Restart-Intervall",
+  "file.region.com": "COM — Kommentar",
+  "file.region.sos": "SOS — Scan-Anfang",
+  "file.region.scanData": "Entropiekodierte Scandaten",
+  "file.region.header": "Kopf",
+  "file.region.screen": "Logische Bildschirmbeschreibung",
+  "file.region.globalTable": "Globale Farbtabelle",
+  "file.region.trailer": "Abschluss",
+  "file.region.extension": "Erweiterung",
+  "file.region.graphicControl": "Grafiksteuerungs-Erweiterung",
+  "file.region.application": "Anwendungs-Erweiterung",
+  "file.region.commentExtension": "Kommentar-Erweiterung",
+  "file.region.plainText": "Klartext-Erweiterung",
+  "file.region.imageDescriptor": "Bildbeschreibung {frame}",
+  "file.region.localTable": "Lokale Farbtabelle",
+  "file.region.imageData": "Bilddaten {frame}",
+  "file.region.pixelData": "Pixeldaten",
+  "file.region.trailing": "Nachfolgende Daten",
+  "file.region.riff": "RIFF-Kopf",
+  "file.field.pngMagic": "Hohes Bit + „PNG“",
+  "file.field.lineEndings": "Zeilenende-Prüfung",
+  "file.field.length": "Länge",
+  "file.field.type": "Typ",
+  "file.field.width": "Breite",
+  "file.field.height": "Höhe",
+  "file.field.bitDepth": "Bittiefe",
+  "file.field.colourType": "Farbtyp",
+  "file.field.compression": "Kompression",
+  "file.field.filterMethod": "Filtermethode",
+  "file.field.interlace": "Zeilensprung",
+  "file.field.palette": "Palette",
+  "file.field.compressedPixels": "Komprimierte Pixeldaten",
+  "file.field.keyword": "Schlüsselwort",
+  "file.field.text": "Text",
+  "file.field.pixelsPerUnitX": "Pixel pro Einheit, X",
+  "file.field.pixelsPerUnitY": "Pixel pro Einheit, Y",
+  "file.field.unit": "Einheit",
+  "file.field.gamma": "Gamma × 100000",
+  "file.field.renderingIntent": "Rendering-Intent",
+  "file.field.lastModified": "Zuletzt geändert",
+  "file.field.data": "Daten",
+  "file.field.signature": "Signatur",
+  "file.field.fileSize": "Dateigröße",
+  "file.field.reserved": "Reserviert",
+  "file.field.pixelOffset": "Offset der Pixeldaten",
+  "file.field.headerSize": "Kopfgröße",
+  "file.field.planes": "Farbebenen",
+  "file.field.bitsPerPixel": "Bits pro Pixel",
+  "file.field.imageSize": "Bildgröße",
+  "file.field.resolutionX": "Horizontale Auflösung",
+  "file.field.resolutionY": "Vertikale Auflösung",
+  "file.field.coloursUsed": "Verwendete Farben",
+  "file.field.importantColours": "Wichtige Farben",
+  "file.field.mask": "{channel}-Maske",
+  "file.field.colourSpace": "Farbraum, Endpunkte, Gamma …",
+  "file.field.colour": "Farbe {index}",
+  "file.field.firstRowTop": "Erste Zeile (oben)",
+  "file.field.firstRowBottom": "Erste Zeile (unterer Bildrand)",
+  "file.field.byteOrder": "Bytereihenfolge",
+  "file.field.tiffMagic": "TIFF-Kennzahl",
+  "file.field.ifdOffset": "IFD0-Offset",
+  "file.field.ifdEntries": "IFD0-Einträge",
+  "file.field.tag": "Tag {tag}",
+  "file.field.marker": "Marker",
+  "file.field.identifier": "Kennung",
+  "file.field.version": "Version",
+  "file.field.densityUnits": "Dichte-Einheit",
+  "file.field.densityX": "X-Dichte",
+  "file.field.densityY": "Y-Dichte",
+  "file.field.thumbnail": "Vorschaubildgröße",
+  "file.field.dqtId": "Tabelle {table}: Genauigkeit / Nummer",
+  "file.field.dqtValues": "Tabelle {table}: 64 Teiler",
+  "file.field.precision": "Abtastgenauigkeit",
+  "file.field.components": "Komponenten",
+  "file.field.component": "Komponente {id}",
+  "file.field.dhtTable": "Tabelle {table} ({class})",
+  "file.field.codeLengths": "Codes pro Länge 1–16",
+  "file.field.symbols": "Symbole",
+  "file.field.interval": "Intervall",
+  "file.field.scanComponents": "Komponenten im Scan",
+  "file.field.spectral": "Spektralauswahl / Approximation",
+  "file.field.coefficients": "Huffman-kodierte DCT-Koeffizienten",
+  "file.field.signatureVersion": "Signatur + Version",
+  "file.field.packedFlags": "Gepackte Flags",
+  "file.field.background": "Index der Hintergrundfarbe",
+  "file.field.aspect": "Pixel-Seitenverhältnis",
+  "file.field.trailer": "Abschluss",
+  "file.field.introducer": "Erweiterungskennung",
+  "file.field.extensionLabel": "Typ",
+  "file.field.flags": "Flags",
+  "file.field.delay": "Verzögerung",
+  "file.field.transparentIndex": "Transparenter Index",
+  "file.field.application": "Anwendung",
+  "file.field.separator": "Trennzeichen",
+  "file.field.leftTop": "Links, oben",
+  "file.field.widthHeight": "Breite, Höhe",
+  "file.field.lzwCodeSize": "LZW-Mindestcodelänge",
+  "file.field.lzwData": "LZW-komprimierte Indizes",
+  "file.field.magic": "Kennzahl",
+  "file.field.maxValue": "Höchstwert",
+  "file.field.firstPixel": "Erstes Pixel",
+  "file.field.afterImage": "Bytes nach dem Bildende",
+  "file.field.chunkId": "Chunk-Kennung",
+  "file.field.size": "Größe",
+  "file.field.formType": "Formtyp",
+  "file.field.format": "Format",
+  "file.field.channels": "Kanäle",
+  "file.field.sampleRate": "Abtastrate",
+  "file.field.byteRate": "Byterate",
+  "file.field.blockAlign": "Blockausrichtung",
+  "file.field.bitsPerSample": "Bits pro Sample",
+  "file.field.extensionSize": "Größe der Erweiterung",
+  "file.field.validBits": "Gültige Bits",
+  "file.field.channelMask": "Kanalmaske",
+  "file.field.subFormat": "Unterformat",
+  "file.field.firstSample": "Erstes Sample",
+  "file.field.afterChunks": "Bytes nach dem letzten Chunk",
+  "file.note.highBit": "0x89 entlarvt 7-Bit-Übertragungen",
+  "file.note.lineEndings": "CR LF, Strg-Z, LF entlarven Zeilenende-Umwandlungen",
+  "file.note.chunkData": "Bytes Chunk-Daten",
+  "file.note.critical": "kritischer Chunk (Großbuchstabe am Anfang)",
+  "file.note.ancillary": "Zusatz-Chunk, darf ignoriert werden",
+  "file.note.pixels": "Pixel",
+  "file.note.bitDepth": "Bits pro Sample (pro Kanal oder pro Palettenindex)",
+  "file.note.invalid": "ungültig",
+  "file.note.deflate": "0 = DEFLATE",
+  "file.note.filterByte": "0 = ein Filterbyte pro Zeile",
+  "file.note.none": "keiner",
+  "file.note.rgbEntries": "R, G, B pro Eintrag",
+  "file.note.idat": "zlib-Strom gefilterter Zeilen, kann im nächsten IDAT weitergehen",
+  "file.note.latin1": "Latin-1, mit NUL abgeschlossen",
+  "file.note.metre": "Meter ({dpi} dpi)",
+  "file.note.unknown": "unbekannt",
+  "file.note.gamma": "Gamma {gamma}",
+  "file.note.crcMatches": "✔ passt zu Typ + Daten",
+  "file.note.crcComputed": "✘ berechnet: {crc}",
+  "file.note.uncompressed": "{name} (keine)",
+  "file.note.sizeMatches": "✔ stimmt",
+  "file.note.actualSize": "✘ tatsächlich {size}",
+  "file.note.pixelOffset": "wo das Pixelfeld beginnt",
+  "file.note.unknownHeader": "unbekannter Kopf",
+  "file.note.bottomUp": "Pixel, Zeilen von unten nach oben gespeichert",
+  "file.note.alwaysOne": "immer 1",
+  "file.note.negativeHeight": "negativ: Zeilen von oben nach unten gespeichert",
+  "file.note.positiveHeight": "positiv: Zeilen von unten nach oben gespeichert",
+  "file.note.imageSize": "Bytes Pixeldaten (darf unkomprimiert 0 sein)",
+  "file.note.resolutionDpi": "Pixel pro Meter ({dpi} dpi)",
+  "file.note.resolution": "Pixel pro Meter",
+  "file.note.paletteEntries": "Paletteneinträge",
+  "file.note.allColours": "0 = alle 2^bpp",
+  "file.note.bgr": "gespeichert als B, G, R",
+  "file.note.bgr0": "gespeichert als B, G, R, 0",
+  "file.note.entries.one": "{count} Eintrag",
+  "file.note.entries.other": "{count} Einträge",
+  "file.note.entriesShown.one": "{count} Eintrag, die ersten {shown} entschlüsselt",
+  "file.note.entriesShown.other": "{count} Einträge, die ersten {shown} entschlüsselt",
+  "file.note.rowPadding.one": "{count} Byte Pixel + {padding} Füllbytes bis zu einem Vielfachen von 4",
+  "file.note.rowPadding.other": "{count} Bytes Pixel + {padding} Füllbytes bis zu einem Vielfachen von 4",
+  "file.note.bgrPixels": "Jedes Pixel ist als B, G, R gespeichert",
+  "file.note.bgra": "Jedes Pixel ist als B, G, R, A gespeichert",
+  "file.note.littleEndian": "Little-Endian (Intel)",
+  "file.note.bigEndian": "Big-Endian (Motorola)",
+  "file.note.always42": "immer 42",
+  "file.note.fromTiffHeader": "ab dem Anfang des TIFF-Kopfs",
+  "file.note.storedAt": "Wert bei Offset {offset} gespeichert",
+  "file.note.includesLength": "einschließlich dieser zwei Bytes",
+  "file.note.dqtBits": "{bits}-Bit-Werte, Tabelle {table}",
+  "file.note.zigzag": "Zickzack-Reihenfolge; größer = gröber = kleinere Datei",
+  "file.note.bits": "Bits",
+  "file.note.restart": "MCUs zwischen RST-Markern",
+  "file.note.stuffing": "0xFF in den Daten wird als FF 00 gespeichert",
+  "file.note.pixelsLittleEndian": "Pixel, Little-Endian",
+  "file.note.globalTable.one": "globale Farbtabelle ja, {count} Eintrag, {bits} Bits Farbauflösung",
+  "file.note.globalTable.other": "globale Farbtabelle ja, {count} Einträge, {bits} Bits Farbauflösung",
+  "file.note.noGlobalTable": "globale Farbtabelle nein, {bits} Bits Farbauflösung",
+  "file.note.disposal": "Entsorgung {disposal}",
+  "file.note.disposalTransparent": "Entsorgung {disposal}, transparente Farbe",
+  "file.note.hundredths": "Hundertstelsekunden",
+  "file.note.loopCount": "Anzahl der Animationsdurchläufe",
+  "file.note.localTable.one": "lokale Farbtabelle {count} Eintrag",
+  "file.note.localTable.other": "lokale Farbtabelle {count} Einträge",
+  "file.note.localTableInterlaced.one": "lokale Farbtabelle {count} Eintrag, Zeilensprung",
+  "file.note.localTableInterlaced.other": "lokale Farbtabelle {count} Einträge, Zeilensprung",
+  "file.note.noLocalTable": "lokale Farbtabelle nein",
+  "file.note.noLocalTableInterlaced": "lokale Farbtabelle nein, Zeilensprung",
+  "file.note.bitsPerIndex": "Bits pro Palettenindex",
+  "file.note.subBlocks": "in Unterblöcken von bis zu 255 Bytes, jeder mit einem Größenbyte",
+  "file.note.p3": "P3: Samples als ASCII-Dezimaltext",
+  "file.note.p6": "P6: Samples als binäre Bytes",
+  "file.note.pixelsText": "Pixel, als Text",
+  "file.note.oneByte": "ein Byte pro Sample",
+  "file.note.twoBytes": "zwei Bytes pro Sample",
+  "file.note.ppmRows": "Zeilen von oben nach unten, jedes Pixel R, G, B, ohne Füllbytes, ohne Kompression",
+  "file.note.restOfFile": "Bytes nach diesem Feld: der Rest der Datei",
+  "file.note.fileHas": "die Datei hat {size}",
+  "file.note.compressedOrUnknown": "komprimiert oder unbekannt",
+  "file.note.mono": "mono",
+  "file.note.stereo": "stereo, Samples abwechselnd L R",
+  "file.note.sampleRate": "Samples pro Sekunde, pro Kanal",
+  "file.note.byteRate": "Abtastrate × Blockausrichtung",
+  "file.note.blockAlign": "Bytes pro Frame: ein Sample jedes Kanals",
+  "file.note.unsigned8": "8-Bit-WAV ist vorzeichenlos, 128 = Stille",
+  "file.note.signedLittleEndian": "vorzeichenbehaftet, Little-Endian",
+  "file.note.speakers": "welche Lautsprecher",
+  "file.note.fmt": "Wie die Samples gespeichert sind",
+  "file.note.frames.one": "{count} Kanal × {bits} Bits, Frames nacheinander",
+  "file.note.frames.other": "{count} Kanäle × {bits} Bits, Frames nacheinander",
+  "file.note.noFmt": "Samples (kein fmt-Chunk davor)",
+  "file.note.leftChannel": "linker Kanal",
+  "file.note.list": "Metadaten wie Titel und Interpret",
+  "file.note.notNeeded": "Zum Abspielen nicht nötig",
+  "file.value.bytes.one": "{count} Byte",
+  "file.value.bytes.other": "{count} Bytes",
+  "file.value.colours.one": "{count} Farbe",
+  "file.value.colours.other": "{count} Farben",
+  "file.value.codes.one": "{count} Code",
+  "file.value.codes.other": "{count} Codes",
+  "file.value.exifValues.one": "{count} Wert vom Typ {type}",
+  "file.value.exifValues.other": "{count} Werte vom Typ {type}",
+  "file.value.none": "(keine)",
+  "file.value.sampling": "Abtastung {h}×{v}, Tabelle {table}",
+  "file.value.scanTables": "DC-Tabelle {dc}, AC-Tabelle {ac}",
+  "file.value.text": "Text",
+  "file.description.png.one": "{colourType}, {count} Bit pro Sample",
+  "file.description.png.other": "{colourType}, {count} Bits pro Sample",
+  "file.description.bmp.one": "{count} Bit pro Pixel, {compression}",
+  "file.description.bmp.other": "{count} Bits pro Pixel, {compression}",
+  "file.description.jpeg.one": "{type}, {count} Komponente",
+  "file.description.jpeg.other": "{type}, {count} Komponenten",
+  "file.description.jpegChroma.one": "{type}, {count} Komponente, Chroma {chroma}",
+  "file.description.jpegChroma.other": "{type}, {count} Komponenten, Chroma {chroma}",
+  "file.description.gif.one": "{version}, {count} Frame, Palettenindizes",
+  "file.description.gif.other": "{version}, {count} Frames, Palettenindizes",
+  "file.description.ppm": "{bits} Bits pro Sample, unkomprimiert",
+  "file.description.ppmAscii": "ASCII-Samples, unkomprimiert",
+  "file.warning.truncated.one": "Die Datei endet bei Byte {size}, bei Offset {offset} wurde aber {count} Byte erwartet",
+  "file.warning.truncated.other": "Die Datei endet bei Byte {size}, bei Offset {offset} wurden aber {count} Bytes erwartet",
+  "file.warning.crc": "{type}-Chunk bei {offset}: CRC stimmt nicht",
+  "file.warning.pixelArrayShort.one": "Dem Pixelfeld fehlt {count} Byte",
+  "file.warning.pixelArrayShort.other": "Dem Pixelfeld fehlen {count} Bytes",
+  "file.warning.marker": "Bei Offset {offset} wurde ein Marker (0xFF) erwartet",
+  "file.warning.unknownBlock": "Unbekannter Block {block} bei Offset {offset}",
+  "file.warning.ppmHeader": "Fehlerhafter PPM-Kopf",
+  "file.warning.samplesMissing": "Nur {present} von {total} Samples vorhanden",
+  "file.warning.pixelDataShort.one": "Den Pixeldaten fehlt {count} Byte",
+  "file.warning.pixelDataShort.other": "Den Pixeldaten fehlen {count} Bytes",
+  "file.warning.unsupported": "Keine PNG-, BMP-, JPEG-, GIF- oder PPM-Datei",
+  "file.warning.notWav": "Keine WAV-Datei: Sie müsste mit „RIFF“, einer Größe und „WAVE“ beginnen",
+  "file.warning.riffSize.one": "Laut RIFF-Größe hat die Datei {count} Byte, sie hat aber {size}",
+  "file.warning.riffSize.other": "Laut RIFF-Größe hat die Datei {count} Bytes, sie hat aber {size}",
+  "file.warning.chunkShort.one": "Dem {chunk}-Chunk fehlt {count} Byte",
+  "file.warning.chunkShort.other": "Dem {chunk}-Chunk fehlen {count} Bytes",
+  "file.warning.blockAlign": "Die Blockausrichtung ist nicht Kanäle × Bytes pro Sample",
+  "file.warning.byteRate": "Die Byterate ist nicht Abtastrate × Blockausrichtung",
+  "file.warning.cannotDecode": "{format}-Samples mit {bits} Bits können nicht entschlüsselt werden",
+  "file.warning.noFmt": "Kein fmt-Chunk",
+  "file.warning.noData": "Kein data-Chunk",
+  "file.colourType.gray": "Graustufen",
+  "file.colourType.rgb": "RGB",
+  "file.colourType.indexed": "indiziert (Palette)",
+  "file.colourType.grayAlpha": "Graustufen + Alpha",
+  "file.colourType.rgba": "RGBA",
+  "file.intent.perceptual": "wahrnehmungsorientiert",
+  "file.intent.relative": "relativ farbmetrisch",
+  "file.intent.saturation": "Sättigung",
+  "file.intent.absolute": "absolut farbmetrisch",
+  "file.channel.red": "Rot",
+  "file.channel.green": "Grün",
+  "file.channel.blue": "Blau",
+  "file.channel.alpha": "Alpha",
+  "file.density.aspect": "nur Seitenverhältnis",
+  "file.density.dpi": "Punkte pro Zoll",
+  "file.density.dpcm": "Punkte pro cm",
+  "file.sof.baseline": "Baseline-DCT",
+  "file.sof.extended": "erweiterte sequenzielle DCT",
+  "file.sof.progressive": "progressive DCT",
+  "file.sof.lossless": "verlustfrei",
+  "file.sof.differentialSequential": "differenziell sequenziell",
+  "file.sof.differentialProgressive": "differenziell progressiv",
+  "file.sof.differentialLossless": "differenziell verlustfrei",
+  "file.sof.arithmeticSequential": "arithmetisch sequenziell",
+  "file.sof.arithmeticProgressive": "arithmetisch progressiv",
+  "file.sof.arithmeticLossless": "arithmetisch verlustfrei",
+  "file.exif.make": "Hersteller",
+  "file.exif.model": "Modell",
+  "file.exif.orientation": "Ausrichtung",
+  "file.exif.resolutionX": "X-Auflösung",
+  "file.exif.resolutionY": "Y-Auflösung",
+  "file.exif.resolutionUnit": "Auflösungseinheit",
+  "file.exif.software": "Software",
+  "file.exif.dateTime": "Datum/Uhrzeit",
+  "file.exif.artist": "Urheber",
+  "file.exif.copyright": "Copyright",
+  "file.exif.exifIfd": "Offset des Exif-Unter-IFD",
+  "file.exif.gpsIfd": "Offset des GPS-IFD",
+  "file.order.rgbText": "R G B als Text",
+  "file.wavFormat.pcm": "PCM (Ganzzahlen)",
+
+  "fileInspector.title": "Datei-Inspektor",
+  "fileInspector.unknownFormat": "unbekanntes Format",
+  "fileInspector.bytes.one": "{count} Byte",
+  "fileInspector.bytes.other": "{count} Bytes",
+  "fileInspector.regionAt.one": "@ {offset} · {count} Byte",
+  "fileInspector.regionAt.other": "@ {offset} · {count} Bytes",
+  "fileInspector.moreBytes.one": "… {count} weiteres Byte",
+  "fileInspector.moreBytes.other": "… {count} weitere Bytes",
+  "fileInspector.stored": "Gespeicherte Datei",
+  "fileInspector.payload": "… davon Pixeldaten",
+  "fileInspector.overhead": "… davon Köpfe und Metadaten",
+  "fileInspector.raw": "Rohe Pixeldaten ({bits} Bits pro Pixel)",
+  "fileInspector.decoded": "Entschlüsselter Puffer im Browser (RGBA)",
+  "fileInspector.pixelStored": "Pixel ({x}, {y}) liegt bei Offset {offset}: {bytes} ({order}) → entschlüsselt RGBA {rgba}",
+  "fileInspector.firstRegions": "Die ersten {shown} von {count} Bereichen werden gezeigt.",
+  "fileInspector.note.PNG":
+    "PNG filtert jede Zeile und komprimiert sie mit DEFLATE. Das ist verlustfrei: Der entschlüsselte Puffer enthält genau die gespeicherten Samples, erweitert auf 8-Bit-RGBA.",
+  "fileInspector.note.BMP":
+    "BMP speichert Pixel unkomprimiert, Zeilen von unten nach oben (außer bei negativer Höhe), Farben als B, G, R und jede Zeile aufgefüllt auf ein Vielfaches von 4 Bytes. Der Decoder dreht das Bild um, ordnet die Kanäle um und ergänzt Alpha.",
+  "fileInspector.note.JPEG":
+    "JPEG speichert überhaupt keine Pixelwerte, sondern quantisierte Frequenzkoeffizienten von 8×8-Blöcken, Huffman-kodiert. Der entschlüsselte Puffer ist eine Annäherung an das Originalbild.",
+  "fileInspector.note.GIF":
+    "GIF speichert einen Palettenindex pro Pixel, LZW-komprimiert. Beim Entschlüsseln wird jeder Index in der Farbtabelle nachgeschlagen, aus jedem Byte werden also vier.",
+  "fileInspector.note.PPM":
+    "PPM ist so ziemlich das einfachste Bildformat überhaupt: ein kurzer Textkopf, dann R, G, B für jedes Pixel, Zeile für Zeile, ohne Füllbytes und ohne Kompression. P3 schreibt die Zahlen als Text, P6 als Bytes.",
+
+  "wavInspector.title": "Aufbau einer WAV-Datei",
+  "wavInspector.summary.one":
+    "{count} Kanal, {rate} Hz, {bits} Bits: {frames} Frames = {seconds} s. Die Köpfe belegen {header} Bytes, die Samples den Rest.",
+  "wavInspector.summary.other":
+    "{count} Kanäle, {rate} Hz, {bits} Bits: {frames} Frames = {seconds} s. Die Köpfe belegen {header} Bytes, die Samples den Rest.",
+  "wavInspector.sampleStored": "Sample {sample} liegt bei Offset {offset}: {bytes} (Little-Endian) → {value}",
+  "wavInspector.sampleStoredUnsigned":
+    "Sample {sample} liegt bei Offset {offset}: {bytes} (Little-Endian, vorzeichenlos) → {value}",
+
+  "colorDepth.title": "Farbtiefe",
+  "colorDepth.mode.channel": "n Bits pro Kanal",
+  "colorDepth.mode.rgb565": "16-Bit-RGB565",
+  "colorDepth.mode.palette": "Indizierte Palette",
+  "colorDepth.mode.gray": "Graustufen",
+  "colorDepth.dither.none": "Keines",
+  "colorDepth.dither.ordered": "Geordnet (Bayer 8×8)",
+  "colorDepth.channel.r": "Rot",
+  "colorDepth.channel.g": "Grün",
+  "colorDepth.channel.b": "Blau",
+  "colorDepth.channel.l": "Luminanz",
+  "colorDepth.reference.trueColour": "24-Bit-Echtfarben",
+  "colorDepth.reference.rgb565": "16-Bit-RGB565",
+  "colorDepth.reference.palette256": "8-Bit-Palette",
+  "colorDepth.reference.gray8": "8-Bit-Graustufen",
+  "colorDepth.reference.palette16": "4-Bit-Palette",
+  "colorDepth.reference.blackWhite": "1 Bit Schwarz-Weiß",
+  "colorDepth.bits": "Bits",
+  "colorDepth.bitsPerChannel": "Bits pro Kanal",
+  "colorDepth.colours": "Farben",
+  "colorDepth.paletteSize": "{size} ({bits}-Bit-Index)",
+  "colorDepth.dithering": "Dithering",
+  "colorDepth.sum": "{width} × {height} × {bits} Bits = {total} Bits",
+  "colorDepth.paletteSum": "+ Palette {colours} × 3 Bytes",
+  "colorDepth.share": "({share} von 24 Bit, bis zu {colours} Farben)",
+  "colorDepth.original": "Original (24 Bit)",
+  "colorDepth.reduced": "Neu berechnet",
+  "colorDepth.palette": "Palette (Median Cut, {entries} Einträge)",
+  "colorDepth.paletteEntry": "Index {index}: {r}, {g}, {b}",
+  "colorDepth.format": "Format",
+  "colorDepth.bitsPerPixel": "Bits / Pixel",
+  "colorDepth.uncompressed": "Unkomprimierte Größe",
+  "colorDepth.planes": "Bitebenen",
+  "colorDepth.bit": "Bit {bit}",
+  "colorDepth.ofReduced": "des neu berechneten Bildes",
+  "colorDepth.planeNote":
+    "Weiß, wo Bit {bit} (Gewicht {weight}) 1 ist — {share} der Pixel. Die hohen Bits tragen das Bild, die niedrigen sehen aus wie Rauschen; mit n Bits pro Kanal sind die untersten 8 − n Ebenen (nahezu) konstant.",
+
+  "convolution.title": "Filter (Faltung)",
+  "convolution.busy": "Filtere …",
+  "convolution.workerFailed": "Der Filter-Worker ist fehlgeschlagen",
+  "convolution.kernel": "Kern",
+  "convolution.preset.identity": "Identität",
+  "convolution.preset.box3": "Mittelwert-Unschärfe 3×3",
+  "convolution.preset.box5": "Mittelwert-Unschärfe 5×5",
+  "convolution.preset.gauss3": "Gauß-Unschärfe 3×3",
+  "convolution.preset.gauss5": "Gauß-Unschärfe 5×5",
+  "convolution.preset.sharpen": "Schärfen",
+  "convolution.preset.sobel-x": "Sobel, senkrechte Kanten",
+  "convolution.preset.sobel-y": "Sobel, waagerechte Kanten",
+  "convolution.preset.prewitt-x": "Prewitt, senkrechte Kanten",
+  "convolution.preset.prewitt-y": "Prewitt, waagerechte Kanten",
+  "convolution.preset.laplace": "Laplace-Kanten",
+  "convolution.preset.emboss": "Relief",
+  "convolution.custom": "Eigener",
+  "convolution.size": "Größe",
+  "convolution.edges": "Ränder",
+  "convolution.edge.extend": "Fortsetzen (Randpixel wiederholen)",
+  "convolution.edge.mirror": "Spiegeln (am Rand reflektieren)",
+  "convolution.edge.wrap": "Umlaufend",
+  "convolution.edge.zero": "Null (außen schwarz)",
+  "convolution.sumOfWeights": "Summe der Gewichte",
+  "convolution.offset": "Versatz (128 zeigt negative Summen als dunkleres Grau)",
+  "convolution.invalid": "Alle Gewichte, der Teiler und der Versatz müssen Zahlen sein, der Teiler ungleich 0.",
+  "convolution.original": "Original",
+  "convolution.filtered": "Gefiltert",
+  "convolution.apply": "Als aktuelles Bild verwenden",
+  "convolution.pixel": "Pixel ({x}, {y})",
+  "convolution.channel.red": "Rot",
+  "convolution.channel.green": "Grün",
+  "convolution.channel.blue": "Blau",
+  "convolution.outside": "außerhalb des Bildes: 0",
+  "convolution.neighbour": "Nachbar ({x}, {y}): R {r} G {g} B {b}",
+  "convolution.sum": "Σ Gewicht × Wert",
+  "convolution.clamped": "Begrenzt auf 0–255",
+  "convolution.pickHint": "Klicke auf ein Pixel, um zu sehen, wie sein gefilterter Wert berechnet wird.",
+  "convolution.note":
+    "Unschärfe-Kerne sind durchweg positiv und teilen durch ihre Summe, einfarbige Flächen bleiben also gleich. Schärfen addiert den Unterschied zu den Nachbarn hinzu. Kanten-Kerne summieren sich zu 0: Einfarbige Flächen ergeben 0 (mit dem Versatz als Grau 128 dargestellt), Kanten große positive oder negative Summen, die auf 0–255 begrenzt werden. Am Rand greift der Kern über das Bild hinaus; der Randmodus entscheidet, was er dort vorfindet.",
+
+  "compression.title": "Kompression",
+  "compression.busy": "Kodiere …",
+  "compression.quality": "JPEG/WebP-Qualität",
+  "compression.gain": "Differenz ×",
+  "compression.method": "Verfahren",
+  "compression.method.rle": "RLE (zeilenweise, eigenes)",
+  "compression.size": "Größe",
+  "compression.ratio": "Verhältnis",
+  "compression.bitsPerPixel": "Bits/Pixel",
+  "compression.changed": "Geänderte Pixel",
+  "compression.raw": "Unkomprimiert, 24-Bit-RGB",
+  "compression.identical": "∞ (identisch)",
+  "compression.failed": "Dieser Browser kann nicht als {method} kodieren.",
+  "compression.rleRuns": "RLE, erste Läufe: {runs} – 4 Bytes je Lauf von bis zu 255 gleichen Pixeln.",
+  "compression.original": "Original",
+  "compression.atQuality": "{method}, Qualität {quality}",
+  "compression.difference": "Differenz × {gain} (größter Fehler {maxError})",
+  "compression.error": "Fehler",
+  "compression.note":
+    "Der MSE ist die mittlere quadratische Abweichung je Abtastwert; PSNR = 10·log₁₀(255² / MSE), höher ist also besser, und über etwa 40 dB sind Unterschiede kaum zu sehen. RLE und PNG sind verlustfrei (abgesehen vom Alphakanal: JPEG und RLE verwerfen ihn). Senke die Qualität und sieh zu, wie JPEGs 8×8-Blöcke im Differenzbild erscheinen.",
+
+  "stats.channel.r": "Rot",
+  "stats.channel.g": "Grün",
+  "stats.channel.b": "Blau",
+  "stats.channel.a": "Alpha",
+  "stats.channel.l": "Luminanz",
+  "stats.mode": "häufigster Wert {value}",
+  "stats.histograms": "Histogramme",
+  "stats.wholeImage": "Ganzes Bild",
+  "stats.selection": "Auswahl",
+  "stats.logScale": "logarithmisch",
+  "stats.histogramNote":
+    "Jeder Balken zählt, wie viele Pixel diesen Wert (0–255) im Kanal haben. Die Luminanz verwendet die Gewichte nach Rec. 709: 0,2126 R + 0,7152 G + 0,0722 B.",
+  "stats.region": "Statistik des Bereichs",
+  "stats.dragHint": "Ziehe ein Rechteck auf dem Bild auf, um es zu vermessen.",
+  "stats.summary": "{width} × {height} px bei ({x}, {y}) = {pixels}, {colours}",
+  "stats.pixels.one": "{count} Pixel",
+  "stats.pixels.other": "{count} Pixel",
+  "stats.colours.one": "{count} verschiedene Farbe",
+  "stats.colours.other": "{count} verschiedene Farben",
+  "stats.channel": "Kanal",
+  "stats.mean": "Mittelwert",
+  "stats.min": "Min",
+  "stats.max": "Max",
+  "stats.std": "Std.-Abw.",
+  "stats.dominant": "Vorherrschende Farben",
+
+  "pixelMemory.title": "Pixel im Speicher",
+  "pixelMemory.address": "Adresse {offset}",
+  "pixelMemory.bigEndian": "Big-Endian",
+  "pixelMemory.littleEndian": "Little-Endian",
+  "pixelMemory.offset":
+    "ImageData speichert 4 Bytes je Pixel, R G B A, Zeile für Zeile. Pixel ({x}, {y}) beginnt bei Byte-Offset {formula} ({hex}).",
+  "pixelMemory.stride":
+    "Zeilenlänge: {formula} Bytes je Zeile, Zeile {row} beginnt also bei {start}, und das Pixel darunter liegt {stride} Bytes weiter.",
+  "pixelMemory.layout": "Anordnung",
+  "pixelMemory.layout.RGBA": "CSS #RRGGBBAA, Byte-Reihenfolge von PNG und ImageData",
+  "pixelMemory.layout.ARGB": "Farb-Ints in Java, .NET und Android",
+  "pixelMemory.layout.BGRA": "Byte-Reihenfolge von BMP, Windows-DIB und Direct3D",
+  "pixelMemory.layout.ABGR": "ImageData als Uint32 auf einer Little-Endian-Maschine gelesen",
+  "pixelMemory.word": "32-Bit-Wort",
+  "pixelMemory.unsigned": "Vorzeichenlos",
+  "pixelMemory.bigEndianMemory": "Speicher, Big-Endian",
+  "pixelMemory.littleEndianMemory": "Speicher, Little-Endian",
+  "pixelMemory.native": "(Uint32-Sicht hier)",
+  "pixelMemory.openInNumbers": "In Zahlen öffnen",
+  "pixelMemory.stored": "{layout}, {order} gespeichert",
+  "pixelMemory.storedHere": "{layout}, {order} gespeichert (diese Maschine)",
+  "pixelMemory.note":
+    "Dieselben vier Bytes ergeben eine andere Zahl, je nachdem, welche Anordnung ein Programm annimmt und in welcher Reihenfolge seine Maschine Wörter speichert. Diese Maschine ist {order}, ein Uint32Array über dem Pixelpuffer liest jedes Pixel also als {layout}.",
+  "pixelMemory.noteLittleEndian":
+    "Dieselben vier Bytes ergeben eine andere Zahl, je nachdem, welche Anordnung ein Programm annimmt und in welcher Reihenfolge seine Maschine Wörter speichert. Diese Maschine ist {order}, ein Uint32Array über dem Pixelpuffer liest jedes Pixel also als {layout}: {word}, nicht als das vielleicht erwartete {expected}.",
+
+  "stego.title": "Versteckte Nachricht (LSB-Steganografie)",
+  "stego.sample": "Text und Pixel sind beides nur Bits. Grüße 🙂",
+  "stego.lengthBit": "Längenbit {bit}",
+  "stego.messageBit": "Byte {byte}, Bit {bit}",
+  "stego.error.tooLong": "Die Nachricht hat {length} Bytes; höchstens {fit} passen hinein",
+  "stego.error.tooSmall": "Das Bild ist zu klein, um auch nur die Länge aufzunehmen",
+  "stego.error.noMessage":
+    "Der Längenkopf nennt {length} Bytes, mehr als die {fit}, die hineinpassen: wahrscheinlich keine Nachricht",
+  "stego.saveFailed": "Dieser Browser kann das Bild nicht als PNG speichern.",
+  "stego.decodeFailed": "{name} ließ sich nicht dekodieren: {error}",
+  "stego.message": "Nachricht",
+  "stego.hideIn": "Verstecken in",
+  "stego.channel.r": "Rot",
+  "stego.channel.g": "Grün",
+  "stego.channel.b": "Blau",
+  "stego.lowest": "{select} {bitWord} je Kanal, von unten (ändert einen Wert um höchstens {max})",
+  "stego.bitWord.one": "Bit",
+  "stego.bitWord.other": "Bits",
+  "stego.capacity":
+    "Kapazität: {pixels} × {channels} × {bits} = {total} ({size}); nach der {lengthBits}-Bit-Länge {bytes} Nachricht.",
+  "stego.pixels.one": "{count} Pixel",
+  "stego.pixels.other": "{count} Pixel",
+  "stego.channels.one": "{count} Kanal",
+  "stego.channels.other": "{count} Kanäle",
+  "stego.bits.one": "{count} Bit",
+  "stego.bits.other": "{count} Bits",
+  "stego.bytes.one": "{count} Byte",
+  "stego.bytes.other": "{count} Bytes",
+  "stego.skipped.one": "{count} transparentes Pixel wird übersprungen.",
+  "stego.skipped.other": "{count} transparente Pixel werden übersprungen.",
+  "stego.used.one": "Die Nachricht belegt {count} Bit.",
+  "stego.used.other": "Die Nachricht belegt {count} Bits.",
+  "stego.usedShare.one": "Die Nachricht belegt {count} Bit ({share} der Kapazität).",
+  "stego.usedShare.other": "Die Nachricht belegt {count} Bits ({share} der Kapazität).",
+  "stego.flipped":
+    "{bits} in {pixels} gekippt; etwa die Hälfte der Nachrichtenbits stimmte schon. PSNR {psnr}, größte Änderung {maxError}.",
+  "stego.before": "Vorher",
+  "stego.after": "Nachher",
+  "stego.view.diff": "Geänderte Kanäle",
+  "stego.view.low-before": "Niedrige Bits, vorher",
+  "stego.view.low-after": "Niedrige Bits, nachher",
+  "stego.carries": "Trägt",
+  "stego.nothing": "nichts",
+  "stego.pickHint": "Klicke auf ein Pixel, um zu sehen, welche seiner Bits die Nachricht tragen.",
+  "stego.download": "PNG mit Nachricht herunterladen",
+  "stego.apply": "Als aktuelles Bild verwenden",
+  "stego.readBack": "Nachricht auslesen",
+  "stego.fromImage": "Aus dem aktuellen Bild",
+  "stego.fromFile": "aus einer Datei:",
+  "stego.currentImage": "Aktuelles Bild",
+  "stego.readNote":
+    "Verwendet die Kanäle und die Bitzahl von oben. JPEG rundet die niedrigen Bits weg, nur verlustfreie Dateien behalten die Nachricht.",
+  "stego.readFromImage": "Aus dem aktuellen Bild: {bytes}",
+  "stego.readFromFile": "Aus {name}: {bytes}",
+  "stego.invalid.one": "{count} ungültige UTF-8-Sequenz: wahrscheinlich keine Nachricht",
+  "stego.invalid.other": "{count} ungültige UTF-8-Sequenzen: wahrscheinlich keine Nachricht",
+
+  "colorSpace.title": "Farbräume",
+  "colorSpace.picked": "gewählt",
+  "colorSpace.edited": "bearbeitet",
+  "colorSpace.reset": "Zurücksetzen",
+  "colorSpace.space.rgb": "sRGB (8 Bit)",
+  "colorSpace.space.linear": "Lineares sRGB",
+  "colorSpace.outOfGamut": "(außerhalb des sRGB-Farbraums, begrenzt)",
+  "colorSpace.back": "zurück:",
+  "colorSpace.grayscale": "Graustufen",
+  "colorSpace.gray.average": "Mittelwert",
+  "colorSpace.gray.lightness": "Helligkeit (HSL)",
+  "colorSpace.gray.value": "Hellwert (HSV)",
+  "colorSpace.gray.luminance": "Relative Leuchtdichte",
+  "colorSpace.grayFormula.luminance": "Y des linearen RGB, neu kodiert",
+  "colorSpace.note":
+    "YCbCr nutzt wie JPEG den vollen Bereich (0–255, Cb/Cr um 128 zentriert). Lineares sRGB macht die sRGB-Gammakurve rückgängig; XYZ und CIELAB verwenden den Weißpunkt D65. Werte, die nach der Rückumrechnung außerhalb von 0–255 landen, kann ein sRGB-Bildschirm nicht zeigen; sie werden begrenzt.",
+  "ycbcr.title": "Y-/Cb-/Cr-Kanäle",
+  "ycbcr.plane.y": "Y (Luma) – Helligkeit",
+  "ycbcr.plane.cb": "Cb – Blau minus Luma",
+  "ycbcr.plane.cr": "Cr – Rot minus Luma",
+  "ycbcr.subsampling": "Chroma-Unterabtastung",
+  "ycbcr.size": "{bits} Bits je Pixel = {size} statt {full}",
+  "ycbcr.chroma": "Cb und Cr über {bx}×{by}-Blöcke gemittelt",
+  "ycbcr.luma": "Zum Vergleich: Y über {bx}×{by}-Blöcke gemittelt",
+  "ycbcr.note":
+    "Das Auge löst feine Details in der Helligkeit viel besser auf als in der Farbe. Cb und Cr nur einmal je Block zu speichern verwirft die Hälfte (4:2:2) oder drei Viertel (4:2:0) der Farbwerte fast ohne sichtbaren Unterschied, während dieselbe Behandlung von Y jede Kante verwischt. Zoome auf farbige Kanten und Text, um zu sehen, wo es doch auffällt.",
+
+  "hexViewer.title": "Hex-Betrachter",
+  "hexViewer.open": "Beliebige Datei öffnen",
+  "hexViewer.drop": "… oder hier ablegen. Nichts wird hochgeladen: Der Browser liest die Datei selbst.",
+  "hexViewer.reading": "Lese …",
+  "hexViewer.readFailed": "{name} konnte nicht gelesen werden: {error}",
+  "hexViewer.pasteAs": "Bytes einfügen als",
+  "hexViewer.mode.text": "Text (UTF-8)",
+  "hexViewer.placeholder.hex": "DE AD BE EF, 0x89 0x50 … oder 89504E47",
+  "hexViewer.placeholder.base64": "iVBORw0KGgo…",
+  "hexViewer.placeholder.text": "Beliebiger Text; er wird als UTF-8-Bytes gespeichert",
+  "hexViewer.show": "Bytes anzeigen",
+  "hexViewer.error.base64": "Kein gültiges Base64.",
+  "hexViewer.error.hexDigit": "Keine Hex-Ziffer: „{digit}“",
+  "hexViewer.error.oddDigits": "Ungerade Anzahl Hex-Ziffern: Jedes Byte braucht zwei.",
+  "hexViewer.pasted": "eingefügte Bytes",
+  "hexViewer.bytes.one": "{count} Byte",
+  "hexViewer.bytes.other": "{count} Bytes",
+  "hexViewer.goToPlaceholder": "0x1F0 oder 496",
+  "hexViewer.goTo": "Gehe zu",
+  "hexViewer.empty": "Keine Bytes.",
+  "hexViewer.offset": "Offset 0x{hex} ({offset})",
+  "hexViewer.selected.one": "{count} Byte ausgewählt",
+  "hexViewer.selected.other": "{count} Bytes ausgewählt",
+  "hexViewer.copied": "Kopiert!",
+  "hexViewer.copy": "Als Hex kopieren",
+  "dataInspector.title": "Daten-Inspektor",
+  "dataInspector.type": "Typ",
+  "dataInspector.type.time32": "Unix-Zeit (32 Bit, s)",
+  "dataInspector.type.time64": "Unix-Zeit (64 Bit, ms)",
+  "dataInspector.outOfRange": "außerhalb des Bereichs",
+  "dataInspector.littleEndian": "Little-Endian",
+  "dataInspector.bigEndian": "Big-Endian",
+  "dataInspector.tooShort": "braucht {size} Bytes, nur {left} übrig",
+  "dataInspector.invalid": "{count} × U+FFFD (ungültige oder unvollständige Sequenzen)",
+  "dataInspector.first.one": "erstes {count} Byte",
+  "dataInspector.first.other": "erste {count} Bytes",
+  "dataInspector.empty": "(leer)",
+  "dataInspector.note":
+    "Zahlen werden ab dem ersten ausgewählten Byte gelesen. Welche Lesart stimmt, legt ein Dateiformat fest; die Bytes selbst verraten es nicht.",
+
+  "sound.title": "Klang",
+  "sound.decodeFailed": "{name} ließ sich nicht dekodieren: {error}",
+  "sound.exportedName": "exportiertes WAV",
+  "sound.source": "Quelle",
+  "sound.generated": "Erzeugter Ton",
+  "sound.file": "Datei",
+  "sound.waveform": "Wellenform",
+  "sound.waveform.sine": "Sinus",
+  "sound.waveform.square": "Rechteck",
+  "sound.waveform.triangle": "Dreieck",
+  "sound.waveform.sawtooth": "Sägezahn",
+  "sound.waveform.chord": "Durakkord (f, 5/4 f, 3/2 f)",
+  "sound.frequency": "Frequenz",
+  "sound.amplitude": "Amplitude",
+  "sound.clipping": "Über 1,0 werden die Abtastwerte bei der größten Ganzzahl abgeschnitten.",
+  "sound.fileInfo": "{rate} Hz, {seconds} s. Senke die Abtastrate, um Aliasing zu hören.",
+  "sound.fileTruncated": "{rate} Hz, {seconds} s (die ersten {max} s). Senke die Abtastrate, um Aliasing zu hören.",
+  "sound.fileNote": "WAV wird hier Byte für Byte gelesen; andere Formate dekodiert der Browser.",
+  "sound.sampling": "Abtastung",
+  "sound.sampleRate": "Abtastrate",
+  "sound.nyquist": "Nyquist-Frequenz: {nyquist}. Ein Abtastwert alle {period} ms.",
+  "sound.aliased":
+    "{frequency} Hz liegt über der Nyquist-Frequenz, die Abtastwerte sind also die eines {alias}-Tons. Den hörst du.",
+  "sound.aliasedSine":
+    "{frequency} Hz liegt über der Nyquist-Frequenz, die Abtastwerte sind also die eines {alias}-Tons (rot gestrichelt). Den hörst du.",
+  "sound.harmonics.square":
+    "Eine Rechteckwelle hat Obertöne bei jedem Vielfachen von {frequency} Hz; die über {nyquist} Hz kehren als unharmonische Töne zurück.",
+  "sound.harmonics.triangle":
+    "Eine Dreieckwelle hat Obertöne bei jedem Vielfachen von {frequency} Hz; die über {nyquist} Hz kehren als unharmonische Töne zurück.",
+  "sound.harmonics.sawtooth":
+    "Eine Sägezahnwelle hat Obertöne bei jedem Vielfachen von {frequency} Hz; die über {nyquist} Hz kehren als unharmonische Töne zurück.",
+  "sound.quantization": "Quantisierung",
+  "sound.bitDepth": "Bittiefe",
+  "sound.bits": "{bits} Bit",
+  "sound.levels": "{levels} Stufen, Ganzzahlen {min} … {max} (Zweierkomplement).",
+  "sound.snr":
+    "Signal-Rausch-Abstand: {measured} gemessen; ein voll ausgesteuerter Sinus käme auf etwa {ideal} dB ({perBit} dB je Bit).",
+  "sound.bitrate": "{bits} Bits je Sekunde; eine Sekunde WAV belegt {size}.",
+  "sound.listen": "Anhören",
+  "sound.original": "Original",
+  "sound.quantized": "{rate} Hz, {bits} Bit",
+  "sound.noise": "Nur das Quantisierungsrauschen (verstärkt)",
+  "sound.stop": "Stopp",
+  "sound.download": "WAV herunterladen ({size})",
+  "sound.show": "Zeige",
+  "sound.from": "ab",
+  "sound.legend":
+    "Grau: das Original. Blau: die Abtastwerte. Orange: die quantisierten Abtastwerte, gehalten bis zum nächsten. Darunter: der Rundungsfehler jedes Abtastwerts, so skaliert, dass eine halbe Stufe den Streifen füllt. Klicke, um einen Abtastwert zu wählen.",
+  "sound.samples": "Abtastwerte als Ganzzahlen",
+  "sound.time": "Zeit",
+  "sound.sampled": "Abgetastet",
+  "sound.integer": "Ganzzahl",
+  "sound.twosComplement": "Zweierkomplement",
+  "sound.hex": "Hex",
+  "sound.openInNumbers": "In Zahlen öffnen",
+  "sound.integerNote": "Ganzzahl = round(Abtastwert × {scale}), begrenzt auf {min} … {max}.",
+  "sound.stored": "Eine WAV-Datei speichert sie in {bits} Bit.",
+  "sound.storedShifted": "Eine WAV-Datei speichert sie in {bits} Bit, um {shift} nach oben verschoben.",
+  "sound.storedUnsigned": "Eine WAV-Datei speichert sie in {bits} Bit, plus 128, weil 8-Bit-WAV vorzeichenlos ist.",
+  "sound.storedShiftedUnsigned":
+    "Eine WAV-Datei speichert sie in {bits} Bit, um {shift} nach oben verschoben, plus 128, weil 8-Bit-WAV vorzeichenlos ist.",
+  "sound.bitCount.one": "{count} Bit",
+  "sound.bitCount.other": "{count} Bit",
+  "sound.exported": "Exportiertes WAV",
+
+  "byteCards.byte": "Byte {index}",
+};
@@ -0,0 +1,1249 @@
+/**
+ * English messages
+ * ------------------------------------------------------
+ * The reference catalog: every key the interface uses is defined
+ * here, and the other languages are checked against it.
+ */
+
+export default {
+  "app.title": "Digital Representation Lab",
+  "app.tab.numbers": "Numbers and Text",
+  "app.tab.graphics": "Graphics",
+  "app.tab.hex": "Hex Viewer",
+  "app.tab.sound": "Sound",
+  "app.liveSession": "Live classroom session",
+  "app.copyLink": "Copy link",
+  "app.copied": "Copied!",
+  "app.copyLinkTitle": "Copy a link to exactly this view",
+  "app.language": "Language",
+
+  "representation.unsigned": "Unsigned",
+  "representation.signed": "Two's complement",
+  "representation.sign-magnitude": "Sign-magnitude",
+  "representation.ones": "Ones' complement",
+  "representation.excess": "Excess-K (biased)",
+  "representation.bcd": "Packed BCD",
+  "representation.bcd-unpacked": "Unpacked BCD",
+  "representation.gray": "Gray code",
+  "representation.fixed": "Fixed point",
+
+  "numbers.title": "Number & Text Representation Lab",
+  "numbers.tab.number": "Numbers",
+  "numbers.tab.float": "Floating Point",
+  "numbers.tab.text": "Text & Unicode",
+  "numbers.bitWidth": "Bit Width",
+  "numbers.bitsPreset": "{bits}‑bit",
+  "numbers.anyWidth": "Any width:",
+  "numbers.bits": "bits",
+  "numbers.range": "Range: 0 … {max}",
+  "numbers.signedRange": "Signed: {min} … {max}",
+  "numbers.enterValue": "Enter a Value",
+  "numbers.decimal": "Decimal",
+  "numbers.hex": "Hex",
+  "numbers.binary": "Binary",
+  "numbers.octal": "Octal",
+  "numbers.base": "Base",
+  "numbers.baseDigits": "Base {base}: digits 0–{last}",
+  "numbers.notValidPlaceholder": "(not valid)",
+  "numbers.notValid": "Not valid {representation}: {error}",
+  "numbers.storedAs": "Stored as {value}",
+  "numbers.sliderNote": "The slider moves the top {top} bits; the lower {rest} bits stay as they are.",
+  "numbers.views": "Views",
+  "numbers.unsigned": "Unsigned",
+  "numbers.signed": "Signed (two's complement)",
+  "numbers.flipBits": "Flip the Bits",
+  "numbers.weightsAs": "Weights as {representation} · MSB → LSB",
+  "numbers.bitTitle": "bit {index}, weight {weight} as {representation}",
+  "numbers.binaryGrouped": "Binary (grouped):",
+  "numbers.as": "As {representation}:",
+  "numbers.invalid": "invalid",
+  "numbers.excessNote": "(Σ weights − K, K = {bias})",
+  "numbers.grayNote": "(no place weights: {rule})",
+  "numbers.signMagnitudeNote": "(± : the MSB gives the sign)",
+  "numbers.bigEndian": "Big‑Endian Bytes",
+  "numbers.littleEndian": "Little‑Endian Bytes",
+  "numbers.target": "Target ({bits}-bit):",
+  "numbers.correct": "✔ Correct!",
+  "numbers.keepGoing": "Flip bits or type until it matches.",
+  "numbers.footer":
+    "Built for classroom demos: sliders, bit flips, endianness, IEEE 754 floats, code points, and text encodings. Try switching to 16/32/64‑bit and typing emojis.",
+
+  "text.typeText": "Type Text (ASCII, Unicode, Emojis)",
+  "text.placeholder": "Type here…",
+  "text.clusters": "Characters (grapheme clusters): {count}",
+  "text.codePointCount": "Code points: {count}",
+  "text.codeUnits": "UTF‑16 code units (JavaScript length): {count}",
+  "text.codePoints": "Code Points",
+  "text.unicodeVersion": "Unicode {version} character data",
+  "text.loadingUnicode": "Loading Unicode character data…",
+  "text.unicodeFailed": "Unicode data could not be loaded; reload the page to try again",
+  "text.column.character": "Character",
+  "text.column.codePoint": "Code point",
+  "text.column.name": "Name",
+  "text.column.category": "Category",
+  "text.column.block": "Block",
+  "text.column.hex": "U+ (hex)",
+  "text.column.decimal": "Decimal",
+  "text.column.binary": "Binary",
+  "text.column.copy": "Copy",
+  "text.noCharacters": "(No characters)",
+  "text.memberCount.one": "{count} code point",
+  "text.memberCount.other": "{count} code points",
+  "text.copyCodePoint": "copy U+",
+  "text.clusterNote":
+    "What a reader sees as one character (a grapheme cluster) can be several code points: an emoji joined with ZERO WIDTH JOINERs, a flag made of two regional indicators, a skin‑tone modifier, or a letter plus combining accents.",
+  "text.noSegmenter": "This browser has no Intl.Segmenter, so every code point is shown as its own cluster.",
+
+  "decoder.title": "Mini Decoder",
+  "decoder.intro":
+    "Paste hex bytes (e.g., {example}) or Base64, Base32, Ascii85, percent‑encoded or quoted‑printable text, and pick the encoding to decode the bytes with. UTF‑8 is checked strictly: try {overlong}, {surrogate} or {truncated}.",
+  "decoder.input": "Input",
+  "decoder.skipBom": "Skip a matching BOM",
+  "decoder.loadText": "Load the text above as UTF‑8",
+  "decoder.decodedText.one": "Decoded text ({count} byte)",
+  "decoder.decodedText.other": "Decoded text ({count} bytes)",
+  "decoder.bom": "Starts with a {encoding} byte order mark.",
+  "decoder.bomMismatch": "Starts with a {encoding} byte order mark, but you are decoding as something else.",
+  "decoder.byte": "byte {offset}",
+  "decoder.valid": "✔ Valid UTF‑8",
+  "decoder.replaced": "{description}. Decoded as U+FFFD �.",
+  "decoder.readings": "The same bytes read with every encoding (mojibake happens when the guess is wrong)",
+  "decoder.errorName.stray": "stray",
+  "decoder.errorName.invalid-byte": "invalid byte",
+  "decoder.errorName.truncated": "truncated",
+  "decoder.errorName.overlong": "overlong",
+  "decoder.errorName.surrogate": "surrogate",
+  "decoder.errorName.too-large": "too large",
+  "decoder.error.stray": "stray continuation byte {byte}: 10xxxxxx may only follow a lead byte",
+  "decoder.error.invalid-byte": "{byte} never occurs in UTF‑8 (0xF8–0xFF would start a 5+ byte sequence)",
+  "decoder.error.truncated.one": "truncated sequence: lead byte {byte} announces {expected} bytes, but only {count} is there",
+  "decoder.error.truncated.other": "truncated sequence: lead byte {byte} announces {expected} bytes, but only {count} are there",
+  "decoder.error.overlong.one": "overlong encoding: {cp} fits in {count} byte, so this {length}‑byte form is forbidden",
+  "decoder.error.overlong.other": "overlong encoding: {cp} fits in {count} bytes, so this {length}‑byte form is forbidden",
+  "decoder.error.surrogate": "encoded surrogate {cp}: U+D800–U+DFFF only exist inside UTF‑16 and are invalid in UTF‑8",
+  "decoder.error.too-large": "{cp} is beyond U+10FFFF, the last Unicode code point",
+
+  "graphics.title": "Graphics Analyzer",
+  "graphics.clearSelection": "Clear selection",
+  "graphics.uploadedAlt": "uploaded",
+  "graphics.readFailed": "Could not read {name}: {error}",
+  "graphics.pixel": "Pixel:",
+  "graphics.alpha": "(alpha {alpha})",
+  "graphics.hideMemory": "Hide memory view",
+  "graphics.viewInMemory": "View in memory",
+
+  "float.precision": "Precision",
+  "float.format.half": "Half",
+  "float.format.single": "Single",
+  "float.format.double": "Double",
+  "float.formatButton": "{format} ({bits}‑bit)",
+  "float.layout": "1 sign bit, {expBits} exponent bits (bias {bias}), {fracBits} mantissa bits.",
+  "float.enterValue": "Enter a Value",
+  "float.decimal": "Decimal",
+  "float.hexBits": "Hex bits",
+  "float.placeholder": "0.1, -2.5e-3, Infinity, NaN",
+  "float.roundingNote": "The decimal you type is rounded to the nearest representable value.",
+  "float.views": "Views",
+  "float.class": "Class",
+  "float.kind.zero": "Zero",
+  "float.kind.subnormal": "Subnormal",
+  "float.kind.normal": "Normal",
+  "float.kind.infinity": "Infinity",
+  "float.kind.qnan": "Quiet NaN",
+  "float.kind.snan": "Signalling NaN",
+  "float.storedValue": "Stored value",
+  "float.exactValue": "Exact value of the bits",
+  "float.flipBits": "Flip the Bits",
+  "float.field.sign": "sign",
+  "float.field.exponent": "exponent",
+  "float.field.mantissa": "mantissa",
+  "float.bitTitle": "bit {index} ({field})",
+  "float.sign": "Sign",
+  "float.negative": "negative",
+  "float.positive": "positive",
+  "float.exponent": "Exponent (biased)",
+  "float.exponentZeros": "all zeros: zero/subnormal, exponent fixed at 1 − {bias} = {exponent}",
+  "float.exponentOnes": "all ones: Infinity or NaN",
+  "float.mantissa": "Mantissa (fraction)",
+  "float.nanMantissa": "quiet bit {quiet}, payload {payload} (0x{hex})",
+  "float.significand": "significand {significand} (implicit {leading})",
+  "float.nanExplained": "Exponent all ones with a non‑zero mantissa: Not a Number.",
+  "float.infinityExplained": "Exponent all ones with a zero mantissa: {sign}Infinity.",
+  "float.gap": "Gap to the next representable number: {ulp}",
+  "float.specialValues": "Special Values",
+  "float.preset.smallestSubnormal": "Smallest subnormal",
+  "float.preset.largestSubnormal": "Largest subnormal",
+  "float.preset.smallestNormal": "Smallest normal",
+  "float.preset.largestFinite": "Largest finite",
+  "float.preset.quietNan": "Quiet NaN",
+  "float.preset.nanPayload": "NaN, payload 1",
+  "float.preset.signallingNan": "Signalling NaN",
+  "float.note.bias.term": "Biased exponent:",
+  "float.note.bias":
+    "the exponent is stored as an unsigned number with {bias} added, so {power} is stored as {bias} and the bit patterns of positive floats sort like integers.",
+  "float.note.subnormals.term": "Subnormals:",
+  "float.note.subnormals":
+    "an all‑zero exponent drops the implicit leading 1, filling the gap between 0 and the smallest normal number with evenly spaced values (gradual underflow).",
+  "float.note.zero.term": "±0:",
+  "float.note.zero": "zero has both signs; −0 === 0 in comparisons, but 1 / −0 is −Infinity.",
+  "float.note.infinity.term": "±Infinity:",
+  "float.note.infinity": "an all‑ones exponent with a zero mantissa. Overflow and 1 / 0 end up here.",
+  "float.note.nan.term": "NaN payloads:",
+  "float.note.nan":
+    "an all‑ones exponent with any non‑zero mantissa is NaN. The top mantissa bit marks a quiet NaN; the remaining bits are a payload that can carry diagnostic information. NaN is never equal to anything, not even itself.",
+  "float.sumTitle": "Why 0.1 + 0.2 ≠ 0.3",
+  "float.column.quantity": "Quantity",
+  "float.column.exact": "Exact stored value",
+  "float.storedAs": "{value} stored as",
+  "float.sumRounded": "their sum, rounded",
+  "float.inPrecision.half": "half precision",
+  "float.inPrecision.single": "single precision",
+  "float.inPrecision.double": "double precision",
+  "float.sumEqual": "In {precision} the rounding errors cancel out: the sum is the same float as {expected}.",
+  "float.sumDiffers": "In {precision} the sum is {sum}, not the float nearest to {expected}.",
+  "float.sumNote":
+    "Fractions like 1/10 repeat forever in binary (0.000110011…₂), just as 1/3 does in decimal. Each operand is rounded when stored and the sum is rounded again, so the errors can add up to a different bit pattern.",
+  "float.enterTwo": "Enter two numbers to add.",
+
+  "representation.rule.unsigned": "Σ bitᵢ · 2ⁱ",
+  "representation.rule.signed": "the MSB weighs −2ⁿ⁻¹",
+  "representation.rule.sign-magnitude": "MSB is the sign, the rest the magnitude; 100…0 is −0",
+  "representation.rule.ones": "negative values invert every bit; 11…1 is −0",
+  "representation.rule.excess": "pattern − K",
+  "representation.rule.bcd": "one decimal digit per 4 bits",
+  "representation.rule.bcd-unpacked": "one decimal digit per byte, in the low 4 bits",
+  "representation.rule.gray": "binary bitᵢ = Gray bitᵢ ⊕ binary bitᵢ₊₁; neighbours differ in one bit",
+  "representation.rule.fixed": "two's complement ÷ 2ⁿ",
+  "reprPanel.title": "Representations",
+  "reprPanel.hint": "Pick one to type in it and see its bit weights",
+  "reprPanel.excess": "Excess-{bias}",
+  "reprPanel.invalid": "invalid: {error}",
+  "reprPanel.bias": "Bias K",
+  "reprPanel.ieeeExponents": "IEEE 754 exponents",
+  "reprPanel.note":
+    "Qm.n has m integer bits (the sign included) and n fraction bits, so its step is 2⁻ⁿ. Sign-magnitude and ones' complement have two zeros; BCD wastes the nibbles 1010–1111, and Gray code changes exactly one bit between neighbouring numbers.",
+  "baseSteps.title": "Base Conversion, Step by Step",
+  "baseSteps.base": "Base",
+  "baseSteps.name.2": "binary",
+  "baseSteps.name.3": "ternary",
+  "baseSteps.name.8": "octal",
+  "baseSteps.name.10": "decimal",
+  "baseSteps.name.12": "duodecimal",
+  "baseSteps.name.16": "hex",
+  "baseSteps.name.other": "base {base}",
+  "baseSteps.toBase": "Decimal → {name}: divide by {base} until the quotient is 0.",
+  "baseSteps.remainder": "remainder {remainder}",
+  "baseSteps.digit": "digit",
+  "baseSteps.last": "(last)",
+  "baseSteps.first": "(first)",
+  "baseSteps.remainders": "Remainders from the bottom up:",
+  "baseSteps.fromBase": "{name} → decimal: each digit times {base} to the power of its position.",
+  "baseSteps.sum": "Sum:",
+  "baseSteps.note":
+    "The steps use the unsigned reading of the bits; a negative two's-complement value is converted as its bit pattern.",
+
+  "bitwise.title": "Bitwise & Arithmetic Workbench",
+  "bitwise.operands": "{bits}‑bit operands",
+  "bitwise.placeholder": "42, -7, 0xFF, 0b1010",
+  "bitwise.labValue": "← lab value",
+  "bitwise.labValue.title": "Copy the value from the controls above",
+  "bitwise.notANumber": "not a number",
+  "bitwise.bit": "bit {index}",
+  "bitwise.op.shr": "SHR (logical)",
+  "bitwise.op.sar": "SAR (arithmetic)",
+  "bitwise.shiftBy": "by",
+  "bitwise.shiftBits": "bits",
+  "bitwise.row.carry": "carry",
+  "bitwise.row.product": "full product",
+  "bitwise.row.result": "result",
+  "bitwise.partialLimit": "Partial products are drawn up to {bits} bits.",
+  "bitwise.carryNote":
+    "The orange row is the carry chain: a 1 above a column means a carry came in from the column to its right.",
+  "bitwise.subNote": "Subtraction adds the two's complement of B: invert it, then add 1 as the carry into bit 0.",
+  "bitwise.flag.c.name": "Carry",
+  "bitwise.flag.c.hint": "unsigned result did not fit (carry out, or borrow for −)",
+  "bitwise.flag.v.name": "Overflow",
+  "bitwise.flag.v.hint": "signed result did not fit (sign came out wrong)",
+  "bitwise.flag.z.name": "Zero",
+  "bitwise.flag.z.hint": "all result bits are 0",
+  "bitwise.flag.n.name": "Sign",
+  "bitwise.flag.n.hint": "most significant result bit (negative in two's complement)",
+  "bitwise.column.reading": "Reading",
+  "bitwise.column.exact": "Exact result",
+  "bitwise.column.stored": "Stored in {bits} bits",
+  "bitwise.column.fits": "Fits?",
+  "bitwise.reading.unsigned": "Unsigned",
+  "bitwise.reading.signed": "Signed (two's complement)",
+  "bitwise.notApplicable": "n/a",
+  "bitwise.fits": "yes",
+  "bitwise.wrapped": "wrapped",
+  "bitwise.note":
+    "The hardware produces one bit pattern; whether it “overflowed” depends on how you read it. C flags a wrong unsigned result, V a wrong signed one. AND with a mask keeps selected bits, OR sets them, XOR flips them.",
+  "bitwise.enterOperands": "Enter A and B as decimal, 0x hex or 0b binary.",
+
+  "encoded.title": "Encoded Bytes",
+  "encoded.writeBom": "Write a byte order mark (BOM)",
+  "encoded.bytes.one": "{count} byte",
+  "encoded.bytes.other": "{count} bytes",
+  "encoded.copyHex": "Copy as hex",
+  "encoded.noBytes": "(No bytes)",
+  "encoded.byte": "byte {offset}",
+  "encoded.role.bom": "byte order mark",
+  "encoded.role.high": "{cp} high surrogate",
+  "encoded.role.low": "{cp} low surrogate",
+  "encoded.role.unmappable": "{cp} not in {encoding} → “?”",
+  "encoded.note.utf8": "1–4 bytes per code point; ASCII stays one byte.",
+  "encoded.note.utf16": "2 bytes per code point below U+10000; anything above is split into a surrogate pair of 2 × 2 bytes.",
+  "encoded.note.utf32": "Always 4 bytes per code point: simple, but large.",
+  "encoded.note.single": "Exactly one byte per character, but only 256 characters exist; everything else is lost.",
+  "encoded.sizes": "Size by Encoding",
+  "encoded.lost.one": "{count} character lost",
+  "encoded.lost.other": "{count} characters lost",
+  "encoded.lossless": "lossless",
+  "encoded.sizesNote":
+    "The same text, different byte counts: each encoding is a different agreement about how code points become bytes.",
+
+  "utf8Steps.title": "UTF‑8 Step by Step",
+  "utf8Steps.layout": "≤ {max} → {bytes}, {bits} payload bits",
+  "utf8Steps.bytes.one": "{count} byte",
+  "utf8Steps.bytes.other": "{count} bytes",
+  "utf8Steps.bits": "bits",
+  "utf8Steps.byte.ascii": "ASCII byte",
+  "utf8Steps.byte.lead": "lead byte",
+  "utf8Steps.byte.continuation": "continuation",
+  "utf8Steps.noCharacters": "(No characters)",
+  "utf8Steps.truncated": "Showing the first {shown} of {total} code points.",
+  "utf8Steps.note":
+    "The lead byte's leading 1s count the bytes in the sequence; every continuation byte starts with 10. A decoder can therefore jump into the middle of a text and find the next character boundary.",
+
+  "normalization.title": "Normalization Forms",
+  "normalization.sample.precomposed": "é precomposed",
+  "normalization.sample.combining": "e + combining ´",
+  "normalization.sample.angstrom": "Å (Angstrom sign)",
+  "normalization.sample.ligature": "ﬁ ligature",
+  "normalization.sample.hangul": "Hangul 한",
+  "normalization.column.form": "Form",
+  "normalization.column.text": "Text",
+  "normalization.column.codePoints": "Code points",
+  "normalization.column.bytes": "UTF‑8 bytes",
+  "normalization.column.same": "Same as input?",
+  "normalization.input": "Input",
+  "normalization.hint.NFC": "canonical composition: é as one code point",
+  "normalization.hint.NFD": "canonical decomposition: e + combining acute",
+  "normalization.hint.NFKC": "compatibility composition: ﬁ → fi, ① → 1",
+  "normalization.hint.NFKD": "compatibility decomposition",
+  "normalization.identical": "identical",
+  "normalization.different": "different code points",
+  "normalization.note":
+    "Canonical forms (NFC/NFD) only change how the same character is spelled in code points. Compatibility forms (NFKC/NFKD) also fold look‑alikes such as ligatures, circled digits and superscripts into plain characters, which loses information. Compare strings only after normalizing both sides the same way.",
+
+  "unicode.category.Lu": "Uppercase Letter",
+  "unicode.category.Ll": "Lowercase Letter",
+  "unicode.category.Lt": "Titlecase Letter",
+  "unicode.category.Lm": "Modifier Letter",
+  "unicode.category.Lo": "Other Letter",
+  "unicode.category.Mn": "Nonspacing Mark",
+  "unicode.category.Mc": "Spacing Mark",
+  "unicode.category.Me": "Enclosing Mark",
+  "unicode.category.Nd": "Decimal Number",
+  "unicode.category.Nl": "Letter Number",
+  "unicode.category.No": "Other Number",
+  "unicode.category.Pc": "Connector Punctuation",
+  "unicode.category.Pd": "Dash Punctuation",
+  "unicode.category.Ps": "Open Punctuation",
+  "unicode.category.Pe": "Close Punctuation",
+  "unicode.category.Pi": "Initial Punctuation",
+  "unicode.category.Pf": "Final Punctuation",
+  "unicode.category.Po": "Other Punctuation",
+  "unicode.category.Sm": "Math Symbol",
+  "unicode.category.Sc": "Currency Symbol",
+  "unicode.category.Sk": "Modifier Symbol",
+  "unicode.category.So": "Other Symbol",
+  "unicode.category.Zs": "Space Separator",
+  "unicode.category.Zl": "Line Separator",
+  "unicode.category.Zp": "Paragraph Separator",
+  "unicode.category.Cc": "Control",
+  "unicode.category.Cf": "Format",
+  "unicode.category.Cs": "Surrogate",
+  "unicode.category.Co": "Private Use",
+  "unicode.category.Cn": "Unassigned",
+
+  "representation.error.range": "Out of range: {min} … {max}",
+  "representation.error.integer": "Not a whole number",
+  "representation.error.number": "Not a number",
+  "representation.error.unpacked": "bits {high}–{low} must be 0 in unpacked BCD",
+  "representation.error.digit": "{pattern} (bits {high}–{low}) is not a decimal digit",
+  "representation.error.bcd": "BCD holds digits 0–9 only, no sign",
+  "representation.error.digits.one": "{bits} bits hold {count} digit",
+  "representation.error.digits.other": "{bits} bits hold {count} digits",
+  "representation.error.topDigit.one": "the top digit has only {count} bit",
+  "representation.error.topDigit.other": "the top digit has only {count} bits",
+
+  "byteEncoding.hex": "Hex",
+  "byteEncoding.base64": "Base64",
+  "byteEncoding.base64url": "Base64URL",
+  "byteEncoding.base32": "Base32",
+  "byteEncoding.ascii85": "Ascii85",
+  "byteEncoding.percent": "Percent-encoding",
+  "byteEncoding.quoted-printable": "Quoted-printable",
+  "byteEncoding.note.base64": "6 bits per character, 3 bytes → 4 characters, padded with =",
+  "byteEncoding.note.base64url": "Base64 with - and _ instead of + and /, no padding; safe in URLs and file names",
+  "byteEncoding.note.base32": "5 bits per character, 5 bytes → 8 characters; no lower case, no 0/1/8/9",
+  "byteEncoding.note.ascii85": "4 bytes as a 5-digit base-85 number, 25% overhead; used in PDF and PostScript",
+  "byteEncoding.note.percent": "URLs: letters, digits and - . _ ~ stay, every other byte becomes %XX",
+  "byteEncoding.note.quoted-printable":
+    "e-mail: printable ASCII stays readable, other bytes become =XX, lines stop at 76 characters",
+  "decoder.inputError.character": "\"{char}\" is not a {encoding} character",
+  "decoder.inputError.oddHex": "Odd number of hex digits: every byte needs two",
+  "decoder.inputError.groupEnd.one": "{count} {encoding} character cannot end a group",
+  "decoder.inputError.groupEnd.other": "{count} {encoding} characters cannot end a group",
+  "decoder.inputError.groupTooLarge": "A group of 5 characters is larger than 4 bytes can hold",
+  "decoder.inputError.finalTooShort": "A final group needs at least 2 characters",
+  "decoder.inputError.finalTooLarge": "The final group is larger than 4 bytes can hold",
+  "decoder.inputError.escape": "\"{escape}\" at position {position} needs two hex digits",
+  "byteText.title": "Bytes as Text",
+  "byteText.intro.one":
+    "The {count} UTF‑8 byte, written with characters that survive e‑mail, URLs and JSON. Overhead is the extra length compared with the bytes themselves.",
+  "byteText.intro.other":
+    "The {count} UTF‑8 bytes, written with characters that survive e‑mail, URLs and JSON. Overhead is the extra length compared with the bytes themselves.",
+  "byteText.column.encoding": "Encoding",
+  "byteText.column.text": "Text",
+  "byteText.column.characters": "Characters",
+  "byteText.column.overhead": "Overhead",
+  "byteText.column.copy": "Copy",
+  "byteText.empty": "(empty)",
+  "byteText.copy": "copy",
+  "byteText.groups":
+    "Base64, group by group: 3 bytes = 24 bits = 4 characters of 6 bits. A short last group is filled with zero bits (grey) and padded with =.",
+  "byteText.fewerGroups": "Show fewer groups",
+  "byteText.allGroups": "Show all {count} groups",
+
+  "quiz.title": "Class Quiz",
+  "quiz.type.match": "Match a target with the bits",
+  "quiz.type.dec-bin": "Decimal → binary",
+  "quiz.type.hex-signed": "Hex → signed decimal",
+  "quiz.type.utf8": "Character → UTF-8 bytes",
+  "quiz.type.le-int": "Little-endian bytes → integer",
+  "quiz.type.hex-colour": "Hex → pixel colour",
+  "quiz.questions": "Questions",
+  "quiz.timeLimit": "Time per question",
+  "quiz.seconds": "{seconds} s",
+  "quiz.untimed": "untimed",
+  "quiz.seed": "Seed",
+  "quiz.randomSeed": "random",
+  "quiz.start": "Start",
+  "quiz.setupNote":
+    "Everyone who uses the same seed, types and number of questions gets the same set — share the link to run a round in class. A correct answer earns {base} points, up to {speed} more for speed and {streak} more per answer in a streak (at most {maxStreak}).",
+  "quiz.pastRounds": "Past rounds on this device",
+  "quiz.clear": "Clear",
+  "quiz.column.when": "When",
+  "quiz.column.correct": "Correct",
+  "quiz.column.bestStreak": "Best streak",
+  "quiz.column.time": "Time",
+  "quiz.score": "Score",
+  "quiz.streak": "Streak",
+  "quiz.seedValue": "seed {seed}",
+  "quiz.settings": "Settings",
+  "quiz.progress": "Question {number} / {total} · {type}",
+  "quiz.secondsLeft": "{seconds} s left",
+  "quiz.checkedAutomatically": "Checked automatically as soon as the lab matches.",
+  "quiz.giveUp": "Give up",
+  "quiz.choice": "choice {number}",
+  "quiz.yourAnswer": "Your answer",
+  "quiz.check": "Check",
+  "quiz.correct": "Correct! +{points}",
+  "quiz.timeUp": "Time's up. The answer is {answer}",
+  "quiz.theAnswer": "The answer is {answer}",
+  "quiz.next": "Next question",
+  "quiz.seeResults": "See results",
+  "quiz.summary": "{correct} of {total} correct",
+  "quiz.points": "{points} points",
+  "quiz.retry": "Retry this set",
+  "quiz.newSet": "New set",
+  "quiz.match.prompt": "Set the lab to {target} at {bits} bits.",
+  "quiz.match.detail": "use the bit buttons, the slider or the inputs above",
+  "quiz.powerSum": "{value} = {sum}",
+  "quiz.dec-bin.prompt": "Write {value} in binary.",
+  "quiz.dec-bin.detail": "{bits}-bit unsigned; leading zeros optional",
+  "quiz.hex-signed.prompt": "What is {hex} as a signed {bits}-bit integer?",
+  "quiz.hex-signed.detail": "two's complement",
+  "quiz.hex-signed.negative": "The top bit is set, so subtract 2^{bits}: {value} − {modulus} = {signed}",
+  "quiz.hex-signed.positive": "The top bit is clear, so the value is just {value}",
+  "quiz.utf8.prompt": "Which UTF-8 bytes encode “{char}”?",
+  "quiz.utf8.detail": "{cp}; answer in hex, e.g. C3 A9",
+  "quiz.utf8.explanation.one": "{cp} needs {count} byte: {bits}",
+  "quiz.utf8.explanation.other": "{cp} needs {count} bytes: {bits}",
+  "quiz.le-int.prompt": "These bytes are stored little-endian: {bytes}. What unsigned integer do they hold?",
+  "quiz.le-int.detail": "decimal or 0x hex",
+  "quiz.le-int.explanation": "Least significant byte first, so read them backwards: {hex}",
+  "quiz.hex-colour.prompt": "Which swatch is the pixel colour {color}?",
+  "quiz.hex-colour.detail": "R, G, B as two hex digits each",
+  "quiz.hex-colour.explanation": "Red {redHex} = {red}, green {greenHex} = {green}, blue {blueHex} = {blue}",
+
+  "classroom.title": "Live Classroom Session",
+  "classroom.seconds": "{seconds} s",
+  "classroom.teacher": "Teacher",
+  "classroom.hostHint": "Host a session and put its code on the projector.",
+  "classroom.host": "Host a session",
+  "classroom.student": "Student",
+  "classroom.codePlaceholder": "CODE",
+  "classroom.yourName": "Your name",
+  "classroom.join": "Join",
+  "classroom.server": "Server",
+  "classroom.connecting": "Connecting…",
+  "classroom.joinCode": "Join code",
+  "classroom.connected.one": "{count} student connected",
+  "classroom.connected.other": "{count} students connected",
+  "classroom.end": "End session",
+  "classroom.randomTarget": "Random target",
+  "classroom.bits": "{bits}-bit",
+  "classroom.sendLabValue": "Send lab value ({value}, {bits}-bit)",
+  "classroom.sendLabValue.title": "Send the value currently in the lab",
+  "classroom.stop": "Stop",
+  "classroom.target": "Target ({bits}-bit):",
+  "classroom.solved": "{solved} / {total} solved",
+  "classroom.waitingForStudents": "Waiting for students to join…",
+  "classroom.column.answer": "Answer",
+  "classroom.column.time": "Time",
+  "classroom.column.attempts": "Attempts",
+  "classroom.working": "working…",
+  "classroom.joinedAs": "Session {code} as {name}",
+  "classroom.leave": "Leave",
+  "classroom.waitingForTarget": "Waiting for the teacher's next target…",
+  "classroom.correct": "Correct in {time} — #{rank}",
+  "classroom.matchTarget": "Match the target above in the lab.",
+  "classroom.wrong": "{value} is not it (attempt {attempt}).",
+  "classroom.submit": "Submit {value}",
+  "classroom.submit.title": "Answers are sent automatically once they match",
+  "classroom.error.ended": "The teacher ended the session.",
+  "classroom.error.bad-address": "Not a valid server address: {url}",
+  "classroom.error.unreachable": "Could not reach {url}.",
+  "classroom.error.lost": "Connection lost.",
+  "classroom.error.server": "{message}",
+  "classroom.error.in-session": "Already in a session.",
+  "classroom.error.no-session": "No session with that code.",
+  "classroom.error.no-name": "Please enter a name.",
+  "classroom.error.full": "The session is full.",
+  "classroom.error.invalid-challenge": "Invalid challenge.",
+
+  "pixelViewer.tool.select": "Select",
+  "pixelViewer.tool.pan": "Pan",
+  "pixelViewer.tool.pencil": "✎ Pencil",
+  "pixelViewer.tool.fill": "Fill",
+  "pixelViewer.pixelValues": "Pixel values",
+  "pixelViewer.fit": "Fit",
+  "pixelViewer.labels": "Labels",
+  "pixelViewer.help":
+    "Click a pixel to inspect it, drag to measure a region, scroll to zoom, Shift+drag to pan. Arrow keys move the picked pixel (Shift: 10 px). Zoom to {grid}% for the pixel grid and {labels}% for values.",
+  "pixelViewer.paintHelp": "Pencil and Fill paint with the colour chosen under Edit pixels.",
+
+  "pixelEditor.title": "Edit pixels",
+  "pixelEditor.undo": "Undo",
+  "pixelEditor.hex": "Hex",
+  "pixelEditor.picker": "Colour picker",
+  "pixelEditor.useColour": "Use colour of ({x}, {y})",
+  "pixelEditor.setPixel": "Set pixel ({x}, {y})",
+  "pixelEditor.pickFirst": "Pick a pixel to set it",
+  "pixelEditor.blank": "New blank image",
+  "pixelEditor.width": "Width",
+  "pixelEditor.height": "Height",
+  "pixelEditor.create": "Create, filled with the paint colour",
+
+  "export.title": "Export",
+  "export.raw": "Raw R, G, B bytes ({width} × {height} × 3)",
+  "export.format.bmp": "BMP, 24-bit uncompressed",
+  "export.format.ppm": "PPM, binary (P6)",
+  "export.format.ppm-ascii": "PPM, ASCII (P3)",
+  "export.download": "Download",
+  "export.inspect": "Inspect",
+  "export.failed": "Could not save the image as {format}: {error}",
+  "export.note":
+    "BMP and PPM store every pixel as it is, so their size follows from width and height alone (BMP also pads each row to a multiple of 4 bytes). ASCII PPM spells each value out in digits, up to four bytes for one. PNG compresses: flat areas cost almost nothing, noise costs a lot. BMP (24-bit) and PPM have no alpha channel, so transparency is lost.",
+
+  "file.region.signature": "{format} signature",
+  "file.region.chunk": "{type} chunk",
+  "file.region.fileHeader": "File header",
+  "file.region.dibHeader": "DIB header",
+  "file.region.bitMasks": "Bit masks",
+  "file.region.colourTable": "Colour table",
+  "file.region.pixelArray": "Pixel array",
+  "file.region.soi": "SOI — start of image",
+  "file.region.eoi": "EOI — end of image",
+  "file.region.marker": "Marker {marker}",
+  "file.region.app": "APP{n} — application data",
+  "file.region.dqt": "DQT — quantization tables",
+  "file.region.sof": "SOF{n} — start of frame, {type}",
+  "file.region.dht": "DHT — Huffman tables",
+  "file.region.dri": "DRI — restart interval",
+  "file.region.com": "COM — comment",
+  "file.region.sos": "SOS — start of scan",
+  "file.region.scanData": "Entropy-coded scan data",
+  "file.region.header": "Header",
+  "file.region.screen": "Logical screen descriptor",
+  "file.region.globalTable": "Global colour table",
+  "file.region.trailer": "Trailer",
+  "file.region.extension": "Extension",
+  "file.region.graphicControl": "Graphic control extension",
+  "file.region.application": "Application extension",
+  "file.region.commentExtension": "Comment extension",
+  "file.region.plainText": "Plain text extension",
+  "file.region.imageDescriptor": "Image descriptor {frame}",
+  "file.region.localTable": "Local colour table",
+  "file.region.imageData": "Image data {frame}",
+  "file.region.pixelData": "Pixel data",
+  "file.region.trailing": "Trailing data",
+  "file.region.riff": "RIFF header",
+  "file.field.pngMagic": "High bit + \"PNG\"",
+  "file.field.lineEndings": "Line-ending check",
+  "file.field.length": "Length",
+  "file.field.type": "Type",
+  "file.field.width": "Width",
+  "file.field.height": "Height",
+  "file.field.bitDepth": "Bit depth",
+  "file.field.colourType": "Colour type",
+  "file.field.compression": "Compression",
+  "file.field.filterMethod": "Filter method",
+  "file.field.interlace": "Interlace",
+  "file.field.palette": "Palette",
+  "file.field.compressedPixels": "Compressed pixel data",
+  "file.field.keyword": "Keyword",
+  "file.field.text": "Text",
+  "file.field.pixelsPerUnitX": "Pixels per unit, X",
+  "file.field.pixelsPerUnitY": "Pixels per unit, Y",
+  "file.field.unit": "Unit",
+  "file.field.gamma": "Gamma × 100000",
+  "file.field.renderingIntent": "Rendering intent",
+  "file.field.lastModified": "Last modified",
+  "file.field.data": "Data",
+  "file.field.signature": "Signature",
+  "file.field.fileSize": "File size",
+  "file.field.reserved": "Reserved",
+  "file.field.pixelOffset": "Pixel data offset",
+  "file.field.headerSize": "Header size",
+  "file.field.planes": "Colour planes",
+  "file.field.bitsPerPixel": "Bits per pixel",
+  "file.field.imageSize": "Image size",
+  "file.field.resolutionX": "Horizontal resolution",
+  "file.field.resolutionY": "Vertical resolution",
+  "file.field.coloursUsed": "Colours used",
+  "file.field.importantColours": "Important colours",
+  "file.field.mask": "{channel} mask",
+  "file.field.colourSpace": "Colour space, endpoints, gamma…",
+  "file.field.colour": "Colour {index}",
+  "file.field.firstRowTop": "First row (top)",
+  "file.field.firstRowBottom": "First row (bottom of the image)",
+  "file.field.byteOrder": "Byte order",
+  "file.field.tiffMagic": "TIFF magic",
+  "file.field.ifdOffset": "IFD0 offset",
+  "file.field.ifdEntries": "IFD0 entries",
+  "file.field.tag": "Tag {tag}",
+  "file.field.marker": "Marker",
+  "file.field.identifier": "Identifier",
+  "file.field.version": "Version",
+  "file.field.densityUnits": "Density units",
+  "file.field.densityX": "X density",
+  "file.field.densityY": "Y density",
+  "file.field.thumbnail": "Thumbnail size",
+  "file.field.dqtId": "Table {table}: precision / id",
+  "file.field.dqtValues": "Table {table}: 64 divisors",
+  "file.field.precision": "Sample precision",
+  "file.field.components": "Components",
+  "file.field.component": "Component {id}",
+  "file.field.dhtTable": "Table {table} ({class})",
+  "file.field.codeLengths": "Codes per length 1–16",
+  "file.field.symbols": "Symbols",
+  "file.field.interval": "Interval",
+  "file.field.scanComponents": "Components in scan",
+  "file.field.spectral": "Spectral selection / approximation",
+  "file.field.coefficients": "Huffman-coded DCT coefficients",
+  "file.field.signatureVersion": "Signature + version",
+  "file.field.packedFlags": "Packed flags",
+  "file.field.background": "Background colour index",
+  "file.field.aspect": "Pixel aspect ratio",
+  "file.field.trailer": "Trailer",
+  "file.field.introducer": "Extension introducer",
+  "file.field.extensionLabel": "Label",
+  "file.field.flags": "Flags",
+  "file.field.delay": "Delay",
+  "file.field.transparentIndex": "Transparent index",
+  "file.field.application": "Application",
+  "file.field.separator": "Separator",
+  "file.field.leftTop": "Left, top",
+  "file.field.widthHeight": "Width, height",
+  "file.field.lzwCodeSize": "LZW minimum code size",
+  "file.field.lzwData": "LZW-compressed indices",
+  "file.field.magic": "Magic number",
+  "file.field.maxValue": "Maximum value",
+  "file.field.firstPixel": "First pixel",
+  "file.field.afterImage": "Bytes after the end of the image",
+  "file.field.chunkId": "Chunk id",
+  "file.field.size": "Size",
+  "file.field.formType": "Form type",
+  "file.field.format": "Format",
+  "file.field.channels": "Channels",
+  "file.field.sampleRate": "Sample rate",
+  "file.field.byteRate": "Byte rate",
+  "file.field.blockAlign": "Block align",
+  "file.field.bitsPerSample": "Bits per sample",
+  "file.field.extensionSize": "Extension size",
+  "file.field.validBits": "Valid bits",
+  "file.field.channelMask": "Channel mask",
+  "file.field.subFormat": "Sub-format",
+  "file.field.firstSample": "First sample",
+  "file.field.afterChunks": "Bytes after the last chunk",
+  "file.note.highBit": "0x89 catches 7-bit transfers",
+  "file.note.lineEndings": "CR LF, Ctrl-Z, LF catch newline conversion",
+  "file.note.chunkData": "bytes of chunk data",
+  "file.note.critical": "critical chunk (uppercase first letter)",
+  "file.note.ancillary": "ancillary chunk, may be ignored",
+  "file.note.pixels": "pixels",
+  "file.note.bitDepth": "bits per sample (per channel, or per palette index)",
+  "file.note.invalid": "invalid",
+  "file.note.deflate": "0 = DEFLATE",
+  "file.note.filterByte": "0 = one filter byte per row",
+  "file.note.none": "none",
+  "file.note.rgbEntries": "R, G, B per entry",
+  "file.note.idat": "zlib stream of filtered rows, may continue in the next IDAT",
+  "file.note.latin1": "Latin-1, NUL-terminated",
+  "file.note.metre": "metre ({dpi} dpi)",
+  "file.note.unknown": "unknown",
+  "file.note.gamma": "gamma {gamma}",
+  "file.note.crcMatches": "✔ matches type + data",
+  "file.note.crcComputed": "✘ computed {crc}",
+  "file.note.uncompressed": "{name} (none)",
+  "file.note.sizeMatches": "✔ matches",
+  "file.note.actualSize": "✘ actual {size}",
+  "file.note.pixelOffset": "where the pixel array starts",
+  "file.note.unknownHeader": "unknown header",
+  "file.note.bottomUp": "pixels, rows stored bottom-up",
+  "file.note.alwaysOne": "always 1",
+  "file.note.negativeHeight": "negative: rows stored top-down",
+  "file.note.positiveHeight": "positive: rows stored bottom-up",
+  "file.note.imageSize": "bytes of pixel data (may be 0 when uncompressed)",
+  "file.note.resolutionDpi": "pixels per metre ({dpi} dpi)",
+  "file.note.resolution": "pixels per metre",
+  "file.note.paletteEntries": "palette entries",
+  "file.note.allColours": "0 = all 2^bpp",
+  "file.note.bgr": "stored B, G, R",
+  "file.note.bgr0": "stored B, G, R, 0",
+  "file.note.entries.one": "{count} entry",
+  "file.note.entries.other": "{count} entries",
+  "file.note.entriesShown.one": "{count} entry, first {shown} decoded",
+  "file.note.entriesShown.other": "{count} entries, first {shown} decoded",
+  "file.note.rowPadding.one": "{count} byte of pixels + {padding} padding to a multiple of 4",
+  "file.note.rowPadding.other": "{count} bytes of pixels + {padding} padding to a multiple of 4",
+  "file.note.bgrPixels": "Each pixel is stored as B, G, R",
+  "file.note.bgra": "Each pixel is stored as B, G, R, A",
+  "file.note.littleEndian": "little-endian (Intel)",
+  "file.note.bigEndian": "big-endian (Motorola)",
+  "file.note.always42": "always 42",
+  "file.note.fromTiffHeader": "from the start of the TIFF header",
+  "file.note.storedAt": "value stored at offset {offset}",
+  "file.note.includesLength": "includes these two bytes",
+  "file.note.dqtBits": "{bits}-bit values, table {table}",
+  "file.note.zigzag": "zig-zag order; larger = coarser = smaller file",
+  "file.note.bits": "bits",
+  "file.note.restart": "MCUs between RST markers",
+  "file.note.stuffing": "0xFF in the data is stored as FF 00",
+  "file.note.pixelsLittleEndian": "pixels, little-endian",
+  "file.note.globalTable.one": "global colour table yes, {count} entry, {bits} bits colour resolution",
+  "file.note.globalTable.other": "global colour table yes, {count} entries, {bits} bits colour resolution",
+  "file.note.noGlobalTable": "global colour table no, {bits} bits colour resolution",
+  "file.note.disposal": "disposal {disposal}",
+  "file.note.disposalTransparent": "disposal {disposal}, transparent colour",
+  "file.note.hundredths": "hundredths of a second",
+  "file.note.loopCount": "animation loop count",
+  "file.note.localTable.one": "local colour table {count} entry",
+  "file.note.localTable.other": "local colour table {count} entries",
+  "file.note.localTableInterlaced.one": "local colour table {count} entry, interlaced",
+  "file.note.localTableInterlaced.other": "local colour table {count} entries, interlaced",
+  "file.note.noLocalTable": "local colour table no",
+  "file.note.noLocalTableInterlaced": "local colour table no, interlaced",
+  "file.note.bitsPerIndex": "bits per palette index",
+  "file.note.subBlocks": "in sub-blocks of up to 255 bytes, each with a size byte",
+  "file.note.p3": "P3: samples as ASCII decimal text",
+  "file.note.p6": "P6: samples as binary bytes",
+  "file.note.pixelsText": "pixels, as text",
+  "file.note.oneByte": "one byte per sample",
+  "file.note.twoBytes": "two bytes per sample",
+  "file.note.ppmRows": "Rows top to bottom, each pixel R, G, B, no padding, no compression",
+  "file.note.restOfFile": "bytes after this field: the rest of the file",
+  "file.note.fileHas": "the file has {size}",
+  "file.note.compressedOrUnknown": "compressed or unknown",
+  "file.note.mono": "mono",
+  "file.note.stereo": "stereo, samples interleaved L R",
+  "file.note.sampleRate": "samples per second, per channel",
+  "file.note.byteRate": "sample rate × block align",
+  "file.note.blockAlign": "bytes per frame: one sample of every channel",
+  "file.note.unsigned8": "8-bit WAV is unsigned, 128 = silence",
+  "file.note.signedLittleEndian": "signed, little-endian",
+  "file.note.speakers": "which speakers",
+  "file.note.fmt": "How the samples are stored",
+  "file.note.frames.one": "{count} channel × {bits} bits, frames one after another",
+  "file.note.frames.other": "{count} channels × {bits} bits, frames one after another",
+  "file.note.noFmt": "Samples (no fmt chunk before it)",
+  "file.note.leftChannel": "left channel",
+  "file.note.list": "Metadata such as title and artist",
+  "file.note.notNeeded": "Not needed to play the sound",
+  "file.value.bytes.one": "{count} byte",
+  "file.value.bytes.other": "{count} bytes",
+  "file.value.colours.one": "{count} colour",
+  "file.value.colours.other": "{count} colours",
+  "file.value.codes.one": "{count} code",
+  "file.value.codes.other": "{count} codes",
+  "file.value.exifValues.one": "{count} value of type {type}",
+  "file.value.exifValues.other": "{count} values of type {type}",
+  "file.value.none": "(none)",
+  "file.value.sampling": "sampling {h}×{v}, table {table}",
+  "file.value.scanTables": "DC table {dc}, AC table {ac}",
+  "file.value.text": "text",
+  "file.description.png.one": "{colourType}, {count} bit per sample",
+  "file.description.png.other": "{colourType}, {count} bits per sample",
+  "file.description.bmp.one": "{count} bit per pixel, {compression}",
+  "file.description.bmp.other": "{count} bits per pixel, {compression}",
+  "file.description.jpeg.one": "{type}, {count} component",
+  "file.description.jpeg.other": "{type}, {count} components",
+  "file.description.jpegChroma.one": "{type}, {count} component, chroma {chroma}",
+  "file.description.jpegChroma.other": "{type}, {count} components, chroma {chroma}",
+  "file.description.gif.one": "{version}, {count} frame, palette indices",
+  "file.description.gif.other": "{version}, {count} frames, palette indices",
+  "file.description.ppm": "{bits} bits per sample, uncompressed",
+  "file.description.ppmAscii": "ASCII samples, uncompressed",
+  "file.warning.truncated.one": "File ends at byte {size}, but {count} byte was expected at offset {offset}",
+  "file.warning.truncated.other": "File ends at byte {size}, but {count} bytes were expected at offset {offset}",
+  "file.warning.crc": "{type} chunk at {offset}: CRC mismatch",
+  "file.warning.pixelArrayShort.one": "Pixel array is {count} byte short",
+  "file.warning.pixelArrayShort.other": "Pixel array is {count} bytes short",
+  "file.warning.marker": "Expected a marker (0xFF) at offset {offset}",
+  "file.warning.unknownBlock": "Unknown block {block} at offset {offset}",
+  "file.warning.ppmHeader": "Malformed PPM header",
+  "file.warning.samplesMissing": "Only {present} of {total} samples present",
+  "file.warning.pixelDataShort.one": "Pixel data is {count} byte short",
+  "file.warning.pixelDataShort.other": "Pixel data is {count} bytes short",
+  "file.warning.unsupported": "Not a PNG, BMP, JPEG, GIF or PPM file",
+  "file.warning.notWav": "Not a WAV file: it should start with \"RIFF\", a size and \"WAVE\"",
+  "file.warning.riffSize.one": "The RIFF size says {count} byte, the file has {size}",
+  "file.warning.riffSize.other": "The RIFF size says {count} bytes, the file has {size}",
+  "file.warning.chunkShort.one": "The {chunk} chunk is {count} byte short",
+  "file.warning.chunkShort.other": "The {chunk} chunk is {count} bytes short",
+  "file.warning.blockAlign": "Block align is not channels × bytes per sample",
+  "file.warning.byteRate": "Byte rate is not sample rate × block align",
+  "file.warning.cannotDecode": "Cannot decode {format} samples of {bits} bits",
+  "file.warning.noFmt": "No fmt chunk",
+  "file.warning.noData": "No data chunk",
+  "file.colourType.gray": "grayscale",
+  "file.colourType.rgb": "RGB",
+  "file.colourType.indexed": "indexed (palette)",
+  "file.colourType.grayAlpha": "grayscale + alpha",
+  "file.colourType.rgba": "RGBA",
+  "file.intent.perceptual": "perceptual",
+  "file.intent.relative": "relative colorimetric",
+  "file.intent.saturation": "saturation",
+  "file.intent.absolute": "absolute colorimetric",
+  "file.channel.red": "Red",
+  "file.channel.green": "Green",
+  "file.channel.blue": "Blue",
+  "file.channel.alpha": "Alpha",
+  "file.density.aspect": "aspect ratio only",
+  "file.density.dpi": "dots per inch",
+  "file.density.dpcm": "dots per cm",
+  "file.sof.baseline": "baseline DCT",
+  "file.sof.extended": "extended sequential DCT",
+  "file.sof.progressive": "progressive DCT",
+  "file.sof.lossless": "lossless",
+  "file.sof.differentialSequential": "differential sequential",
+  "file.sof.differentialProgressive": "differential progressive",
+  "file.sof.differentialLossless": "differential lossless",
+  "file.sof.arithmeticSequential": "arithmetic sequential",
+  "file.sof.arithmeticProgressive": "arithmetic progressive",
+  "file.sof.arithmeticLossless": "arithmetic lossless",
+  "file.exif.make": "Make",
+  "file.exif.model": "Model",
+  "file.exif.orientation": "Orientation",
+  "file.exif.resolutionX": "X resolution",
+  "file.exif.resolutionY": "Y resolution",
+  "file.exif.resolutionUnit": "Resolution unit",
+  "file.exif.software": "Software",
+  "file.exif.dateTime": "Date/time",
+  "file.exif.artist": "Artist",
+  "file.exif.copyright": "Copyright",
+  "file.exif.exifIfd": "Exif sub-IFD offset",
+  "file.exif.gpsIfd": "GPS IFD offset",
+  "file.order.rgbText": "R G B as text",
+  "file.wavFormat.pcm": "PCM (integers)",
+
+  "fileInspector.title": "File Inspector",
+  "fileInspector.unknownFormat": "unknown format",
+  "fileInspector.bytes.one": "{count} byte",
+  "fileInspector.bytes.other": "{count} bytes",
+  "fileInspector.regionAt.one": "@ {offset} · {count} byte",
+  "fileInspector.regionAt.other": "@ {offset} · {count} bytes",
+  "fileInspector.moreBytes.one": "… {count} more byte",
+  "fileInspector.moreBytes.other": "… {count} more bytes",
+  "fileInspector.stored": "Stored file",
+  "fileInspector.payload": "… of which pixel data",
+  "fileInspector.overhead": "… of which headers and metadata",
+  "fileInspector.raw": "Raw pixel data ({bits} bits per pixel)",
+  "fileInspector.decoded": "Decoded buffer in the browser (RGBA)",
+  "fileInspector.pixelStored": "Pixel ({x}, {y}) is stored at offset {offset}: {bytes} ({order}) → decoded RGBA {rgba}",
+  "fileInspector.firstRegions": "Showing the first {shown} of {count} regions.",
+  "fileInspector.note.PNG":
+    "PNG filters each row and compresses it with DEFLATE. It is lossless: the decoded buffer holds exactly the stored samples, expanded to 8-bit RGBA.",
+  "fileInspector.note.BMP":
+    "BMP stores pixels uncompressed, rows bottom-up (unless the height is negative), colours as B, G, R and every row padded to a multiple of 4 bytes. The decoder flips, reorders and adds alpha.",
+  "fileInspector.note.JPEG":
+    "JPEG does not store pixel values at all: it stores quantized frequency coefficients of 8×8 blocks, Huffman-coded. The decoded buffer is an approximation of the original image.",
+  "fileInspector.note.GIF":
+    "GIF stores one palette index per pixel, LZW-compressed. Decoding looks each index up in the colour table, so every byte becomes four.",
+  "fileInspector.note.PPM":
+    "PPM is about the simplest image format there is: a short text header, then R, G, B for every pixel, row by row, with no padding and no compression. P3 writes the numbers as text, P6 as bytes.",
+
+  "wavInspector.title": "WAV Anatomy",
+  "wavInspector.summary.one":
+    "{count} channel, {rate} Hz, {bits} bits: {frames} frames = {seconds} s. Headers take {header} bytes, the samples the rest.",
+  "wavInspector.summary.other":
+    "{count} channels, {rate} Hz, {bits} bits: {frames} frames = {seconds} s. Headers take {header} bytes, the samples the rest.",
+  "wavInspector.sampleStored": "Sample {sample} is stored at offset {offset}: {bytes} (little-endian) → {value}",
+  "wavInspector.sampleStoredUnsigned":
+    "Sample {sample} is stored at offset {offset}: {bytes} (little-endian, unsigned) → {value}",
+
+  "colorDepth.title": "Colour Depth",
+  "colorDepth.mode.channel": "n bits per channel",
+  "colorDepth.mode.rgb565": "16-bit RGB565",
+  "colorDepth.mode.palette": "Indexed palette",
+  "colorDepth.mode.gray": "Grayscale",
+  "colorDepth.dither.none": "None",
+  "colorDepth.dither.ordered": "Ordered (Bayer 8×8)",
+  "colorDepth.channel.r": "Red",
+  "colorDepth.channel.g": "Green",
+  "colorDepth.channel.b": "Blue",
+  "colorDepth.channel.l": "Luminance",
+  "colorDepth.reference.trueColour": "24-bit true colour",
+  "colorDepth.reference.rgb565": "16-bit RGB565",
+  "colorDepth.reference.palette256": "8-bit palette",
+  "colorDepth.reference.gray8": "8-bit grayscale",
+  "colorDepth.reference.palette16": "4-bit palette",
+  "colorDepth.reference.blackWhite": "1-bit black & white",
+  "colorDepth.bits": "bits",
+  "colorDepth.bitsPerChannel": "bits per channel",
+  "colorDepth.colours": "colours",
+  "colorDepth.paletteSize": "{size} ({bits}-bit index)",
+  "colorDepth.dithering": "dithering",
+  "colorDepth.sum": "{width} × {height} × {bits} bits = {total} bits",
+  "colorDepth.paletteSum": "+ palette {colours} × 3 bytes",
+  "colorDepth.share": "({share} of 24-bit, up to {colours} colours)",
+  "colorDepth.original": "Original (24-bit)",
+  "colorDepth.reduced": "Re-rendered",
+  "colorDepth.palette": "Palette (median cut, {entries} entries)",
+  "colorDepth.paletteEntry": "index {index}: {r}, {g}, {b}",
+  "colorDepth.format": "Format",
+  "colorDepth.bitsPerPixel": "Bits / pixel",
+  "colorDepth.uncompressed": "Uncompressed size",
+  "colorDepth.planes": "Bit Planes",
+  "colorDepth.bit": "bit {bit}",
+  "colorDepth.ofReduced": "of the re-rendered image",
+  "colorDepth.planeNote":
+    "White where bit {bit} (weight {weight}) is 1 — {share} of pixels. The high bits carry the picture, the low bits look like noise; with n bits per channel the lowest 8 − n planes are (nearly) constant.",
+
+  "convolution.title": "Filters (Convolution)",
+  "convolution.busy": "Filtering…",
+  "convolution.workerFailed": "The filter worker failed",
+  "convolution.kernel": "Kernel",
+  "convolution.preset.identity": "Identity",
+  "convolution.preset.box3": "Box blur 3×3",
+  "convolution.preset.box5": "Box blur 5×5",
+  "convolution.preset.gauss3": "Gaussian blur 3×3",
+  "convolution.preset.gauss5": "Gaussian blur 5×5",
+  "convolution.preset.sharpen": "Sharpen",
+  "convolution.preset.sobel-x": "Sobel, vertical edges",
+  "convolution.preset.sobel-y": "Sobel, horizontal edges",
+  "convolution.preset.prewitt-x": "Prewitt, vertical edges",
+  "convolution.preset.prewitt-y": "Prewitt, horizontal edges",
+  "convolution.preset.laplace": "Laplacian edges",
+  "convolution.preset.emboss": "Emboss",
+  "convolution.custom": "Custom",
+  "convolution.size": "Size",
+  "convolution.edges": "Edges",
+  "convolution.edge.extend": "Extend (repeat the edge pixel)",
+  "convolution.edge.mirror": "Mirror (reflect at the edge)",
+  "convolution.edge.wrap": "Wrap around",
+  "convolution.edge.zero": "Zero (black outside)",
+  "convolution.sumOfWeights": "sum of weights",
+  "convolution.offset": "offset (128 shows negative sums as darker grey)",
+  "convolution.invalid": "Every weight, the divisor and the offset must be numbers; the divisor not 0.",
+  "convolution.original": "Original",
+  "convolution.filtered": "Filtered",
+  "convolution.apply": "Use as current image",
+  "convolution.pixel": "Pixel ({x}, {y})",
+  "convolution.channel.red": "Red",
+  "convolution.channel.green": "Green",
+  "convolution.channel.blue": "Blue",
+  "convolution.outside": "outside the image: 0",
+  "convolution.neighbour": "neighbour ({x}, {y}): R {r} G {g} B {b}",
+  "convolution.sum": "Σ weight × value",
+  "convolution.clamped": "Clamped 0–255",
+  "convolution.pickHint": "Click a pixel to see how its filtered value is computed.",
+  "convolution.note":
+    "Blur kernels are all positive and divide by their sum, so flat areas stay the same. Sharpen adds the difference from the neighbours back in. Edge kernels sum to 0: flat areas give 0 (shown as 128 grey with the offset), edges give large positive or negative sums, which are clamped into 0–255. At the border the kernel reaches outside the image; the edge mode decides what it finds there.",
+
+  "compression.title": "Compression",
+  "compression.busy": "Encoding…",
+  "compression.quality": "JPEG/WebP quality",
+  "compression.gain": "Difference ×",
+  "compression.method": "Method",
+  "compression.method.rle": "RLE (rows, ours)",
+  "compression.size": "Size",
+  "compression.ratio": "Ratio",
+  "compression.bitsPerPixel": "Bits/pixel",
+  "compression.changed": "Pixels changed",
+  "compression.raw": "Raw 24-bit RGB",
+  "compression.identical": "∞ (identical)",
+  "compression.failed": "This browser cannot encode {method}.",
+  "compression.rleRuns": "RLE, first runs: {runs} — 4 bytes per run of up to 255 equal pixels.",
+  "compression.original": "Original",
+  "compression.atQuality": "{method}, quality {quality}",
+  "compression.difference": "Difference × {gain} (largest error {maxError})",
+  "compression.error": "Error",
+  "compression.note":
+    "MSE is the average squared difference per sample; PSNR = 10·log₁₀(255² / MSE), so higher is better and above about 40 dB differences are hard to see. RLE and PNG are lossless (alpha aside: JPEG and RLE drop it). Lower the quality and watch JPEG's 8×8 blocks appear in the difference image.",
+
+  "stats.channel.r": "Red",
+  "stats.channel.g": "Green",
+  "stats.channel.b": "Blue",
+  "stats.channel.a": "Alpha",
+  "stats.channel.l": "Luminance",
+  "stats.mode": "most common value {value}",
+  "stats.histograms": "Histograms",
+  "stats.wholeImage": "Whole image",
+  "stats.selection": "Selection",
+  "stats.logScale": "log scale",
+  "stats.histogramNote":
+    "Each bar counts how many pixels have that value (0–255) in the channel. Luminance uses the Rec. 709 weights 0.2126 R + 0.7152 G + 0.0722 B.",
+  "stats.region": "Region Statistics",
+  "stats.dragHint": "Drag a rectangle on the image to measure it.",
+  "stats.summary": "{width} × {height} px at ({x}, {y}) = {pixels}, {colours}",
+  "stats.pixels.one": "{count} pixel",
+  "stats.pixels.other": "{count} pixels",
+  "stats.colours.one": "{count} distinct colour",
+  "stats.colours.other": "{count} distinct colours",
+  "stats.channel": "Channel",
+  "stats.mean": "Mean",
+  "stats.min": "Min",
+  "stats.max": "Max",
+  "stats.std": "Std dev",
+  "stats.dominant": "Dominant colours",
+
+  "pixelMemory.title": "Pixel in Memory",
+  "pixelMemory.address": "address {offset}",
+  "pixelMemory.bigEndian": "big-endian",
+  "pixelMemory.littleEndian": "little-endian",
+  "pixelMemory.offset":
+    "ImageData keeps 4 bytes per pixel, R G B A, row after row. Pixel ({x}, {y}) starts at byte offset {formula} ({hex}).",
+  "pixelMemory.stride":
+    "Stride: {formula} bytes per row, so row {row} starts at {start} and the pixel below is {stride} bytes further on.",
+  "pixelMemory.layout": "Layout",
+  "pixelMemory.layout.RGBA": "CSS #RRGGBBAA, PNG and ImageData byte order",
+  "pixelMemory.layout.ARGB": "Java, .NET and Android colour ints",
+  "pixelMemory.layout.BGRA": "BMP, Windows DIB and Direct3D byte order",
+  "pixelMemory.layout.ABGR": "ImageData read as a Uint32 on a little-endian machine",
+  "pixelMemory.word": "32-bit word",
+  "pixelMemory.unsigned": "Unsigned",
+  "pixelMemory.bigEndianMemory": "Big-endian memory",
+  "pixelMemory.littleEndianMemory": "Little-endian memory",
+  "pixelMemory.native": "(Uint32 view here)",
+  "pixelMemory.openInNumbers": "Open in Numbers",
+  "pixelMemory.stored": "{layout} stored {order}",
+  "pixelMemory.storedHere": "{layout} stored {order} (this machine)",
+  "pixelMemory.note":
+    "The same four bytes are a different number depending on the layout a program assumes and the order its machine stores words in. This machine is {order}, so a Uint32Array over the pixel buffer reads each pixel as {layout}.",
+  "pixelMemory.noteLittleEndian":
+    "The same four bytes are a different number depending on the layout a program assumes and the order its machine stores words in. This machine is {order}, so a Uint32Array over the pixel buffer reads each pixel as {layout}: {word}, not the {expected} you might expect.",
+
+  "stego.title": "Hidden Message (LSB steganography)",
+  "stego.sample": "Text and pixels are both just bits. Grüße 🙂",
+  "stego.lengthBit": "length bit {bit}",
+  "stego.messageBit": "byte {byte}, bit {bit}",
+  "stego.error.tooLong": "The message is {length} bytes; at most {fit} fit",
+  "stego.error.tooSmall": "The image is too small to hold even the length",
+  "stego.error.noMessage": "The length header says {length} bytes, more than the {fit} that fit: probably no message here",
+  "stego.saveFailed": "This browser cannot save the image as PNG.",
+  "stego.decodeFailed": "Could not decode {name}: {error}",
+  "stego.message": "Message",
+  "stego.hideIn": "Hide in",
+  "stego.channel.r": "Red",
+  "stego.channel.g": "Green",
+  "stego.channel.b": "Blue",
+  "stego.lowest": "Lowest {select} {bitWord} of each channel (changes a value by at most {max})",
+  "stego.bitWord.one": "bit",
+  "stego.bitWord.other": "bits",
+  "stego.capacity":
+    "Capacity: {pixels} × {channels} × {bits} = {total} ({size}); after the {lengthBits}-bit length, {bytes} of message.",
+  "stego.pixels.one": "{count} pixel",
+  "stego.pixels.other": "{count} pixels",
+  "stego.channels.one": "{count} channel",
+  "stego.channels.other": "{count} channels",
+  "stego.bits.one": "{count} bit",
+  "stego.bits.other": "{count} bits",
+  "stego.bytes.one": "{count} byte",
+  "stego.bytes.other": "{count} bytes",
+  "stego.skipped.one": "{count} transparent pixel is skipped.",
+  "stego.skipped.other": "{count} transparent pixels are skipped.",
+  "stego.used.one": "The message takes {count} bit.",
+  "stego.used.other": "The message takes {count} bits.",
+  "stego.usedShare.one": "The message takes {count} bit ({share} of the capacity).",
+  "stego.usedShare.other": "The message takes {count} bits ({share} of the capacity).",
+  "stego.flipped":
+    "{bits} flipped in {pixels}; about half of the message bits already matched. PSNR {psnr}, largest change {maxError}.",
+  "stego.before": "Before",
+  "stego.after": "After",
+  "stego.view.diff": "Changed channels",
+  "stego.view.low-before": "Low bits, before",
+  "stego.view.low-after": "Low bits, after",
+  "stego.carries": "Carries",
+  "stego.nothing": "nothing",
+  "stego.pickHint": "Click a pixel to see which of its bits carry the message.",
+  "stego.download": "Download PNG with message",
+  "stego.apply": "Use as current image",
+  "stego.readBack": "Read a message back",
+  "stego.fromImage": "From the current image",
+  "stego.fromFile": "from a file:",
+  "stego.currentImage": "the current image",
+  "stego.readNote":
+    "Uses the channels and bit count above. A JPEG rounds the low bits away, so only lossless files keep the message.",
+  "stego.readFromImage": "From the current image: {bytes}",
+  "stego.readFromFile": "From {name}: {bytes}",
+  "stego.invalid.one": "{count} invalid UTF-8 sequence: probably not a message",
+  "stego.invalid.other": "{count} invalid UTF-8 sequences: probably not a message",
+
+  "colorSpace.title": "Colour Spaces",
+  "colorSpace.picked": "picked",
+  "colorSpace.edited": "edited",
+  "colorSpace.reset": "Reset",
+  "colorSpace.space.rgb": "sRGB (8-bit)",
+  "colorSpace.space.linear": "Linear sRGB",
+  "colorSpace.outOfGamut": "(outside the sRGB gamut, clamped)",
+  "colorSpace.back": "back:",
+  "colorSpace.grayscale": "Grayscale",
+  "colorSpace.gray.average": "Average",
+  "colorSpace.gray.lightness": "Lightness",
+  "colorSpace.gray.value": "Value",
+  "colorSpace.gray.luminance": "Relative luminance",
+  "colorSpace.grayFormula.luminance": "Y of linear RGB, re-encoded",
+  "colorSpace.note":
+    "YCbCr is full range (0–255, Cb/Cr centred on 128) as in JPEG. Linear sRGB undoes the sRGB gamma curve; XYZ and CIELAB use the D65 white point. Values that land outside 0–255 after converting back cannot be shown on an sRGB screen and are clamped.",
+  "ycbcr.title": "Y / Cb / Cr Channels",
+  "ycbcr.plane.y": "Y (luma) — brightness",
+  "ycbcr.plane.cb": "Cb — blue minus luma",
+  "ycbcr.plane.cr": "Cr — red minus luma",
+  "ycbcr.subsampling": "Chroma subsampling",
+  "ycbcr.size": "{bits} bits per pixel = {size} instead of {full}",
+  "ycbcr.chroma": "Cb and Cr averaged over {bx}×{by} blocks",
+  "ycbcr.luma": "For comparison: Y averaged over {bx}×{by} blocks",
+  "ycbcr.note":
+    "The eye resolves fine detail in brightness much better than in colour. Storing Cb and Cr once per block throws away half (4:2:2) or three quarters (4:2:0) of the colour samples with hardly any visible change, while the same treatment of Y blurs every edge. Zoom in on coloured edges and text to find where it does show.",
+
+  "hexViewer.title": "Hex Viewer",
+  "hexViewer.open": "Open any file",
+  "hexViewer.drop": "…or drop it here. Nothing is uploaded: the file is read in the browser.",
+  "hexViewer.reading": "Reading…",
+  "hexViewer.readFailed": "Could not read {name}: {error}",
+  "hexViewer.pasteAs": "Paste bytes as",
+  "hexViewer.mode.text": "Text (UTF-8)",
+  "hexViewer.placeholder.hex": "DE AD BE EF, 0x89 0x50 … or 89504E47",
+  "hexViewer.placeholder.base64": "iVBORw0KGgo…",
+  "hexViewer.placeholder.text": "Any text; it is stored as UTF-8 bytes",
+  "hexViewer.show": "Show bytes",
+  "hexViewer.error.base64": "Not valid Base64.",
+  "hexViewer.error.hexDigit": "Not a hex digit: \"{digit}\"",
+  "hexViewer.error.oddDigits": "Odd number of hex digits: every byte needs two.",
+  "hexViewer.pasted": "pasted bytes",
+  "hexViewer.bytes.one": "{count} byte",
+  "hexViewer.bytes.other": "{count} bytes",
+  "hexViewer.goToPlaceholder": "0x1F0 or 496",
+  "hexViewer.goTo": "Go to",
+  "hexViewer.empty": "No bytes.",
+  "hexViewer.offset": "offset 0x{hex} ({offset})",
+  "hexViewer.selected.one": "{count} byte selected",
+  "hexViewer.selected.other": "{count} bytes selected",
+  "hexViewer.copied": "Copied!",
+  "hexViewer.copy": "Copy as hex",
+  "dataInspector.title": "Data Inspector",
+  "dataInspector.type": "Type",
+  "dataInspector.type.time32": "Unix time (32-bit s)",
+  "dataInspector.type.time64": "Unix time (64-bit ms)",
+  "dataInspector.outOfRange": "out of range",
+  "dataInspector.littleEndian": "Little-endian",
+  "dataInspector.bigEndian": "Big-endian",
+  "dataInspector.tooShort": "needs {size} bytes, only {left} left",
+  "dataInspector.invalid": "{count} × U+FFFD (invalid or incomplete sequences)",
+  "dataInspector.first.one": "first {count} byte",
+  "dataInspector.first.other": "first {count} bytes",
+  "dataInspector.empty": "(empty)",
+  "dataInspector.note":
+    "Numbers are read starting at the first selected byte. A file format decides which reading is right; the bytes themselves don't say.",
+
+  "sound.title": "Sound",
+  "sound.decodeFailed": "Could not decode {name}: {error}",
+  "sound.exportedName": "exported WAV",
+  "sound.source": "Source",
+  "sound.generated": "Generated tone",
+  "sound.file": "File",
+  "sound.waveform": "Waveform",
+  "sound.waveform.sine": "Sine",
+  "sound.waveform.square": "Square",
+  "sound.waveform.triangle": "Triangle",
+  "sound.waveform.sawtooth": "Sawtooth",
+  "sound.waveform.chord": "Major chord (f, 5/4 f, 3/2 f)",
+  "sound.frequency": "Frequency",
+  "sound.amplitude": "Amplitude",
+  "sound.clipping": "Above 1.0 the samples clip at the largest integer.",
+  "sound.fileInfo": "{rate} Hz, {seconds} s. Lower the sample rate to hear it alias.",
+  "sound.fileTruncated": "{rate} Hz, {seconds} s (the first {max} s). Lower the sample rate to hear it alias.",
+  "sound.fileNote": "WAV is read byte by byte here; other formats are decoded by the browser.",
+  "sound.sampling": "Sampling",
+  "sound.sampleRate": "Sample rate",
+  "sound.nyquist": "Nyquist frequency: {nyquist}. One sample every {period} ms.",
+  "sound.aliased": "{frequency} Hz is above Nyquist, so the samples are those of a {alias} tone. That is what you hear.",
+  "sound.aliasedSine":
+    "{frequency} Hz is above Nyquist, so the samples are those of a {alias} tone (dashed red). That is what you hear.",
+  "sound.harmonics.square":
+    "A square wave has harmonics at every multiple of {frequency} Hz; those above {nyquist} Hz alias back as inharmonic tones.",
+  "sound.harmonics.triangle":
+    "A triangle wave has harmonics at every multiple of {frequency} Hz; those above {nyquist} Hz alias back as inharmonic tones.",
+  "sound.harmonics.sawtooth":
+    "A sawtooth wave has harmonics at every multiple of {frequency} Hz; those above {nyquist} Hz alias back as inharmonic tones.",
+  "sound.quantization": "Quantization",
+  "sound.bitDepth": "Bit depth",
+  "sound.bits": "{bits} bits",
+  "sound.levels": "{levels} levels, integers {min} … {max} (two's complement).",
+  "sound.snr": "Signal-to-noise: {measured} measured; a full-scale sine would get about {ideal} dB ({perBit} dB per bit).",
+  "sound.bitrate": "{bits} bits per second; one second of WAV takes {size}.",
+  "sound.listen": "Listen",
+  "sound.original": "Original",
+  "sound.quantized": "{rate} Hz, {bits}-bit",
+  "sound.noise": "Quantization noise only (amplified)",
+  "sound.stop": "Stop",
+  "sound.download": "Download WAV ({size})",
+  "sound.show": "Show",
+  "sound.from": "from",
+  "sound.legend":
+    "Grey: the original. Blue: the samples. Orange: the quantized samples, held until the next one. Below: the rounding error of each sample, scaled so half a step fills the strip. Click to pick a sample.",
+  "sound.samples": "Samples as Integers",
+  "sound.time": "Time",
+  "sound.sampled": "Sampled",
+  "sound.integer": "Integer",
+  "sound.twosComplement": "Two's complement",
+  "sound.hex": "Hex",
+  "sound.openInNumbers": "Open in Numbers",
+  "sound.integerNote": "Integer = round(sample × {scale}), clipped to {min} … {max}.",
+  "sound.stored": "A WAV file stores it in {bits} bits.",
+  "sound.storedShifted": "A WAV file stores it in {bits} bits, shifted up {shift}.",
+  "sound.storedUnsigned": "A WAV file stores it in {bits} bits, plus 128, because 8-bit WAV is unsigned.",
+  "sound.storedShiftedUnsigned":
+    "A WAV file stores it in {bits} bits, shifted up {shift}, plus 128, because 8-bit WAV is unsigned.",
+  "sound.bitCount.one": "{count} bit",
+  "sound.bitCount.other": "{count} bits",
+  "sound.exported": "Exported WAV",
+
+  "byteCards.byte": "byte {index}",
+};
@@ -0,0 +1,5 @@
+import en from "./en.js";
+import de from "./de.js";
+
+/** One catalog per entry of LANGUAGES (src/lib/i18n.js). */
+export const CATALOGS = { en, de };
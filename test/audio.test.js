@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { aliasFrequency, dequantize, idealSqnr, quantize, resample, sampleSignal, snr } from "../src/lib/audio.js";
+
+const sine = (frequency, amplitude = 1) => ({ waveform: "sine", frequency, amplitude });
+
+test("a tone above Nyquist produces the same samples as its alias", () => {
+  assert.equal(aliasFrequency(5000, 8000), 3000);
+  assert.equal(aliasFrequency(7900, 8000), 100);
+  assert.equal(aliasFrequency(440, 8000), 440);
+  const high = sampleSignal(sine(7000), 8000, 0.01);
+  const low = sampleSignal(sine(-1000), 8000, 0.01); // 7000 Hz folds to 1000 Hz, phase inverted
+  high.forEach((v, i) => assert.ok(Math.abs(v - low[i]) < 1e-5, `sample ${i}`));
+});
+
+test("quantize rounds to signed integers and clips", () => {
+  assert.deepEqual(Array.from(quantize([0, 0.5, -0.5, 1, -1, 0.004], 8)), [0, 64, -64, 127, -128, 1]);
+  assert.deepEqual(Array.from(quantize([1, -1], 16)), [32767, -32768]);
+  assert.deepEqual(Array.from(dequantize([64, -128], 8)), [0.5, -1]);
+});
+
+test("each extra bit buys about 6 dB", () => {
+  const x = sampleSignal(sine(441, 0.99), 44100, 0.1);
+  for (const bits of [8, 12, 16]) {
+    const measured = snr(x, dequantize(quantize(x, bits), bits));
+    assert.ok(Math.abs(measured - idealSqnr(bits)) < 1.5, `${bits} bits: ${measured} dB`);
+  }
+  assert.equal(snr(x, x), Infinity);
+});
+
+test("resample keeps the duration and interpolates", () => {
+  const out = resample(Float32Array.from([0, 1, 0, -1]), 4, 8);
+  assert.equal(out.length, 8);
+  assert.deepEqual(Array.from(out.slice(0, 3)), [0, 0.5, 1]);
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { base64Groups, findByteEncoding } from "../src/lib/byteEncodings.js";
+
+const bytesOf = (s) => Array.from(new TextEncoder().encode(s));
+const encode = (id, s) => findByteEncoding(id).encode(bytesOf(s));
+const decode = (id, s) => findByteEncoding(id).decode(s);
+
+// RFC 4648 test vectors
+const VECTORS = ["", "f", "fo", "foo", "foob", "fooba", "foobar"];
+
+test("Base64 and Base32 match RFC 4648", () => {
+  assert.deepEqual(VECTORS.map((v) => encode("base64", v)), ["", "Zg==", "Zm8=", "Zm9v", "Zm9vYg==", "Zm9vYmE=", "Zm9vYmFy"]);
+  assert.deepEqual(
+    VECTORS.map((v) => encode("base32", v)),
+    ["", "MY======", "MZXQ====", "MZXW6===", "MZXW6YQ=", "MZXW6YTB", "MZXW6YTBOI======"]
+  );
+  assert.equal(findByteEncoding("base64url").encode([0xfb, 0xff]), "-_8");
+});
+
+test("Ascii85 encodes whole and partial groups", () => {
+  assert.equal(encode("ascii85", "Man "), "9jqo^");
+  assert.equal(encode("ascii85", "sure."), "F*2M7/c");
+  assert.equal(findByteEncoding("ascii85").encode([0, 0, 0, 0, 1]), "z!<");
+});
+
+test("percent-encoding and quoted-printable keep safe ASCII readable", () => {
+  assert.equal(encode("percent", "a b/€"), "a%20b%2F%E2%82%AC");
+  assert.equal(encode("quoted-printable", "a=b é \nx"), "a=3Db =C3=A9=20\nx");
+  const long = encode("quoted-printable", "x".repeat(100));
+  assert.ok(long.split("\n").every((line) => line.length <= 76));
+});
+
+test("every encoding round-trips", () => {
+  const bytes = [...Array(256).keys(), 0, 0, 0, 0, 10, 32, 10];
+  for (const id of ["hex", "base64", "base64url", "base32", "ascii85", "percent", "quoted-printable"]) {
+    const enc = findByteEncoding(id);
+    assert.deepEqual(enc.decode(enc.encode(bytes)).bytes, bytes, id);
+  }
+});
+
+test("decoders report invalid input", () => {
+  assert.match(decode("base64", "Zm9v!").error, /"!"/);
+  assert.ok(decode("base64", "Zm9vY").error);
+  assert.ok(decode("base32", "MZX").error);
+  assert.ok(decode("ascii85", "{").error);
+  assert.ok(decode("percent", "%G1").error);
+  assert.ok(decode("hex", "ABC").error);
+  assert.deepEqual(decode("base32", "mzxw6===").bytes, bytesOf("foo"));
+  assert.deepEqual(decode("ascii85", "<~9jqo^~>").bytes, bytesOf("Man "));
+});
+
+test("base64Groups splits 3 bytes into 4 sextets", () => {
+  const [group, last] = base64Groups(bytesOf("Mano"));
+  assert.deepEqual(group.sextets.map((s) => s.value), [19, 22, 5, 46]);
+  assert.equal(group.sextets.map((s) => s.char).join(""), "TWFu");
+  assert.equal(last.padding, 2);
+  assert.equal(last.sextets.map((s) => s.char).join(""), "bw");
+});
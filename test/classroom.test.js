@@ -0,0 +1,144 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { fileURLToPath } from "node:url";
+import WebSocket from "ws";
+import { CLASSROOM_PATH } from "../src/lib/classroom.js";
+
+const SERVER = fileURLToPath(new URL("../server/classroom-server.mjs", import.meta.url));
+let server;
+let url;
+
+before(async () => {
+  server = spawn(process.execPath, [SERVER], { env: { ...process.env, PORT: "0" } });
+  let out = "";
+  for await (const chunk of server.stdout) {
+    out += chunk;
+    const port = out.match(/on port (\d+)/)?.[1];
+    if (port) {
+      url = `ws://localhost:${port}${CLASSROOM_PATH}`;
+      break;
+    }
+  }
+});
+
+after(() => server.kill());
+
+/** A connected socket whose `next()` resolves with the next message it receives. */
+const connect = async () => {
+  const ws = new WebSocket(url);
+  const queue = [];
+  const waiting = [];
+  ws.on("message", (data) => {
+    const msg = JSON.parse(data);
+    if (waiting.length) waiting.shift()(msg);
+    else queue.push(msg);
+  });
+  await once(ws, "open");
+  return {
+    send: (msg) => ws.send(typeof msg === "string" ? msg : JSON.stringify(msg)),
+    next: () => (queue.length ? Promise.resolve(queue.shift()) : new Promise((resolve) => waiting.push(resolve))),
+    /** The next message of the given type, skipping others (rosters). */
+    async expect(type) {
+      for (;;) {
+        const msg = await this.next();
+        if (msg.type === type) return msg;
+      }
+    },
+    close: () => ws.close(),
+  };
+};
+
+const hostSession = async () => {
+  const host = await connect();
+  host.send({ type: "host" });
+  const { code } = await host.expect("hosted");
+  return { host, code };
+};
+
+const joinSession = async (code, name) => {
+  const student = await connect();
+  student.send({ type: "join", code, name });
+  const joined = await student.expect("joined");
+  await student.expect("challenge");
+  return { student, joined };
+};
+
+/** The server still answers a new teacher after whatever came before. */
+const assertServing = async () => {
+  assert.equal(server.exitCode, null);
+  const { host } = await hostSession();
+  host.close();
+};
+
+test("a student joins, answers a challenge and is told when the session closes", async () => {
+  const { host, code } = await hostSession();
+  const { student, joined } = await joinSession(code.toLowerCase(), "  Ada  ");
+  assert.deepEqual(joined, { type: "joined", code, name: "Ada" });
+
+  host.send({ type: "challenge", target: "0x2A", bits: 8 });
+  const { challenge } = await student.expect("challenge");
+  assert.equal(challenge.target, "0x2A");
+
+  student.send({ type: "answer", challengeId: challenge.id, value: "0x2b" });
+  assert.equal((await student.expect("result")).correct, false);
+  student.send({ type: "answer", challengeId: challenge.id, value: "0x2a" });
+  const result = await student.expect("result");
+  assert.deepEqual([result.correct, result.value, result.attempts, result.rank], [true, "0x2A", 2, 1]);
+
+  let roster;
+  do roster = await host.expect("roster");
+  while (!roster.students[0]?.answer?.correct);
+  assert.equal(roster.students[0].name, "Ada");
+
+  host.close();
+  await student.expect("closed");
+  student.close();
+});
+
+test("unknown and inherited message types are ignored", async () => {
+  const client = await connect();
+  for (const type of ["__proto__", "constructor", "toString", "hasOwnProperty"]) client.send({ type });
+  client.send("not json");
+  client.send({ type: 42 });
+  client.close();
+  await assertServing();
+});
+
+test("answers, codes and names that are not strings are ignored", async () => {
+  const { host, code } = await hostSession();
+  const { student } = await joinSession(code, "Ada");
+  host.send({ type: "challenge", target: "0x5", bits: 4 });
+  const { challenge } = await student.expect("challenge");
+  student.send({ type: "answer", challengeId: challenge.id, value: ["0x5"] });
+  student.send({ type: "answer", challengeId: String(challenge.id), value: "0x5" });
+  student.send({ type: "answer", challengeId: challenge.id, value: "0x5" });
+  assert.equal((await student.expect("result")).attempts, 1);
+
+  const other = await connect();
+  other.send({ type: "join", code: [code], name: { toString: 1 } });
+  assert.equal((await other.expect("error")).reason, "no-session");
+  const unnamed = await connect();
+  unnamed.send({ type: "join", code, name: { toString: 1 } });
+  assert.equal((await unnamed.expect("error")).reason, "no-name");
+  host.send({ type: "challenge", target: { toString: 1 }, bits: "4" });
+  assert.equal((await host.expect("error")).reason, "invalid-challenge");
+
+  host.close();
+  student.close();
+  await assertServing();
+});
+
+test("students of a closed session can no longer answer", async () => {
+  const { host, code } = await hostSession();
+  const { student } = await joinSession(code, "Ada");
+  host.send({ type: "challenge", target: "0x5", bits: 4 });
+  const { challenge } = await student.expect("challenge");
+  host.close();
+  await student.expect("closed");
+  student.send({ type: "answer", challengeId: challenge.id, value: "0x5" });
+  student.send({ type: "end" });
+  student.close();
+  await assertServing();
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync, spawnSync } from "node:child_process";
+import { mkdtempSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const DRLAB = fileURLToPath(new URL("../cli/drlab.js", import.meta.url));
+const drlab = (...args) => execFileSync(process.execPath, [DRLAB, ...args], { encoding: "utf8" });
+const drlabJson = (...args) => JSON.parse(drlab(...args, "--json"));
+
+test("convert reads the value at the given width", () => {
+  const r = drlabJson("convert", "0xFF", "--bits", "16", "--signed");
+  assert.equal(r.signed, "255");
+  assert.equal(r.hex, "0x00FF");
+  assert.equal(r.bytesLE, "FF 00");
+  assert.equal(drlabJson("convert", "0xFF", "--signed").signed, "-1");
+  assert.equal(drlabJson("convert", "-1", "--bits=4").binary, "1111");
+});
+
+test("convert lists signed first with --signed", () => {
+  const lines = drlab("convert", "0x80", "--signed").split("\n");
+  assert.match(lines[1], /signed\s+-128/);
+});
+
+test("utf8 lists the bytes of each code point", () => {
+  const r = drlabJson("utf8", "a👋");
+  assert.deepEqual(
+    r.chars.map((c) => [c.codePoint, c.hex]),
+    [
+      ["U+0061", "61"],
+      ["U+1F44B", "F0 9F 91 8B"],
+    ]
+  );
+  assert.equal(r.length, 5);
+});
+
+test("pixel reads a pixel from a file", () => {
+  const file = join(mkdtempSync(join(tmpdir(), "drlab-")), "tiny.ppm");
+  writeFileSync(file, "P3\n2 1\n255\n0 0 0  255 128 0\n");
+  const r = drlabJson("pixel", file, "1", "0");
+  assert.deepEqual(r.rgba, [255, 128, 0, 255]);
+  assert.equal(r.hex, "#FF8000");
+});
+
+test("bad input exits non-zero with a message", () => {
+  const r = spawnSync(process.execPath, [DRLAB, "convert", "0xZZ"], { encoding: "utf8" });
+  assert.equal(r.status, 2);
+  assert.match(r.stderr, /not a decimal/);
+});
+
+test("--bits without a value is a usage error", () => {
+  for (const args of [["300", "--bits"], ["300", "--bits", "--json"]]) {
+    const r = spawnSync(process.execPath, [DRLAB, "convert", ...args], { encoding: "utf8" });
+    assert.equal(r.status, 2);
+    assert.match(r.stderr, /--bits needs a value/);
+  }
+});
@@ -0,0 +1,18 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { memorySize, storageOf } from "../src/lib/colorDepth.js";
+
+test("fixed depths need the same bits for every image", () => {
+  assert.deepEqual(storageOf({ mode: "channel", bits: 8 }), { bitsPerPixel: 24, paletteBytes: 0, colors: 2 ** 24 });
+  assert.equal(storageOf({ mode: "rgb565" }).bitsPerPixel, 16);
+  assert.equal(memorySize(10, 10, { mode: "gray", bits: 1 }), 13);
+});
+
+test("a palette is sized by the colours median cut found", () => {
+  const setting = { mode: "palette", paletteSize: 256 };
+  assert.deepEqual(storageOf(setting), { bitsPerPixel: 8, paletteBytes: 768, colors: 256 });
+  const palette = [[0, 0, 0], [255, 0, 0], [0, 0, 255]];
+  assert.deepEqual(storageOf(setting, palette), { bitsPerPixel: 2, paletteBytes: 9, colors: 3 });
+  assert.equal(memorySize(4, 4, setting, palette), 4 + 9);
+  assert.equal(storageOf(setting, [[7, 7, 7]]).bitsPerPixel, 1);
+});
@@ -0,0 +1,128 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  codePoints,
+  divisionSteps,
+  expansionSteps,
+  fitsWidth,
+  groupEvery,
+  parseDecimal,
+  parseFromBase,
+  parseInteger,
+  rgbToHex,
+  rgbToHsv,
+  toBin,
+  toBase,
+  toBytesBE,
+  toHex,
+  toUnsigned,
+  unsignedToSigned,
+  utf8Bytes,
+} from "../src/lib/conversions.js";
+
+test("toUnsigned wraps negatives and saturates overflow", () => {
+  assert.equal(toUnsigned(-1n, 8), 255n);
+  assert.equal(toUnsigned(-128n, 8), 128n);
+  assert.equal(toUnsigned(300n, 8), 255n);
+  assert.equal(toUnsigned(42, 16), 42n);
+  assert.equal(toUnsigned(-1n, 128), (1n << 128n) - 1n);
+});
+
+test("unsignedToSigned reads the pattern as two's complement", () => {
+  assert.equal(unsignedToSigned(255n, 8), -1n);
+  assert.equal(unsignedToSigned(127n, 8), 127n);
+  assert.equal(unsignedToSigned(128n, 8), -128n);
+  assert.equal(unsignedToSigned(255n, 16), 255n);
+});
+
+test("fitsWidth accepts the signed and unsigned ranges", () => {
+  assert.ok(fitsWidth(-128n, 8));
+  assert.ok(fitsWidth(255n, 8));
+  assert.ok(!fitsWidth(-129n, 8));
+  assert.ok(!fitsWidth(256n, 8));
+});
+
+test("toHex and toBin pad to the width", () => {
+  assert.equal(toHex(255n, 16), "00FF");
+  assert.equal(toHex(5n, 5), "05");
+  assert.equal(toBin(5n, 8), "00000101");
+  assert.equal(groupEvery(toBin(5n, 10), 4), "00 0000 0101");
+});
+
+test("toBytesBE splits into big-endian bytes", () => {
+  assert.deepEqual(toBytesBE(0x1234n, 16), [0x12, 0x34]);
+  assert.deepEqual(toBytesBE(0x1n, 12), [0x00, 0x01]);
+});
+
+test("parseFromBase is exact beyond 2^53 and rejects invalid digits", () => {
+  assert.equal(parseFromBase("ff", 16), 255n);
+  assert.equal(parseFromBase("FFFFFFFFFFFFFFFF", 16), 18446744073709551615n);
+  assert.equal(parseFromBase("9007199254740993", 10), 9007199254740993n);
+  assert.equal(parseFromBase("z", 36), 35n);
+  assert.equal(parseFromBase("102", 2), null);
+  assert.equal(parseFromBase("", 10), null);
+  assert.equal(parseFromBase(null, 10), null);
+});
+
+test("parseDecimal accepts an optional sign only", () => {
+  assert.equal(parseDecimal(" -42 "), -42n);
+  assert.equal(parseDecimal("+7"), 7n);
+  assert.equal(parseDecimal("0x10"), null);
+});
+
+test("parseInteger understands prefixes and a minus sign", () => {
+  assert.equal(parseInteger("0xFF"), 255n);
+  assert.equal(parseInteger("0b1010"), 10n);
+  assert.equal(parseInteger("0o17"), 15n);
+  assert.equal(parseInteger("-0x80"), -128n);
+  assert.equal(parseInteger("123"), 123n);
+  assert.equal(parseInteger("0xG"), null);
+  assert.equal(parseInteger("1.5"), null);
+  assert.equal(parseInteger("+42"), 42n);
+  assert.equal(parseInteger(" 1_000 000 "), 1000000n);
+  assert.equal(parseInteger("0xFF_FF"), 65535n);
+  assert.equal(parseInteger("--1"), null);
+});
+
+test("utf8Bytes encodes every plane and replaces lone surrogates", () => {
+  assert.deepEqual(utf8Bytes("A"), [0x41]);
+  assert.deepEqual(utf8Bytes("é"), [0xc3, 0xa9]);
+  assert.deepEqual(utf8Bytes("€"), [0xe2, 0x82, 0xac]);
+  assert.deepEqual(utf8Bytes("👋"), [0xf0, 0x9f, 0x91, 0x8b]);
+  assert.deepEqual(utf8Bytes("\ud83d"), [0xef, 0xbf, 0xbd]);
+});
+
+test("codePoints keeps astral characters whole", () => {
+  assert.deepEqual(codePoints("a👋"), [0x61, 0x1f44b]);
+  assert.deepEqual(codePoints(""), []);
+});
+
+test("rgbToHex and rgbToHsv", () => {
+  assert.equal(rgbToHex(255, 128, 0), "#FF8000");
+  assert.deepEqual(rgbToHsv(255, 0, 0), { h: 0, s: 100, v: 100 });
+  assert.deepEqual(rgbToHsv(0, 0, 0), { h: 0, s: 0, v: 0 });
+  assert.equal(Math.round(rgbToHsv(0, 0, 255).h), 240);
+});
+
+test("divisionSteps and expansionSteps agree with toBase", () => {
+  const steps = divisionSteps(200n, 7);
+  assert.deepEqual(
+    steps.map((s) => [s.dividend, s.quotient, s.remainder]),
+    [
+      [200n, 28n, 4n],
+      [28n, 4n, 0n],
+      [4n, 0n, 4n],
+    ]
+  );
+  assert.equal(toBase(200n, 7), "404");
+  assert.equal(toBase(255n, 36), "73");
+  assert.deepEqual(divisionSteps(0n, 2).length, 1);
+  const terms = expansionSteps("7F", 16);
+  assert.deepEqual(
+    terms.map((t) => [t.digit, t.power, t.term]),
+    [
+      ["7", 1, 112n],
+      ["F", 0, 15n],
+    ]
+  );
+});
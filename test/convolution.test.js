@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EDGE_MODES, breakdown, convolve, defaultDivisor, findPreset, resizeKernel } from "../src/lib/convolution.js";
+
+// a 3×1 grey ramp: 0, 90, 180
+const ramp = { width: 3, height: 1, data: Uint8ClampedArray.from([0, 0, 0, 255, 90, 90, 90, 255, 180, 180, 180, 255]) };
+const red = (data) => Array.from(data).filter((_, i) => i % 4 === 0);
+
+test("edge modes read outside the image differently", () => {
+  const at = (id, i, n) => EDGE_MODES.find((m) => m.id === id).at(i, n);
+  assert.deepEqual([-2, -1, 3, 4].map((i) => at("extend", i, 3)), [0, 0, 2, 2]);
+  assert.deepEqual([-2, -1, 3, 4].map((i) => at("mirror", i, 3)), [2, 1, 1, 0]);
+  assert.deepEqual([-2, -1, 3, 4].map((i) => at("wrap", i, 3)), [1, 2, 0, 1]);
+  assert.deepEqual([-1, 0, 3].map((i) => at("zero", i, 3)), [-1, 0, -1]);
+});
+
+test("identity keeps the image, box blur averages its neighbours", () => {
+  assert.deepEqual(convolve(ramp, findPreset("identity").kernel, "extend"), ramp.data);
+  assert.deepEqual(red(convolve(ramp, findPreset("box3").kernel, "extend")), [30, 90, 150]);
+  assert.deepEqual(red(convolve(ramp, findPreset("box3").kernel, "zero")), [10, 30, 30]);
+});
+
+test("results are rounded and clamped; alpha is copied", () => {
+  const out = convolve(ramp, findPreset("sobel-x").kernel, "extend");
+  // (180 − 0) × (1 + 2 + 1) + 128 clips at 255; the left edge sees 90 × 4 + 128
+  assert.deepEqual(red(out), [255, 255, 255]);
+  assert.equal(out[3], 255);
+  const sharp = convolve(ramp, findPreset("sharpen").kernel, "extend");
+  assert.deepEqual(red(sharp), [0, 90, 255]);
+});
+
+test("the breakdown of one pixel matches the filtered image", () => {
+  const k = findPreset("gauss3").kernel;
+  const b = breakdown(ramp, 0, 0, k, "mirror");
+  assert.equal(b.terms.length, 9);
+  assert.deepEqual(b.terms[3], { dx: -1, dy: 0, sx: 1, sy: 0, weight: 2, rgb: [90, 90, 90] });
+  assert.equal(b.channels[0].sum, 90 * 8);
+  assert.equal(b.channels[0].result, convolve(ramp, k, "mirror")[0]);
+  const zero = breakdown(ramp, 0, 0, k, "zero");
+  assert.equal(zero.terms[0].sx, null);
+});
+
+test("kernels resize around their centre", () => {
+  const k = resizeKernel(findPreset("sharpen").kernel, 5);
+  assert.equal(k.weights.length, 25);
+  assert.equal(k.weights[12], 5);
+  assert.deepEqual(resizeKernel(k, 3).weights, findPreset("sharpen").kernel.weights);
+  assert.equal(defaultDivisor([1, -1]), 1);
+  assert.equal(defaultDivisor(findPreset("gauss5").kernel.weights), 256);
+});
@@ -0,0 +1,157 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { deflateSync } from "node:zlib";
+import { decodeImage } from "../cli/decodeImage.js";
+
+// ---------- tiny PNG writer (CRCs are left zero; the decoder does not check them) ----------
+const chunk = (type, body) => {
+  const out = Buffer.alloc(12 + body.length);
+  out.writeUInt32BE(body.length, 0);
+  out.write(type, 4, "latin1");
+  Buffer.from(body).copy(out, 8);
+  return out;
+};
+
+const png = ({ width, height, depth = 8, colorType, interlace = 0, scanlines, extra = [] }) => {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr.set([depth, colorType, 0, 0, interlace], 8);
+  return new Uint8Array(
+    Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      chunk("IHDR", ihdr),
+      ...extra,
+      chunk("IDAT", deflateSync(Buffer.from(scanlines))),
+      chunk("IEND", []),
+    ])
+  );
+};
+
+const rgba = (img, x, y) => Object.values(img.pixelAt(x, y));
+
+test("PNG truecolour with Sub and Paeth filters", () => {
+  // 2×2 RGB: row 0 stored with Sub, row 1 with Paeth
+  const img = decodeImage(
+    png({
+      width: 2,
+      height: 2,
+      colorType: 2,
+      scanlines: [1, 10, 20, 30, 5, 5, 5, 4, 1, 2, 3, 0, 0, 0],
+    })
+  );
+  assert.equal(img.format, "PNG");
+  assert.deepEqual(rgba(img, 0, 0), [10, 20, 30, 255]);
+  assert.deepEqual(rgba(img, 1, 0), [15, 25, 35, 255]);
+  assert.deepEqual(rgba(img, 0, 1), [11, 22, 33, 255]);
+  assert.deepEqual(rgba(img, 1, 1), [15, 25, 35, 255]); // Paeth picks the pixel above
+});
+
+test("PNG 2-bit palette with transparency", () => {
+  const palette = chunk("PLTE", [255, 0, 0, 0, 255, 0, 0, 0, 255]);
+  const trns = chunk("tRNS", [255, 128]);
+  const img = decodeImage(png({ width: 3, height: 1, depth: 2, colorType: 3, scanlines: [0, 0b00011000], extra: [palette, trns] }));
+  assert.deepEqual(rgba(img, 0, 0), [255, 0, 0, 255]);
+  assert.deepEqual(rgba(img, 1, 0), [0, 255, 0, 128]);
+  assert.deepEqual(rgba(img, 2, 0), [0, 0, 255, 255]);
+});
+
+test("PNG 16-bit grey with alpha keeps the high byte", () => {
+  const img = decodeImage(png({ width: 1, height: 1, depth: 16, colorType: 4, scanlines: [0, 0x12, 0x34, 0xff, 0xff] }));
+  assert.deepEqual(rgba(img, 0, 0), [0x12, 0x12, 0x12, 255]);
+});
+
+test("PNG 1-bit grey scales to 0 and 255", () => {
+  const img = decodeImage(png({ width: 2, height: 1, depth: 1, colorType: 0, scanlines: [0, 0b01000000] }));
+  assert.deepEqual(rgba(img, 0, 0), [0, 0, 0, 255]);
+  assert.deepEqual(rgba(img, 1, 0), [255, 255, 255, 255]);
+});
+
+test("PNG with Adam7 interlacing", () => {
+  // 3×3 grey image where every pixel's value is 10·y + x, split into its passes
+  const value = (x, y) => 10 * y + x;
+  const passes = [
+    [0, 0, 8, 8],
+    [4, 0, 8, 8],
+    [0, 4, 4, 8],
+    [2, 0, 4, 4],
+    [0, 2, 2, 4],
+    [1, 0, 2, 2],
+    [0, 1, 1, 2],
+  ];
+  const scanlines = [];
+  for (const [x0, y0, dx, dy] of passes) {
+    for (let y = y0; y < 3; y += dy) {
+      const row = [];
+      for (let x = x0; x < 3; x += dx) row.push(value(x, y));
+      if (row.length) scanlines.push(0, ...row);
+    }
+  }
+  const img = decodeImage(png({ width: 3, height: 3, colorType: 0, interlace: 1, scanlines }));
+  for (let y = 0; y < 3; y++) for (let x = 0; x < 3; x++) assert.equal(img.pixelAt(x, y).r, value(x, y), `(${x}, ${y})`);
+});
+
+// ---------- BMP writer: a BITMAPINFOHEADER and uncompressed 24-bit rows ----------
+const bmp = ({ width, height, data }) => {
+  const bytes = new Uint8Array(54 + data.length);
+  const view = new DataView(bytes.buffer);
+  bytes.set([0x42, 0x4d]);
+  view.setUint32(10, 54, true);
+  view.setUint32(14, 40, true);
+  view.setInt32(18, width, true);
+  view.setInt32(22, height, true);
+  view.setUint16(28, 24, true);
+  bytes.set(data, 54);
+  return bytes;
+};
+
+test("corrupt PNG headers are rejected before decoding", () => {
+  // 0x40000000 × 0x40000000 pixels from a 4-byte image stream
+  assert.throws(() => decodeImage(png({ width: 0x40000000, height: 0x40000000, colorType: 0, scanlines: [0, 1, 0, 2] })), /truncated/);
+  assert.throws(() => decodeImage(png({ width: 0, height: 1, colorType: 0, scanlines: [] })), /empty image/);
+  assert.throws(() => decodeImage(png({ width: 1, height: 1, depth: 4, colorType: 2, scanlines: [0, 0] })), /no 4-bit samples/);
+});
+
+test("BMP 24-bit bottom-up with padded rows", () => {
+  // 1×2: stride 4, the bottom row is stored first
+  const img = decodeImage(bmp({ width: 1, height: 2, data: [3, 2, 1, 0, 30, 20, 10, 0] }));
+  assert.equal(img.format, "BMP");
+  assert.deepEqual(rgba(img, 0, 0), [10, 20, 30, 255]);
+  assert.deepEqual(rgba(img, 0, 1), [1, 2, 3, 255]);
+});
+
+test("truncated and corrupt BMP files are rejected before decoding", () => {
+  assert.throws(() => decodeImage(bmp({ width: 1, height: 2, data: [3, 2, 1, 0] })), /pixel data is truncated/);
+  assert.throws(() => decodeImage(bmp({ width: 1, height: 2, data: [] }).subarray(0, 30)), /header is truncated/);
+  // a height of 0x3F000001 rows must fail at once, not loop over them
+  assert.throws(() => decodeImage(bmp({ width: 1, height: 0x3f000001, data: [3, 2, 1, 0] })), /pixel data is truncated/);
+  assert.throws(() => decodeImage(bmp({ width: 0, height: 1, data: [] })), /empty image/);
+  assert.throws(() => decodeImage(bmp({ width: -4, height: 1, data: [0, 0, 0, 0] })), /empty image/);
+  assert.throws(() => decodeImage(bmp({ width: 1, height: 0, data: [] })), /empty image/);
+});
+
+test("PPM, ASCII with a comment and binary", () => {
+  const ascii = decodeImage(new TextEncoder().encode("P3\n# worksheet\n2 1\n15\n15 0 0  0 0 15\n"));
+  assert.deepEqual(rgba(ascii, 0, 0), [255, 0, 0, 255]);
+  assert.deepEqual(rgba(ascii, 1, 0), [0, 0, 255, 255]);
+  const header = new TextEncoder().encode("P6\n1 1\n255\n");
+  const binary = decodeImage(new Uint8Array([...header, 7, 8, 9]));
+  assert.deepEqual(rgba(binary, 0, 0), [7, 8, 9, 255]);
+});
+
+test("malformed PPM headers and samples get a readable error", () => {
+  const ppm = (text) => decodeImage(new TextEncoder().encode(text));
+  assert.throws(() => ppm("P6 abc 2 255\n"), /Not a valid PPM header \(width\)/);
+  assert.throws(() => ppm("P6 2 0 255\n"), /Not a valid PPM header \(height\)/);
+  assert.throws(() => ppm("P6 2 1.5 255\n"), /Not a valid PPM header \(height\)/);
+  assert.throws(() => ppm("P3 1 1 70000\n1 2 3\n"), /Not a valid PPM header \(maxval\)/);
+  assert.throws(() => ppm("P3 1 1 15\n1 x 3\n"), /PPM sample/);
+  // 100000 × 100000 pixels claimed by a header with no data behind it
+  assert.throws(() => ppm("P6 100000 100000 255\n\x01\x02\x03"), /truncated/);
+  assert.throws(() => ppm("P3 2 1 15\n1 2 3\n"), /truncated/);
+});
+
+test("unsupported files get a readable error", () => {
+  assert.throws(() => decodeImage(new Uint8Array([0xff, 0xd8, 0xff, 0xe0])), /JPEG/);
+  assert.throws(() => decodeImage(new TextEncoder().encode("hello")), /Not a PNG, BMP or PPM/);
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { decimalSum, decodeFloat, encodeFloat, floatSum, formatById, shortestDecimal } from "../src/lib/floats.js";
+
+const double = formatById("double");
+const single = formatById("single");
+const half = formatById("half");
+
+test("encode and decode round-trip in every format", () => {
+  assert.equal(encodeFloat(1, half), 0x3c00n);
+  assert.equal(encodeFloat(0.1, single), 0x3dcccccdn);
+  assert.equal(encodeFloat(-2, double), 0xc000000000000000n);
+  assert.equal(decodeFloat(0x7c00n, half).kind, "infinity");
+  assert.equal(decodeFloat(1n, single).kind, "subnormal");
+  assert.equal(shortestDecimal(encodeFloat(0.1, single), single), "0.1");
+});
+
+test("decimal strings add exactly", () => {
+  assert.equal(decimalSum("0.1", "0.2"), "0.3");
+  assert.equal(decimalSum("1e-3", "-2.5"), "-2.499");
+  assert.equal(decimalSum("1.5e2", ".5"), "150.5");
+  assert.equal(decimalSum("inf", "1"), null);
+});
+
+test("0.1 + 0.2 in double precision is not the double nearest to 0.3", () => {
+  const sum = floatSum("0.1", "0.2", double);
+  assert.equal(sum.expectedLabel, "0.3");
+  assert.equal(sum.expected.hex, "3FD3333333333333");
+  assert.equal(sum.expected.short, "0.3");
+  assert.equal(sum.sum.hex, "3FD3333333333334");
+  assert.equal(sum.sum.short, "0.30000000000000004");
+  assert.equal(sum.equal, false);
+});
+
+test("0.1 + 0.2 in single precision rounds to the float nearest to 0.3", () => {
+  const sum = floatSum("0.1", "0.2", single);
+  assert.equal(sum.expected.hex, "3E99999A");
+  assert.equal(sum.sum.hex, "3E99999A");
+  assert.equal(sum.equal, true);
+});
+
+test("0.1 + 0.2 in half precision lands one step below 0.3", () => {
+  const sum = floatSum("0.1", "0.2", half);
+  assert.equal(sum.expected.hex, "34CD");
+  assert.equal(sum.sum.hex, "34CC");
+  assert.equal(sum.equal, false);
+});
+
+test("sums of special values fall back to float arithmetic", () => {
+  const sum = floatSum("inf", "1", single);
+  assert.equal(sum.expectedLabel, "Infinity");
+  assert.equal(sum.equal, true);
+  assert.equal(floatSum("abc", "1", single), null);
+});
@@ -0,0 +1,112 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync, readdirSync } from "node:fs";
+import { CATALOGS } from "../src/locales/index.js";
+import { UNTRANSLATED_WORDS, checkCatalogs, createI18n, detectLanguage, findHardcodedText, findKeyUses, formatParts } from "../src/lib/i18n.js";
+import { WAVEFORMS } from "../src/lib/audio.js";
+import { INSPECTOR_TYPES, PASTE_MODES } from "../src/lib/binaryData.js";
+import { DEPTH_MODES, DITHERS, PLANE_CHANNELS } from "../src/lib/colorDepth.js";
+import { COLOR_SPACES, GRAY_FORMULAS } from "../src/lib/colorSpaces.js";
+import { EDGE_MODES, KERNEL_PRESETS } from "../src/lib/convolution.js";
+import { EXPORT_FORMATS } from "../src/lib/imageEncoders.js";
+import { CHANNELS } from "../src/lib/imageStats.js";
+import { PIXEL_LAYOUTS } from "../src/lib/pixelMemory.js";
+import { STEGO_CHANNELS } from "../src/lib/stego.js";
+
+const catalogs = {
+  en: { hello: "Hello, {name}!", "files.one": "{count} file", "files.other": "{count} files", only: "English only" },
+  de: { hello: "Hallo, {name}!", "files.one": "{count} Datei", "files.other": "{count} Dateien" },
+};
+
+test("the browser's first supported language wins", () => {
+  assert.equal(detectLanguage(["fr-FR", "de-AT", "en"]), "de");
+  assert.equal(detectLanguage(["EN-gb"]), "en");
+  assert.equal(detectLanguage(["fr"]), "en");
+  assert.equal(detectLanguage([]), "en");
+});
+
+test("messages, plurals and fallbacks", () => {
+  const missing = [];
+  const { t, plural } = createI18n(catalogs, "de", { onMissing: (key, lang) => missing.push(`${lang}:${key}`) });
+  assert.equal(t("hello", { name: "Ada" }), "Hallo, Ada!");
+  assert.equal(plural("files", 1), "1 Datei");
+  assert.equal(plural("files", 1234), "1.234 Dateien");
+  assert.equal(t("only"), "English only");
+  assert.equal(t("nowhere"), "nowhere");
+  assert.deepEqual(missing, ["de:only", "de:nowhere"]);
+});
+
+test("placeholders can be replaced by any value", () => {
+  const em = { tag: "em" };
+  assert.deepEqual(formatParts("try {a} or {b}", { a: em }), ["try ", em, " or ", "{b}"]);
+});
+
+test("numbers are formatted for the language", () => {
+  assert.equal(createI18n(catalogs, "de").formatNumber(1234), "1.234");
+  assert.equal(createI18n(catalogs, "en").formatNumber(-1234567n), "-1,234,567");
+});
+
+test("catalog gaps are found", () => {
+  const [de] = checkCatalogs({ en: catalogs.en, de: { ...catalogs.de, hello: "Hallo!", extra: "x" } });
+  assert.deepEqual(de.missing, ["only"]);
+  assert.deepEqual(de.extra, ["extra"]);
+  assert.deepEqual(de.placeholderMismatch, ["hello"]);
+});
+
+test("every language has every message, with the same placeholders", () => {
+  for (const { lang, missing, extra, placeholderMismatch } of checkCatalogs(CATALOGS)) {
+    assert.deepEqual({ lang, missing, extra, placeholderMismatch }, { lang, missing: [], extra: [], placeholderMismatch: [] });
+  }
+});
+
+const src = new URL("../src/", import.meta.url);
+const sources = (pattern) => readdirSync(src, { recursive: true }).filter((file) => pattern.test(file));
+
+test("every key the source uses is defined", () => {
+  const used = sources(/\.jsx?$/).flatMap((file) => findKeyUses(readFileSync(new URL(file, src), "utf8")));
+  assert.ok(used.includes("numbers.title"));
+  assert.deepEqual(used.filter((key) => !(key in CATALOGS.en)), []);
+});
+
+test("text written around the catalogs is found", () => {
+  const source = [
+    "// <b>a comment</b>",
+    '<p title="Copy it">{n} bytes</p>',
+    "{open ? <Panel /> : null}",
+    "<span>{rate} Hz</span>",
+  ].join("\n");
+  assert.deepEqual(findHardcodedText(source, ["Hz"]), [
+    { line: 2, text: "bytes" },
+    { line: 2, text: "Copy it" },
+  ]);
+});
+
+test("the interface has no text outside the catalogs", () => {
+  const found = sources(/\.jsx$/).flatMap((file) =>
+    findHardcodedText(readFileSync(new URL(file, src), "utf8"), UNTRANSLATED_WORDS).map(({ line, text }) => `${file}:${line} ${text}`),
+  );
+  assert.deepEqual(found, []);
+});
+
+test("table entries without a label are named in the catalogs", () => {
+  const tables = {
+    "colorDepth.mode": DEPTH_MODES,
+    "colorDepth.dither": DITHERS,
+    "colorDepth.channel": PLANE_CHANNELS,
+    "colorSpace.space": COLOR_SPACES,
+    "colorSpace.gray": GRAY_FORMULAS,
+    "convolution.preset": KERNEL_PRESETS,
+    "convolution.edge": EDGE_MODES,
+    "dataInspector.type": INSPECTOR_TYPES,
+    "export.format": EXPORT_FORMATS,
+    "hexViewer.mode": PASTE_MODES,
+    "pixelMemory.layout": PIXEL_LAYOUTS,
+    "sound.waveform": WAVEFORMS,
+    "stats.channel": CHANNELS,
+    "stego.channel": STEGO_CHANNELS,
+  };
+  const unnamed = Object.entries(tables).flatMap(([prefix, table]) =>
+    table.filter((entry) => !entry.label).map((entry) => `${prefix}.${entry.id}`),
+  );
+  assert.deepEqual(unnamed.filter((key) => !(key in CATALOGS.en)), []);
+});
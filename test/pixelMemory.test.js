@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { nativeLayout, packPixel, pixelOffset, rowStride, wordBytes } from "../src/lib/pixelMemory.js";
+
+const pixel = { r: 0x12, g: 0x34, b: 0x56, a: 0xff };
+
+test("layouts name the channels from the most significant byte", () => {
+  assert.equal(packPixel(pixel, "RGBA"), 0x123456ff);
+  assert.equal(packPixel(pixel, "ARGB"), 0xff123456);
+  assert.equal(packPixel(pixel, "BGRA"), 0x563412ff);
+  assert.equal(packPixel(pixel, "ABGR"), 0xff563412);
+});
+
+test("byte order in memory", () => {
+  assert.deepEqual(wordBytes(0xff123456, false), [0xff, 0x12, 0x34, 0x56]);
+  assert.deepEqual(wordBytes(0xff123456, true), [0x56, 0x34, 0x12, 0xff]);
+});
+
+test("RGBA bytes read as a word give the native layout", () => {
+  const bytes = new Uint8Array([pixel.r, pixel.g, pixel.b, pixel.a]);
+  const view = new DataView(bytes.buffer);
+  assert.equal(view.getUint32(0, true), packPixel(pixel, nativeLayout(true)));
+  assert.equal(view.getUint32(0, false), packPixel(pixel, nativeLayout(false)));
+});
+
+test("offset and stride", () => {
+  assert.equal(pixelOffset(3, 2, 10), 92);
+  assert.equal(rowStride(10), 40);
+});
@@ -0,0 +1,105 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { QUESTION_TYPES, makeQuestions, normalizeQuizConfig, parseAnswerBytes, scoreAnswer } from "../src/lib/quiz.js";
+
+const ALL_TYPES = QUESTION_TYPES.map((t) => t.id);
+const questionsOf = (type) => makeQuestions({ seed: "checkers", count: 20, types: [type] });
+// what a student sees: everything but the checker
+const shown = (questions) => questions.map(({ check, ...q }) => q);
+
+test("the same seed gives the same questions", () => {
+  const config = { seed: "abc123", count: 10, types: ALL_TYPES };
+  const questions = makeQuestions(config);
+  assert.equal(questions.length, 10);
+  assert.deepEqual(shown(makeQuestions(config)), shown(questions));
+  assert.notDeepEqual(shown(makeQuestions({ ...config, seed: "abc124" })), shown(questions));
+  // every selected type comes up, and only those
+  assert.deepEqual(new Set(makeQuestions({ ...config, count: 20 }).map((q) => q.type)), new Set(ALL_TYPES));
+  assert.deepEqual(new Set(makeQuestions({ ...config, types: ["utf8"] }).map((q) => q.type)), new Set(["utf8"]));
+});
+
+test("binary answers may have spaces, a prefix and leading zeros", () => {
+  for (const q of questionsOf("dec-bin")) {
+    const { value } = q.prompt;
+    const bits = value.toString(2);
+    assert.ok(q.check(q.answer), q.answer);
+    assert.ok(q.check(bits));
+    assert.ok(q.check(`0b${bits}`));
+    assert.ok(q.check(`000${bits}`));
+    assert.ok(!q.check((value + 1).toString(2)));
+    assert.ok(!q.check(`1${bits}`));
+    assert.ok(!q.check("12"));
+  }
+});
+
+test("signed answers are checked by value", () => {
+  for (const q of questionsOf("hex-signed")) {
+    const signed = BigInt(q.answer);
+    assert.ok(q.check(q.answer));
+    assert.ok(q.check(` ${signed} `));
+    assert.ok(q.check(`${signed < 0 ? "-" : ""}0x${(signed < 0 ? -signed : signed).toString(16)}`));
+    assert.ok(!q.check(String(signed + 1n)));
+    if (signed < 0) assert.ok(!q.check(String(-signed)));
+  }
+});
+
+test("UTF-8 answers take any hex byte notation", () => {
+  for (const q of questionsOf("utf8")) {
+    const bytes = q.answer.split(" ");
+    assert.ok(q.check(q.answer));
+    assert.ok(q.check(bytes.join("").toLowerCase()));
+    assert.ok(q.check(bytes.map((b) => `0x${b}`).join(", ")));
+    assert.ok(!q.check(bytes.slice(1).join(" ") || "00"));
+    assert.ok(!q.check([...bytes, "00"].join(" ")));
+    if (bytes.length > 1) assert.ok(!q.check([...bytes].reverse().join(" ")));
+  }
+});
+
+test("little-endian answers may be decimal or hex", () => {
+  for (const q of questionsOf("le-int")) {
+    const [decimal, hex] = q.answer.match(/^(\d+) \((0x[0-9A-F]+)\)$/).slice(1);
+    assert.ok(q.check(decimal));
+    assert.ok(q.check(hex));
+    assert.ok(q.check(hex.toLowerCase()));
+    assert.ok(!q.check(String(BigInt(decimal) + 1n)));
+    if (BigInt(decimal) > 9n) assert.ok(!q.check(hex.slice(2))); // without 0x the digits read as decimal, or not at all
+  }
+});
+
+test("colour questions have one right choice", () => {
+  for (const q of questionsOf("hex-colour")) {
+    assert.equal(q.choices.length, 4);
+    assert.equal(new Set(q.choices.map((c) => c.color)).size, 4);
+    const right = q.choices.findIndex((c) => c.color === q.prompt.color);
+    assert.deepEqual(q.choices.map((_, i) => q.check(i)), q.choices.map((_, i) => i === right));
+  }
+});
+
+test("lab questions are right only when the lab matched", () => {
+  const [q] = questionsOf("match");
+  assert.ok(q.check(true));
+  assert.ok(!q.check(false));
+  assert.equal(q.challenge.target >> BigInt(q.challenge.bits), 0n);
+});
+
+test("answer bytes parse in any common notation", () => {
+  assert.deepEqual(parseAnswerBytes("C3 A9"), [0xc3, 0xa9]);
+  assert.deepEqual(parseAnswerBytes("0xc3,0xa9"), [0xc3, 0xa9]);
+  assert.deepEqual(parseAnswerBytes("c3a9"), [0xc3, 0xa9]);
+  assert.equal(parseAnswerBytes("c3a"), null);
+  assert.equal(parseAnswerBytes("zz"), null);
+  assert.equal(parseAnswerBytes(""), null);
+});
+
+test("configs from a link fall back to the defaults where invalid", () => {
+  const config = normalizeQuizConfig({ seed: "bad seed!", count: "7", types: ["utf8", "nope"], timeLimit: "30" });
+  assert.deepEqual(config, { seed: "", count: 10, types: ["utf8"], timeLimit: 30 });
+  assert.deepEqual(normalizeQuizConfig({ types: ["nope"] }).types, ALL_TYPES);
+});
+
+test("fast answers and streaks earn bonuses", () => {
+  assert.equal(scoreAnswer({ correct: false, seconds: 1, timeLimit: 0, streak: 3 }), 0);
+  assert.equal(scoreAnswer({ correct: true, seconds: 30, timeLimit: 0, streak: 1 }), 100);
+  assert.equal(scoreAnswer({ correct: true, seconds: 0, timeLimit: 15, streak: 2 }), 160);
+  assert.equal(scoreAnswer({ correct: true, seconds: 60, timeLimit: 15, streak: 20 }), 150);
+});
@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { decimalToFixed, findRepresentation, fixedToDecimal, powerLabel } from "../src/lib/representations.js";
+
+const opts = { bits: 8, bias: 128n, fracBits: 4 };
+const decode = (id, u, o = opts) => findRepresentation(id).decode(u, o);
+const encode = (id, str, o = opts) => findRepresentation(id).encode(str, o);
+
+test("every representation reads 1000 0001", () => {
+  const u = 0b10000001n;
+  assert.equal(decode("unsigned", u).value, "129");
+  assert.equal(decode("signed", u).value, "-127");
+  assert.equal(decode("sign-magnitude", u).value, "-1");
+  assert.equal(decode("ones", u).value, "-126");
+  assert.equal(decode("excess", u).value, "1");
+  assert.equal(decode("bcd", u).value, "81");
+  assert.equal(decode("gray", u).value, "254");
+  assert.equal(decode("fixed", u).value, "-7.9375");
+});
+
+test("sign-magnitude and ones' complement have a negative zero", () => {
+  assert.equal(decode("sign-magnitude", 0x80n).value, "-0");
+  assert.equal(decode("ones", 0xffn).value, "-0");
+  assert.equal(encode("sign-magnitude", "-0").pattern, 0x80n);
+  assert.equal(encode("ones", "-0").pattern, 0xffn);
+  assert.equal(encode("ones", "-5").pattern, 0b11111010n);
+  assert.ok(encode("sign-magnitude", "-128").error);
+});
+
+test("excess-K encodes with the chosen bias", () => {
+  assert.equal(encode("excess", "-128").pattern, 0n);
+  assert.equal(encode("excess", "3", { ...opts, bias: 127n }).pattern, 130n);
+  assert.ok(encode("excess", "128").error);
+});
+
+test("BCD rejects nibbles above 9 and non-zero upper nibbles", () => {
+  assert.equal(encode("bcd", "42").pattern, 0x42n);
+  assert.match(decode("bcd", 0x4an).error, /1010/);
+  assert.deepEqual(decode("bcd", 0x4an).reason, { id: "digit", pattern: "1010", high: 3, low: 0 });
+  assert.equal(encode("bcd-unpacked", "7", opts).pattern, 0x07n);
+  assert.equal(encode("bcd-unpacked", "42", { ...opts, bits: 16 }).pattern, 0x0402n);
+  assert.ok(decode("bcd-unpacked", 0x37n).error);
+  assert.deepEqual(encode("bcd", "123").reason, { id: "digits", bits: 8, count: 2 });
+  assert.ok(encode("bcd", "-1").error);
+});
+
+test("Gray code round-trips and neighbours differ in one bit", () => {
+  for (let n = 0n; n < 255n; n++) {
+    const g = encode("gray", String(n)).pattern;
+    assert.equal(decode("gray", g).value, String(n));
+    const next = encode("gray", String(n + 1n)).pattern;
+    assert.equal((g ^ next).toString(2).replace(/0/g, "").length, 1);
+  }
+});
+
+test("fixed point is exact in decimal and rounds typed values", () => {
+  assert.equal(fixedToDecimal(-1n, 4), "-0.0625");
+  assert.equal(fixedToDecimal(40n, 4), "2.5");
+  assert.deepEqual(decimalToFixed("0.3", 4), { value: 5n, exact: false });
+  assert.deepEqual(decimalToFixed("-1.5", 1), { value: -3n, exact: true });
+  assert.equal(decimalToFixed("abc", 4), null);
+  assert.deepEqual(encode("fixed", "-8"), { pattern: 0x80n, adjusted: false });
+  assert.ok(encode("fixed", "8").error);
+});
+
+test("place weights follow the interpretation", () => {
+  const weights = (id, o = opts) => Array.from({ length: o.bits }, (_, i) => findRepresentation(id).weight(o.bits - 1 - i, o));
+  assert.deepEqual(weights("signed"), ["−128", "64", "32", "16", "8", "4", "2", "1"]);
+  assert.equal(weights("ones")[0], "−127");
+  assert.deepEqual(weights("bcd"), ["80", "40", "20", "10", "8", "4", "2", "1"]);
+  assert.deepEqual(weights("fixed"), ["−8", "4", "2", "1", "½", "¼", "⅛", "2^-4"]);
+  assert.equal(powerLabel(20), "2^20");
+});
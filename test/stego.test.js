@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { capacity, embedMessage, extractMessage, lowBitsData, carriersAt } from "../src/lib/stego.js";
+import { utf8Bytes } from "../src/lib/conversions.js";
+
+const image = (width, height, fill = (i) => (i % 4 === 3 ? 255 : (i * 37) & 0xff)) => ({
+  width,
+  height,
+  data: Uint8ClampedArray.from({ length: width * height * 4 }, (_, i) => fill(i)),
+});
+
+const rgb1 = { channels: ["r", "g", "b"], bits: 1 };
+
+test("capacity is pixels × channels × bits, less the length header", () => {
+  assert.deepEqual(capacity(image(8, 8), rgb1), { pixels: 64, skipped: 0, bits: 192, bytes: 20 });
+  assert.equal(capacity(image(8, 8), { channels: ["b"], bits: 4 }).bits, 256);
+});
+
+test("a UTF-8 message round-trips and only touches the low bits", () => {
+  const img = image(16, 16);
+  const bytes = utf8Bytes("Grüße 🙂");
+  const hidden = embedMessage(img, bytes, rgb1);
+  assert.equal(hidden.usedBits, 32 + bytes.length * 8);
+  for (let i = 0; i < img.data.length; i++) assert.ok(Math.abs(hidden.data[i] - img.data[i]) <= 1);
+  const out = extractMessage({ ...img, data: hidden.data }, rgb1);
+  assert.deepEqual(Array.from(out.bytes), bytes);
+});
+
+test("the first carrier bits hold the big-endian length", () => {
+  const img = image(4, 4, (i) => (i % 4 === 3 ? 255 : 0));
+  const hidden = embedMessage(img, [0x41], { channels: ["r", "g", "b"], bits: 2 });
+  // 6 carrier bits per pixel: length 1 (31 zeros, then a one) ends in pixel 5's red; "A" = 01 00 00 01 follows
+  assert.deepEqual(Array.from(hidden.data.slice(5 * 4, 7 * 4)), [0b01, 0b01, 0, 255, 0, 0b01, 0, 255]);
+  assert.equal(hidden.changedBits, 1 + 2); // the length bit, and the two set bits of "A"
+  assert.deepEqual(
+    carriersAt(img, 1, 1, { channels: ["r", "g", "b"], bits: 2 }).map(({ offset, shift, n }) => [offset, shift, n]),
+    [[0, 1, 30], [0, 0, 31], [1, 1, 32], [1, 0, 33], [2, 1, 34], [2, 0, 35]]
+  );
+});
+
+test("transparent pixels are skipped", () => {
+  const img = image(8, 8, (i) => (i % 4 === 3 ? (i < 32 ? 0 : 255) : 100));
+  assert.equal(capacity(img, rgb1).skipped, 8);
+  const hidden = embedMessage(img, utf8Bytes("hi"), rgb1);
+  assert.deepEqual(hidden.data.slice(0, 32), img.data.slice(0, 32));
+  assert.deepEqual(carriersAt(img, 0, 0, rgb1), []);
+  assert.equal(carriersAt(img, 0, 1, rgb1)[0].n, 0);
+});
+
+test("too long a message, or none at all, is reported", () => {
+  assert.match(embedMessage(image(4, 4), new Array(100).fill(65), rgb1).error, /at most 2 fit/);
+  assert.match(extractMessage(image(4, 4, () => 255), rgb1).error, /probably no message/);
+  assert.deepEqual(embedMessage(image(4, 4), new Array(100).fill(65), rgb1).reason, { id: "tooLong", length: 100, fit: 2 });
+  assert.equal(extractMessage(image(4, 4, () => 255), rgb1).reason.id, "noMessage");
+});
+
+test("low bits are stretched to full brightness", () => {
+  const out = lowBitsData({ data: new Uint8ClampedArray([0b1011, 0b1000, 7, 0]) }, { channels: ["r", "g"], bits: 2 });
+  assert.deepEqual(Array.from(out), [255, 0, 0, 255]);
+});
@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { quantize, sampleSignal } from "../src/lib/audio.js";
+import { WAV_HEADER_SIZE, encodeWav, parseWav } from "../src/lib/wav.js";
+
+const tone = sampleSignal({ waveform: "sine", frequency: 440, amplitude: 0.8 }, 8000, 0.05);
+
+test("a 16-bit export parses back to the same samples", () => {
+  const ints = quantize(tone, 16);
+  const bytes = encodeWav(ints, 8000, 16);
+  assert.equal(bytes.length, WAV_HEADER_SIZE + ints.length * 2);
+  const parsed = parseWav(bytes);
+  assert.equal(parsed.format, "WAV");
+  assert.deepEqual(parsed.warnings, []);
+  assert.equal(parsed.info.sampleRate, 8000);
+  assert.equal(parsed.info.bitsPerSample, 16);
+  assert.deepEqual(Array.from(parsed.info.ints), Array.from(ints));
+  assert.deepEqual(
+    parsed.regions.map((r) => r.label),
+    [{ id: "region.riff" }, { id: "region.chunk", type: "fmt" }, { id: "region.chunk", type: "data" }]
+  );
+  assert.deepEqual(parsed.info.offsetOf(3), { offset: WAV_HEADER_SIZE + 6, length: 2 });
+});
+
+test("8-bit WAV is unsigned and low depths are left-aligned", () => {
+  const bytes = encodeWav(Int32Array.from([0, -8, 7]), 4000, 4);
+  assert.deepEqual(Array.from(bytes.subarray(WAV_HEADER_SIZE, WAV_HEADER_SIZE + 3)), [128, 0, 240]);
+  assert.equal(bytes.length % 2, 0); // odd data is padded
+  const parsed = parseWav(bytes);
+  assert.deepEqual(Array.from(parsed.info.ints), [0, -128, 112]);
+  assert.deepEqual(parsed.warnings, []);
+});
+
+test("12-bit samples go in a 16-bit container", () => {
+  const parsed = parseWav(encodeWav(Int32Array.from([2047, -2048]), 8000, 12));
+  assert.equal(parsed.info.bitsPerSample, 16);
+  assert.deepEqual(Array.from(parsed.info.ints), [2047 * 16, -2048 * 16]);
+});
+
+test("unknown chunks, stereo and floats", () => {
+  // stereo float32 with a LIST chunk in front of the data
+  const frames = [
+    [0.5, -0.25],
+    [-1, 1],
+  ];
+  const list = [..."LIST"].map((c) => c.charCodeAt(0)).concat([3, 0, 0, 0, 1, 2, 3, 0]);
+  const bytes = new Uint8Array(12 + 24 + list.length + 8 + 16);
+  const view = new DataView(bytes.buffer);
+  const put = (o, s) => [...s].forEach((c, i) => (bytes[o + i] = c.charCodeAt(0)));
+  put(0, "RIFF");
+  view.setUint32(4, bytes.length - 8, true);
+  put(8, "WAVE");
+  put(12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 3, true);
+  view.setUint16(22, 2, true);
+  view.setUint32(24, 1000, true);
+  view.setUint32(28, 8000, true);
+  view.setUint16(32, 8, true);
+  view.setUint16(34, 32, true);
+  bytes.set(list, 36);
+  const d = 36 + list.length;
+  put(d, "data");
+  view.setUint32(d + 4, 16, true);
+  frames.flat().forEach((v, i) => view.setFloat32(d + 8 + i * 4, v, true));
+  const parsed = parseWav(bytes);
+  assert.deepEqual(parsed.warnings, []);
+  assert.deepEqual(parsed.regions.map((r) => r.kind), ["signature", "header", "meta", "data"]);
+  assert.deepEqual(Array.from(parsed.info.samples), [0.5, -1]);
+  assert.equal(parsed.info.ints, null);
+});
+
+test("non-WAV and truncated input", () => {
+  assert.equal(parseWav(new TextEncoder().encode("hello world!")).format, null);
+  const bytes = encodeWav(Int32Array.from([1, 2, 3, 4]), 8000, 16);
+  const parsed = parseWav(bytes.subarray(0, bytes.length - 3));
+  assert.ok(parsed.warnings.length > 0);
+  assert.equal(parsed.info.frames, 2);
+});
+
+test("a block align too small for its samples is not decoded", () => {
+  const bytes = encodeWav(Int32Array.from([1, 2, 3, 4]), 8000, 16);
+  bytes[32] = 1; // blockAlign: 1 byte per frame of one 16-bit sample
+  const parsed = parseWav(bytes);
+  assert.equal(parsed.info, null);
+  const ids = parsed.warnings.map((w) => w.id);
+  assert.ok(ids.includes("warning.blockAlign"));
+  assert.ok(ids.includes("warning.cannotDecode"));
+});
@@ -1,7 +1,13 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
+import { CLASSROOM_PATH, DEFAULT_PORT } from "./src/lib/classroom.js";
+
+// `npm run classroom` next to `npm run dev`: the session socket goes through the dev server
+const classroomProxy = { [CLASSROOM_PATH]: { target: `ws://localhost:${DEFAULT_PORT}`, ws: true } };
 
 export default defineConfig({
   plugins: [react()],
   base: "/digital-representation-lab/",
+  server: { proxy: classroomProxy },
+  preview: { proxy: classroomProxy },
 });